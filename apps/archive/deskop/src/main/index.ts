@@ -455,20 +455,33 @@ ipcMain.handle("agent-open-app", async (_event, target: string) => {
   }
 });
 
-// Web search (uses macOS open to search, returns a note)
+// Web search through the OniOS search providers (GET /api/search on the
+// OniOS server at the `oni_onios_url` setting); opens the search in the
+// browser when OniOS cannot answer.
+const DEFAULT_ONIOS_URL = "http://localhost:5173";
+
+interface WebSearchResult {
+  title: string;
+  url: string;
+  snippet: string;
+  source: string;
+}
+
 ipcMain.handle("agent-search-web", async (_event, query: string) => {
+  const base = String(store.get("oni_onios_url", DEFAULT_ONIOS_URL)).replace(/\/+$/, '');
   try {
-    // Use curl to fetch a simple search
-    const encoded = encodeURIComponent(query);
-    const result = execSync(
-      `curl -sL "https://lite.duckduckgo.com/lite/?q=${encoded}" | sed 's/<[^>]*>//g' | head -100`,
-      { timeout: 10000, encoding: 'utf-8', maxBuffer: 1024 * 512 }
-    );
-    return result.trim() || 'No results found.';
-  } catch {
-    // Fallback: open in browser
+    const res = await fetch(`${base}/api/search?q=${encodeURIComponent(query)}&count=8`, {
+      signal: AbortSignal.timeout(15000),
+    });
+    const data = await res.json() as { results?: WebSearchResult[]; error?: string };
+    if (!res.ok) {throw new Error(data.error || `HTTP ${res.status}`);}
+    if (!data.results?.length) {return 'No results found.';}
+    return data.results
+      .map((r, i) => `${i + 1}. ${r.title}\n   ${r.url}${r.snippet ? `\n   ${r.snippet}` : ''}`)
+      .join('\n\n');
+  } catch (e) {
     shell.openExternal(`https://www.google.com/search?q=${encodeURIComponent(query)}`);
-    return `Opened search for "${query}" in browser.`;
+    return `Search failed (${e instanceof Error ? e.message : String(e)}); opened search for "${query}" in browser.`;
   }
 });
 
@@ -55,9 +55,7 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import crypto from 'crypto';
-import { AsyncQueue } from './utils/AsyncQueue.js';
-
-const asyncQueue = new AsyncQueue();
+import { readJSONFileAsync, writeJSONFileAsync } from './utils/persistence.js';
 
 const AI_DIR = path.join(os.homedir(), '.onios', 'ai');
 const CONV_DIR = path.join(AI_DIR, 'conversations');
@@ -339,19 +337,13 @@ function ensureDirs() {
     if (!fs.existsSync(CONV_DIR)) {fs.mkdirSync(CONV_DIR, { recursive: true });}
 }
 
-async function readJSON(filePath, fallback = {}) {
-    try {
-        if (!fs.existsSync(filePath)) {return fallback;}
-        const raw = await asyncQueue.enqueue(filePath, () => fs.promises.readFile(filePath, 'utf-8'));
-        return JSON.parse(raw);
-    } catch { return fallback; }
+function readJSON(filePath, fallback = {}) {
+    return readJSONFileAsync(filePath, fallback);
 }
 
 async function writeJSON(filePath, data) {
     ensureDirs();
-    await asyncQueue.enqueue(filePath, () =>
-        fs.promises.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8')
-    );
+    await writeJSONFileAsync(filePath, data);
 }
 
 function parseBody(req) {
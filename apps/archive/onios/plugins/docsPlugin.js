@@ -53,7 +53,10 @@ const OPENAPI_SPEC = {
             get: {
                 tags: ['Filesystem'],
                 summary: 'List directory contents',
-                parameters: [{ name: 'path', in: 'query', schema: { type: 'string' }, description: 'Directory path (defaults to home)' }],
+                parameters: [
+                    { name: 'path', in: 'query', schema: { type: 'string' }, description: 'Directory path (defaults to home)' },
+                    { name: 'showHidden', in: 'query', schema: { type: 'boolean', default: false }, description: 'Include dotfiles' },
+                ],
                 responses: { 200: { description: 'Array of file/directory entries', content: { 'application/json': { schema: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, isDirectory: { type: 'boolean' }, size: { type: 'number' }, modified: { type: 'string' } } } } } } } },
             },
         },
@@ -84,9 +87,50 @@ const OPENAPI_SPEC = {
         '/api/fs/delete': {
             delete: {
                 tags: ['Filesystem'],
-                summary: 'Delete a file or directory',
-                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['path'], properties: { path: { type: 'string' } } } } } },
-                responses: { 200: { description: 'Deleted' } },
+                summary: 'Move a file or directory to the Trash',
+                description: 'Deleted items go to ~/.onios/trash and can be restored. Items larger than the whole trash quota are refused with 413 (code TRASH_QUOTA) unless permanent=1.',
+                parameters: [
+                    { name: 'path', in: 'query', required: true, schema: { type: 'string' } },
+                    { name: 'permanent', in: 'query', schema: { type: 'boolean', default: false }, description: 'Skip the trash and delete for good' },
+                ],
+                responses: { 200: { description: '{ success, trashed, id?, originalPath? }' }, 413: { description: 'Larger than the trash quota' } },
+            },
+        },
+        '/api/fs/trash/list': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'List trashed items',
+                responses: { 200: { description: '{ items[] (id, name, originalPath, deletedAt, deletedBy, isDirectory, size), totalBytes, settings }' } },
+            },
+        },
+        '/api/fs/trash/restore': {
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Restore a trashed item',
+                description: 'Moves the item back to its original path (or `to`), recreating missing parent folders. Never overwrites an existing file.',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' }, to: { type: 'string' } } } } } },
+                responses: { 200: { description: 'Restored' }, 404: { description: 'Unknown trash item' }, 409: { description: 'Target already exists' } },
+            },
+        },
+        '/api/fs/trash/empty': {
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Permanently delete trashed items',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { ids: { type: 'array', items: { type: 'string' }, description: 'Omit to empty the whole trash' } } } } } },
+                responses: { 200: { description: '{ removed, freedBytes }' } },
+            },
+        },
+        '/api/fs/trash/settings': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Trash purge limits',
+                responses: { 200: { description: '{ maxAgeDays, maxBytes } (0 disables a limit)' } },
+            },
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Update trash purge limits and purge now',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { maxAgeDays: { type: 'number', default: 30 }, maxBytes: { type: 'integer' } } } } } },
+                responses: { 200: { description: 'New settings plus purged { removed, freedBytes }' }, 400: { description: 'Invalid value' } },
             },
         },
         '/api/fs/rename': {
@@ -101,8 +145,210 @@ const OPENAPI_SPEC = {
             get: {
                 tags: ['Filesystem'],
                 summary: 'Stream media file with range support',
+                description: 'Any file type. Sends ETag and Last-Modified; honours Range (bytes=a-b, a-, -n), If-Range, If-None-Match, If-Modified-Since, If-Match and If-Unmodified-Since.',
                 parameters: [{ name: 'path', in: 'query', required: true, schema: { type: 'string' } }],
-                responses: { 200: { description: 'Media stream' }, 206: { description: 'Partial content (range)' } },
+                responses: { 200: { description: 'Media stream' }, 206: { description: 'Partial content (range)' }, 304: { description: 'Not modified' }, 412: { description: 'Precondition failed' }, 416: { description: 'Range not satisfiable' } },
+            },
+        },
+        '/api/fs/download': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Download a file (resumable)',
+                description: 'Same range and conditional-request handling as /api/fs/media, sent as an attachment (Content-Disposition with a UTF-8 filename*). HEAD returns the headers only.',
+                parameters: [
+                    { name: 'path', in: 'query', required: true, schema: { type: 'string' } },
+                    { name: 'inline', in: 'query', schema: { type: 'boolean', default: false }, description: 'Display in the browser with the real content type' },
+                ],
+                responses: { 200: { description: 'File' }, 206: { description: 'Partial content (range)' }, 304: { description: 'Not modified' }, 412: { description: 'Precondition failed' }, 416: { description: 'Range not satisfiable' } },
+            },
+        },
+        '/api/fs/upload': {
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Start a resumable upload',
+                description: 'Reserves an upload in ~/.onios/uploads. Send the bytes with PUT in order, then POST /api/fs/upload/complete. The target is only written on completion; uploads idle for 24 hours are discarded.',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['path', 'size'], properties: { path: { type: 'string' }, size: { type: 'integer' }, sha256: { type: 'string', description: 'Expected hex SHA-256 of the whole file' }, overwrite: { type: 'boolean', default: false } } } } } },
+                responses: { 201: { description: '{ uploadId, path, size, offset, complete, chunkSize, maxChunkBytes, expiresAt }' }, 409: { description: 'Target exists (code EEXIST)' } },
+            },
+            put: {
+                tags: ['Filesystem'],
+                summary: 'Send one chunk',
+                description: 'Raw bytes (at most maxChunkBytes) written at offset, which must equal the current offset. A chunk that fails its X-Chunk-SHA256 check, is cut short or runs past the declared size is rolled back.',
+                parameters: [
+                    { name: 'id', in: 'query', required: true, schema: { type: 'string' } },
+                    { name: 'offset', in: 'query', required: true, schema: { type: 'integer' } },
+                    { name: 'X-Chunk-SHA256', in: 'header', schema: { type: 'string' } },
+                ],
+                requestBody: { content: { 'application/octet-stream': {} } },
+                responses: { 200: { description: 'Status with the new offset' }, 409: { description: 'Wrong offset (EOFFSET) or chunk in progress (EBUSY); body has the expected offset' }, 413: { description: 'Chunk too large or past the declared size' }, 422: { description: 'Chunk checksum mismatch' } },
+            },
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Upload status (where to resume)',
+                parameters: [{ name: 'id', in: 'query', required: true, schema: { type: 'string' } }],
+                responses: { 200: { description: '{ uploadId, path, size, offset, complete, ... }' }, 404: { description: 'Unknown or expired upload' } },
+            },
+            delete: {
+                tags: ['Filesystem'],
+                summary: 'Abort an upload',
+                parameters: [{ name: 'id', in: 'query', required: true, schema: { type: 'string' } }],
+                responses: { 200: { description: '{ success }' } },
+            },
+        },
+        '/api/fs/upload/complete': {
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Verify and finish an upload',
+                description: 'Checks the SHA-256 of the received bytes against the one given here or at creation, then moves the file into place. A mismatch discards the upload.',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' }, sha256: { type: 'string' } } } } } },
+                responses: { 200: { description: '{ success, path, size, sha256 }' }, 409: { description: 'Incomplete (EINCOMPLETE) or target created meanwhile (EEXIST)' }, 422: { description: 'Checksum mismatch' } },
+            },
+        },
+        '/api/fs/archive': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Download files or folders as an archive',
+                description: 'Streams a zip or tar.gz built on the fly. Repeat path to bundle several items; symlinks are skipped.',
+                parameters: [
+                    { name: 'path', in: 'query', required: true, schema: { type: 'array', items: { type: 'string' } }, style: 'form', explode: true },
+                    { name: 'format', in: 'query', schema: { type: 'string', enum: ['zip', 'tar.gz'], default: 'zip' } },
+                    { name: 'name', in: 'query', schema: { type: 'string' }, description: 'Download file name' },
+                ],
+                responses: { 200: { description: 'Archive stream' }, 403: { description: 'A source is denied by the fs policy' }, 413: { description: 'Too many entries or too large for zip (EZIP64 / ETOOMANY)' } },
+            },
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Create an archive on disk',
+                description: 'Writes a zip or tar.gz next to the first source (or at dest). Without dest an unused name is chosen ("name 2.zip", ...).',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['paths'], properties: { paths: { type: 'array', items: { type: 'string' } }, format: { type: 'string', enum: ['zip', 'tar.gz'], default: 'zip' }, dest: { type: 'string' }, overwrite: { type: 'boolean', default: false } } } } } },
+                responses: { 200: { description: '{ success, format, path, size, entries, bytes }' }, 403: { description: 'Denied by the fs policy' }, 409: { description: 'dest exists (EEXIST)' } },
+            },
+        },
+        '/api/fs/archive/list': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'List the contents of an archive',
+                description: 'Reads zip, tar and tar.gz without extracting. By default returns one level under dir, with implied folders filled in; all=1 returns every entry.',
+                parameters: [
+                    { name: 'path', in: 'query', required: true, schema: { type: 'string' } },
+                    { name: 'dir', in: 'query', schema: { type: 'string', default: '' } },
+                    { name: 'all', in: 'query', schema: { type: 'boolean', default: false } },
+                ],
+                responses: { 200: { description: '{ path, format, dir, entries, totalEntries, totalSize }' }, 422: { description: 'Not a supported archive (EFORMAT)' } },
+            },
+        },
+        '/api/fs/extract': {
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Extract an archive',
+                description: 'Extracts into a new folder next to the archive (or dest) via a staging folder, so a failure leaves nothing behind. Entries escaping the target, links and encrypted entries are skipped; every written path is checked against the fs policy. Decompression bombs are refused (EBOMB).',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['path'], properties: { path: { type: 'string' }, dest: { type: 'string' }, entries: { type: 'array', items: { type: 'string' }, description: 'Only these entries (folders include their contents)' } } } } } },
+                responses: { 200: { description: '{ success, path, files, directories, skipped, bytes }' }, 403: { description: 'An entry is denied by the fs policy' }, 409: { description: 'dest exists' }, 413: { description: 'Exceeds the size or ratio limits (EBOMB)' }, 422: { description: 'Corrupt or unsupported archive' } },
+            },
+        },
+        '/api/fs/jobs': {
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Start a batch job',
+                description: 'Copies, moves, deletes (to the trash unless permanent) or renames many paths in the background. Jobs run one at a time, are saved after every item and resume after a server restart. Every source and target is re-checked against the fs policy as it is processed. dryRun returns the planned items without running anything.',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['op', 'paths'], properties: {
+                    op: { type: 'string', enum: ['copy', 'move', 'delete', 'rename'] },
+                    paths: { type: 'array', items: { type: 'string' } },
+                    dest: { type: 'string', description: 'Target folder (copy, move)' },
+                    conflict: { type: 'string', enum: ['skip', 'overwrite', 'rename'], default: 'skip', description: 'overwrite moves the existing target to the trash; rename picks "name 2.ext"' },
+                    find: { type: 'string', description: 'rename: regex over the file name' },
+                    replace: { type: 'string', description: 'rename: replacement with $1 etc. and {n} / {n:3} for a running number' },
+                    ignoreCase: { type: 'boolean', default: false },
+                    permanent: { type: 'boolean', default: false },
+                    dryRun: { type: 'boolean', default: false },
+                } } } } },
+                responses: { 202: { description: 'Job summary (status queued)' }, 200: { description: 'dryRun: the planned job with items' }, 400: { description: 'Invalid op, conflict policy or pattern' }, 403: { description: 'Denied by the fs policy' }, 404: { description: 'A source does not exist' } },
+            },
+            get: {
+                tags: ['Filesystem'],
+                summary: 'List jobs or get one',
+                parameters: [{ name: 'id', in: 'query', schema: { type: 'string' }, description: 'Return this job with its items' }],
+                responses: { 200: { description: '{ jobs } newest first, or the job with items[{ from, to, state, bytes, error? }]' }, 404: { description: 'Unknown job' } },
+            },
+            delete: {
+                tags: ['Filesystem'],
+                summary: 'Forget a finished job',
+                parameters: [{ name: 'id', in: 'query', required: true, schema: { type: 'string' } }],
+                responses: { 200: { description: '{ success }' }, 409: { description: 'Job still active (EBUSY)' } },
+            },
+        },
+        '/api/fs/jobs/events': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Job progress stream (SSE)',
+                description: 'Events: job (current summary), progress (at most 4/s; progress.{itemsDone, itemsTotal, bytesDone, bytesTotal, current}), item (each finished item), done (final summary; the stream then ends).',
+                parameters: [{ name: 'id', in: 'query', required: true, schema: { type: 'string' } }],
+                responses: { 200: { description: 'text/event-stream' }, 404: { description: 'Unknown job' } },
+            },
+        },
+        '/api/fs/jobs/cancel': {
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Cancel a job',
+                description: 'Finished items are kept; a directory copy cut short keeps what it copied so far.',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } } } } },
+                responses: { 200: { description: '{ success, job }' }, 404: { description: 'Unknown job' } },
+            },
+        },
+        '/api/fs/versions': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'List saved versions of a file',
+                description: 'Writes through /api/fs/write, /api/fs/write-binary and the agent file/project actions save the content they replace in a deduplicated store (~/.onios/versions). current describes the live file; its sha256 shows which version, if any, it matches.',
+                parameters: [{ name: 'path', in: 'query', required: true, schema: { type: 'string' } }],
+                responses: { 200: { description: '{ path, current: { size, modified, sha256 }, versions: [{ id, sha256, size, savedAt, modified, source, reason }] } newest first' } },
+            },
+        },
+        '/api/fs/versions/content': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Content of a version',
+                parameters: [
+                    { name: 'path', in: 'query', required: true, schema: { type: 'string' } },
+                    { name: 'id', in: 'query', schema: { type: 'string', default: 'current' } },
+                ],
+                responses: { 200: { description: 'Raw content' }, 404: { description: 'Unknown version' } },
+            },
+        },
+        '/api/fs/versions/diff': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Diff two versions',
+                description: 'Unified diff from one version to another (current = the live file). Binary files report binary: true; very large or very different texts report tooLarge: true.',
+                parameters: [
+                    { name: 'path', in: 'query', required: true, schema: { type: 'string' } },
+                    { name: 'from', in: 'query', required: true, schema: { type: 'string' } },
+                    { name: 'to', in: 'query', schema: { type: 'string', default: 'current' } },
+                ],
+                responses: { 200: { description: '{ from, to, diff, additions, deletions } or { binary } / { tooLarge } / { identical }' }, 404: { description: 'Unknown version' } },
+            },
+        },
+        '/api/fs/versions/restore': {
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Restore a version',
+                description: 'Writes the version back to the file. The content it replaces is saved as a version first (reason restore), so a restore can be undone.',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['path', 'id'], properties: { path: { type: 'string' }, id: { type: 'string' } } } } } },
+                responses: { 200: { description: '{ success, path, restored, snapshot }' }, 403: { description: 'Denied by the fs policy' }, 404: { description: 'Unknown version' } },
+            },
+        },
+        '/api/fs/versions/settings': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Version retention settings',
+                responses: { 200: { description: '{ maxVersionsPerFile, maxAgeDays, maxBytes, maxFileBytes } (defaults 50, 30 days, 1 GB, 16 MB)' } },
+            },
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Change version retention',
+                description: 'Any subset of the settings; 0 disables a limit. Prunes immediately.',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { maxVersionsPerFile: { type: 'integer' }, maxAgeDays: { type: 'number' }, maxBytes: { type: 'integer' }, maxFileBytes: { type: 'integer' } } } } } },
+                responses: { 200: { description: 'New settings plus pruned counts' }, 400: { description: 'Invalid value' } },
             },
         },
         '/api/fs/stat': {
@@ -113,6 +359,64 @@ const OPENAPI_SPEC = {
                 responses: { 200: { description: 'File stats (size, modified, isDirectory, etc.)' } },
             },
         },
+        '/api/fs/policy': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Allowed roots and write-deny rules',
+                description: 'Read-only view of ~/.onios/fs-policy.json. Every /api/fs path must sit inside a root; writes, deletes and moves also need a read-write root and must not match a deny rule. Violations return 403 with code FS_POLICY_VIOLATION.',
+                responses: { 200: { description: 'Policy', content: { 'application/json': { schema: { type: 'object', properties: { roots: { type: 'array', items: { type: 'object', properties: { path: { type: 'string' }, mode: { type: 'string', enum: ['read-only', 'read-write'] } } } }, denyWrite: { type: 'array', items: { type: 'string' } }, policyFile: { type: 'string' } } } } } } },
+            },
+        },
+        '/api/fs/search': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Recursive file search',
+                description: 'Walks below path honouring .gitignore files and streams results as NDJSON: one {type:"match"} line per hit, then {type:"done", scanned, matched, truncated, timedOut, elapsedMs, patternTimeout?}. The content regex gets 2 s per file; a pattern that runs longer stops the search and names the file in patternTimeout. Globs without a slash match the file name, otherwise the path relative to the search root.',
+                parameters: [
+                    { name: 'path', in: 'query', schema: { type: 'string' }, description: 'Directory to search (defaults to home)' },
+                    { name: 'glob', in: 'query', schema: { type: 'string' }, description: 'Name or path glob (*, **, ?, [..], {a,b}); repeatable' },
+                    { name: 'query', in: 'query', schema: { type: 'string' }, description: 'Regex to grep in text files' },
+                    { name: 'literal', in: 'query', schema: { type: 'boolean' }, description: 'Treat query as plain text' },
+                    { name: 'caseSensitive', in: 'query', schema: { type: 'boolean', default: false } },
+                    { name: 'type', in: 'query', schema: { type: 'string', enum: ['file', 'directory', 'any'] } },
+                    { name: 'minSize', in: 'query', schema: { type: 'integer' } },
+                    { name: 'maxSize', in: 'query', schema: { type: 'integer' } },
+                    { name: 'modifiedAfter', in: 'query', schema: { type: 'string' }, description: 'ISO date, epoch ms or relative age (7d, 12h)' },
+                    { name: 'modifiedBefore', in: 'query', schema: { type: 'string' } },
+                    { name: 'maxDepth', in: 'query', schema: { type: 'integer', default: 20 } },
+                    { name: 'showHidden', in: 'query', schema: { type: 'boolean', default: false } },
+                    { name: 'gitignore', in: 'query', schema: { type: 'boolean', default: true } },
+                    { name: 'limit', in: 'query', schema: { type: 'integer', default: 1000 } },
+                ],
+                responses: { 200: { description: 'NDJSON stream', content: { 'application/x-ndjson': {} } }, 400: { description: 'Invalid options' }, 404: { description: 'Directory not found' } },
+            },
+        },
+        '/api/fs/watch': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Filesystem change stream (SSE watch session)',
+                description: 'Opens a watch session. Events: ready {sessionId, maxWatches}; watching / error per path; change {watchId, path, events[]} with debounced create/modify/delete/rename events (rename carries oldPath); closed {watchId, error} when a watched path goes away. One session can hold many paths; each client address may watch at most 32 paths.',
+                parameters: [
+                    { name: 'path', in: 'query', schema: { type: 'string' }, description: 'Path to watch right away; repeatable' },
+                    { name: 'recursive', in: 'query', schema: { type: 'boolean', default: false }, description: 'Include subdirectories (skips .git and node_modules)' },
+                ],
+                responses: { 200: { description: 'text/event-stream' } },
+            },
+            post: {
+                tags: ['Filesystem'],
+                summary: 'Add or remove paths in a watch session',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['sessionId'], properties: { sessionId: { type: 'string' }, watch: { type: 'array', items: { type: 'object', properties: { path: { type: 'string' }, recursive: { type: 'boolean' } } } }, unwatch: { type: 'array', items: { type: 'string' } } } } } } },
+                responses: { 200: { description: '{ watching[], errors[] (code FS_POLICY_VIOLATION | WATCH_LIMIT | NOT_FOUND | WATCH_FAILED), unwatched[] }' }, 404: { description: 'Unknown session' } },
+            },
+        },
+        '/api/fs/audit': {
+            get: {
+                tags: ['Filesystem'],
+                summary: 'Recent filesystem policy violations',
+                parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', default: 100 } }],
+                responses: { 200: { description: 'Audit entries, newest first (time, source, endpoint, op, path, reason, rule, message)' } },
+            },
+        },
         '/api/docs/read': {
             get: {
                 tags: ['Documents'],
@@ -167,11 +471,59 @@ const OPENAPI_SPEC = {
                 responses: { 200: { description: 'State synced' } },
             },
         },
+        '/api/search': {
+            get: {
+                tags: ['Search'],
+                summary: 'Web search',
+                description: 'Searches with one provider (brave, searxng, or local: pages the web proxy has cached) or, with auto, the first configured provider in the settings order, falling through on errors. Results are rate limited and cached per provider.',
+                parameters: [
+                    { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
+                    { name: 'provider', in: 'query', schema: { type: 'string', enum: ['auto', 'brave', 'searxng', 'local'], default: 'auto' } },
+                    { name: 'count', in: 'query', schema: { type: 'integer', default: 10, maximum: 20 } },
+                ],
+                responses: {
+                    200: { description: '{ query, provider, results: [{ title, url, snippet, source }], cached, skipped? }' },
+                    429: { description: 'Rate limit reached (Retry-After)' },
+                    502: { description: 'Provider error' },
+                    503: { description: 'Provider not configured' },
+                },
+            },
+        },
+        '/api/search/providers': {
+            get: {
+                tags: ['Search'],
+                summary: 'Search providers',
+                responses: { 200: { description: '{ providers: [{ name, label, configured, auto, rateLimit }] }' } },
+            },
+        },
+        '/api/search/settings': {
+            get: {
+                tags: ['Search'],
+                summary: 'Search settings',
+                responses: { 200: { description: '{ order, braveApiKey (set or not), searxngUrl, cacheTtlSec, rateLimits }' } },
+            },
+            post: {
+                tags: ['Search'],
+                summary: 'Change search settings',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', properties: {
+                    order: { type: 'array', items: { type: 'string' } },
+                    braveApiKey: { type: 'string' },
+                    searxngUrl: { type: 'string' },
+                    cacheTtlSec: { type: 'number' },
+                    rateLimits: { type: 'object', description: '{ <provider>: { requests, perSec } | null }' },
+                } } } } },
+                responses: { 200: { description: 'New settings' }, 400: { description: 'Invalid value' } },
+            },
+        },
         '/api/brave-search': {
             get: {
                 tags: ['Search'],
                 summary: 'Web search via Brave Search API',
-                parameters: [{ name: 'q', in: 'query', required: true, schema: { type: 'string' } }],
+                description: 'Brave only, for older clients; results also carry description. Prefer /api/search.',
+                parameters: [
+                    { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
+                    { name: 'key', in: 'query', schema: { type: 'string' }, description: 'Overrides the configured API key' },
+                ],
                 responses: { 200: { description: 'Search results from Brave' } },
             },
         },
@@ -441,7 +793,7 @@ Source tagging:
 </tbody></table>
 
 <h2>File Explorer</h2>
-<p>Browses the real machine filesystem via /api/fs/list. Sidebar favorites (Home, Desktop, Documents, Downloads, Pictures, Music, Videos, Projects), breadcrumb navigation, grid and list views, file type icons. Routes files to appropriate viewer by extension.</p>
+<p>Browses the real machine filesystem via /api/fs/list. Sidebar favorites (Home, Desktop, Documents, Downloads, Pictures, Music, Videos, Projects), breadcrumb navigation, grid and list views, file type icons, a hidden-files toggle and recursive search below the current folder (names or contents, via /api/fs/search). The listing refreshes live through /api/fs/watch, as do open files in Code Editor and Document Viewer. Routes files to appropriate viewer by extension.</p>
 <table><thead><tr><th>Command</th><th>Description</th></tr></thead><tbody>
 <tr><td><code>system.files.openExplorer(path?)</code></td><td>Open file explorer at optional path</td></tr>
 <tr><td><code>system.files.navigate(path)</code></td><td>Navigate to path in explorer</td></tr>
@@ -507,7 +859,7 @@ Source tagging:
 <h2>Other Widgets</h2>
 <table><thead><tr><th>Widget</th><th>Key Commands</th><th>Features</th></tr></thead><tbody>
 <tr><td><strong>Weather</strong></td><td><code>widgets.weather.getCurrent()</code>, <code>getWeekly()</code></td><td>Current conditions + 7-day forecast</td></tr>
-<tr><td><strong>Web Search</strong></td><td><code>web.search(query)</code></td><td>Brave Search API (requires BRAVE_API_KEY)</td></tr>
+<tr><td><strong>Web Search</strong></td><td><code>web.search(query)</code></td><td>Brave, SearXNG or offline cached pages (/api/search/settings)</td></tr>
 <tr><td><strong>Maps</strong></td><td><code>maps.open()</code></td><td>Embedded maps</td></tr>
 <tr><td><strong>Notes</strong></td><td>Via document commands</td><td>Sidebar list, auto-save to localStorage</td></tr>
 <tr><td><strong>Calculator</strong></td><td><code>widgets.calculator.open()</code>, <code>calculate(expr)</code></td><td>Arithmetic with expression display</td></tr>
@@ -860,16 +1212,48 @@ password.lock()</code></pre>
 <section id="api-fs" class="section" style="display:none">
 <h1>Filesystem API</h1>
 <table><thead><tr><th>Method</th><th>Endpoint</th><th>Description</th></tr></thead><tbody>
-<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/list?path=</code></td><td>List directory. Returns array of {name, isDirectory, size, modified}. Supports ~ prefix.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/list?path=</code></td><td>List directory. Returns array of {name, isDirectory, size, modified}. Supports ~ prefix; add &amp;showHidden=1 for dotfiles.</td></tr>
 <tr><td><span class="badge method">GET</span></td><td><code>/api/fs/read?path=</code></td><td>Read file as text. Returns {content, path}.</td></tr>
 <tr><td><span class="badge post">POST</span></td><td><code>/api/fs/write</code></td><td>Write file. Body: {path, content}.</td></tr>
 <tr><td><span class="badge post">POST</span></td><td><code>/api/fs/mkdir</code></td><td>Create directory. Body: {path}.</td></tr>
-<tr><td><span class="badge delete">DELETE</span></td><td><code>/api/fs/delete?path=</code></td><td>Delete file or directory.</td></tr>
+<tr><td><span class="badge delete">DELETE</span></td><td><code>/api/fs/delete?path=</code></td><td>Move file or directory to the Trash. Add &amp;permanent=1 to delete for good.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/trash/list</code></td><td>Trashed items, newest first, with total size and purge settings.</td></tr>
+<tr><td><span class="badge post">POST</span></td><td><code>/api/fs/trash/restore</code></td><td>Restore an item. Body: {id, to?}. 409 if the target exists.</td></tr>
+<tr><td><span class="badge post">POST</span></td><td><code>/api/fs/trash/empty</code></td><td>Permanently delete trashed items. Body: {ids?} (all when omitted).</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/trash/settings</code></td><td>Purge limits {maxAgeDays, maxBytes}; POST to change them (default 30 days / 5 GB).</td></tr>
 <tr><td><span class="badge post">POST</span></td><td><code>/api/fs/rename</code></td><td>Move/rename. Body: {from, to}.</td></tr>
-<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/media?path=</code></td><td>Stream media with HTTP range support.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/media?path=</code></td><td>Stream media with HTTP range support, ETags and conditional requests.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/download?path=</code></td><td>Download any file as an attachment; resumable via Range. Add &amp;inline=1 to display it.</td></tr>
+<tr><td><span class="badge post">POST</span></td><td><code>/api/fs/upload</code></td><td>Start a resumable upload. Body: {path, size, sha256?, overwrite?}. Returns {uploadId, offset, chunkSize}.</td></tr>
+<tr><td><span class="badge post">PUT</span></td><td><code>/api/fs/upload?id=&amp;offset=</code></td><td>Send a raw chunk at the current offset (optional X-Chunk-SHA256 header). GET with ?id= returns the offset to resume from; DELETE aborts.</td></tr>
+<tr><td><span class="badge post">POST</span></td><td><code>/api/fs/upload/complete</code></td><td>Verify the SHA-256 and move the file into place. Body: {id, sha256?}.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/archive?path=&amp;format=</code></td><td>Download files/folders as a zip or tar.gz streamed on the fly; repeat path for several.</td></tr>
+<tr><td><span class="badge post">POST</span></td><td><code>/api/fs/archive</code></td><td>Create an archive on disk. Body: {paths, format?, dest?, overwrite?}.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/archive/list?path=&amp;dir=</code></td><td>Browse a zip/tar/tar.gz one folder at a time (all=1 for every entry).</td></tr>
+<tr><td><span class="badge post">POST</span></td><td><code>/api/fs/extract</code></td><td>Safely extract an archive next to itself or into dest. Body: {path, dest?, entries?}.</td></tr>
+<tr><td><span class="badge post">POST</span></td><td><code>/api/fs/jobs</code></td><td>Background batch copy/move/delete/rename. Body: {op, paths, dest?, conflict: skip|overwrite|rename, find?, replace?, dryRun?}. Resumes after a restart.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/jobs/events?id=</code></td><td>SSE progress for a job (bytes and items); GET /api/fs/jobs?id= for its items, POST /api/fs/jobs/cancel {id} to stop it.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/versions?path=</code></td><td>Earlier contents of a file, saved whenever it is overwritten (deduplicated).</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/versions/diff?path=&amp;from=&amp;to=</code></td><td>Unified diff between two versions (to defaults to the live file). /api/fs/versions/content?path=&amp;id= returns one version.</td></tr>
+<tr><td><span class="badge post">POST</span></td><td><code>/api/fs/versions/restore</code></td><td>Restore a version. Body: {path, id}. The replaced content is kept as a version.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/versions/settings</code></td><td>Retention {maxVersionsPerFile, maxAgeDays, maxBytes, maxFileBytes}; POST to change.</td></tr>
 <tr><td><span class="badge method">GET</span></td><td><code>/api/fs/stat?path=</code></td><td>File stats: size, modified, isDirectory.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/search?path=&amp;glob=&amp;query=</code></td><td>Recursive search with globs, content regex, size/date/type filters and .gitignore support. Streams NDJSON.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/watch?path=&amp;recursive=</code></td><td>SSE watch session: debounced create/modify/delete/rename events. Add/remove paths with POST { sessionId, watch, unwatch }. Max 32 paths per client.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/policy</code></td><td>Allowed roots (read-only / read-write) and write-deny globs.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/fs/audit?limit=</code></td><td>Recent policy violations, newest first.</td></tr>
 </tbody></table>
 
+<h2>Root Jail</h2>
+<p>All paths are confined to the roots in <code>~/.onios/fs-policy.json</code> (default: your home directory, read-write). Symlinks are resolved before checking, so a link pointing outside a root is refused. Writes, deletes and moves also need a read-write root and must not match a <code>denyWrite</code> glob (default: <code>~/.ssh</code>, <code>~/.gnupg</code>, <code>~/.aws</code>, <code>~/.onios</code> and similar). Violations return <code>403</code> with <code>{error, code: "FS_POLICY_VIOLATION", reason, op, path}</code> and are logged to <code>~/.onios/fs-audit.log</code>.</p>
+<pre><code>{
+  "roots": [
+    { "path": "~", "mode": "read-write" },
+    { "path": "/Volumes/Media", "mode": "read-only" }
+  ],
+  "denyWrite": ["~/.ssh", "~/.gnupg", "**/*.pem"]
+}</code></pre>
+
 <h2>cURL Examples</h2>
 <pre><code># List home directory
 curl http://localhost:5173/api/fs/list?path=~
@@ -949,7 +1333,9 @@ Lifecycle:
 <table><thead><tr><th>Method</th><th>Endpoint</th><th>Description</th></tr></thead><tbody>
 <tr><td><span class="badge method">GET</span></td><td><code>/api/state</code></td><td>Get server state (tasks, events, jobs). Client polls every 10s.</td></tr>
 <tr><td><span class="badge post">POST</span></td><td><code>/api/state</code></td><td>Push local state. Body: {tasks, events, scheduledJobs}.</td></tr>
-<tr><td><span class="badge method">GET</span></td><td><code>/api/brave-search?q=</code></td><td>Web search proxy (requires BRAVE_API_KEY env).</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/search?q=&amp;provider=&amp;count=</code></td><td>Web search: brave, searxng, local (cached pages) or auto. Results {title, url, snippet, source}.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/search/settings</code></td><td>Provider order, Brave key, SearXNG URL, cache TTL, rate limits; POST to change. /api/search/providers lists providers.</td></tr>
+<tr><td><span class="badge method">GET</span></td><td><code>/api/brave-search?q=</code></td><td>Brave-only search for older clients (BRAVE_API_KEY or the configured key).</td></tr>
 </tbody></table>
 
 <h2>External Documentation</h2>
@@ -7,15 +7,27 @@
  *   POST /api/docs/search    — Search text content across indexed documents
  *   POST /api/docs/create    — Create a new document (txt, md, csv)
  *   GET  /api/docs/info      — Get metadata about a document file
+ *
+ * The folder of every indexed document is watched (utils/fsWatch.js), so
+ * edited files are re-indexed, deleted ones dropped, renames followed and
+ * new documents in those folders picked up without another request.
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { watchPath } from './utils/fsWatch.js';
 
 // In-memory document index — maps filePath → { text, mtime, meta }
 const docIndex = new Map();
 
+const AUTO_INDEX_EXTS = new Set(['pdf', 'docx', 'xlsx', 'xls', 'csv', 'txt', 'md', 'json']);
+const MAX_AUTO_INDEX_BYTES = 10 * 1024 * 1024;
+const MAX_WATCHED_DIRS = 64;
+
+// Folders watched for changes to indexed documents — maps dir → unwatch
+const watchedDirs = new Map();
+
 function resolvePath(p) {
     if (!p) {return null;}
     if (p.startsWith('~')) {p = path.join(os.homedir(), p.slice(1));}
@@ -142,10 +154,47 @@ async function indexDocument(filePath) {
             // Build simple word frequency map for search scoring
             tokens: tokenize(result.text),
         });
+        watchIndexedDir(path.dirname(filePath));
+    } else {
+        docIndex.delete(filePath);
     }
     return result;
 }
 
+function watchIndexedDir(dir) {
+    if (watchedDirs.has(dir) || watchedDirs.size >= MAX_WATCHED_DIRS) {return;}
+    try {
+        watchedDirs.set(dir, watchPath(dir, {}, reindexChanged, () => watchedDirs.delete(dir)));
+    } catch {
+        // Can't watch (gone, or OS watch limit): the index goes stale until re-read
+    }
+}
+
+/** fsWatch batch handler: keep the index in step with the disk. */
+async function reindexChanged(events) {
+    let updated = 0;
+    for (const e of events) {
+        if (e.isDirectory) {continue;}
+        if (e.type === 'delete' || e.type === 'rename') {
+            const gone = e.oldPath || e.path;
+            if (docIndex.delete(gone)) {updated++;}
+            if (e.type === 'delete') {continue;}
+        }
+        const known = docIndex.has(e.path);
+        const wanted = AUTO_INDEX_EXTS.has(getExtension(e.path)) && e.size <= MAX_AUTO_INDEX_BYTES;
+        if (!known && !wanted) {continue;}
+        try {
+            await indexDocument(e.path);
+            updated++;
+        } catch {
+            docIndex.delete(e.path);
+        }
+    }
+    if (updated > 0) {
+        console.log(`[DocumentPlugin] Updated ${updated} changed document(s) in the index`);
+    }
+}
+
 /**
  * Tokenize text into lowercase word tokens with frequency counts.
  */
@@ -275,7 +324,6 @@ export default function documentPlugin() {
                     path.join(os.homedir(), 'Documents'),
                     path.join(os.homedir(), 'Desktop'),
                 ];
-                const docExts = new Set(['pdf', 'docx', 'xlsx', 'xls', 'csv', 'txt', 'md', 'json']);
                 let indexed = 0;
 
                 for (const dir of dirsToIndex) {
@@ -283,11 +331,11 @@ export default function documentPlugin() {
                     const files = walkDir(dir, 2); // depth 2
                     for (const f of files) {
                         const ext = getExtension(f);
-                        if (!docExts.has(ext)) {continue;}
+                        if (!AUTO_INDEX_EXTS.has(ext)) {continue;}
                         // Skip large files (> 10MB)
                         try {
                             const stat = fs.statSync(f);
-                            if (stat.size > 10 * 1024 * 1024) {continue;}
+                            if (stat.size > MAX_AUTO_INDEX_BYTES) {continue;}
                         } catch { continue; }
                         try {
                             await indexDocument(f);
@@ -1,29 +1,438 @@
 /**
  * Vite plugin that adds filesystem API routes.
  * This allows the File Explorer to browse the real machine filesystem.
+ *
+ * All paths are checked against the root jail in utils/fsPolicy.js
+ * (~/.onios/fs-policy.json). Violations get a 403 with
+ * `{ error, code: 'FS_POLICY_VIOLATION', reason, op, path, ... }` and are
+ * recorded in ~/.onios/fs-audit.log.
+ *
+ *   GET /api/fs/policy        → roots, deny rules, policy file location
+ *   GET /api/fs/audit?limit=  → recent policy violations, newest first
+ *   GET /api/fs/search?path=&glob=&query=&...  → recursive search, NDJSON stream
+ *                                (options in utils/fsSearch.js)
+ *   GET  /api/fs/watch?path=&recursive=  → SSE change stream (a watch session)
+ *   POST /api/fs/watch                   → { sessionId, watch?: [{ path, recursive }], unwatch?: [watchId] }
+ *
+ * A watch session is one SSE connection carrying any number of watched
+ * paths, so a browser needs a single connection for all its widgets. It
+ * opens with `ready { sessionId, maxWatches }`, then `watching` / `error`
+ * per requested path, and `change { watchId, path, events }` with debounced,
+ * coalesced create/modify/delete/rename events (see utils/fsWatch.js).
+ * `closed { watchId, error }` means a watch ended, e.g. its directory was
+ * removed. Each client address may hold at most MAX_WATCHES_PER_CLIENT
+ * watches across its sessions.
+ *
+ * Deletes go to the trash (utils/fsTrash.js) unless `permanent=1`:
+ *   DELETE /api/fs/delete?path=&permanent=  → { success, trashed, id? }
+ *   GET  /api/fs/trash/list                 → { items, totalBytes, settings }
+ *   POST /api/fs/trash/restore              → { id, to? } back to the original path
+ *   POST /api/fs/trash/empty                → { ids? } permanently delete (all if omitted)
+ *   GET|POST /api/fs/trash/settings         → { maxAgeDays, maxBytes } purge limits
+ *
+ * Large files move in pieces (utils/fsUpload.js, utils/sendFile.js):
+ *   POST   /api/fs/upload              → { path, size, sha256?, overwrite? } → { uploadId, offset, chunkSize }
+ *   PUT    /api/fs/upload?id=&offset=  → raw chunk (optional X-Chunk-SHA256) → { offset }
+ *   GET    /api/fs/upload?id=          → { offset, size, complete } to resume
+ *   POST   /api/fs/upload/complete     → { id, sha256? } verify and move into place
+ *   DELETE /api/fs/upload?id=          → abort
+ *   GET /api/fs/download?path=&inline= → file with Range, ETag and conditional requests
+ *
+ * Archives (utils/archive.js; zip and tar.gz, tar readable too):
+ *   GET  /api/fs/archive?path=&path=&format=  → stream a new archive as a download
+ *   POST /api/fs/archive                      → { paths, format?, dest?, overwrite? } write it to disk
+ *   GET  /api/fs/archive/list?path=&dir=      → entries directly under `dir` (all with &all=1)
+ *   POST /api/fs/extract                      → { path, dest?, entries? } into a new folder
+ *
+ * Batch jobs (utils/fsJobs.js) copy, move, delete or rename many paths in
+ * the background and survive a restart:
+ *   POST   /api/fs/jobs            → { op, paths, dest?, conflict?, find?, replace?, permanent?, dryRun? } → 202 job
+ *   GET    /api/fs/jobs[?id=]      → { jobs } summaries, or one job with its items
+ *   GET    /api/fs/jobs/events?id= → SSE: `job`, then `progress`, `item` per finished item, `done`
+ *   POST   /api/fs/jobs/cancel     → { id }
+ *   DELETE /api/fs/jobs?id=        → forget a finished job
+ *
+ * Overwrites through /api/fs/write and /api/fs/write-binary keep the old
+ * content in the version store (utils/fsVersions.js):
+ *   GET  /api/fs/versions?path=                   → { current, versions } newest first
+ *   GET  /api/fs/versions/content?path=&id=       → raw content of a version
+ *   GET  /api/fs/versions/diff?path=&from=&to=    → unified diff (`current` = the live file)
+ *   POST /api/fs/versions/restore                 → { path, id }
+ *   GET|POST /api/fs/versions/settings            → { maxVersionsPerFile, maxAgeDays, maxBytes, maxFileBytes }
+ *
+ * The web proxy for the Browser widget (utils/webProxy.js, utils/htmlRewrite.js)
+ * refuses private and loopback addresses unless ~/.onios/web-proxy.json
+ * allows them, caches on disk, and rewrites pages so they keep loading
+ * through it. file:// URLs stay inside the root jail and are not served
+ * to other sites:
+ *   GET /api/web-proxy?url=     → proxied response (X-Proxy-Cache: HIT | MISS | REVALIDATED)
+ *   GET /api/web-proxy/policy   → allowlist, blocked ranges, cache size
+ *
+ * Web search goes through pluggable providers (utils/webSearch.js: Brave,
+ * SearXNG, offline cached pages), rate limited and cached per provider:
+ *   GET /api/search?q=&provider=&count=  → { provider, results: [{ title, url, snippet, source }], cached }
+ *   GET /api/search/providers            → providers, configured or not
+ *   GET|POST /api/search/settings        → { order, braveApiKey, searxngUrl, cacheTtlSec, rateLimits }
+ *   GET /api/brave-search?q=&key=        → Brave only, results also carry `description`
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
+import { checkFsAccess, auditFsViolation, describeFsPolicy, readFsAuditLog, isFsRoot } from './utils/fsPolicy.js';
+import { normalizeSearchOptions, searchFiles } from './utils/fsSearch.js';
+import { watchPath } from './utils/fsWatch.js';
+import { sendFile, contentTypeFor } from './utils/sendFile.js';
+import {
+    ARCHIVE_FORMATS, createArchive, createArchiveFile, listArchive, archiveChildren, extractArchive,
+    defaultArchivePath, defaultExtractPath,
+} from './utils/archive.js';
+import {
+    createUpload, getUpload, appendChunk, completeUpload, abortUpload, purgeStaleUploads,
+} from './utils/fsUpload.js';
+import {
+    moveToTrash, listTrash, getTrashEntry, restoreFromTrash, emptyTrash, purgeTrash,
+    getTrashSettings, setTrashSettings,
+} from './utils/fsTrash.js';
+import {
+    planJob, submitJob, getJob, listJobs, cancelJob, removeJob, subscribeJob, jobSummary, resumeJobs, pruneJobs,
+} from './utils/fsJobs.js';
+import {
+    snapshotBeforeWrite, listVersions, readVersion, diffVersions, restoreVersion, pruneVersions,
+    getVersionSettings, setVersionSettings,
+} from './utils/fsVersions.js';
+import { proxyFetch, describeWebProxyPolicy, pruneWebCache } from './utils/webProxy.js';
+import { rewriteHtml, rewriteCss, FORM_TARGET_PARAM } from './utils/htmlRewrite.js';
+import {
+    searchWeb, listSearchProviders, describeSearchSettings, setSearchSettings,
+} from './utils/webSearch.js';
+
+const MAX_WATCHES_PER_CLIENT = 32;
+const WATCH_KEEPALIVE_MS = 15000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// base64 JSON bodies for /api/fs/write-binary are buffered whole
+const MAX_INLINE_WRITE_BYTES = 64 * 1024 * 1024;
+
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk.toString());
+        req.on('end', () => {
+            try { resolve(JSON.parse(body || '{}')); } catch { reject(new Error('Invalid JSON')); }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+const UPLOAD_ERROR_STATUS = {
+    EINVAL: 400, EISDIR: 400, ENOENT: 404, EEXIST: 409, EOFFSET: 409, EBUSY: 409,
+    EINCOMPLETE: 409, ETOOBIG: 413, EINTEGRITY: 422,
+};
+
+function sendUploadError(res, err) {
+    const status = UPLOAD_ERROR_STATUS[err.code] || 500;
+    sendJSON(res, status, { error: err.message, code: err.code, ...(err.offset !== undefined && { offset: err.offset }) });
+}
+
+const ARCHIVE_ERROR_STATUS = {
+    EINVAL: 400, ENOENT: 404, EEXIST: 409, EFORMAT: 422, EZIP64: 413, ETOOMANY: 413, EBOMB: 413,
+};
+
+const PROXY_ERROR_STATUS = { EINVAL: 400, EBLOCKED: 403, ETIMEDOUT: 504 };
+const SEARCH_ERROR_STATUS = { EINVAL: 400, ENOTCONFIGURED: 503, ERATELIMIT: 429, EUPSTREAM: 502, ETIMEDOUT: 504 };
+const JOB_ERROR_STATUS = { EINVAL: 400, ENOENT: 404, EBUSY: 409 };
+const VERSION_ERROR_STATUS = { EINVAL: 400, ENOENT: 404, EINTEGRITY: 422 };
+
+/** Policy op each job type needs on its sources. */
+const JOB_SOURCE_OPS = { copy: 'read', move: 'move', rename: 'move', delete: 'delete' };
+
+/**
+ * Target of a /api/web-proxy request. A GET form on a proxied page submits
+ * its fields as the query, with the real action in FORM_TARGET_PARAM.
+ */
+function proxyTargetUrl(searchParams) {
+    const formTarget = searchParams.get(FORM_TARGET_PARAM);
+    if (!formTarget || !URL.canParse(formTarget)) {return searchParams.get('url');}
+    const target = new URL(formTarget);
+    target.search = '';
+    for (const [name, value] of searchParams) {
+        if (name !== FORM_TARGET_PARAM) {target.searchParams.append(name, value);}
+    }
+    return target.href;
+}
+
+async function handleSearchRequest(req, res, query, options, mapResults = (results) => results) {
+    if (!query) {return sendJSON(res, 400, { error: 'Missing query parameter' });}
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {controller.abort();}
+    });
+    try {
+        const result = await searchWeb(query, { ...options, signal: controller.signal });
+        sendJSON(res, 200, { ...result, results: mapResults(result.results) });
+    } catch (err) {
+        if (controller.signal.aborted) {return;}
+        if (err.retryAfterMs) {res.setHeader('Retry-After', Math.ceil(err.retryAfterMs / 1000));}
+        sendJSON(res, SEARCH_ERROR_STATUS[err.code] || 500, {
+            error: err.message,
+            code: err.code,
+            ...(err.skipped && { skipped: err.skipped }),
+        });
+    }
+}
+
+/** Decode a text response in its declared charset (UTF-8 if unknown). */
+function decodeText(buffer, contentType) {
+    const charset = /charset=["']?([\w-]+)/i.exec(contentType)?.[1] || 'utf-8';
+    try {
+        return new TextDecoder(charset).decode(buffer);
+    } catch {
+        return buffer.toString('utf-8');
+    }
+}
+
+function sendArchiveError(res, err) {
+    if (err.code === 'FS_POLICY_VIOLATION') {return sendJSON(res, 403, { error: err.message, ...err.violation, code: err.code });}
+    sendJSON(res, ARCHIVE_ERROR_STATUS[err.code] || 500, { error: err.message, code: err.code });
+}
+
+/** Policy-check archive sources for reading; sends the 403 and returns null on a violation. */
+function guardSources(req, res, rawPaths) {
+    const sources = [];
+    for (const rawPath of rawPaths) {
+        const source = guardPath(req, res, rawPath, 'read');
+        if (!source) {return null;}
+        if (!fs.existsSync(source)) {
+            sendJSON(res, 404, { error: `Path not found: ${source}` });
+            return null;
+        }
+        sources.push(source);
+    }
+    return sources;
+}
+
+/** RFC 6266 attachment header that survives non-ASCII names. */
+function attachmentHeader(filePath, inline) {
+    const name = path.basename(filePath);
+    const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${inline ? 'inline' : 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+/**
+ * Check `rawPath` against the filesystem policy. On a violation, audit it,
+ * send a structured 403 and return null; otherwise return the absolute path.
+ */
+function guardPath(req, res, rawPath, op) {
+    const check = checkFsAccess(rawPath, op);
+    if (check.allowed) {return check.path;}
+    auditFsViolation(check.violation, {
+        source: 'http',
+        endpoint: (req.originalUrl || req.url).split('?')[0],
+        client: req.socket?.remoteAddress,
+    });
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: check.violation.message, code: 'FS_POLICY_VIOLATION', ...check.violation }));
+    return null;
+}
+
+// ─── Watch Sessions ──────────────────────────────────
+
+/** @type {Map<string, { client: string, send: Function, watches: Map<string, object> }>} */
+const watchSessions = new Map();
+
+function clientWatchCount(client) {
+    let count = 0;
+    for (const session of watchSessions.values()) {
+        if (session.client === client) {count += session.watches.size;}
+    }
+    return count;
+}
+
+/**
+ * Add a watch to a session. Returns `{ watchId, path, recursive }` or
+ * `{ error, code, path }` — never throws, so one bad path doesn't fail a batch.
+ */
+function openWatch(session, rawPath, recursive) {
+    if (!rawPath) {return { error: 'Missing path', code: 'BAD_REQUEST', path: rawPath };}
+    const check = checkFsAccess(rawPath, 'read');
+    if (!check.allowed) {
+        auditFsViolation(check.violation, { source: 'http', endpoint: '/api/fs/watch', client: session.client });
+        return { error: check.violation.message, code: 'FS_POLICY_VIOLATION', ...check.violation };
+    }
+    for (const [watchId, w] of session.watches) {
+        if (w.path === check.path && w.recursive === recursive) {return { watchId, path: w.path, recursive };}
+    }
+    if (clientWatchCount(session.client) >= MAX_WATCHES_PER_CLIENT) {
+        return { error: `Watch limit reached (${MAX_WATCHES_PER_CLIENT} paths per client)`, code: 'WATCH_LIMIT', path: check.path };
+    }
+    if (!fs.existsSync(check.path)) {return { error: 'Path not found', code: 'NOT_FOUND', path: check.path };}
+
+    const watchId = crypto.randomUUID().slice(0, 8);
+    try {
+        const unwatch = watchPath(check.path, { recursive },
+            (events) => session.send('change', { watchId, path: check.path, events }),
+            (err) => {
+                session.watches.delete(watchId);
+                session.send('closed', { watchId, path: check.path, error: err.message });
+            });
+        session.watches.set(watchId, { path: check.path, recursive, unwatch });
+    } catch (err) {
+        return { error: err.message, code: err.code === 'ENOSPC' ? 'WATCH_LIMIT' : 'WATCH_FAILED', path: check.path };
+    }
+    return { watchId, path: check.path, recursive };
+}
+
+function closeWatch(session, watchId) {
+    const w = session.watches.get(watchId);
+    if (!w) {return false;}
+    w.unwatch();
+    session.watches.delete(watchId);
+    return true;
+}
 
 export default function filesystemPlugin() {
     return {
         name: 'filesystem-api',
         configureServer(server) {
-            // GET /api/fs/list?path=/some/path
-            server.middlewares.use('/api/fs/list', (req, res) => {
+            // GET /api/fs/policy — current root jail (edit ~/.onios/fs-policy.json to change)
+            server.middlewares.use('/api/fs/policy', (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(describeFsPolicy()));
+            });
+
+            // GET /api/fs/audit?limit=100 — recent policy violations
+            server.middlewares.use('/api/fs/audit', (req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                const limit = Math.min(1000, Math.max(1, Number(url.searchParams.get('limit')) || 100));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ entries: readFsAuditLog(limit) }));
+            });
+
+            // GET /api/fs/search?path=~/proj&glob=*.js&query=TODO — streams NDJSON:
+            // one {type:'match'} line per result, then {type:'done', ...stats}
+            server.middlewares.use('/api/fs/search', async (req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                let options;
                 try {
-                    const url = new URL(req.url, 'http://localhost');
-                    let dirPath = url.searchParams.get('path') || os.homedir();
+                    options = normalizeSearchOptions({
+                        ...Object.fromEntries(url.searchParams),
+                        glob: url.searchParams.getAll('glob'),
+                    });
+                } catch (err) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: err.message }));
+                    return;
+                }
 
-                    // Resolve ~ to home directory
-                    if (dirPath.startsWith('~')) {
-                        dirPath = path.join(os.homedir(), dirPath.slice(1));
+                const root = guardPath(req, res, url.searchParams.get('path') || os.homedir(), 'read');
+                if (!root) {return;}
+                if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Directory not found', path: root }));
+                    return;
+                }
+
+                // Stop walking as soon as the client goes away
+                const controller = new AbortController();
+                res.on('close', () => controller.abort());
+
+                res.writeHead(200, {
+                    'Content-Type': 'application/x-ndjson',
+                    'Cache-Control': 'no-cache',
+                    'X-Content-Type-Options': 'nosniff',
+                });
+                try {
+                    for await (const event of searchFiles(root, options, controller.signal)) {
+                        res.write(JSON.stringify(event) + '\n');
                     }
+                } catch (err) {
+                    res.write(JSON.stringify({ type: 'error', error: err.message }) + '\n');
+                }
+                res.end();
+            });
 
-                    // Security: prevent path traversal attacks
-                    dirPath = path.resolve(dirPath);
+            // GET /api/fs/watch?path=~/proj&recursive=1  (SSE watch session)
+            // POST /api/fs/watch  { sessionId, watch: [{ path, recursive }], unwatch: [watchId] }
+            server.middlewares.use('/api/fs/watch', (req, res) => {
+                if (req.method === 'POST') {
+                    let body = '';
+                    req.on('data', chunk => body += chunk.toString());
+                    req.on('end', () => {
+                        let payload;
+                        try {
+                            payload = JSON.parse(body || '{}');
+                        } catch {
+                            res.writeHead(400, { 'Content-Type': 'application/json' });
+                            return res.end(JSON.stringify({ error: 'Invalid JSON' }));
+                        }
+                        const session = watchSessions.get(payload.sessionId);
+                        if (!session) {
+                            res.writeHead(404, { 'Content-Type': 'application/json' });
+                            return res.end(JSON.stringify({ error: 'Unknown watch session' }));
+                        }
+                        const unwatched = [].concat(payload.unwatch || []).filter((id) => closeWatch(session, id));
+                        const results = [].concat(payload.watch || [])
+                            .map((w) => openWatch(session, w?.path, !!w?.recursive));
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({
+                            watching: results.filter((r) => r.watchId),
+                            errors: results.filter((r) => !r.watchId),
+                            unwatched,
+                        }));
+                    });
+                    return;
+                }
+                if (req.method !== 'GET') {return res.writeHead(405).end();}
+
+                const url = new URL(req.url, 'http://localhost');
+                const sessionId = crypto.randomUUID();
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'X-Accel-Buffering': 'no',
+                });
+                const session = {
+                    client: req.socket?.remoteAddress || 'unknown',
+                    watches: new Map(),
+                    send: (event, data) => {
+                        try {
+                            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+                        } catch { /* client disconnected */ }
+                    },
+                };
+                watchSessions.set(sessionId, session);
+                session.send('ready', { sessionId, maxWatches: MAX_WATCHES_PER_CLIENT });
+
+                const recursive = ['1', 'true'].includes(url.searchParams.get('recursive'));
+                for (const rawPath of url.searchParams.getAll('path')) {
+                    const result = openWatch(session, rawPath, recursive);
+                    session.send(result.watchId ? 'watching' : 'error', result);
+                }
+
+                const keepAlive = setInterval(() => {
+                    try { res.write(': keepalive\n\n'); } catch { clearInterval(keepAlive); }
+                }, WATCH_KEEPALIVE_MS);
+                res.on('close', () => {
+                    clearInterval(keepAlive);
+                    for (const watchId of session.watches.keys()) {closeWatch(session, watchId);}
+                    watchSessions.delete(sessionId);
+                });
+            });
+
+            // GET /api/fs/list?path=/some/path&showHidden=1
+            server.middlewares.use('/api/fs/list', (req, res) => {
+                try {
+                    const url = new URL(req.url, 'http://localhost');
+                    const showHidden = ['1', 'true'].includes(url.searchParams.get('showHidden'));
+                    const dirPath = guardPath(req, res, url.searchParams.get('path') || os.homedir(), 'read');
+                    if (!dirPath) {return;}
 
                     if (!fs.existsSync(dirPath)) {
                         res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -42,8 +451,8 @@ export default function filesystemPlugin() {
                     const items = [];
 
                     for (const entry of entries) {
-                        // Skip hidden files by default (can be toggled)
-                        if (entry.name.startsWith('.')) {continue;}
+                        // Skip hidden files unless showHidden is set
+                        if (!showHidden && entry.name.startsWith('.')) {continue;}
 
                         try {
                             const fullPath = path.join(dirPath, entry.name);
@@ -81,7 +490,8 @@ export default function filesystemPlugin() {
                     res.writeHead(200, { 'Content-Type': 'application/json' });
                     res.end(JSON.stringify({
                         path: dirPath,
-                        parent: path.dirname(dirPath),
+                        // Roots have no parent the client may navigate to
+                        parent: isFsRoot(dirPath) ? null : path.dirname(dirPath),
                         items,
                         homedir: os.homedir(),
                     }));
@@ -95,18 +505,16 @@ export default function filesystemPlugin() {
             server.middlewares.use('/api/fs/read', (req, res) => {
                 try {
                     const url = new URL(req.url, 'http://localhost');
-                    let filePath = url.searchParams.get('path');
+                    const rawPath = url.searchParams.get('path');
 
-                    if (!filePath) {
+                    if (!rawPath) {
                         res.writeHead(400, { 'Content-Type': 'application/json' });
                         res.end(JSON.stringify({ error: 'Missing path parameter' }));
                         return;
                     }
 
-                    if (filePath.startsWith('~')) {
-                        filePath = path.join(os.homedir(), filePath.slice(1));
-                    }
-                    filePath = path.resolve(filePath);
+                    const filePath = guardPath(req, res, rawPath, 'read');
+                    if (!filePath) {return;}
 
                     if (!fs.existsSync(filePath)) {
                         res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -148,22 +556,20 @@ export default function filesystemPlugin() {
                 }));
             });
 
-            // GET /api/fs/media?path=/some/file — serve binary files (images, videos, audio)
+            // GET /api/fs/media?path=/some/file — serve binary files (images, videos, audio) with Range support
             server.middlewares.use('/api/fs/media', (req, res) => {
                 try {
                     const url = new URL(req.url, 'http://localhost');
-                    let filePath = url.searchParams.get('path');
+                    const rawPath = url.searchParams.get('path');
 
-                    if (!filePath) {
+                    if (!rawPath) {
                         res.writeHead(400, { 'Content-Type': 'application/json' });
                         res.end(JSON.stringify({ error: 'Missing path parameter' }));
                         return;
                     }
 
-                    if (filePath.startsWith('~')) {
-                        filePath = path.join(os.homedir(), filePath.slice(1));
-                    }
-                    filePath = path.resolve(filePath);
+                    const filePath = guardPath(req, res, rawPath, 'read');
+                    if (!filePath) {return;}
 
                     if (!fs.existsSync(filePath)) {
                         res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -171,74 +577,119 @@ export default function filesystemPlugin() {
                         return;
                     }
 
-                    const ext = path.extname(filePath).slice(1).toLowerCase();
-                    const mimeTypes = {
-                        jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png',
-                        gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
-                        ico: 'image/x-icon', bmp: 'image/bmp',
-                        mp4: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm',
-                        avi: 'video/x-msvideo', mkv: 'video/x-matroska',
-                        mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg',
-                        flac: 'audio/flac', aac: 'audio/aac',
-                        pdf: 'application/pdf',
-                    };
-
-                    const contentType = mimeTypes[ext] || 'application/octet-stream';
                     const stat = fs.statSync(filePath);
+                    if (stat.isDirectory()) {
+                        return sendJSON(res, 400, { error: 'Path is a directory' });
+                    }
+                    // Ranges for every type (seeking, resumed downloads); ETags keep previews fresh
+                    sendFile(req, res, filePath, stat);
+                } catch (err) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: err.message }));
+                }
+            });
 
-                    // Support range requests for video/audio seeking
-                    const range = req.headers.range;
-                    if (range && (contentType.startsWith('video/') || contentType.startsWith('audio/'))) {
-                        const parts = range.replace(/bytes=/, '').split('-');
-                        const start = parseInt(parts[0], 10);
-                        const end = parts[1] ? parseInt(parts[1], 10) : stat.size - 1;
-                        const chunkSize = end - start + 1;
-
-                        res.writeHead(206, {
-                            'Content-Range': `bytes ${start}-${end}/${stat.size}`,
-                            'Accept-Ranges': 'bytes',
-                            'Content-Length': chunkSize,
-                            'Content-Type': contentType,
-                        });
+            // GET /api/fs/download?path=/some/file&inline=1 — any file as an attachment, resumable via Range
+            server.middlewares.use('/api/fs/download', (req, res) => {
+                if (req.method !== 'GET' && req.method !== 'HEAD') {return res.writeHead(405).end();}
+                try {
+                    const url = new URL(req.url, 'http://localhost');
+                    const rawPath = url.searchParams.get('path');
+                    if (!rawPath) {return sendJSON(res, 400, { error: 'Missing path parameter' });}
 
-                        const stream = fs.createReadStream(filePath, { start, end });
-                        stream.pipe(res);
-                    } else {
-                        res.writeHead(200, {
-                            'Content-Type': contentType,
-                            'Content-Length': stat.size,
-                            'Cache-Control': 'public, max-age=3600',
-                        });
+                    const filePath = guardPath(req, res, rawPath, 'read');
+                    if (!filePath) {return;}
+                    if (!fs.existsSync(filePath)) {return sendJSON(res, 404, { error: 'File not found' });}
 
-                        const stream = fs.createReadStream(filePath);
-                        stream.pipe(res);
+                    const stat = fs.statSync(filePath);
+                    if (stat.isDirectory()) {return sendJSON(res, 400, { error: 'Path is a directory' });}
+                    const inline = ['1', 'true'].includes(url.searchParams.get('inline'));
+                    sendFile(req, res, filePath, stat, {
+                        contentType: inline ? contentTypeFor(filePath) : 'application/octet-stream',
+                        disposition: attachmentHeader(filePath, inline),
+                    });
+                } catch (err) {
+                    sendJSON(res, 500, { error: err.message });
+                }
+            });
+
+            // POST /api/fs/upload/complete — { id, sha256? } verify checksum, move into place
+            server.middlewares.use('/api/fs/upload/complete', async (req, res) => {
+                if (req.method !== 'POST') {return res.writeHead(405).end();}
+                try {
+                    const { id, sha256 } = await readJSONBody(req);
+                    const upload = getUpload(id);
+                    if (!upload) {return sendJSON(res, 404, { error: `No upload ${id}`, code: 'ENOENT' });}
+                    // The policy may have changed since the upload started
+                    if (!guardPath(req, res, upload.path, 'write')) {return;}
+                    const result = await completeUpload(id, { sha256 });
+                    sendJSON(res, 200, { success: true, ...result });
+                } catch (err) {
+                    sendUploadError(res, err);
+                }
+            });
+
+            // POST|PUT|GET|DELETE /api/fs/upload — start, send a chunk, status, abort
+            server.middlewares.use('/api/fs/upload', async (req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                const id = url.searchParams.get('id');
+                try {
+                    if (req.method === 'POST') {
+                        const { path: rawPath, size, sha256, overwrite } = await readJSONBody(req);
+                        if (!rawPath) {return sendJSON(res, 400, { error: 'Missing path parameter' });}
+                        const filePath = guardPath(req, res, rawPath, 'write');
+                        if (!filePath) {return;}
+                        return sendJSON(res, 201, createUpload({ path: filePath, size, sha256, overwrite }));
                     }
+                    if (!id) {return sendJSON(res, 400, { error: 'Missing id parameter' });}
+                    if (req.method === 'GET') {
+                        const upload = getUpload(id);
+                        return upload
+                            ? sendJSON(res, 200, upload)
+                            : sendJSON(res, 404, { error: `No upload ${id}`, code: 'ENOENT' });
+                    }
+                    if (req.method === 'PUT') {
+                        const offset = url.searchParams.get('offset');
+                        if (offset === null) {return sendJSON(res, 400, { error: 'Missing offset parameter' });}
+                        const status = await appendChunk(id, offset, req, { sha256: req.headers['x-chunk-sha256'] });
+                        return sendJSON(res, 200, status);
+                    }
+                    if (req.method === 'DELETE') {
+                        return sendJSON(res, 200, { success: abortUpload(id) });
+                    }
+                    res.writeHead(405).end();
                 } catch (err) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: err.message }));
+                    sendUploadError(res, err);
                 }
             });
 
-            // POST /api/fs/write-binary — write binary file from base64 data
+            // POST /api/fs/write-binary — write binary file from base64 data (small files; use /api/fs/upload beyond that)
             server.middlewares.use('/api/fs/write-binary', (req, res) => {
                 if (req.method !== 'POST') {return res.writeHead(405).end();}
 
                 let body = '';
-                req.on('data', chunk => body += chunk.toString());
-                req.on('end', () => {
+                let tooLarge = false;
+                req.on('data', chunk => {
+                    if (tooLarge) {return;}
+                    body += chunk.toString();
+                    if (body.length > MAX_INLINE_WRITE_BYTES) {
+                        tooLarge = true;
+                        body = '';
+                        sendJSON(res, 413, { error: `Body larger than ${MAX_INLINE_WRITE_BYTES} bytes; use /api/fs/upload`, code: 'USE_UPLOAD' });
+                    }
+                });
+                req.on('end', async () => {
+                    if (tooLarge) {return;}
                     try {
                         const payload = JSON.parse(body);
-                        let filePath = payload.path;
                         const base64Data = payload.data; // base64-encoded binary
-                        if (!filePath || !base64Data) {
+                        if (!payload.path || !base64Data) {
                             res.writeHead(400, { 'Content-Type': 'application/json' });
                             return res.end(JSON.stringify({ error: 'Missing path or data parameter' }));
                         }
 
-                        if (filePath.startsWith('~')) {
-                            filePath = path.join(os.homedir(), filePath.slice(1));
-                        }
-                        filePath = path.resolve(filePath);
+                        const filePath = guardPath(req, res, payload.path, 'write');
+                        if (!filePath) {return;}
 
                         // Ensure parent directory exists
                         const dir = path.dirname(filePath);
@@ -248,10 +699,11 @@ export default function filesystemPlugin() {
 
                         // Strip data URL prefix if present (e.g. "data:image/png;base64,...")
                         const cleanData = base64Data.replace(/^data:[^;]+;base64,/, '');
+                        const previous = await snapshotBeforeWrite(filePath, 'user');
                         fs.writeFileSync(filePath, Buffer.from(cleanData, 'base64'));
 
                         res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: true, path: filePath, size: fs.statSync(filePath).size }));
+                        res.end(JSON.stringify({ success: true, path: filePath, size: fs.statSync(filePath).size, previousVersion: previous?.id ?? null }));
                     } catch (err) {
                         res.writeHead(500, { 'Content-Type': 'application/json' });
                         res.end(JSON.stringify({ error: err.message }));
@@ -265,24 +717,22 @@ export default function filesystemPlugin() {
 
                 let body = '';
                 req.on('data', chunk => body += chunk.toString());
-                req.on('end', () => {
+                req.on('end', async () => {
                     try {
                         const payload = JSON.parse(body);
-                        let filePath = payload.path;
-                        if (!filePath) {
+                        if (!payload.path) {
                             res.writeHead(400, { 'Content-Type': 'application/json' });
                             return res.end(JSON.stringify({ error: 'Missing path parameter' }));
                         }
 
-                        if (filePath.startsWith('~')) {
-                            filePath = path.join(os.homedir(), filePath.slice(1));
-                        }
-                        filePath = path.resolve(filePath);
+                        const filePath = guardPath(req, res, payload.path, 'write');
+                        if (!filePath) {return;}
 
+                        const previous = await snapshotBeforeWrite(filePath, 'user');
                         fs.writeFileSync(filePath, payload.content || '', 'utf-8');
 
                         res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: true, path: filePath }));
+                        res.end(JSON.stringify({ success: true, path: filePath, previousVersion: previous?.id ?? null }));
                     } catch (err) {
                         res.writeHead(500, { 'Content-Type': 'application/json' });
                         res.end(JSON.stringify({ error: err.message }));
@@ -290,35 +740,273 @@ export default function filesystemPlugin() {
                 });
             });
 
-            // DELETE /api/fs/delete?path=/some/file
-            server.middlewares.use('/api/fs/delete', (req, res) => {
+            // GET /api/fs/versions/content?path=&id= — raw content of a saved version (id=current for the live file)
+            server.middlewares.use('/api/fs/versions/content', async (req, res) => {
+                try {
+                    const url = new URL(req.url, 'http://localhost');
+                    const filePath = guardPath(req, res, url.searchParams.get('path') || '', 'read');
+                    if (!filePath) {return;}
+                    const content = await readVersion(filePath, url.searchParams.get('id') || 'current');
+                    const known = contentTypeFor(filePath);
+                    const textual = !content.subarray(0, 8000).includes(0);
+                    res.writeHead(200, {
+                        'Content-Type': known !== 'application/octet-stream' ? known : (textual ? 'text/plain; charset=utf-8' : known),
+                        'Content-Length': content.length,
+                        'Cache-Control': 'no-cache',
+                    });
+                    res.end(content);
+                } catch (err) {
+                    sendJSON(res, VERSION_ERROR_STATUS[err.code] || 500, { error: err.message, code: err.code });
+                }
+            });
+
+            // GET /api/fs/versions/diff?path=&from=<id>&to=<id|current>
+            server.middlewares.use('/api/fs/versions/diff', async (req, res) => {
+                try {
+                    const url = new URL(req.url, 'http://localhost');
+                    const from = url.searchParams.get('from');
+                    if (!from) {return sendJSON(res, 400, { error: 'Missing from parameter' });}
+                    const filePath = guardPath(req, res, url.searchParams.get('path') || '', 'read');
+                    if (!filePath) {return;}
+                    sendJSON(res, 200, await diffVersions(filePath, from, url.searchParams.get('to') || 'current'));
+                } catch (err) {
+                    sendJSON(res, VERSION_ERROR_STATUS[err.code] || 500, { error: err.message, code: err.code });
+                }
+            });
+
+            // POST /api/fs/versions/restore — { path, id }; the live content becomes a version first
+            server.middlewares.use('/api/fs/versions/restore', async (req, res) => {
+                if (req.method !== 'POST') {return res.writeHead(405).end();}
+                try {
+                    const payload = await readJSONBody(req);
+                    if (!payload.path || !payload.id) {return sendJSON(res, 400, { error: 'Missing path or id' });}
+                    const filePath = guardPath(req, res, payload.path, 'write');
+                    if (!filePath) {return;}
+                    sendJSON(res, 200, { success: true, ...await restoreVersion(filePath, payload.id, { source: 'user' }) });
+                } catch (err) {
+                    sendJSON(res, VERSION_ERROR_STATUS[err.code] || 500, { error: err.message, code: err.code });
+                }
+            });
+
+            // GET|POST /api/fs/versions/settings — retention (0 disables a limit)
+            server.middlewares.use('/api/fs/versions/settings', async (req, res) => {
+                try {
+                    if (req.method !== 'POST') {return sendJSON(res, 200, getVersionSettings());}
+                    const settings = setVersionSettings(await readJSONBody(req));
+                    sendJSON(res, 200, { ...settings, pruned: await pruneVersions() });
+                } catch (err) {
+                    sendJSON(res, err.code === 'EINVAL' ? 400 : 500, { error: err.message });
+                }
+            });
+
+            // GET /api/fs/versions?path= — saved versions of a file, newest first
+            server.middlewares.use('/api/fs/versions', async (req, res) => {
+                try {
+                    const url = new URL(req.url, 'http://localhost');
+                    const rawPath = url.searchParams.get('path');
+                    if (!rawPath) {return sendJSON(res, 400, { error: 'Missing path parameter' });}
+                    const filePath = guardPath(req, res, rawPath, 'read');
+                    if (!filePath) {return;}
+                    sendJSON(res, 200, await listVersions(filePath));
+                } catch (err) {
+                    sendJSON(res, 500, { error: err.message });
+                }
+            });
+
+            // DELETE /api/fs/delete?path=/some/file&permanent=1 — moves to the trash unless permanent
+            server.middlewares.use('/api/fs/delete', async (req, res) => {
                 if (req.method !== 'DELETE') {return res.writeHead(405).end();}
                 try {
                     const url = new URL(req.url, 'http://localhost');
-                    let targetPath = url.searchParams.get('path');
+                    const rawPath = url.searchParams.get('path');
+                    const permanent = ['1', 'true'].includes(url.searchParams.get('permanent'));
 
-                    if (!targetPath) {
+                    if (!rawPath) {
                         res.writeHead(400, { 'Content-Type': 'application/json' });
                         return res.end(JSON.stringify({ error: 'Missing path parameter' }));
                     }
 
-                    if (targetPath.startsWith('~')) {
-                        targetPath = path.join(os.homedir(), targetPath.slice(1));
-                    }
-                    targetPath = path.resolve(targetPath);
+                    const targetPath = guardPath(req, res, rawPath, 'delete');
+                    if (!targetPath) {return;}
 
                     if (!fs.existsSync(targetPath)) {
                         res.writeHead(404, { 'Content-Type': 'application/json' });
                         return res.end(JSON.stringify({ error: 'Path not found' }));
                     }
 
-                    fs.rmSync(targetPath, { recursive: true, force: true });
+                    if (permanent) {
+                        fs.rmSync(targetPath, { recursive: true, force: true });
+                        return sendJSON(res, 200, { success: true, trashed: false });
+                    }
+                    const entry = await moveToTrash(targetPath, { source: 'user' });
+                    sendJSON(res, 200, { success: true, trashed: true, id: entry.id, originalPath: entry.originalPath });
+                } catch (err) {
+                    if (err.code === 'ETOOBIG') {
+                        return sendJSON(res, 413, { error: `${err.message}. Pass permanent=1 to delete it for good.`, code: 'TRASH_QUOTA' });
+                    }
+                    sendJSON(res, 500, { error: err.message });
+                }
+            });
 
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
+            // GET /api/fs/trash/list — trashed items, newest first
+            server.middlewares.use('/api/fs/trash/list', async (req, res) => {
+                try {
+                    sendJSON(res, 200, await listTrash());
                 } catch (err) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: err.message }));
+                    sendJSON(res, 500, { error: err.message });
+                }
+            });
+
+            // POST /api/fs/trash/restore — { id, to? }
+            server.middlewares.use('/api/fs/trash/restore', async (req, res) => {
+                if (req.method !== 'POST') {return res.writeHead(405).end();}
+                try {
+                    const { id, to } = await readJSONBody(req);
+                    const entry = getTrashEntry(id);
+                    if (!entry) {return sendJSON(res, 404, { error: `No trash item ${id}` });}
+                    // Restoring writes to the target, so the same jail applies
+                    const target = guardPath(req, res, to || entry.originalPath, 'write');
+                    if (!target) {return;}
+                    const restored = await restoreFromTrash(id, { to: target });
+                    sendJSON(res, 200, { success: true, ...restored });
+                } catch (err) {
+                    const status = { EEXIST: 409, ENOENT: 404 }[err.code] || 500;
+                    sendJSON(res, status, { error: err.message, code: err.code });
+                }
+            });
+
+            // POST /api/fs/trash/empty — { ids? } permanently delete those items (or everything)
+            server.middlewares.use('/api/fs/trash/empty', async (req, res) => {
+                if (req.method !== 'POST') {return res.writeHead(405).end();}
+                try {
+                    const { ids } = await readJSONBody(req);
+                    sendJSON(res, 200, { success: true, ...await emptyTrash(Array.isArray(ids) ? ids : undefined) });
+                } catch (err) {
+                    sendJSON(res, 500, { error: err.message });
+                }
+            });
+
+            // GET|POST /api/fs/trash/settings — { maxAgeDays, maxBytes } (0 disables a limit)
+            server.middlewares.use('/api/fs/trash/settings', async (req, res) => {
+                try {
+                    if (req.method !== 'POST') {return sendJSON(res, 200, getTrashSettings());}
+                    const settings = setTrashSettings(await readJSONBody(req));
+                    const purged = await purgeTrash();
+                    sendJSON(res, 200, { ...settings, purged });
+                } catch (err) {
+                    sendJSON(res, err.code === 'EINVAL' ? 400 : 500, { error: err.message });
+                }
+            });
+
+            // Age/quota purge also runs without deletes (e.g. after a long idle);
+            // abandoned uploads are cleared on the same schedule
+            const purgeTimer = setInterval(() => {
+                purgeTrash().catch(err => console.error('[FilesystemPlugin] Trash purge failed:', err.message));
+                try {
+                    purgeStaleUploads();
+                    pruneJobs();
+                    pruneVersions().catch(err => console.error('[FilesystemPlugin] Version prune failed:', err.message));
+                    pruneWebCache().catch(err => console.error('[FilesystemPlugin] Web cache prune failed:', err.message));
+                } catch (err) {
+                    console.error('[FilesystemPlugin] Upload/job cleanup failed:', err.message);
+                }
+            }, PURGE_INTERVAL_MS);
+            purgeTimer.unref?.();
+            server.httpServer?.on('close', () => clearInterval(purgeTimer));
+
+            // GET /api/fs/archive/list?path=/some/archive.zip&dir=folder — browse an archive like a folder
+            server.middlewares.use('/api/fs/archive/list', async (req, res) => {
+                try {
+                    const url = new URL(req.url, 'http://localhost');
+                    const rawPath = url.searchParams.get('path');
+                    if (!rawPath) {return sendJSON(res, 400, { error: 'Missing path parameter' });}
+                    const filePath = guardPath(req, res, rawPath, 'read');
+                    if (!filePath) {return;}
+                    if (!fs.existsSync(filePath)) {return sendJSON(res, 404, { error: 'File not found' });}
+
+                    const { format, entries } = await listArchive(filePath);
+                    const dir = (url.searchParams.get('dir') || '').replace(/^\/+|\/+$/g, '');
+                    const all = ['1', 'true'].includes(url.searchParams.get('all'));
+                    sendJSON(res, 200, {
+                        path: filePath,
+                        format,
+                        dir,
+                        entries: all ? entries : archiveChildren(entries, dir),
+                        totalEntries: entries.length,
+                        totalSize: entries.reduce((sum, e) => sum + e.size, 0),
+                    });
+                } catch (err) {
+                    sendArchiveError(res, err);
+                }
+            });
+
+            // GET|POST /api/fs/archive — zip or tar.gz from a list of paths
+            server.middlewares.use('/api/fs/archive', async (req, res) => {
+                try {
+                    if (req.method === 'GET') {
+                        // Streamed straight into the response: nothing is staged on disk
+                        const url = new URL(req.url, 'http://localhost');
+                        const format = url.searchParams.get('format') || 'zip';
+                        if (!ARCHIVE_FORMATS.includes(format)) {return sendJSON(res, 400, { error: `Unknown format: ${format}` });}
+                        const rawPaths = url.searchParams.getAll('path');
+                        if (rawPaths.length === 0) {return sendJSON(res, 400, { error: 'Missing path parameter' });}
+                        const sources = guardSources(req, res, rawPaths);
+                        if (!sources) {return;}
+                        const name = `${url.searchParams.get('name') || (sources.length === 1 ? path.basename(sources[0]) : 'Archive')}.${format}`;
+                        res.writeHead(200, {
+                            'Content-Type': format === 'zip' ? 'application/zip' : 'application/gzip',
+                            'Content-Disposition': attachmentHeader(name, false),
+                        });
+                        try {
+                            await createArchive(sources, format, res);
+                        } catch (err) {
+                            // Headers are gone: cut the download short so it isn't saved as complete
+                            console.error(`[FilesystemPlugin] Archive stream failed: ${err.message}`);
+                            res.destroy(err);
+                        }
+                        return;
+                    }
+                    if (req.method !== 'POST') {return res.writeHead(405).end();}
+
+                    const { paths, format = 'zip', dest, overwrite } = await readJSONBody(req);
+                    if (!Array.isArray(paths) || paths.length === 0) {return sendJSON(res, 400, { error: 'paths must be a non-empty array' });}
+                    if (!ARCHIVE_FORMATS.includes(format)) {return sendJSON(res, 400, { error: `Unknown format: ${format}` });}
+                    const sources = guardSources(req, res, paths);
+                    if (!sources) {return;}
+                    const target = guardPath(req, res, dest || defaultArchivePath(sources, format), 'write');
+                    if (!target) {return;}
+                    const result = await createArchiveFile(sources, format, target, { overwrite });
+                    sendJSON(res, 200, { success: true, format, ...result });
+                } catch (err) {
+                    sendArchiveError(res, err);
+                }
+            });
+
+            // POST /api/fs/extract — { path, dest?, entries? } zip-slip safe, size-limited
+            server.middlewares.use('/api/fs/extract', async (req, res) => {
+                if (req.method !== 'POST') {return res.writeHead(405).end();}
+                try {
+                    const { path: rawPath, dest, entries } = await readJSONBody(req);
+                    if (!rawPath) {return sendJSON(res, 400, { error: 'Missing path parameter' });}
+                    const filePath = guardPath(req, res, rawPath, 'read');
+                    if (!filePath) {return;}
+                    if (!fs.existsSync(filePath)) {return sendJSON(res, 404, { error: 'File not found' });}
+                    const target = guardPath(req, res, dest || defaultExtractPath(filePath), 'write');
+                    if (!target) {return;}
+
+                    const result = await extractArchive(filePath, target, {
+                        entries: Array.isArray(entries) ? entries : undefined,
+                        // Deny rules apply inside the new folder too (e.g. **/*.pem)
+                        checkPath: (absPath) => {
+                            const check = checkFsAccess(absPath, 'write');
+                            if (check.allowed) {return;}
+                            auditFsViolation(check.violation, { source: 'http', endpoint: '/api/fs/extract', client: req.socket?.remoteAddress });
+                            throw Object.assign(new Error(check.violation.message), { code: 'FS_POLICY_VIOLATION', violation: check.violation });
+                        },
+                    });
+                    sendJSON(res, 200, { success: true, ...result });
+                } catch (err) {
+                    sendArchiveError(res, err);
                 }
             });
 
@@ -331,16 +1019,13 @@ export default function filesystemPlugin() {
                 req.on('end', () => {
                     try {
                         const payload = JSON.parse(body);
-                        let dirPath = payload.path;
-                        if (!dirPath) {
+                        if (!payload.path) {
                             res.writeHead(400, { 'Content-Type': 'application/json' });
                             return res.end(JSON.stringify({ error: 'Missing path parameter' }));
                         }
 
-                        if (dirPath.startsWith('~')) {
-                            dirPath = path.join(os.homedir(), dirPath.slice(1));
-                        }
-                        dirPath = path.resolve(dirPath);
+                        const dirPath = guardPath(req, res, payload.path, 'write');
+                        if (!dirPath) {return;}
 
                         if (!fs.existsSync(dirPath)) {
                             fs.mkdirSync(dirPath, { recursive: true });
@@ -364,19 +1049,15 @@ export default function filesystemPlugin() {
                 req.on('end', () => {
                     try {
                         const payload = JSON.parse(body);
-                        let fromPath = payload.from;
-                        let toPath = payload.to;
-
-                        if (!fromPath || !toPath) {
+                        if (!payload.from || !payload.to) {
                             res.writeHead(400, { 'Content-Type': 'application/json' });
                             return res.end(JSON.stringify({ error: 'Missing from or to parameters' }));
                         }
 
-                        if (fromPath.startsWith('~')) {fromPath = path.join(os.homedir(), fromPath.slice(1));}
-                        if (toPath.startsWith('~')) {toPath = path.join(os.homedir(), toPath.slice(1));}
-
-                        fromPath = path.resolve(fromPath);
-                        toPath = path.resolve(toPath);
+                        const fromPath = guardPath(req, res, payload.from, 'move');
+                        if (!fromPath) {return;}
+                        const toPath = guardPath(req, res, payload.to, 'write');
+                        if (!toPath) {return;}
 
                         if (!fs.existsSync(fromPath)) {
                             res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -394,20 +1075,128 @@ export default function filesystemPlugin() {
                 });
             });
 
+            // Batch jobs pick up where they stopped when the server went down
+            try {
+                pruneJobs();
+                resumeJobs();
+            } catch (err) {
+                console.error('[FilesystemPlugin] Resuming jobs failed:', err.message);
+            }
+
+            // GET /api/fs/jobs/events?id= — SSE progress for one job
+            server.middlewares.use('/api/fs/jobs/events', (req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                const job = getJob(url.searchParams.get('id'));
+                if (!job) {return sendJSON(res, 404, { error: 'Unknown job' });}
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'X-Accel-Buffering': 'no',
+                });
+                const send = (event, data) => {
+                    try {
+                        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+                    } catch { /* client disconnected */ }
+                };
+                send('job', jobSummary(job));
+                if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+                    send('done', jobSummary(job));
+                    return res.end();
+                }
+                const keepAlive = setInterval(() => {
+                    try { res.write(': keepalive\n\n'); } catch { clearInterval(keepAlive); }
+                }, WATCH_KEEPALIVE_MS);
+                const unsubscribe = subscribeJob(job.id, (event, data) => {
+                    send(event, data);
+                    if (event === 'done') {res.end();}
+                });
+                res.on('close', () => {
+                    clearInterval(keepAlive);
+                    unsubscribe();
+                });
+            });
+
+            // POST /api/fs/jobs/cancel — { id }
+            server.middlewares.use('/api/fs/jobs/cancel', async (req, res) => {
+                if (req.method !== 'POST') {return res.writeHead(405).end();}
+                try {
+                    const { id } = await readJSONBody(req);
+                    const job = cancelJob(id);
+                    if (!job) {return sendJSON(res, 404, { error: `No job ${id}` });}
+                    sendJSON(res, 200, { success: true, job });
+                } catch (err) {
+                    sendJSON(res, 500, { error: err.message });
+                }
+            });
+
+            // POST|GET|DELETE /api/fs/jobs — submit, inspect or forget batch jobs
+            server.middlewares.use('/api/fs/jobs', async (req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                const id = url.searchParams.get('id');
+                try {
+                    if (req.method === 'GET') {
+                        if (!id) {return sendJSON(res, 200, { jobs: listJobs() });}
+                        const job = getJob(id);
+                        return job ? sendJSON(res, 200, job) : sendJSON(res, 404, { error: `No job ${id}` });
+                    }
+                    if (req.method === 'DELETE') {
+                        return removeJob(id) ? sendJSON(res, 200, { success: true }) : sendJSON(res, 404, { error: `No job ${id}` });
+                    }
+                    if (req.method !== 'POST') {return res.writeHead(405).end();}
+
+                    const payload = await readJSONBody(req);
+                    const rawPaths = [].concat(payload.paths || payload.sources || payload.path || []);
+                    const sourceOp = JOB_SOURCE_OPS[payload.op];
+                    if (!sourceOp) {return sendJSON(res, 400, { error: `Unknown op: ${payload.op}`, code: 'EINVAL' });}
+                    if (rawPaths.length === 0) {return sendJSON(res, 400, { error: 'Missing paths', code: 'EINVAL' });}
+                    const sources = [];
+                    for (const rawPath of rawPaths) {
+                        const source = guardPath(req, res, rawPath, sourceOp);
+                        if (!source) {return;}
+                        if (!fs.existsSync(source)) {return sendJSON(res, 404, { error: `Path not found: ${source}` });}
+                        sources.push(source);
+                    }
+                    let dest;
+                    if (payload.dest) {
+                        dest = guardPath(req, res, payload.dest, 'write');
+                        if (!dest) {return;}
+                    }
+                    const spec = {
+                        op: payload.op,
+                        sources,
+                        dest,
+                        conflict: payload.conflict,
+                        find: payload.find,
+                        replace: payload.replace,
+                        ignoreCase: Boolean(payload.ignoreCase),
+                        permanent: Boolean(payload.permanent),
+                        startedBy: 'user',
+                    };
+                    const plan = planJob(spec);
+                    // Rename targets are known up front, so refuse denied names now
+                    for (const item of plan.items) {
+                        if (payload.op === 'rename' && item.to && !guardPath(req, res, item.to, 'write')) {return;}
+                    }
+                    if (payload.dryRun) {return sendJSON(res, 200, { dryRun: true, ...plan });}
+                    sendJSON(res, 202, submitJob(spec));
+                } catch (err) {
+                    sendJSON(res, JOB_ERROR_STATUS[err.code] || 500, { error: err.message, code: err.code });
+                }
+            });
+
             // GET /api/fs/os-open?path=/some/file
             server.middlewares.use('/api/fs/os-open', (req, res) => {
                 try {
                     const url = new URL(req.url, 'http://localhost');
-                    let targetPath = url.searchParams.get('path');
+                    const rawPath = url.searchParams.get('path');
 
-                    if (!targetPath) {
+                    if (!rawPath) {
                         res.writeHead(400, { 'Content-Type': 'application/json' });
                         return res.end(JSON.stringify({ error: 'Missing path parameter' }));
                     }
-                    if (targetPath.startsWith('~')) {
-                        targetPath = path.join(os.homedir(), targetPath.slice(1));
-                    }
-                    targetPath = path.resolve(targetPath);
+                    const targetPath = guardPath(req, res, rawPath, 'read');
+                    if (!targetPath) {return;}
 
                     let openCommand = 'open'; // macOS default
                     if (os.platform() === 'win32') {openCommand = 'start ""';}
@@ -429,11 +1218,17 @@ export default function filesystemPlugin() {
                 }
             });
 
+            // GET /api/web-proxy/policy — private-network allowlist and cache size (edit ~/.onios/web-proxy.json to change)
+            server.middlewares.use('/api/web-proxy/policy', (req, res) => {
+                sendJSON(res, 200, describeWebProxyPolicy());
+            });
+
             // GET /api/web-proxy?url=https://example.com — proxy web pages for browser widget
             server.middlewares.use('/api/web-proxy', async (req, res) => {
+                if (req.method !== 'GET' && req.method !== 'HEAD') {return sendJSON(res, 405, { error: 'Method not allowed' });}
                 try {
                     const url = new URL(req.url, 'http://localhost');
-                    const targetUrl = url.searchParams.get('url');
+                    const targetUrl = proxyTargetUrl(url.searchParams);
 
                     if (!targetUrl) {
                         res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -443,130 +1238,105 @@ export default function filesystemPlugin() {
 
                     // Handle file:// URLs by reading local files directly
                     if (targetUrl.startsWith('file://')) {
-                        const filePath = decodeURIComponent(targetUrl.replace('file://', ''));
+                        // Local files are for OniOS itself: no CORS, and never for another site's page
+                        const site = req.headers['sec-fetch-site'];
+                        if (site === 'cross-site' || site === 'same-site') {
+                            return sendJSON(res, 403, { error: 'Local files are not served to other sites', code: 'CROSS_SITE' });
+                        }
+                        const filePath = guardPath(req, res, decodeURIComponent(targetUrl.replace('file://', '')), 'read');
+                        if (!filePath) {return;}
+                        let stat;
                         try {
-                            const content = fs.readFileSync(filePath);
-                            const ext = path.extname(filePath).toLowerCase();
-                            const mimeTypes = {
-                                '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css',
-                                '.js': 'application/javascript', '.json': 'application/json',
-                                '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
-                                '.gif': 'image/gif', '.svg': 'image/svg+xml', '.webp': 'image/webp',
-                                '.pdf': 'application/pdf', '.txt': 'text/plain', '.md': 'text/plain',
-                            };
-                            const ct = mimeTypes[ext] || 'application/octet-stream';
-                            res.writeHead(200, { 'Content-Type': ct, 'Access-Control-Allow-Origin': '*' });
-                            res.end(content);
-                        } catch (err) {
-                            res.writeHead(404, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({ error: `File not found: ${filePath}` }));
+                            stat = fs.statSync(filePath);
+                        } catch {
+                            return sendJSON(res, 404, { error: `File not found: ${filePath}` });
                         }
+                        if (!stat.isFile()) {return sendJSON(res, 400, { error: `Not a file: ${filePath}` });}
+                        const ext = path.extname(filePath).toLowerCase();
+                        const mimeTypes = {
+                            '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css',
+                            '.js': 'application/javascript', '.json': 'application/json',
+                            '.txt': 'text/plain', '.md': 'text/plain',
+                        };
+                        sendFile(req, res, filePath, stat, { contentType: mimeTypes[ext] || contentTypeFor(filePath) });
                         return;
                     }
 
                     const controller = new AbortController();
-                    const timeout = setTimeout(() => controller.abort(), 10000);
-
-                    const proxyRes = await fetch(targetUrl, {
-                        headers: {
-                            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                            'Accept-Language': 'en-US,en;q=0.5',
-                        },
+                    res.on('close', () => {
+                        if (!res.writableFinished) {controller.abort();}
+                    });
+                    const result = await proxyFetch(targetUrl, {
                         signal: controller.signal,
-                        redirect: 'follow',
+                        revalidate: /no-cache/i.test(req.headers['cache-control'] || req.headers.pragma || ''),
                     });
-                    clearTimeout(timeout);
-
-                    const contentType = proxyRes.headers.get('content-type') || 'text/html';
-
-                    // For HTML pages, inject a <base> tag so relative URLs resolve correctly
-                    if (contentType.includes('text/html')) {
-                        let html = await proxyRes.text();
-                        const parsedUrl = new URL(targetUrl);
-                        const baseUrl = `${parsedUrl.protocol}//${parsedUrl.host}`;
-
-                        // Inject <base> tag right after <head> if not already present
-                        if (!/<base\s/i.test(html)) {
-                            html = html.replace(
-                                /(<head[^>]*>)/i,
-                                `$1\n<base href="${baseUrl}/" target="_self">`
-                            );
-                        }
 
-                        res.writeHead(200, {
-                            'Content-Type': 'text/html; charset=utf-8',
-                            'Access-Control-Allow-Origin': '*',
-                        });
-                        res.end(html);
+                    // Links and assets of HTML and CSS point back at the proxy (utils/htmlRewrite.js)
+                    const proxyUrl = `${req.socket.encrypted ? 'https' : 'http'}://${req.headers.host || 'localhost'}/api/web-proxy`;
+                    const contentType = result.contentType;
+                    let body = result.body;
+                    let headers;
+                    if (/^text\/(html|css)\b/i.test(contentType)) {
+                        const text = decodeText(body, contentType);
+                        const isHtml = /^text\/html/i.test(contentType);
+                        body = Buffer.from(isHtml ? rewriteHtml(text, result.url, proxyUrl) : rewriteCss(text, result.url, proxyUrl));
+                        headers = {
+                            'Content-Type': `${isHtml ? 'text/html' : 'text/css'}; charset=utf-8`,
+                            'Cache-Control': isHtml ? 'no-cache' : 'public, max-age=300',
+                        };
                     } else {
-                        // For non-HTML (CSS, JS, images), pipe through
-                        const buffer = Buffer.from(await proxyRes.arrayBuffer());
-                        res.writeHead(200, {
-                            'Content-Type': contentType,
-                            'Content-Length': buffer.length,
-                            'Access-Control-Allow-Origin': '*',
-                            'Cache-Control': 'public, max-age=300',
-                        });
-                        res.end(buffer);
+                        headers = { 'Content-Type': contentType, 'Cache-Control': 'public, max-age=300' };
                     }
+                    res.writeHead(result.status, {
+                        ...headers,
+                        'Content-Length': body.length,
+                        'Access-Control-Allow-Origin': '*',
+                        'X-Proxy-Cache': result.cache,
+                        'X-Proxy-Url': result.url,
+                    });
+                    res.end(req.method === 'HEAD' ? undefined : body);
                 } catch (err) {
-                    res.writeHead(502, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: `Proxy error: ${err.message}` }));
+                    if (res.writableEnded || res.destroyed) {return;}
+                    sendJSON(res, PROXY_ERROR_STATUS[err.code] || 502, {
+                        error: `Proxy error: ${err.message}`,
+                        ...(err.code && { code: err.code }),
+                    });
                 }
             });
 
-            // GET /api/brave-search?q=query&key=apikey
-            server.middlewares.use('/api/brave-search', async (req, res) => {
-                try {
-                    const url = new URL(req.url, 'http://localhost');
-                    const query = url.searchParams.get('q');
-                    const apiKey = url.searchParams.get('key');
-
-                    if (!query) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Missing query parameter' }));
-                        return;
-                    }
-
-                    if (!apiKey) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Missing API key' }));
-                        return;
-                    }
-
-                    const braveRes = await fetch(
-                        `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}&count=10`,
-                        {
-                            headers: {
-                                'Accept': 'application/json',
-                                'Accept-Encoding': 'gzip',
-                                'X-Subscription-Token': apiKey,
-                            },
-                        }
-                    );
-
-                    if (!braveRes.ok) {
-                        const text = await braveRes.text();
-                        res.writeHead(braveRes.status, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: `Brave API error: ${braveRes.status} ${text}` }));
-                        return;
-                    }
-
-                    const data = await braveRes.json();
-                    const results = (data.web?.results || []).map(r => ({
-                        title: r.title,
-                        url: r.url,
-                        description: r.description,
-                    }));
+            // GET /api/search/providers — search providers, whether they are configured, rate limits
+            server.middlewares.use('/api/search/providers', (req, res) => {
+                sendJSON(res, 200, { providers: listSearchProviders() });
+            });
 
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ results }));
+            // GET|POST /api/search/settings — provider order, keys, cache TTL, rate limits (API key masked)
+            server.middlewares.use('/api/search/settings', async (req, res) => {
+                try {
+                    if (req.method === 'POST') {return sendJSON(res, 200, setSearchSettings(await readJSONBody(req)));}
+                    sendJSON(res, 200, describeSearchSettings());
                 } catch (err) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: err.message }));
+                    sendJSON(res, err.code === 'EINVAL' || err.message === 'Invalid JSON' ? 400 : 500, { error: err.message, code: err.code });
                 }
             });
+
+            // GET /api/search?q=query&provider=auto&count=10 — web search (utils/webSearch.js)
+            server.middlewares.use('/api/search', async (req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                await handleSearchRequest(req, res, url.searchParams.get('q'), {
+                    provider: url.searchParams.get('provider') || 'auto',
+                    count: url.searchParams.get('count') || 10,
+                });
+            });
+
+            // GET /api/brave-search?q=query&key=apikey — Brave only; kept for older clients
+            server.middlewares.use('/api/brave-search', async (req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                const apiKey = url.searchParams.get('key');
+                await handleSearchRequest(req, res, url.searchParams.get('q'), {
+                    provider: 'brave',
+                    ...(apiKey && { overrides: { braveApiKey: apiKey } }),
+                }, (results) => results.map(r => ({ ...r, description: r.snippet })));
+            });
         },
     };
 }
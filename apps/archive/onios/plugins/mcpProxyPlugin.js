@@ -18,6 +18,7 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { spawn } from 'child_process';
+import { readJSONFile, writeJSONFile } from './utils/persistence.js';
 
 const CONFIG_DIR = path.join(os.homedir(), '.onios');
 const MCP_CONFIG_FILE = path.join(CONFIG_DIR, 'mcp-servers.json');
@@ -35,14 +36,10 @@ function loadMcpConfig() {
         const defaultConfig = {
             servers: {}
         };
-        fs.writeFileSync(MCP_CONFIG_FILE, JSON.stringify(defaultConfig, null, 2), 'utf-8');
+        writeJSONFile(MCP_CONFIG_FILE, defaultConfig);
         return defaultConfig;
     }
-    try {
-        return JSON.parse(fs.readFileSync(MCP_CONFIG_FILE, 'utf-8'));
-    } catch {
-        return { servers: {} };
-    }
+    return readJSONFile(MCP_CONFIG_FILE, { servers: {} });
 }
 
 function parseBody(req) {
@@ -13,11 +13,17 @@
  *   GET    /api/oni/skills              → list installed OniOS skills
  *   POST   /api/oni/install-skills      → install OniOS skill into Oni workspace
  *   POST   /api/oni/sync-identity       → sync OniOS identity into workspace files
- *   POST   /api/oni/chat                → send message through Oni gateway via CLI
+ *   POST   /api/oni/chat                → send message through Oni gateway via CLI (SSE stream)
+ *   POST   /api/oni/chat/cancel         → stop a streaming chat run ({ runId })
  *   GET    /api/oni/workspace           → read workspace files
+ *   GET/POST /api/oni/approvals         → approval gate audit trail (read / record a decision)
+ *
+ *   GET    /api/oni/journal             → journaled action calls (?limit, actionType, since, undoable, id)
  *
  *   -- OniOS Action API (called BY Oni gateway) --
- *   POST   /api/oni/actions/task        → create/list/complete tasks
+ *   POST   /api/oni/actions/undo        → undo a journaled action (default: the latest undoable one)
+ *   POST   /api/oni/actions/replay      → re-run journaled actions (dry run unless dryRun: false)
+ *   POST   /api/oni/actions/task        → create/list/complete/delete tasks
  *   POST   /api/oni/actions/window      → open/close/list windows
  *   POST   /api/oni/actions/note        → create/read/list notes
  *   POST   /api/oni/actions/terminal    → open terminal / run command
@@ -26,6 +32,7 @@
  *   POST   /api/oni/actions/search      → web search
  *   POST   /api/oni/actions/calendar    → calendar events
  *   POST   /api/oni/actions/storage     → get/set storage
+ *   POST   /api/oni/actions/password    → vault health audit / password generator
  *   POST   /api/oni/actions/system      → system info
  *   POST   /api/oni/actions/scheduler   → scheduler operations
  *   POST   /api/oni/actions/workflow    → workflow operations
@@ -35,6 +42,25 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { spawn, execSync } from 'child_process';
+import { normalizeSchedule } from './utils/cron.js';
+import { addScheduledJob, removeScheduledJob } from './schedulerPlugin.js';
+import { readJSONFile, writeJSONFile, writeJSONFileAsync } from './utils/persistence.js';
+import { checkFsAccess, auditFsViolation, expandPath } from './utils/fsPolicy.js';
+import { normalizeSearchOptions, searchFiles } from './utils/fsSearch.js';
+import { moveToTrash, listTrash, getTrashEntry, restoreFromTrash } from './utils/fsTrash.js';
+import { snapshotBeforeWrite, listVersions, diffVersions, restoreVersion } from './utils/fsVersions.js';
+import { JOB_OPS, submitJob, getJob, listJobs, cancelJob, subscribeJob, jobSummary } from './utils/fsJobs.js';
+import { searchWeb } from './utils/webSearch.js';
+import { recordApprovalDecision, readApprovalAuditLog } from './utils/approvalAudit.js';
+import { recordAction, getAction, listActions, findAction, isUndoable, lastUndoable } from './utils/actionJournal.js';
+import {
+    ARCHIVE_FORMATS, detectFormat, listArchive, createArchiveFile, extractArchive,
+    defaultArchivePath, defaultExtractPath,
+} from './utils/archive.js';
+import {
+    listEntries, getEntry, setEntry, deleteEntry, entryVersion,
+    changesSince, matchesChange, watchChanges,
+} from './utils/kvStore.js';
 
 const ONIOS_DIR = path.join(os.homedir(), '.onios');
 const ONI_DIR = path.join(os.homedir(), '.oni');
@@ -93,6 +119,7 @@ function ensureDir(dir) {
     if (!fs.existsSync(dir)) {fs.mkdirSync(dir, { recursive: true });}
 }
 
+/** Plain read for files other tools own (no backup recovery). */
 function readJSON(filePath, fallback) {
     try {
         if (fs.existsSync(filePath)) {return JSON.parse(fs.readFileSync(filePath, 'utf-8'));}
@@ -100,9 +127,9 @@ function readJSON(filePath, fallback) {
     return fallback;
 }
 
+// Files under ~/.onios go through the shared crash-safe persistence layer
 function writeJSON(filePath, data) {
-    ensureDir(path.dirname(filePath));
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    writeJSONFile(filePath, data);
 }
 
 function json(res, data, status = 200) {
@@ -121,7 +148,7 @@ function parseBody(req) {
 }
 
 function getConfig() {
-    return readJSON(CONFIG_FILE, { ...DEFAULT_CONFIG });
+    return readJSONFile(CONFIG_FILE, { ...DEFAULT_CONFIG });
 }
 
 function saveConfig(config) {
@@ -144,15 +171,60 @@ function isGatewayRunning() {
     } catch { return false; }
 }
 
+/** Reply text, model and usage from the `oni agent --json` response. */
+function parseAgentResult(data) {
+    const payloads = data?.result?.payloads || data?.payloads || [];
+    const text = payloads.map(p => p.text).filter(Boolean).join('\n') || '(no response)';
+    const meta = data?.result?.meta?.agentMeta || data?.meta?.agentMeta || {};
+    return {
+        text,
+        model: meta.model || null,
+        provider: meta.provider || null,
+        durationMs: data?.result?.meta?.durationMs || data?.meta?.durationMs || null,
+        usage: meta.usage || null,
+    };
+}
+
+/** Result from plain CLI output (older CLIs, or the embedded fallback). */
+function parseAgentOutput(stdout) {
+    try {
+        const jsonStart = stdout.indexOf('{');
+        if (jsonStart < 0) {
+            return { text: stdout.trim() || '(no response)', model: null, durationMs: null };
+        }
+        return parseAgentResult(JSON.parse(stdout.substring(jsonStart)));
+    } catch {
+        return { text: stdout.trim() || '(no response)', model: null, durationMs: null };
+    }
+}
+
+function chatCancelledError() {
+    const err = new Error('Chat run cancelled');
+    err.name = 'AbortError';
+    return err;
+}
+
 /**
  * Run `oni agent` CLI command to send a message through the gateway.
+ *
+ * With `onEvent` the CLI runs with `--stream` and `onEvent(event, data)` is
+ * called as the run progresses: `text_delta` { delta }, `tool_start`
+ * { id, name } and `tool_end` { id, name, isError }. A CLI without
+ * `--stream` is retried once without it.
+ *
+ * Aborting `signal` sends the CLI SIGTERM and rejects with an AbortError. A
+ * `--stream` CLI aborts its gateway run before exiting; the non-streaming
+ * retry only stops locally and leaves the gateway turn to finish.
  */
-function runOniAgent(message, sessionId, timeoutSec = 120) {
+function runOniAgent(message, sessionId, { timeoutSec = 120, onEvent, signal } = {}) {
     return new Promise((resolve, reject) => {
+        if (signal?.aborted) { reject(chatCancelledError()); return; }
         const config = getConfig();
         const agentId = config.agentId || 'main';
+        const stream = typeof onEvent === 'function';
         const args = ['agent', '--agent', agentId, '-m', message, '--json', '--timeout', String(timeoutSec)];
         if (sessionId) {args.push('--session-id', sessionId);}
+        if (stream) {args.push('--stream');}
 
         const child = spawn('oni', args, {
             env: CLI_ENV,
@@ -160,37 +232,68 @@ function runOniAgent(message, sessionId, timeoutSec = 120) {
             timeout: (timeoutSec + 10) * 1000,
         });
 
+        let aborted = false;
+        const onAbort = () => {
+            aborted = true;
+            child.kill('SIGTERM');
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        // --stream prints one JSON frame per line; anything else is kept for parseAgentOutput
         let stdout = '';
+        let partial = '';
+        let result = null;
+        let streamedText = '';
+        let afterTool = false;
+        const onLine = (line) => {
+            let frame = null;
+            if (line.startsWith('{"type":')) {
+                try { frame = JSON.parse(line); } catch { /* not a frame */ }
+            }
+            if (frame?.type === 'result') { result = parseAgentResult(frame); return; }
+            if (frame?.type !== 'event') { stdout += `${line}\n`; return; }
+
+            const data = frame.data || {};
+            if (frame.stream === 'assistant' && data.delta) {
+                // Text after a tool call is a new assistant message: start a new paragraph
+                const delta = afterTool && streamedText ? `\n\n${data.delta}` : data.delta;
+                afterTool = false;
+                streamedText += delta;
+                onEvent('text_delta', { delta });
+            } else if (frame.stream === 'tool' && data.phase === 'start') {
+                afterTool = true;
+                onEvent('tool_start', { id: data.toolCallId, name: data.name });
+            } else if (frame.stream === 'tool' && data.phase === 'result') {
+                onEvent('tool_end', { id: data.toolCallId, name: data.name, isError: Boolean(data.isError) });
+            }
+        };
+
         let stderr = '';
-        child.stdout.on('data', (chunk) => { stdout += chunk; });
+        child.stdout.on('data', (chunk) => {
+            if (!stream) { stdout += chunk; return; }
+            const lines = (partial + chunk).split('\n');
+            partial = lines.pop();
+            lines.forEach(onLine);
+        });
         child.stderr.on('data', (chunk) => { stderr += chunk; });
 
-        child.on('error', (err) => reject(new Error(`CLI spawn error: ${err.message}`)));
+        child.on('error', (err) => {
+            signal?.removeEventListener('abort', onAbort);
+            reject(new Error(`CLI spawn error: ${err.message}`));
+        });
         child.on('close', (code) => {
+            signal?.removeEventListener('abort', onAbort);
+            if (aborted) { reject(chatCancelledError()); return; }
+            if (partial) {onLine(partial);}
             if (code !== 0) {
-                reject(new Error(`oni agent exited with code ${code}: ${stderr.slice(0, 500)}`));
-                return;
-            }
-            try {
-                const jsonStart = stdout.indexOf('{');
-                if (jsonStart < 0) {
-                    resolve({ text: stdout.trim() || '(no response)', model: null, durationMs: null });
+                if (stream && /unknown option/i.test(stderr) && stderr.includes('--stream')) {
+                    runOniAgent(message, sessionId, { timeoutSec, signal }).then(resolve, reject);
                     return;
                 }
-                const data = JSON.parse(stdout.substring(jsonStart));
-                const payloads = data?.result?.payloads || data?.payloads || [];
-                const text = payloads.map(p => p.text).filter(Boolean).join('\n') || '(no response)';
-                const meta = data?.result?.meta?.agentMeta || data?.meta?.agentMeta || {};
-                resolve({
-                    text,
-                    model: meta.model || null,
-                    provider: meta.provider || null,
-                    durationMs: data?.result?.meta?.durationMs || null,
-                    usage: meta.usage || null,
-                });
-            } catch {
-                resolve({ text: stdout.trim() || '(no response)', model: null, durationMs: null });
+                reject(new Error(`oni agent exited with code ${code}: ${stderr.slice(0, 500)}`));
+                return;
             }
+            resolve({ ...(result || parseAgentOutput(stdout)), streamedText });
         });
     });
 }
@@ -261,7 +364,9 @@ IMPORTANT: When user asks to code something (website, app, script), ALWAYS:
 
 **spacelens** → /actions/spacelens — Storage cleanup tool ONLY. Shows folder sizes as bubbles. **ONLY use when user asks about disk space, cleanup, or freeing storage.**
 - Scan: \`{"action":"scan"}\` or \`{"action":"scan","path":"/Users/me/Downloads"}\`
-- Delete: \`{"action":"delete","path":"/path/to/file"}\` — move to Trash
+- Delete: \`{"action":"delete","path":"/path/to/file"}\` — moves to the OniOS trash (~/.onios/trash); nothing is removed for good
+- Trash: \`{"action":"trash"}\` — list trashed items (id, originalPath, deletedAt, deletedBy, size)
+- Restore: \`{"action":"restore","id":"..."}\` — put a trashed item back where it was
 - Categories: \`{"action":"categories"}\` — size by category
 IMPORTANT: Do NOT use Space Lens for general file searching, listing, or information. It is SLOW. For file operations use terminal (\`ls\`, \`find\`, \`du\`) or the file action instead.
 
@@ -272,12 +377,12 @@ IMPORTANT: Do NOT use Space Lens for general file searching, listing, or informa
 - Read: \`{"action":"read","title":"Meeting Notes"}\` or \`{"action":"read","path":"~/Documents/meeting.md"}\`
 The Notes widget is a full Markdown editor. When user asks to take notes, create a note, write something down, or save information — ALWAYS use the note action.
 
-**password** → /actions/password — Password Manager (encrypted local vault).
-IMPORTANT: This is NOT a /actions/ endpoint — use the command registry instead via window action:
-- Open: \`{"action":"open","widgetType":"password-manager"}\` via /actions/window
+**password** → /actions/password — Password Manager (encrypted local vault). Passwords are never returned to you.
+- Open: \`{"action":"open"}\` (or \`{"action":"open","widgetType":"password-manager"}\` via /actions/window)
+- Health audit: \`{"action":"audit"}\` or \`{"action":"audit","issue":"weak|reused|stale|insecure"}\` → summary (score, counts) + risky entries (id, title, issue types) (weak = low entropy, reused = shared password, stale = not changed in N days, insecure = http:// URL). Fails with \`locked:true\` while the vault is locked.
+- Generate: \`{"action":"generate","length":24,"symbols":true,"excludeAmbiguous":true}\` — generated in the Password Manager and copied to the user's clipboard. Options: uppercase, lowercase, numbers, symbols, excludeAmbiguous (booleans), exclude (characters to leave out).
 - The Password Manager widget lets users add, view, search, copy, and delete passwords.
-- It stores credentials locally with encryption.
-- When user asks about passwords, logins, credentials, or saving a password, open the Password Manager.
+- When user asks about passwords, logins, credentials, or saving a password, open the Password Manager. For "are my passwords safe?" run the audit.
 
 **device** → /actions/device — **MACHINE CONTROL.** Full access to the host machine. Screenshot + vision, running apps, automation, email, browser, documents.
 Phase 1 — Context:
@@ -301,15 +406,21 @@ Phase 3 — App-Specific:
 USE DEVICE when: user asks "what am I looking at?", "reply to that email", "open Word", "check my emails", "what apps are running?", "what's on my screen?", "copy this", etc. Take a screenshot to understand context, then use automation to act.
 
 **task** — {"action":"create|list|complete|delete","title":"...","priority":"high|medium|low","id":"..."}
-**file** — {"action":"list|read|write","path":"...","content":"..."} — Use for file browsing, reading, writing. FAST. Prefer this + terminal over spacelens.
+**file** — {"action":"list|read|write|archive|extract|batch|job|versions|diff|restore","path":"...","content":"..."} — Use for file browsing, reading, writing, zipping and unzipping, and copying/moving/deleting/renaming many files. Overwritten content is kept as versions. FAST. Prefer this + terminal over spacelens.
 **notification** — {"title":"...","message":"..."}
-**search** — {"query":"..."} (use display action to show results visually)
+**search** — {"query":"...","provider":"auto|brave|searxng|local","count":10} → results [{title, url, snippet, source}] (use display action to show results visually). \`local\` searches pages already visited in the browser, offline.
 **calendar** — {"action":"add|list|delete","title":"...","date":"YYYY-MM-DD","startTime":"HH:MM"}
-**storage** — {"action":"get|set|delete|list","namespace":"...","key":"...","value":"..."}
+**storage** — {"action":"get|set|delete|list|changes","namespace":"...","key":"...","value":"..."}
+  Optional: "ttl" (ms) or "expiresAt" to expire a key. get returns "version"; pass "ifVersion" on set/delete to only write if nobody changed it (0 = must not exist).
+  React to changes: {"action":"changes","namespace":"...","prefix":"...","cursor":"<from last call>","waitMs":25000} waits for the next set/delete. If "reset" is true, re-read the keys you care about.
 **system** — {"action":"info"}
-**scheduler** — {"action":"status|list_tasks|list_events|list_jobs|create_timer|create_job|delete_job"}
+**scheduler** — {"action":"status|list_tasks|list_events|list_jobs|list_runs|create_timer|create_job|delete_job"}
   Timers: {"action":"create_timer","minutes":10,"name":"Cooking timer"} — one-shot, fires once after N minutes. Supports "unit":"seconds|minutes|hours".
   Recurring: {"action":"create_job","name":"Hourly check","interval":1,"unit":"hours","command":"notify(\\"Check status\\")"} — repeats on schedule.
+  Cron: {"action":"create_job","name":"Standup","cron":"0 9 * * 1-5","tz":"Europe/London"} — 5/6-field cron (MON#1 = first Monday, L = last day). Presets: {"preset":"weekdays","at":"09:00"} (hourly|daily|weekly|monthly|yearly|weekdays|weekends).
+  Missed runs (server was down): "misfirePolicy":"skip|fire-once|fire-all" with optional "maxCatchUp":N.
+  Retries: "maxAttempts":3,"retryBackoffMs":30000 — failed commands retry with exponential backoff.
+  Run history: {"action":"list_runs","id":"..."} — start/end, status (pending|success|failed|timeout|skipped), output excerpt, error. Omit id for recent runs across all jobs.
   Delete: {"action":"delete_job","id":"..."}
 **workflow** — {"action":"list|get|sync_to_oni","id":"..."}
 
@@ -463,15 +574,23 @@ Section types: hero, stats, cards, table, list, text, image, video, gallery, emb
 ## Other Actions
 **task** → /actions/task — \`{"action":"create|list|complete|delete","title":"...","priority":"high|medium|low"}\`
 **note** → /actions/note — \`{"action":"create|list|read","title":"...","content":"..."}\`
-**file** → /actions/file — \`{"action":"list|read|write","path":"...","content":"..."}\`
+**file** → /actions/file — \`{"action":"list|read|write|archive|extract|batch|job|versions|diff|restore","path":"...","content":"..."}\`
+- Archives: \`{"action":"archive","paths":["~/Projects/app"],"format":"zip|tar.gz","dest":"~/app.zip"}\` (dest optional: next to the first path) · \`{"action":"extract","path":"~/Downloads/x.zip","dest":"~/x"}\` (dest optional: a new folder named after the archive; \`entries\` to pick some) · \`list\` on a .zip/.tar.gz shows its contents. Use these instead of zip/tar in a terminal.
+- Batch: \`{"action":"batch","op":"copy|move","paths":["~/a","~/b"],"dest":"~/Backup","conflict":"skip|overwrite|rename"}\` · \`{"action":"batch","op":"delete","paths":[...]}\` (to the trash; \`"permanent":true\` only if asked) · \`{"action":"batch","op":"rename","paths":[...],"find":"^IMG_(\\\\d+)","replace":"Trip-$1"}\` (regex on the name; \`{n}\`/\`{n:3}\` = running number). Waits up to \`waitMs\` (default 20s) and returns counts plus \`problems\`; if still running, poll \`{"action":"job","id":"...","waitMs":30000}\` or cancel with \`"cancel":true\`. Prefer this over cp/mv/rm loops in a terminal.
+- Versions: every \`write\` (and project write_file) keeps the previous content. \`{"action":"versions","path":"..."}\` lists them newest first · \`{"action":"diff","path":"...","version":"<id>","to":"current"}\` shows a unified diff · \`{"action":"restore","path":"...","version":"<id>"}\` puts it back (the current content is saved first). Use this to undo a bad write.
+- Search (recursive, respects .gitignore): \`{"action":"search","path":"~/Projects","glob":"*.md","query":"TODO","maxDepth":5,"limit":50}\` — \`glob\` matches the name (or the relative path if it contains /), \`query\` is a case-insensitive regex over file contents (\`"literal":true\` for plain text). Also: type (file|directory), minSize/maxSize (bytes), modifiedAfter/modifiedBefore (ISO date or 7d/12h), showHidden. Use this instead of \`find\`/\`grep\` in a terminal.
+Paths are limited to the roots in ~/.onios/fs-policy.json (default: home, with ~/.ssh, ~/.aws etc. write-protected). A \`"code":"FS_POLICY_VIOLATION"\` result means the path is off-limits — tell the user instead of retrying elsewhere.
 **notification** → /actions/notification — \`{"title":"...","message":"..."}\`
-**search** → /actions/search — \`{"query":"..."}\`
+**search** → /actions/search — \`{"query":"...","provider":"auto","count":10}\` → \`{ provider, results: [{title, url, snippet, source}] }\`. provider auto (default) uses the first configured of Brave, SearXNG and the offline index of cached pages; a \`"code":"ERATELIMIT"\` result has \`retryAfterMs\`.
 **calendar** → /actions/calendar — \`{"action":"add|list|delete","title":"...","date":"YYYY-MM-DD"}\`
-**storage** → /actions/storage — \`{"action":"get|set|delete|list","namespace":"...","key":"..."}\`
+**storage** → /actions/storage — \`{"action":"get|set|delete|list|changes","namespace":"...","key":"..."}\`
+Optional \`"ttl"\` (ms) / \`"expiresAt"\`; \`get\` returns \`version\`, send \`"ifVersion"\` on set/delete for compare-and-set (conflict → \`{"conflict":true}\`).
+Wait for changes instead of polling: \`{"action":"changes","namespace":"...","prefix":"...","cursor":"...","waitMs":25000}\` — pass back the returned \`cursor\`; \`reset: true\` means re-read.
 **system** → /actions/system — \`{"action":"info"}\`
-**scheduler** → /actions/scheduler — \`{"action":"status|list_jobs|create_timer|create_job|delete_job","minutes":10,"name":"..."}\`
+**scheduler** → /actions/scheduler — \`{"action":"status|list_jobs|list_runs|create_timer|create_job|delete_job","minutes":10,"name":"..."}\`
 **workflow** → /actions/workflow — \`{"action":"list|get|sync_to_oni","id":"..."}\`
 **screen** → /actions/screen — \`{"action":"screenshot"}\` takes a screenshot, \`{"action":"record_start"}\` starts recording, \`{"action":"record_stop"}\` stops recording. User selects screen/window.
+**undo** → /actions/undo — \`{}\` undoes your last undoable action (task create/delete, window close, file write/restore, storage set/delete) · \`{"id":"act_..."}\` a specific one (the id is in the journal: GET /api/oni/journal?undoable=true). Undo the newest first.
 
 ## Drawing Board → /actions/drawing
 Opens an AI-driven whiteboard. Send draw commands to create diagrams, charts, and animations.
@@ -493,7 +612,9 @@ IMPORTANT: When user asks to code something, ALWAYS create a project via /action
 ## Space Lens → /actions/spacelens (ONLY for disk cleanup)
 **ONLY use when user asks about disk space, cleanup, or freeing storage.** It is SLOW — never for general file ops.
 - Scan: \`{"action":"scan"}\` or \`{"action":"scan","path":"/Users/me/Downloads"}\`
-- Delete: \`{"action":"delete","path":"/path/to/file"}\` — move to Trash
+- Delete: \`{"action":"delete","path":"/path/to/file"}\` — moves to the OniOS trash (~/.onios/trash); nothing is removed for good
+- Trash: \`{"action":"trash"}\` — list trashed items (id, originalPath, deletedAt, deletedBy, size)
+- Restore: \`{"action":"restore","id":"..."}\` — put a trashed item back where it was
 - Categories: \`{"action":"categories"}\` — size by category
 
 ## Notes → /actions/note
@@ -507,6 +628,8 @@ When user asks to take notes, save info, write something down → use note actio
 Open via: \`{"action":"open","widgetType":"password-manager"}\` → /actions/window
 Encrypted local vault. Users can add, view, search, copy, delete passwords.
 When user asks about passwords, logins, credentials → open password-manager.
+- Audit: \`{"action":"audit"}\` → /actions/password — weak, reused, stale and non-HTTPS entries (no passwords returned; needs the vault unlocked)
+- Generate: \`{"action":"generate","length":24}\` → /actions/password — copied to the user's clipboard
 
 ## Device Bridge → /actions/device (MACHINE CONTROL)
 Full access to the host machine. Screenshot + vision, app automation, email, browser, documents.
@@ -619,18 +742,10 @@ export default function oniPlugin() {
             // ─── Dynamic Display Data Store (disk-backed) ──
             // Persists JSON data so widgets survive server restarts.
             const _displayFile = path.join(ONIOS_DIR, 'display-store.json');
-            let _displayStore = new Map();
-            try {
-                if (fs.existsSync(_displayFile)) {
-                    const raw = JSON.parse(fs.readFileSync(_displayFile, 'utf8'));
-                    _displayStore = new Map(Object.entries(raw));
-                }
-            } catch { /* start fresh */ }
+            let _displayStore = new Map(Object.entries(readJSONFile(_displayFile, {})));
             function _saveDisplayStore() {
-                try {
-                    const obj = Object.fromEntries(_displayStore);
-                    fs.writeFileSync(_displayFile, JSON.stringify(obj), 'utf8');
-                } catch { /* ignore write errors */ }
+                const obj = Object.fromEntries(_displayStore);
+                writeJSONFileAsync(_displayFile, obj, { pretty: false }).catch(() => { /* ignore write errors */ });
             }
 
             server.middlewares.use('/api/oni/display', async (req, res) => {
@@ -671,6 +786,8 @@ export default function oniPlugin() {
             // Stores both human-readable summary and structured window data.
             let _latestWidgetContext = '';
             let _latestWindowData = { windows: [], timestamp: 0 };
+            // Password health report (never contains passwords); null while locked
+            let _latestPasswordAudit = { report: null, timestamp: 0 };
             server.middlewares.use('/api/oni/context', async (req, res) => {
                 if (req.method === 'GET') {
                     json(res, { context: _latestWidgetContext, windows: _latestWindowData.windows, timestamp: Date.now() });
@@ -680,9 +797,29 @@ export default function oniPlugin() {
                 const body = await parseBody(req);
                 if (body.widgetContext) {_latestWidgetContext = body.widgetContext;}
                 if (body.windows) {_latestWindowData = { windows: body.windows, timestamp: Date.now() };}
+                if ('passwordAudit' in body) {_latestPasswordAudit = { report: body.passwordAudit, timestamp: Date.now() };}
                 json(res, { success: true });
             });
 
+            // ─── Approval Audit Trail ────────────────────
+            // ApprovalGate posts every decision on an AI-originated command here.
+            server.middlewares.use('/api/oni/approvals', async (req, res) => {
+                if (req.method === 'GET') {
+                    const params = new URL(req.originalUrl || req.url, 'http://localhost').searchParams;
+                    const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 100, 1), 1000);
+                    const entries = readApprovalAuditLog(limit, { decision: params.get('decision') || undefined });
+                    json(res, { entries, count: entries.length });
+                    return;
+                }
+                if (req.method !== 'POST') { json(res, { error: 'GET/POST only' }, 405); return; }
+                try {
+                    const entry = recordApprovalDecision(await parseBody(req));
+                    json(res, { success: true, entry });
+                } catch (err) {
+                    json(res, { error: err.message }, err.code === 'EINVAL' ? 400 : 500);
+                }
+            });
+
             // ─── Live Action Events (SSE) ────────────────
             // Frontend subscribes to this to see gateway AI actions in real-time
             // and execute corresponding widget commands locally.
@@ -796,6 +933,20 @@ export default function oniPlugin() {
             });
 
             // ─── Chat via Oni Gateway (CLI) ──────────────
+            // Streams the run as SSE: start { runId }, text_delta, tool_start,
+            // tool_end, usage, then done { text, ... } or error. The CLI run is
+            // killed when the client disconnects or the run is cancelled.
+            const _chatRuns = new Map();
+
+            server.middlewares.use('/api/oni/chat/cancel', async (req, res) => {
+                if (req.method !== 'POST') { json(res, { error: 'POST only' }, 405); return; }
+                const { runId } = await parseBody(req);
+                const controller = _chatRuns.get(runId);
+                if (!controller) { json(res, { error: 'No running chat with that runId' }, 404); return; }
+                controller.abort();
+                json(res, { success: true, runId });
+            });
+
             server.middlewares.use('/api/oni/chat', async (req, res) => {
                 if (req.method !== 'POST') { json(res, { error: 'POST only' }, 405); return; }
 
@@ -842,20 +993,37 @@ export default function oniPlugin() {
                 });
 
                 const sendSSE = (event, data) => {
+                    if (res.destroyed) {return;}
                     res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
                 };
 
+                const runId = `chat_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+                const controller = new AbortController();
+                _chatRuns.set(runId, controller);
+                res.on('close', () => {
+                    if (!res.writableFinished) {controller.abort();}
+                });
+                sendSSE('start', { runId });
+
                 try {
-                    console.log(`[Oni] Chat: sending to gateway (session: ${conversationId || 'new'})`);
-                    const result = await runOniAgent(enrichedMessage, conversationId);
+                    console.log(`[Oni] Chat: sending to gateway (session: ${conversationId || 'new'}, run: ${runId})`);
+                    const result = await runOniAgent(enrichedMessage, conversationId, {
+                        signal: controller.signal,
+                        onEvent: sendSSE,
+                    });
 
+                    // Nothing streamed (older CLI or embedded fallback): send the reply in pieces
                     const text = result.text || '';
-                    const CHUNK_SIZE = 20;
-                    for (let i = 0; i < text.length; i += CHUNK_SIZE) {
-                        sendSSE('text_delta', { delta: text.slice(i, i + CHUNK_SIZE) });
+                    if (!result.streamedText) {
+                        const CHUNK_SIZE = 20;
+                        for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+                            sendSSE('text_delta', { delta: text.slice(i, i + CHUNK_SIZE) });
+                        }
                     }
 
+                    if (result.usage) {sendSSE('usage', result.usage);}
                     sendSSE('done', {
+                        text,
                         model: result.model,
                         provider: result.provider,
                         durationMs: result.durationMs,
@@ -863,26 +1031,112 @@ export default function oniPlugin() {
                     });
                     console.log(`[Oni] Chat: response OK (${text.length} chars, model: ${result.model})`);
                 } catch (err) {
-                    console.error('[Oni] Chat error:', err.message);
-                    let userError = err.message;
-                    if (err.message.includes('cooldown') || err.message.includes('unavailable')) {
-                        userError = 'Model is temporarily rate-limited. Please wait and try again.';
+                    if (controller.signal.aborted) {
+                        console.log(`[Oni] Chat: run ${runId} cancelled`);
+                        sendSSE('cancelled', { runId });
+                    } else {
+                        console.error('[Oni] Chat error:', err.message);
+                        let userError = err.message;
+                        if (err.message.includes('cooldown') || err.message.includes('unavailable')) {
+                            userError = 'Model is temporarily rate-limited. Please wait and try again.';
+                        }
+                        sendSSE('error', { error: userError });
                     }
-                    sendSSE('error', { error: userError });
+                } finally {
+                    _chatRuns.delete(runId);
                 }
 
                 res.end();
             });
 
             // ─── OniOS Action API (called BY Oni gateway) ─
-            // Each action pushes an event to the frontend so widgets can react.
-            server.middlewares.use('/api/oni/actions', async (req, res) => {
-                if (req.method !== 'POST') { json(res, { error: 'POST only' }, 405); return; }
-
-                const urlPath = req.originalUrl || req.url;
-                const actionType = urlPath.replace('/api/oni/actions/', '').split('?')[0];
-                const body = await parseBody(req);
+            // Each action pushes an event to the frontend so widgets can react,
+            // and is journaled (utils/actionJournal.js) so it can be undone or replayed.
+
+            /** Run an action handler; undefined for an unknown action type. */
+            async function runActionHandler(actionType, body) {
+                let result;
+                switch (actionType) {
+                    case 'task': result = await handleTaskAction(body); break;
+                    case 'window': result = await handleWindowAction(body, _latestWindowData); break;
+                    case 'note': result = await handleNoteAction(body); break;
+                    case 'terminal': result = await handleTerminalAction(body); break;
+                    case 'file': result = await handleFileAction(body); break;
+                    case 'notification':
+                        result = { success: true, message: 'Notification sent', title: body.title, body: body.message };
+                        break;
+                    case 'search': result = await handleSearchAction(body); break;
+                    case 'storage': result = await handleStorageAction(body); break;
+                    case 'password': result = handlePasswordAction(body, _latestPasswordAudit); break;
+                    case 'system': result = handleSystemAction(body); break;
+                    case 'scheduler': result = await handleSchedulerAction(body); break;
+                    case 'workflow': result = await handleWorkflowAction(body); break;
+                    case 'screen': {
+                        const screenAction = body.action || 'screenshot';
+                        if (screenAction === 'screenshot') {
+                            result = { success: true, message: 'Screenshot triggered — user will select screen/window' };
+                        } else if (screenAction === 'record_start') {
+                            result = { success: true, message: 'Screen recording started — user will select screen/window' };
+                        } else if (screenAction === 'record_stop') {
+                            result = { success: true, message: 'Screen recording stopped and saved' };
+                        } else {
+                            result = { success: false, error: `Unknown screen action: ${screenAction}` };
+                        }
+                        break;
+                    }
+                    case 'display': {
+                        const title = (body.title || 'Display').replace(/[^a-zA-Z0-9 ]/g, '').replace(/\s+/g, '_').substring(0, 30);
+                        const id = `d_${title}_${Date.now().toString(36)}`;
+                        _displayStore.set(id, body);
+                        if (_displayStore.size > 50) {
+                            const oldest = _displayStore.keys().next().value;
+                            _displayStore.delete(oldest);
+                        }
+                        _saveDisplayStore();
+                        result = { success: true, id, title: body.title, message: `Display "${body.title}" created (${id})` };
+                        break;
+                    }
+                    case 'drawing': {
+                        // Drawing board: accepts draw commands array or single command
+                        // body.commands = array of draw protocol commands
+                        // body.action = 'open' | 'clear' | 'draw'
+                        const drawAction = body.action || 'draw';
+                        if (drawAction === 'open') {
+                            result = { success: true, message: 'Drawing Board opened' };
+                        } else if (drawAction === 'clear') {
+                            result = { success: true, message: 'Board cleared' };
+                        } else {
+                            const cmds = body.commands || body.steps || [body];
+                            result = { success: true, commandCount: Array.isArray(cmds) ? cmds.length : 1, message: `${Array.isArray(cmds) ? cmds.length : 1} draw commands sent to board` };
+                        }
+                        break;
+                    }
+                    case 'project': {
+                        result = await handleProjectAction(body);
+                        break;
+                    }
+                    case 'spacelens': {
+                        result = await handleSpaceLensAction(body);
+                        break;
+                    }
+                    case 'device': {
+                        result = await handleDeviceAction(body);
+                        break;
+                    }
+                    default: return undefined;
+                }
+                return result;
+            }
 
+            /**
+             * Run one action: push its events, run the handler and journal the call.
+             * Shared by the action API, undo and replay.
+             * @param {{ source?: string, replayOf?: string, journal?: boolean }} [options]
+             *   `journal: false` for undo steps (the undo is journaled as a whole)
+             * @returns {Promise<{ result: object, entry: object | null }>}
+             * @throws {Error} code EUNKNOWN for an unknown action type; handler errors propagate
+             */
+            async function dispatchAction(actionType, body, { source, replayOf, journal = true } = {}) {
                 // Push "starting" event to frontend
                 ACTION_EVENT_BUS.push({
                     type: 'action_start',
@@ -891,96 +1145,172 @@ export default function oniPlugin() {
                     params: body,
                 });
 
+                const before = captureBeforeAction(actionType, body, _latestWindowData);
+                let result;
                 try {
-                    let result;
-                    switch (actionType) {
-                        case 'task': result = await handleTaskAction(body); break;
-                        case 'window': result = await handleWindowAction(body, _latestWindowData); break;
-                        case 'note': result = await handleNoteAction(body); break;
-                        case 'terminal': result = await handleTerminalAction(body); break;
-                        case 'file': result = await handleFileAction(body); break;
-                        case 'notification':
-                            result = { success: true, message: 'Notification sent', title: body.title, body: body.message };
-                            break;
-                        case 'search': result = await handleSearchAction(body); break;
-                        case 'storage': result = await handleStorageAction(body); break;
-                        case 'system': result = handleSystemAction(body); break;
-                        case 'scheduler': result = await handleSchedulerAction(body); break;
-                        case 'workflow': result = await handleWorkflowAction(body); break;
-                        case 'screen': {
-                            const screenAction = body.action || 'screenshot';
-                            if (screenAction === 'screenshot') {
-                                result = { success: true, message: 'Screenshot triggered — user will select screen/window' };
-                            } else if (screenAction === 'record_start') {
-                                result = { success: true, message: 'Screen recording started — user will select screen/window' };
-                            } else if (screenAction === 'record_stop') {
-                                result = { success: true, message: 'Screen recording stopped and saved' };
-                            } else {
-                                result = { success: false, error: `Unknown screen action: ${screenAction}` };
-                            }
-                            break;
-                        }
-                        case 'display': {
-                            const title = (body.title || 'Display').replace(/[^a-zA-Z0-9 ]/g, '').replace(/\s+/g, '_').substring(0, 30);
-                            const id = `d_${title}_${Date.now().toString(36)}`;
-                            _displayStore.set(id, body);
-                            if (_displayStore.size > 50) {
-                                const oldest = _displayStore.keys().next().value;
-                                _displayStore.delete(oldest);
-                            }
-                            _saveDisplayStore();
-                            result = { success: true, id, title: body.title, message: `Display "${body.title}" created (${id})` };
-                            break;
-                        }
-                        case 'drawing': {
-                            // Drawing board: accepts draw commands array or single command
-                            // body.commands = array of draw protocol commands
-                            // body.action = 'open' | 'clear' | 'draw'
-                            const drawAction = body.action || 'draw';
-                            if (drawAction === 'open') {
-                                result = { success: true, message: 'Drawing Board opened' };
-                            } else if (drawAction === 'clear') {
-                                result = { success: true, message: 'Board cleared' };
-                            } else {
-                                const cmds = body.commands || body.steps || [body];
-                                result = { success: true, commandCount: Array.isArray(cmds) ? cmds.length : 1, message: `${Array.isArray(cmds) ? cmds.length : 1} draw commands sent to board` };
-                            }
-                            break;
-                        }
-                        case 'project': {
-                            result = await handleProjectAction(body);
-                            break;
-                        }
-                        case 'spacelens': {
-                            result = await handleSpaceLensAction(body);
-                            break;
-                        }
-                        case 'device': {
-                            result = await handleDeviceAction(body);
+                    result = await runActionHandler(actionType, body);
+                } catch (err) {
+                    ACTION_EVENT_BUS.push({
+                        type: 'action_error',
+                        actionType,
+                        action: body.action || actionType,
+                        error: err.message,
+                    });
+                    if (journal) {recordAction({ actionType, params: body, error: err.message, source, replayOf });}
+                    throw err;
+                }
+                if (result === undefined) {
+                    throw Object.assign(new Error(`Unknown action: ${actionType}`), { code: 'EUNKNOWN' });
+                }
+
+                const entry = journal
+                    ? recordAction({ actionType, params: body, result, inverse: inverseOfAction(actionType, body, result, before), source, replayOf })
+                    : null;
+
+                // Push "completed" event with result + command hint for frontend
+                ACTION_EVENT_BUS.push({
+                    type: 'action_done',
+                    actionType,
+                    action: body.action || actionType,
+                    params: body,
+                    result,
+                    journalId: entry?.id,
+                    undoable: entry ? isUndoable(entry) : false,
+                    // Frontend command hints — tells the frontend what widget command to execute
+                    command: mapActionToCommand(actionType, body, result),
+                });
+                return { result, entry };
+            }
+
+            // ─── Action Journal: review, undo, replay ────
+            server.middlewares.use('/api/oni/journal', (req, res) => {
+                if (req.method !== 'GET') { json(res, { error: 'GET only' }, 405); return; }
+                const params = new URL(req.originalUrl || req.url, 'http://localhost').searchParams;
+                if (params.get('id')) {
+                    const entry = getAction(params.get('id'));
+                    if (!entry) { json(res, { error: 'Journal entry not found' }, 404); return; }
+                    json(res, { entry, undoable: isUndoable(entry) });
+                    return;
+                }
+                const entries = listActions({
+                    limit: Math.min(Math.max(parseInt(params.get('limit'), 10) || 100, 1), 1000),
+                    actionType: params.get('actionType') || undefined,
+                    since: params.get('since') || undefined,
+                    undoable: params.get('undoable') === 'true',
+                });
+                json(res, { entries, count: entries.length });
+            });
+
+            // Undo one journaled action (default: the most recent undoable one)
+            server.middlewares.use('/api/oni/actions/undo', async (req, res) => {
+                if (req.method !== 'POST') { json(res, { error: 'POST only' }, 405); return; }
+                const body = await parseBody(req);
+                const entry = body.id ? getAction(body.id) : lastUndoable();
+                if (!entry) { json(res, { error: body.id ? 'Journal entry not found' : 'Nothing to undo' }, 404); return; }
+                if (!isUndoable(entry)) {
+                    const reason = entry.undoneBy ? `already undone by ${entry.undoneBy}`
+                        : !entry.ok ? 'the action failed'
+                            : entry.inverseDropped ? 'its inverse was too large or held secrets, so it was not journaled'
+                                : 'the action has no inverse';
+                    json(res, { error: `Cannot undo ${entry.id}: ${reason}`, id: entry.id }, 409);
+                    return;
+                }
+
+                const steps = [];
+                let failure = null;
+                for (const step of entry.inverse.steps) {
+                    try {
+                        const { result } = await dispatchAction(step.actionType, step.body, { journal: false });
+                        steps.push({ actionType: step.actionType, action: step.body.action, result });
+                        if (result?.error || result?.success === false) {
+                            failure = result.error || 'step failed';
                             break;
                         }
-                        default: json(res, { error: `Unknown action: ${actionType}` }, 400); return;
+                    } catch (err) {
+                        failure = err.message;
+                        steps.push({ actionType: step.actionType, action: step.body.action, error: err.message });
+                        break;
                     }
+                }
+                const undo = recordAction({
+                    actionType: 'undo',
+                    params: { id: entry.id },
+                    result: { success: !failure, description: entry.inverse.description, steps },
+                    error: failure || undefined,
+                    undoOf: failure ? undefined : entry.id,
+                    source: body.source,
+                });
+                json(res, {
+                    success: !failure,
+                    undone: failure ? null : entry.id,
+                    description: entry.inverse.description,
+                    steps,
+                    journalId: undo.id,
+                    ...(failure ? { error: `Undo of ${entry.id} stopped: ${failure}` } : {}),
+                }, failure ? 500 : 200);
+            });
 
-                    // Push "completed" event with result + command hint for frontend
-                    ACTION_EVENT_BUS.push({
-                        type: 'action_done',
-                        actionType,
-                        action: body.action || actionType,
-                        params: body,
-                        result,
-                        // Frontend command hints — tells the frontend what widget command to execute
-                        command: mapActionToCommand(actionType, body, result),
+            // Re-run journaled actions in order, for debugging agent runs (dry run unless dryRun: false)
+            server.middlewares.use('/api/oni/actions/replay', async (req, res) => {
+                if (req.method !== 'POST') { json(res, { error: 'POST only' }, 405); return; }
+                const body = await parseBody(req);
+                let selected;
+                if (Array.isArray(body.ids) && body.ids.length) {
+                    selected = body.ids.map(id => getAction(String(id)));
+                    const missing = body.ids.filter((id, i) => !selected[i]);
+                    if (missing.length) { json(res, { error: `Journal entries not found: ${missing.join(', ')}` }, 404); return; }
+                } else if (body.since) {
+                    selected = listActions({
+                        since: body.since,
+                        actionType: body.actionType,
+                        limit: Math.min(Math.max(parseInt(body.limit, 10) || 50, 1), 500),
+                        oldestFirst: true,
                     });
+                    // `until` (ISO time or entry id) is inclusive
+                    const end = selected.findIndex(e => e.id === body.until);
+                    if (end >= 0) {selected = selected.slice(0, end + 1);}
+                    else if (body.until) {selected = selected.filter(e => e.time <= body.until);}
+                } else {
+                    json(res, { error: 'ids or since required' }, 400);
+                    return;
+                }
 
+                const dryRun = body.dryRun !== false;
+                const runs = [];
+                for (const entry of selected) {
+                    const planned = { id: entry.id, time: entry.time, actionType: entry.actionType, action: entry.action };
+                    if (!entry.replayable || entry.actionType === 'undo') {
+                        runs.push({ ...planned, skipped: entry.actionType === 'undo' ? 'undo entries are not replayed' : 'params were redacted or truncated' });
+                        continue;
+                    }
+                    if (dryRun) {
+                        runs.push({ ...planned, params: entry.params });
+                        continue;
+                    }
+                    try {
+                        const { result, entry: replay } = await dispatchAction(entry.actionType, entry.params, { source: 'replay', replayOf: entry.id });
+                        runs.push({ ...planned, journalId: replay.id, ok: replay.ok, result, original: entry.result ?? { error: entry.error } });
+                        if (!replay.ok && body.stopOnError !== false) {break;}
+                    } catch (err) {
+                        runs.push({ ...planned, ok: false, error: err.message, original: entry.result ?? { error: entry.error } });
+                        if (body.stopOnError !== false) {break;}
+                    }
+                }
+                json(res, { success: true, dryRun, count: runs.length, runs });
+            });
+
+            server.middlewares.use('/api/oni/actions', async (req, res) => {
+                if (req.method !== 'POST') { json(res, { error: 'POST only' }, 405); return; }
+
+                const urlPath = req.originalUrl || req.url;
+                const actionType = urlPath.replace('/api/oni/actions/', '').split('?')[0];
+                const body = await parseBody(req);
+
+                try {
+                    const { result } = await dispatchAction(actionType, body);
                     json(res, result);
                 } catch (err) {
-                    ACTION_EVENT_BUS.push({
-                        type: 'action_error',
-                        actionType,
-                        action: body.action || actionType,
-                        error: err.message,
-                    });
+                    if (err.code === 'EUNKNOWN') { json(res, { error: err.message }, 400); return; }
                     console.error(`[Oni] Action '${actionType}' error:`, err);
                     json(res, { error: err.message }, 500);
                 }
@@ -1034,9 +1364,10 @@ function mapActionToCommand(actionType, body, result) {
     const esc = (s) => (s || '').replace(/"/g, '\\"');
     switch (actionType) {
         case 'task':
-            if (action === 'create') {return `task.add("${esc(body.title)}", "${esc(body.dueDate)}", "${esc(body.dueTime)}", "${esc(body.priority || 'medium')}")`;}
+            if (action === 'create') {return `task.add("${esc(body.title)}", "${esc(body.dueDate)}", "${esc(body.dueTime)}", "${esc(body.priority || 'medium')}", "${esc(result?.task?.id)}")`;}
             if (action === 'list') {return 'task.list()';}
             if (action === 'complete') {return `task.complete("${esc(body.id)}")`;}
+            if (action === 'delete') {return `task.delete("${esc(body.id)}")`;}
             return 'taskManager.open()';
         case 'window': {
             if (action === 'open' && body.widgetType) {
@@ -1073,6 +1404,10 @@ function mapActionToCommand(actionType, body, result) {
             return 'calendar.open()';
         case 'storage':
             return null;
+        case 'password':
+            if (action === 'generate' && result?.success) {return `password.generate(${result.length}, ${JSON.stringify(result.options)})`;}
+            if (action === 'open') {return 'password.open()';}
+            return null;
         case 'system':
             return null;
         case 'scheduler':
@@ -1117,13 +1452,106 @@ function mapActionToCommand(actionType, body, result) {
     }
 }
 
+// ─── Action Inverses (undo journal) ──────────────────
+// What an action changes has to be read before it runs; inverseOfAction()
+// then turns that into the action calls that put it back. Actions without
+// an entry here are journaled but can't be undone.
+
+/** State an action is about to change, for building its inverse. */
+function captureBeforeAction(actionType, body, windowData) {
+    const action = body.action;
+    if (actionType === 'window' && (action === 'close' || action === 'close_all')) {
+        const windows = windowData?.windows || [];
+        return { windows: action === 'close' ? windows.filter(w => w.id === body.windowId) : windows };
+    }
+    if (actionType === 'task' && action === 'delete' && body.id) {
+        // Tasks live in the browser; the journal remembers the ones the agent created
+        const created = findAction(e => e.actionType === 'task' && e.ok && e.result?.task?.id === body.id);
+        return { task: created?.result.task || (body.title ? { ...body } : null) };
+    }
+    if (actionType === 'storage' && (action === 'set' || action === 'delete') && body.key) {
+        const entry = getEntry(body.namespace || 'default', body.key);
+        return { entry: entry ? structuredClone(entry) : null };
+    }
+    if (actionType === 'file' && action === 'write' && body.path) {
+        // A write that creates the file has no previous version to restore
+        const check = checkFsAccess(body.path, 'write');
+        return check.allowed ? { existed: fs.existsSync(check.path) } : {};
+    }
+    return {};
+}
+
+/**
+ * Inverse of a finished action, or null.
+ * @returns {import('./utils/actionJournal.js').ActionInverse | null}
+ */
+function inverseOfAction(actionType, body, result, before) {
+    if (!result || result.error || result.success === false) {return null;}
+    const action = body.action;
+    const step = (type, stepBody) => ({ actionType: type, body: stepBody });
+
+    if (actionType === 'task' && action === 'create' && result.task) {
+        return { description: `Delete task "${result.task.title}"`, steps: [step('task', { action: 'delete', id: result.task.id })] };
+    }
+    if (actionType === 'task' && action === 'delete' && before.task) {
+        const { id, title, priority, dueDate, dueTime } = before.task;
+        return {
+            description: `Recreate task "${title}"`,
+            steps: [step('task', { action: 'create', id: id || body.id, title, priority, dueDate, dueTime })],
+        };
+    }
+    if (actionType === 'window' && (action === 'close' || action === 'close_all') && before.windows?.length) {
+        const reopen = before.windows.filter(w => WIDGET_OPEN_COMMANDS[w.type]);
+        if (reopen.length === 0) {return null;}
+        return {
+            description: `Reopen ${reopen.map(w => w.title || w.type).join(', ')}`,
+            steps: reopen.map(w => step('window', { action: 'open', widgetType: w.type })),
+        };
+    }
+    if (actionType === 'file' && action === 'write' && result.previousVersion) {
+        return {
+            description: `Restore ${result.path} to its content before the write`,
+            steps: [step('file', { action: 'restore', path: result.path, version: result.previousVersion })],
+        };
+    }
+    if (actionType === 'file' && action === 'write' && before.existed === false) {
+        return {
+            description: `Move ${result.path}, created by the write, to the Trash`,
+            steps: [step('spacelens', { action: 'delete', path: result.path })],
+        };
+    }
+    if (actionType === 'file' && action === 'restore' && result.snapshot?.id) {
+        return {
+            description: `Put back the content of ${result.path} from before the restore`,
+            steps: [step('file', { action: 'restore', path: result.path, version: result.snapshot.id })],
+        };
+    }
+    if (actionType === 'storage' && (action === 'set' || action === 'delete') && 'entry' in before) {
+        const namespace = body.namespace || 'default';
+        const prev = before.entry;
+        if (!prev) {
+            return action === 'set'
+                ? { description: `Delete ${namespace}:${body.key}`, steps: [step('storage', { action: 'delete', namespace, key: body.key })] }
+                : null;
+        }
+        return {
+            description: `Restore the previous value of ${namespace}:${body.key}`,
+            steps: [step('storage', { action: 'set', namespace, key: body.key, value: prev.value, expiresAt: prev.meta?.expiresAt })],
+        };
+    }
+    return null;
+}
+
 // ─── Action Handlers ──────────────────────────────────
 
 async function handleTaskAction(body) {
     const { action = 'list' } = body;
     switch (action) {
         case 'create': {
-            const id = Math.random().toString(36).substring(2, 12).toUpperCase();
+            // An id is only passed when undo recreates a deleted task
+            const id = typeof body.id === 'string' && /^[\w-]{1,40}$/.test(body.id)
+                ? body.id
+                : Math.random().toString(36).substring(2, 12).toUpperCase();
             return {
                 success: true,
                 task: {
@@ -1142,6 +1570,9 @@ async function handleTaskAction(body) {
             return { success: true, tasks: [], message: 'Task list (client-side store — use OniOS UI)' };
         case 'complete':
             return { success: true, message: `Task ${body.id} marked complete` };
+        case 'delete':
+            if (!body.id) {return { error: 'id required' };}
+            return { success: true, id: body.id, message: `Task ${body.id} deleted` };
         default:
             return { error: `Unknown task action: ${action}` };
     }
@@ -1190,8 +1621,15 @@ async function handleNoteAction(body) {
             const title = body.title || 'Untitled';
             const filename = title.replace(/[^a-zA-Z0-9-_ ]/g, '') + '.md';
             const filePath = path.join(NOTES_DIR, filename);
+            const previous = await snapshotBeforeWrite(filePath, 'agent');
             fs.writeFileSync(filePath, body.content || `# ${title}\n`);
-            return { success: true, path: filePath, title, message: `Created note "${title}"` };
+            return {
+                success: true,
+                path: filePath,
+                title,
+                previousVersion: previous?.id ?? null,
+                message: `Created note "${title}"${previous ? ` (previous content saved as version ${previous.id})` : ''}`,
+            };
         }
         case 'list': {
             ensureDir(NOTES_DIR);
@@ -1238,13 +1676,31 @@ async function handleTerminalAction(body) {
     }
 }
 
+/** Policy check for the agent's file action; returns the absolute path or a violation result. */
+function checkAgentPath(rawPath, op, action, actionType = 'file') {
+    const check = checkFsAccess(rawPath, op);
+    if (check.allowed) {return { path: check.path };}
+    auditFsViolation(check.violation, { source: 'agent', endpoint: `/api/oni/actions/${actionType}:${action}` });
+    return { denied: { success: false, error: check.violation.message, code: 'FS_POLICY_VIOLATION', ...check.violation } };
+}
+
 async function handleFileAction(body) {
     const { action = 'list' } = body;
-    const resolvePath = (p) => p.replace(/^~/, os.homedir());
+    if (action === 'archive') {return handleArchiveAction(body);}
+    if (action === 'batch') {return handleBatchAction(body);}
+    if (action === 'job') {return handleJobAction(body);}
+    if (!['list', 'search'].includes(action) && !body.path) {return { error: 'path required' };}
+    // Same root jail as /api/fs/* (utils/fsPolicy.js)
+    const check = checkAgentPath(body.path || '~', ['write', 'restore'].includes(action) ? 'write' : 'read', action);
+    if (check.denied) {return check.denied;}
     switch (action) {
         case 'list': {
-            const dirPath = resolvePath(body.path || '~');
+            const dirPath = check.path;
             if (!fs.existsSync(dirPath)) {return { error: `Path not found: ${dirPath}` };}
+            if (fs.statSync(dirPath).isFile() && await detectFormat(dirPath)) {
+                const { format, entries } = await listArchive(dirPath);
+                return { success: true, path: dirPath, format, totalEntries: entries.length, entries: entries.slice(0, 200) };
+            }
             const entries = fs.readdirSync(dirPath, { withFileTypes: true }).slice(0, 100);
             return {
                 success: true,
@@ -1257,46 +1713,259 @@ async function handleFileAction(body) {
             };
         }
         case 'read': {
-            const filePath = resolvePath(body.path);
+            const filePath = check.path;
             if (!fs.existsSync(filePath)) {return { error: `File not found: ${filePath}` };}
             const stat = fs.statSync(filePath);
             if (stat.size > 1024 * 1024) {return { error: 'File too large (>1MB)' };}
             return { success: true, content: fs.readFileSync(filePath, 'utf-8'), path: filePath };
         }
+        case 'search': {
+            let options;
+            try {
+                options = normalizeSearchOptions({ limit: 100, ...body });
+            } catch (err) {
+                return { error: err.message };
+            }
+            if (!fs.existsSync(check.path)) {return { error: `Path not found: ${check.path}` };}
+            const results = [];
+            let summary = {};
+            for await (const event of searchFiles(check.path, options)) {
+                if (event.type === 'match') {
+                    const { type: _type, ...result } = event;
+                    results.push(result);
+                } else {
+                    const { type: _type, ...stats } = event;
+                    summary = stats;
+                }
+            }
+            return { success: true, path: check.path, results, ...summary };
+        }
         case 'write': {
-            const filePath = resolvePath(body.path);
+            const filePath = check.path;
             ensureDir(path.dirname(filePath));
+            const previous = await snapshotBeforeWrite(filePath, 'agent');
             fs.writeFileSync(filePath, body.content || '');
-            return { success: true, path: filePath, message: `Written ${body.content?.length || 0} bytes` };
+            return {
+                success: true,
+                path: filePath,
+                previousVersion: previous?.id ?? null,
+                message: `Written ${body.content?.length || 0} bytes${previous ? ` (previous content saved as version ${previous.id})` : ''}`,
+            };
+        }
+        case 'versions': {
+            const { current, versions } = await listVersions(check.path);
+            return { success: true, path: check.path, current, versions: versions.slice(0, 20), totalVersions: versions.length };
+        }
+        case 'diff':
+        case 'restore': {
+            const version = body.version || body.from;
+            if (!version) {return { error: 'version required (an id from the versions action)' };}
+            try {
+                if (action === 'diff') {
+                    return { success: true, ...await diffVersions(check.path, version, body.to || 'current') };
+                }
+                const result = await restoreVersion(check.path, version, { source: 'agent' });
+                return { success: true, ...result, message: `Restored ${check.path} to version ${version}` };
+            } catch (err) {
+                return { success: false, error: err.message, code: err.code };
+            }
+        }
+        case 'extract': {
+            if (!fs.existsSync(check.path)) {return { error: `File not found: ${check.path}` };}
+            const dest = checkAgentPath(body.dest || defaultExtractPath(check.path), 'write', action);
+            if (dest.denied) {return dest.denied;}
+            try {
+                const result = await extractArchive(check.path, dest.path, {
+                    entries: Array.isArray(body.entries) ? body.entries : undefined,
+                    checkPath: (absPath) => {
+                        const inner = checkAgentPath(absPath, 'write', action);
+                        if (inner.denied) {throw Object.assign(new Error(inner.denied.error), { code: 'FS_POLICY_VIOLATION' });}
+                    },
+                });
+                return { success: true, ...result, message: `Extracted ${result.files} file(s) to ${result.path}` };
+            } catch (err) {
+                return { success: false, error: err.message, code: err.code };
+            }
         }
         default:
             return { error: `Unknown file action: ${action}` };
     }
 }
 
+async function handleArchiveAction(body) {
+    const { format = 'zip' } = body;
+    const rawPaths = Array.isArray(body.paths) ? body.paths : [body.path].filter(Boolean);
+    if (rawPaths.length === 0) {return { error: 'paths required' };}
+    if (!ARCHIVE_FORMATS.includes(format)) {return { error: `Unknown format: ${format} (use ${ARCHIVE_FORMATS.join(' or ')})` };}
+    const sources = [];
+    for (const rawPath of rawPaths) {
+        const source = checkAgentPath(rawPath, 'read', 'archive');
+        if (source.denied) {return source.denied;}
+        if (!fs.existsSync(source.path)) {return { error: `Path not found: ${source.path}` };}
+        sources.push(source.path);
+    }
+    const dest = checkAgentPath(body.dest || defaultArchivePath(sources, format), 'write', 'archive');
+    if (dest.denied) {return dest.denied;}
+    try {
+        const result = await createArchiveFile(sources, format, dest.path, { overwrite: Boolean(body.overwrite) });
+        return { success: true, format, ...result, message: `Created ${result.path} (${result.entries} entries)` };
+    } catch (err) {
+        return { success: false, error: err.message, code: err.code };
+    }
+}
+
+const MAX_BATCH_WAIT_MS = 60000;
+const BATCH_SOURCE_OPS = { copy: 'read', move: 'move', rename: 'move', delete: 'delete' };
+
+/** Resolve with the job once it finishes, or its current state after `waitMs`. */
+function waitForJob(id, waitMs) {
+    const job = getJob(id);
+    if (!job || waitMs <= 0 || !['queued', 'running'].includes(job.status)) {return Promise.resolve(job);}
+    return new Promise((resolve) => {
+        let unsubscribe = () => {};
+        const timer = setTimeout(() => {
+            unsubscribe();
+            resolve(getJob(id));
+        }, waitMs);
+        unsubscribe = subscribeJob(id, (event) => {
+            if (event !== 'done') {return;}
+            clearTimeout(timer);
+            unsubscribe();
+            resolve(getJob(id));
+        });
+    });
+}
+
+/** Job summary plus the items that didn't go through, for the agent to report. */
+function describeJob(job) {
+    const problems = job.items.filter((i) => i.state === 'failed').slice(0, 20)
+        .map(({ from, error, code }) => ({ path: from, error, code }));
+    return { ...jobSummary(job), ...(problems.length > 0 && { problems }) };
+}
+
+async function handleBatchAction(body) {
+    const { op, conflict = 'skip' } = body;
+    const sourceOp = BATCH_SOURCE_OPS[op];
+    if (!sourceOp) {return { error: `op must be one of ${JOB_OPS.join(', ')}` };}
+    const rawPaths = Array.isArray(body.paths) ? body.paths : [body.path].filter(Boolean);
+    if (rawPaths.length === 0) {return { error: 'paths required' };}
+    const sources = [];
+    for (const rawPath of rawPaths) {
+        const source = checkAgentPath(rawPath, sourceOp, 'batch');
+        if (source.denied) {return source.denied;}
+        if (!fs.existsSync(source.path)) {return { error: `Path not found: ${source.path}` };}
+        sources.push(source.path);
+    }
+    let dest;
+    if (body.dest) {
+        const check = checkAgentPath(body.dest, 'write', 'batch');
+        if (check.denied) {return check.denied;}
+        dest = check.path;
+    }
+    let job;
+    try {
+        job = submitJob({
+            op, sources, dest, conflict,
+            find: body.find,
+            replace: body.replace,
+            ignoreCase: Boolean(body.ignoreCase),
+            permanent: Boolean(body.permanent),
+            startedBy: 'agent',
+        });
+    } catch (err) {
+        return { success: false, error: err.message, code: err.code };
+    }
+    const waitMs = body.wait === false ? 0 : Math.min(Math.max(Number(body.waitMs) || 20000, 0), MAX_BATCH_WAIT_MS);
+    const result = describeJob(await waitForJob(job.id, waitMs));
+    const finished = !['queued', 'running'].includes(result.status);
+    return {
+        success: result.status !== 'failed',
+        job: result,
+        message: finished
+            ? `${op} ${result.status}: ${result.done} done, ${result.skipped} skipped, ${result.failed} failed`
+            : `${op} job ${result.id} still running (${result.progress.itemsDone}/${result.progress.itemsTotal}); check with {"action":"job","id":"${result.id}"}`,
+    };
+}
+
+async function handleJobAction(body) {
+    if (!body.id) {return { success: true, jobs: listJobs().slice(0, 10) };}
+    if (body.cancel) {
+        const job = cancelJob(body.id);
+        return job ? { success: true, job } : { error: `No job ${body.id}` };
+    }
+    const job = await waitForJob(body.id, Math.min(Math.max(Number(body.waitMs) || 0, 0), MAX_BATCH_WAIT_MS));
+    return job ? { success: true, job: describeJob(job) } : { error: `No job ${body.id}` };
+}
+
 async function handleSearchAction(body) {
     if (!body.query) {return { error: 'query required' };}
-    return { success: true, query: body.query, results: [], message: 'Web search (use Oni Chat for search results)' };
+    try {
+        const result = await searchWeb(body.query, { provider: body.provider || 'auto', count: body.count });
+        return { success: true, ...result };
+    } catch (err) {
+        return {
+            error: err.message,
+            code: err.code,
+            ...(err.retryAfterMs && { retryAfterMs: err.retryAfterMs }),
+            ...(err.skipped && { skipped: err.skipped }),
+        };
+    }
+}
+
+const MAX_STORAGE_WAIT_MS = 30000;
+
+/**
+ * Long-poll the storage change feed: resolves with changes after `cursor`
+ * as soon as one matching change exists, or empty after `waitMs`.
+ */
+function waitForStorageChanges(cursor, filter, waitMs) {
+    const backlog = changesSince(cursor, filter);
+    if (backlog.reset || backlog.changes.length > 0 || !cursor || waitMs <= 0) {return Promise.resolve(backlog);}
+    return new Promise((resolve) => {
+        let unwatch = () => {};
+        const timer = setTimeout(() => {
+            unwatch();
+            resolve(changesSince(cursor, filter));
+        }, waitMs);
+        unwatch = watchChanges((change) => {
+            if (!matchesChange(change, filter)) {return;}
+            clearTimeout(timer);
+            unwatch();
+            resolve(changesSince(cursor, filter));
+        });
+    });
 }
 
 async function handleStorageAction(body) {
-    const STORAGE_FILE = path.join(ONIOS_DIR, 'storage.json');
-    const store = readJSON(STORAGE_FILE, {});
     const { action = 'get', namespace = 'default', key } = body;
+    if (action === 'changes') {
+        // Without a namespace in the request, watch every namespace
+        const filter = { ns: body.namespace, prefix: body.prefix };
+        const waitMs = Math.min(Math.max(Number(body.waitMs) || 0, 0), MAX_STORAGE_WAIT_MS);
+        const result = await waitForStorageChanges(body.cursor, filter, waitMs);
+        return { success: true, ...result };
+    }
+    if (action !== 'list' && !key) {return { error: 'key required' };}
     const fullKey = `${namespace}:${key}`;
     switch (action) {
-        case 'get':
-            return { success: true, value: store[fullKey]?.value ?? null };
-        case 'set':
-            store[fullKey] = { value: body.value, ns: namespace, key, meta: { updated: Date.now() } };
-            writeJSON(STORAGE_FILE, store);
-            return { success: true, message: `Stored ${fullKey}` };
-        case 'delete':
-            delete store[fullKey];
-            writeJSON(STORAGE_FILE, store);
+        case 'get': {
+            const entry = getEntry(namespace, key);
+            return { success: true, value: entry?.value ?? null, version: entryVersion(entry), expiresAt: entry?.meta?.expiresAt || null };
+        }
+        case 'set': {
+            const result = await setEntry(namespace, key, body.value, {
+                ttl: body.ttl, expiresAt: body.expiresAt, ifVersion: body.ifVersion,
+            });
+            if (!result.ok) {return { error: result.error, conflict: result.status === 409, version: result.version };}
+            return { success: true, message: `Stored ${fullKey}`, version: result.entry.meta.version };
+        }
+        case 'delete': {
+            const result = await deleteEntry(namespace, key, { ifVersion: body.ifVersion });
+            if (!result.ok) {return { error: result.error, conflict: result.status === 409, version: result.version };}
             return { success: true, message: `Deleted ${fullKey}` };
+        }
         case 'list': {
-            const keys = Object.keys(store).filter(k => !namespace || k.startsWith(namespace + ':'));
+            const keys = listEntries(namespace, { prefix: body.prefix }).map(([k, meta]) => ({ key: k, version: entryVersion({ meta }) }));
             return { success: true, keys };
         }
         default:
@@ -1304,6 +1973,57 @@ async function handleStorageAction(body) {
     }
 }
 
+// ─── Password Vault ──────────────────────────────────
+// The vault only ever decrypts in the browser. The agent gets the audit
+// digest (summary plus at-risk ids, titles and issue types) pushed with the
+// widget context, and generation happens in the frontend (result goes to the
+// clipboard, never through the gateway).
+
+const GENERATOR_OPTION_KEYS = ['uppercase', 'lowercase', 'numbers', 'symbols', 'excludeAmbiguous'];
+const AUDIT_ISSUE_TYPES = ['weak', 'reused', 'stale', 'insecure'];
+
+function handlePasswordAction(body, latestAudit) {
+    const { action = 'audit' } = body;
+    switch (action) {
+        case 'open':
+            return { success: true, message: 'Password Manager opened' };
+        case 'audit': {
+            const { report, timestamp } = latestAudit;
+            if (!report) {
+                return {
+                    success: false,
+                    locked: true,
+                    error: 'No audit available — the vault is locked. Ask the user to unlock the Password Manager.',
+                };
+            }
+            if (body.issue && !AUDIT_ISSUE_TYPES.includes(body.issue)) {
+                return { success: false, error: `Unknown issue type: ${body.issue} (expected ${AUDIT_ISSUE_TYPES.join(', ')})` };
+            }
+            const { atRisk = [], ...digest } = report;
+            const entries = body.issue
+                ? atRisk.filter(e => e.issues.some(i => i.type === body.issue))
+                : atRisk;
+            return { success: true, ...digest, entries, reportedAt: timestamp };
+        }
+        case 'generate': {
+            const length = Math.min(128, Math.max(6, Number(body.length) || 20));
+            const options = {};
+            for (const key of GENERATOR_OPTION_KEYS) {
+                if (typeof body[key] === 'boolean') {options[key] = body[key];}
+            }
+            if (typeof body.exclude === 'string') {options.exclude = body.exclude.slice(0, 64);}
+            return {
+                success: true,
+                length,
+                options,
+                message: `Generating a ${length}-character password in the Password Manager; it will be copied to the user's clipboard`,
+            };
+        }
+        default:
+            return { success: false, error: `Unknown password action: ${action}` };
+    }
+}
+
 function handleSystemAction() {
     return {
         success: true,
@@ -1322,7 +2042,7 @@ function handleSystemAction() {
 async function handleSchedulerAction(body) {
     const { action = 'status' } = body;
     const SCHEDULER_FILE = path.join(os.homedir(), '.onios', 'scheduler.json');
-    const state = readJSON(SCHEDULER_FILE, { tasks: [], events: [], scheduledJobs: [] });
+    const state = readJSONFile(SCHEDULER_FILE, { tasks: [], events: [], scheduledJobs: [] });
     switch (action) {
         case 'status':
             return { success: true, tasks: state.tasks?.length || 0, events: state.events?.length || 0, jobs: state.scheduledJobs?.length || 0 };
@@ -1332,6 +2052,20 @@ async function handleSchedulerAction(body) {
             return { success: true, events: state.events || [] };
         case 'list_jobs':
             return { success: true, jobs: state.scheduledJobs || [] };
+        case 'list_runs': {
+            const runsByJob = state.jobRuns || {};
+            const limit = Math.min(body.limit || 20, 50);
+            const id = body.id || body.jobId;
+            if (id) {
+                const job = (state.scheduledJobs || []).find(j => j.id === id);
+                if (!job && !runsByJob[id]) {return { error: `Job not found: ${id}` };}
+                return { success: true, jobId: id, name: job?.name || null, runs: (runsByJob[id] || []).slice(0, limit) };
+            }
+            const runs = Object.values(runsByJob).flat()
+                .toSorted((a, b) => b.startedAt - a.startedAt)
+                .slice(0, limit);
+            return { success: true, runs };
+        }
         case 'create_timer': {
             // One-shot timer: fires once after N minutes/seconds
             const minutes = body.minutes || body.duration || 1;
@@ -1351,43 +2085,54 @@ async function handleSchedulerAction(body) {
                 nextRun: fireAt,
                 runCount: 0,
                 createdAt: Date.now(),
+                origin: 'agent',
             };
-            state.scheduledJobs = [...(state.scheduledJobs || []), job];
-            writeJSON(SCHEDULER_FILE, state);
+            await addScheduledJob(job);
             const fireTime = new Date(fireAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
             return { success: true, job, message: `Timer set for ${minutes} ${unit} (fires at ${fireTime})` };
         }
         case 'create_job': {
             // Recurring job: schedule format matches schedulerPlugin expectations
-            const interval = body.interval || 1;
-            const unit = body.unit || 'hours';
+            let schedule;
+            if (body.cron || body.preset) {
+                try {
+                    schedule = normalizeSchedule({ cron: body.cron, preset: body.preset, at: body.at, tz: body.tz });
+                } catch (err) {
+                    return { error: err.message };
+                }
+            } else {
+                schedule = {
+                    interval: body.interval || 1,
+                    unit: body.unit || 'hours',
+                    at: body.at || null,
+                    dayOfWeek: body.dayOfWeek || null,
+                };
+            }
             const job = {
                 id: Math.random().toString(36).substring(2, 12),
                 name: body.name || 'Untitled Job',
                 command: body.command || `notify("⏰ ${body.name || 'Scheduled job'}")`,
                 message: body.message || null,
-                schedule: {
-                    interval,
-                    unit,
-                    at: body.at || null,
-                    dayOfWeek: body.dayOfWeek || null,
-                },
+                schedule,
                 enabled: true,
                 oneShot: false,
+                misfirePolicy: body.misfirePolicy || null,
+                maxCatchUp: body.maxCatchUp || null,
+                maxAttempts: body.maxAttempts || null,
+                retryBackoffMs: body.retryBackoffMs || null,
                 lastRun: null,
                 nextRun: null,
                 runCount: 0,
                 createdAt: Date.now(),
+                origin: 'agent',
             };
-            state.scheduledJobs = [...(state.scheduledJobs || []), job];
-            writeJSON(SCHEDULER_FILE, state);
+            await addScheduledJob(job);
             return { success: true, job };
         }
         case 'delete_job': {
             const id = body.id || body.jobId;
             if (!id) {return { error: 'Missing job id' };}
-            state.scheduledJobs = (state.scheduledJobs || []).filter(j => j.id !== id);
-            writeJSON(SCHEDULER_FILE, state);
+            await removeScheduledJob(id);
             return { success: true, deleted: id };
         }
         default:
@@ -1395,6 +2140,17 @@ async function handleSchedulerAction(body) {
     }
 }
 
+/** checkAgentPath for a file the agent writes in a project; the file must stay inside the project. */
+function checkProjectFile(projectDir, filePath, action) {
+    const root = expandPath(projectDir);
+    const fullPath = path.join(root, filePath);
+    const rel = path.relative(root, fullPath);
+    if (rel === '' || rel.startsWith('..') || path.isAbsolute(rel)) {
+        return { denied: { success: false, error: `${filePath} is outside the project` } };
+    }
+    return checkAgentPath(fullPath, 'write', action, 'project');
+}
+
 async function handleProjectAction(body) {
     const { action = 'create' } = body;
     const PROJECTS_DIR = path.join(os.homedir(), 'OniOS-Projects');
@@ -1403,7 +2159,18 @@ async function handleProjectAction(body) {
         case 'create': {
             const name = body.name || body.projectName || 'untitled-project';
             const safeName = name.replace(/[^a-zA-Z0-9_-]/g, '-').toLowerCase();
-            const projectDir = path.join(body.path || PROJECTS_DIR, safeName);
+            const dirCheck = checkAgentPath(path.join(body.path || PROJECTS_DIR, safeName), 'write', action, 'project');
+            if (dirCheck.denied) {return dirCheck.denied;}
+            const projectDir = dirCheck.path;
+
+            // Check every file before writing any of them
+            const files = body.files && typeof body.files === 'object' ? Object.entries(body.files) : [];
+            const targets = [];
+            for (const [filePath, content] of files) {
+                const check = checkProjectFile(projectDir, filePath, action);
+                if (check.denied) {return check.denied;}
+                targets.push({ filePath, fullPath: check.path, content });
+            }
 
             // Create project directory
             if (!fs.existsSync(projectDir)) {
@@ -1412,14 +2179,12 @@ async function handleProjectAction(body) {
 
             // Write files if provided
             const filesWritten = [];
-            if (body.files && typeof body.files === 'object') {
-                for (const [filePath, content] of Object.entries(body.files)) {
-                    const fullPath = path.join(projectDir, filePath);
-                    const dir = path.dirname(fullPath);
-                    if (!fs.existsSync(dir)) {fs.mkdirSync(dir, { recursive: true });}
-                    fs.writeFileSync(fullPath, content, 'utf-8');
-                    filesWritten.push(filePath);
-                }
+            for (const { filePath, fullPath, content } of targets) {
+                const dir = path.dirname(fullPath);
+                if (!fs.existsSync(dir)) {fs.mkdirSync(dir, { recursive: true });}
+                await snapshotBeforeWrite(fullPath, 'agent');
+                fs.writeFileSync(fullPath, content, 'utf-8');
+                filesWritten.push(filePath);
             }
 
             // Create context.md for AI context preservation
@@ -1467,11 +2232,14 @@ async function handleProjectAction(body) {
             if (!projectPath) {return { error: 'Project path required' };}
             if (!body.filePath) {return { error: 'filePath required' };}
             if (body.content === undefined) {return { error: 'content required' };}
-            const fullPath = path.join(projectPath, body.filePath);
+            const check = checkProjectFile(projectPath, body.filePath, action);
+            if (check.denied) {return check.denied;}
+            const fullPath = check.path;
             const dir = path.dirname(fullPath);
             if (!fs.existsSync(dir)) {fs.mkdirSync(dir, { recursive: true });}
+            const previous = await snapshotBeforeWrite(fullPath, 'agent');
             fs.writeFileSync(fullPath, body.content, 'utf-8');
-            return { success: true, path: fullPath, message: `Wrote ${body.filePath}` };
+            return { success: true, path: fullPath, previousVersion: previous?.id ?? null, message: `Wrote ${body.filePath}` };
         }
         case 'read_context': {
             const projectPath = body.path;
@@ -1483,8 +2251,11 @@ async function handleProjectAction(body) {
         case 'update_context': {
             const projectPath = body.path;
             if (!projectPath) {return { error: 'Project path required' };}
-            const ctxPath = path.join(projectPath, 'context.md');
             if (!body.content) {return { error: 'content required' };}
+            const check = checkProjectFile(projectPath, 'context.md', action);
+            if (check.denied) {return check.denied;}
+            const ctxPath = check.path;
+            await snapshotBeforeWrite(ctxPath, 'agent');
             fs.writeFileSync(ctxPath, body.content, 'utf-8');
             return { success: true, message: 'context.md updated' };
         }
@@ -1514,7 +2285,7 @@ async function handleWorkflowAction(body) {
         }
         case 'sync_to_oni': {
             const SCHEDULER_FILE = path.join(os.homedir(), '.onios', 'scheduler.json');
-            const state = readJSON(SCHEDULER_FILE, { scheduledJobs: [] });
+            const state = readJSONFile(SCHEDULER_FILE, { scheduledJobs: [] });
             const jobs = state.scheduledJobs || [];
             return {
                 success: true,
@@ -1640,23 +2411,41 @@ async function handleSpaceLensAction(body) {
         }
         case 'delete': {
             if (!body.path) {return { error: 'path required' };}
-            const target = body.path;
             // Safety: never delete critical system paths
             const blocked = ['/', '/System', '/Library', '/usr', '/bin', '/sbin', '/var', '/private', '/etc', '/tmp', '/cores', os.homedir()];
-            if (blocked.includes(target) || blocked.some(b => target === b + '/')) {
-                return { error: `Cannot delete protected path: ${target}` };
+            if (blocked.includes(body.path) || blocked.some(b => body.path === b + '/')) {
+                return { error: `Cannot delete protected path: ${body.path}` };
+            }
+            const check = checkFsAccess(body.path, 'delete');
+            if (!check.allowed) {
+                auditFsViolation(check.violation, { source: 'agent', endpoint: '/api/oni/actions/spacelens:delete' });
+                return { success: false, error: check.violation.message, code: 'FS_POLICY_VIOLATION', ...check.violation };
             }
+            // Always recoverable: permanent deletion is only possible from the trash itself
             try {
-                if (body.trash !== false) {
-                    // Move to trash (macOS)
-                    execSync(`osascript -e 'tell application "Finder" to delete POSIX file "${target}"' 2>/dev/null`, { timeout: 10000 });
-                    return { success: true, message: `Moved to Trash: ${path.basename(target)}` };
-                } else {
-                    fs.rmSync(target, { recursive: true, force: true });
-                    return { success: true, message: `Permanently deleted: ${path.basename(target)}` };
-                }
+                const entry = await moveToTrash(check.path, { source: body.source === 'user' ? 'user' : 'agent' });
+                return { success: true, id: entry.id, message: `Moved to Trash: ${entry.name}` };
+            } catch (err) {
+                return { error: `Delete failed: ${err.message}`, code: err.code };
+            }
+        }
+        case 'trash': {
+            const { items, totalBytes } = await listTrash();
+            return { success: true, items: items.slice(0, 100), count: items.length, totalBytes };
+        }
+        case 'restore': {
+            const entry = body.id && getTrashEntry(body.id);
+            if (!entry) {return { error: 'id of a trashed item required (see action "trash")' };}
+            const check = checkFsAccess(entry.originalPath, 'write');
+            if (!check.allowed) {
+                auditFsViolation(check.violation, { source: 'agent', endpoint: '/api/oni/actions/spacelens:restore' });
+                return { success: false, error: check.violation.message, code: 'FS_POLICY_VIOLATION', ...check.violation };
+            }
+            try {
+                const restored = await restoreFromTrash(entry.id);
+                return { success: true, path: restored.restoredTo, message: `Restored ${restored.name}` };
             } catch (err) {
-                return { error: `Delete failed: ${err.message}` };
+                return { error: `Restore failed: ${err.message}`, code: err.code };
             }
         }
         case 'reveal': {
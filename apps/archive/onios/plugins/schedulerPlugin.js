@@ -7,6 +7,22 @@
  * - Tasks with due date/time approaching → queues notifications
  * - Overdue tasks → queues notifications
  *
+ * Job schedules are either legacy intervals ({ interval, unit, at }) or cron
+ * expressions / presets ({ cron, tz } or { preset, at, tz }) evaluated in the
+ * job's timezone (falling back to the scheduler-wide timezone setting).
+ *
+ * Missed runs: on startup, jobs that came due while the server was down are
+ * handled per their `misfirePolicy` — 'skip', 'fire-once' or 'fire-all'
+ * (bounded by `maxCatchUp`). Defaults come from the scheduler settings.
+ * Every run, including catch-up runs, is appended to a bounded per-job history.
+ *
+ * Run results: a job's command executes in the client, so its run stays
+ * 'pending' until the client reports back via POST .../runs/:runId. Failed runs
+ * are retried with exponential backoff until `maxAttempts` is reached; runs
+ * with no report after RUN_RESULT_TIMEOUT_MS are marked 'timeout'. Jobs the
+ * agent created carry `origin: 'agent'`, which the command notification passes
+ * on so the client runs them through its approval gate.
+ *
  * Persists all data to ~/.onios/scheduler.json on disk.
  * The client syncs from the server on connect and pushes changes via REST API.
  *
@@ -21,19 +37,30 @@
  *   POST /api/scheduler/jobs           — add scheduled job
  *   PUT  /api/scheduler/jobs/:id       — update job
  *   DELETE /api/scheduler/jobs/:id     — delete job
+ *   GET  /api/scheduler/jobs/:id/runs  — job run history (newest first)
+ *   POST /api/scheduler/jobs/:id/runs/:runId — client reports a run result { status, output, error }
  *   GET  /api/scheduler/notifications  — get queued notifications (and clear)
  *   POST /api/scheduler/sync           — client pushes full state to server
- *   GET  /api/scheduler/status         — scheduler engine status
+ *   GET  /api/scheduler/status?next=N  — scheduler engine status + next N fire times per job
+ *   GET/PUT /api/scheduler/settings    — scheduler settings (timezone, misfire and retry defaults)
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import crypto from 'crypto';
+import { defaultTimezone, isValidTimezone, nextCronTime, normalizeSchedule } from './utils/cron.js';
+import { readJSONFile, writeJSONFileAsync } from './utils/persistence.js';
 
 const DATA_DIR = path.join(os.homedir(), '.onios');
 const DATA_FILE = path.join(DATA_DIR, 'scheduler.json');
 
+const MISFIRE_POLICIES = ['skip', 'fire-once', 'fire-all'];
+const MAX_RUNS_PER_JOB = 50;
+const OUTPUT_EXCERPT_CHARS = 1000;
+const RUN_RESULT_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_RETRY_BACKOFF_MS = 60 * 60 * 1000;
+
 function nanoid(len = 10) {
     return crypto.randomBytes(len).toString('base64url').substring(0, len);
 }
@@ -45,9 +72,19 @@ let state = {
     events: [],
     scheduledJobs: [],
     notifications: [],  // queued for client pickup
+    jobRuns: {},        // jobId → run history, newest first
+    retries: [],        // pending retries: { jobId, job, attempt, at, scheduledFor }
+    settings: {
+        timezone: null,             // null → system timezone
+        misfirePolicy: 'fire-once', // default for jobs without their own policy
+        maxCatchUp: 10,             // cap on runs replayed by 'fire-all'
+        maxAttempts: 1,             // 1 → no retries
+        retryBackoffMs: 30000,      // first retry delay, doubled per attempt
+    },
 };
 
 let schedulerInterval = null;
+let stateLoaded = false;
 let tickCount = 0;
 let notifiedKeys = new Set();
 
@@ -56,41 +93,84 @@ let notifiedKeys = new Set();
 function loadState() {
     try {
         if (!fs.existsSync(DATA_DIR)) {fs.mkdirSync(DATA_DIR, { recursive: true });}
-        if (fs.existsSync(DATA_FILE)) {
-            const raw = fs.readFileSync(DATA_FILE, 'utf8');
-            const loaded = JSON.parse(raw);
+        const loaded = readJSONFile(DATA_FILE, null);
+        stateLoaded = true;
+        if (loaded) {
             state.tasks = loaded.tasks || [];
             state.events = loaded.events || [];
             state.scheduledJobs = loaded.scheduledJobs || [];
+            state.jobRuns = loaded.jobRuns || {};
+            state.retries = loaded.retries || [];
+            state.settings = { ...state.settings, ...loaded.settings };
             // Don't load notifications — they're ephemeral
             console.log(`[Scheduler] Loaded ${state.tasks.length} tasks, ${state.events.length} events, ${state.scheduledJobs.length} jobs from disk`);
         }
+        catchUpMissedRuns();
     } catch (err) {
         console.error('[Scheduler] Failed to load state:', err.message);
     }
 }
 
+/** Write the state to disk; rejects (after logging) when the write fails. */
 function saveState() {
+    // Snapshot now, write atomically behind any other queued writes to the file
+    return writeJSONFileAsync(DATA_FILE, {
+        tasks: state.tasks,
+        events: state.events,
+        scheduledJobs: state.scheduledJobs,
+        jobRuns: state.jobRuns,
+        retries: state.retries,
+        settings: state.settings,
+    }).catch((err) => {
+        console.error('[Scheduler] Failed to save state:', err.message);
+        throw err;
+    });
+}
+
+/** saveState() for timer-driven changes, which have no caller to report a failure to. */
+function saveStateInBackground() {
+    saveState().catch(() => { /* logged by saveState */ });
+}
+
+/**
+ * Add a scheduled job from outside the plugin (the agent's scheduler actions
+ * in oniPlugin). Changes go through the in-memory state: a direct write to
+ * scheduler.json would be overwritten by the next saveState().
+ * Rejects, with the job taken back out, when it could not be saved.
+ */
+export async function addScheduledJob(job) {
+    if (!stateLoaded) {reloadFromDisk();}
+    state.scheduledJobs.push(job);
     try {
-        if (!fs.existsSync(DATA_DIR)) {fs.mkdirSync(DATA_DIR, { recursive: true });}
-        fs.writeFileSync(DATA_FILE, JSON.stringify({
-            tasks: state.tasks,
-            events: state.events,
-            scheduledJobs: state.scheduledJobs,
-        }, null, 2), 'utf8');
+        await saveState();
     } catch (err) {
-        console.error('[Scheduler] Failed to save state:', err.message);
+        state.scheduledJobs = state.scheduledJobs.filter(j => j !== job);
+        throw err;
+    }
+}
+
+/** Remove a scheduled job from outside the plugin; see addScheduledJob. */
+export async function removeScheduledJob(id) {
+    if (!stateLoaded) {reloadFromDisk();}
+    const removed = state.scheduledJobs.filter(j => j.id === id);
+    state.scheduledJobs = state.scheduledJobs.filter(j => j.id !== id);
+    try {
+        await saveState();
+    } catch (err) {
+        state.scheduledJobs.push(...removed);
+        throw err;
     }
 }
 
 // ─── Notification Queue ────────────────────────────────
 
-function queueNotification(message, type = 'info') {
+function queueNotification(message, type = 'info', extra = {}) {
     state.notifications.push({
         id: nanoid(8),
         message,
         type,
         timestamp: Date.now(),
+        ...extra,
     });
     // Cap at 100 queued
     if (state.notifications.length > 100) {
@@ -103,10 +183,12 @@ function queueNotification(message, type = 'info') {
 function tick() {
     tickCount++;
     try {
-        // Reload from disk each tick — oniPlugin writes jobs to disk,
-        // so we must pick up newly created timers/jobs
+        // Reload from disk each tick to pick up edits made to
+        // scheduler.json outside this process
         reloadFromDisk();
         checkScheduledJobs();
+        checkRetries();
+        checkStaleRuns();
         checkTaskReminders();
         checkOverdueTasks();
     } catch (err) {
@@ -116,13 +198,16 @@ function tick() {
 
 function reloadFromDisk() {
     try {
-        if (!fs.existsSync(DATA_FILE)) {return;}
-        const raw = fs.readFileSync(DATA_FILE, 'utf8');
-        const loaded = JSON.parse(raw);
+        const loaded = readJSONFile(DATA_FILE, null);
+        stateLoaded = true;
+        if (!loaded) {return;}
         // Merge: keep notifications (ephemeral) but reload persistent data
         state.tasks = loaded.tasks || [];
         state.events = loaded.events || [];
         state.scheduledJobs = loaded.scheduledJobs || [];
+        state.jobRuns = loaded.jobRuns || state.jobRuns;
+        state.retries = loaded.retries || state.retries;
+        state.settings = { ...state.settings, ...loaded.settings };
     } catch {}
 }
 
@@ -133,13 +218,7 @@ function checkScheduledJobs() {
         if (!job.enabled) {continue;}
         const nextRun = calcNextRun(job);
         if (nextRun && now >= nextRun) {
-            const label = job.message || job.name;
-            console.log(`[Scheduler] 🔔 Firing job: ${job.name} (${job.oneShot ? 'one-shot' : 'recurring'})`);
-            queueNotification(`⏰ ${label}`, 'timer');
-            // Fire native macOS notification
-            fireNativeNotification(job.name, label);
-            job.lastRun = now;
-            job.runCount = (job.runCount || 0) + 1;
+            fireJob(job, { scheduledFor: nextRun, trigger: 'schedule' });
 
             if (job.oneShot) {
                 // One-shot timer: disable after firing, mark for removal
@@ -148,19 +227,219 @@ function checkScheduledJobs() {
             } else {
                 job.nextRun = calcNextRunAfterNow(job);
             }
+            saveStateInBackground();
+        }
+    }
+    // Remove fired one-shot timers
+    if (toRemove.length > 0) {
+        state.scheduledJobs = state.scheduledJobs.filter(j => !toRemove.includes(j.id));
+        saveStateInBackground();
+    }
+}
+
+/** Fire a job once: notify, queue its command for the client and log the run. */
+function fireJob(job, { scheduledFor, trigger, attempt = 1 }) {
+    const now = Date.now();
+    const label = job.message || job.name;
+    const note = trigger === 'schedule' ? '' : `, ${trigger}${attempt > 1 ? ` #${attempt}` : ''}`;
+    console.log(`[Scheduler] 🔔 Firing job: ${job.name} (${job.oneShot ? 'one-shot' : 'recurring'}${note})`);
+    if (attempt === 1) {
+        queueNotification(`⏰ ${label}`, 'timer');
+        // Fire native macOS notification
+        fireNativeNotification(job.name, label);
+    }
+    job.lastRun = now;
+    job.runCount = (job.runCount || 0) + 1;
+
+    // Notification-only jobs complete immediately; commands wait for the client
+    const run = recordRun(job, {
+        scheduledFor,
+        startedAt: now,
+        finishedAt: job.command ? null : now,
+        durationMs: job.command ? null : 0,
+        status: job.command ? 'pending' : 'success',
+        trigger,
+        attempt,
+        output: job.command ? null : label,
+        error: null,
+    });
+
+    // Queue the command for client execution
+    if (job.command) {
+        queueNotification(`__CMD__:${job.command}`, 'command', { jobId: job.id, runId: run.id, origin: job.origin });
+    }
+}
+
+// ─── Run History ───────────────────────────────────────
+
+function recordRun(job, run) {
+    const entry = { id: nanoid(8), jobId: job.id, ...run };
+    const runs = state.jobRuns[job.id] || [];
+    runs.unshift(entry);
+    state.jobRuns[job.id] = runs.slice(0, MAX_RUNS_PER_JOB);
+    return entry;
+}
+
+function excerpt(value) {
+    if (value === undefined || value === null) {return null;}
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > OUTPUT_EXCERPT_CHARS ? `${text.slice(0, OUTPUT_EXCERPT_CHARS)}…` : text;
+}
+
+/**
+ * Record the client-reported result of a pending run; schedules a retry when
+ * a failed run has attempts left.
+ * @returns {object|null} The updated run, or null if it does not exist.
+ */
+function completeRun(jobId, runId, { status, output, error }) {
+    const run = (state.jobRuns[jobId] || []).find((r) => r.id === runId);
+    if (!run) {return null;}
+    if (run.status !== 'pending') {return run;}
+
+    const now = Date.now();
+    run.status = status === 'success' ? 'success' : 'failed';
+    run.finishedAt = now;
+    run.durationMs = now - run.startedAt;
+    run.output = excerpt(output);
+    run.error = run.status === 'failed' ? excerpt(error || 'Command failed') : null;
+
+    const job = state.scheduledJobs.find((j) => j.id === jobId);
+    if (run.status === 'failed' && job) {scheduleRetry(job, run);}
+    saveStateInBackground();
+    return run;
+}
+
+// ─── Retries ───────────────────────────────────────────
+
+function jobMaxAttempts(job) {
+    return Math.max(1, job.maxAttempts || state.settings.maxAttempts || 1);
+}
 
-            // Queue the command for client execution
-            if (job.command) {
-                queueNotification(`__CMD__:${job.command}`, 'command');
+function retryDelay(job, attempt) {
+    const base = job.retryBackoffMs || state.settings.retryBackoffMs || 30000;
+    return Math.min(base * 2 ** (attempt - 1), MAX_RETRY_BACKOFF_MS);
+}
+
+function scheduleRetry(job, run) {
+    if (run.attempt >= jobMaxAttempts(job)) {return;}
+    const at = Date.now() + retryDelay(job, run.attempt);
+    run.retryAt = at;
+    state.retries.push({
+        jobId: job.id,
+        // Snapshot so one-shot timers can still retry after being removed
+        job: { id: job.id, name: job.name, command: job.command, message: job.message, oneShot: job.oneShot },
+        attempt: run.attempt + 1,
+        at,
+        scheduledFor: run.scheduledFor,
+    });
+    console.log(`[Scheduler] Job ${job.name} failed (attempt ${run.attempt}), retrying in ${Math.round((at - Date.now()) / 1000)}s`);
+}
+
+function checkRetries() {
+    const now = Date.now();
+    const due = state.retries.filter((r) => now >= r.at);
+    if (due.length === 0) {return;}
+    state.retries = state.retries.filter((r) => now < r.at);
+    for (const retry of due) {
+        const job = state.scheduledJobs.find((j) => j.id === retry.jobId) || retry.job;
+        fireJob(job, { scheduledFor: retry.scheduledFor, trigger: 'retry', attempt: retry.attempt });
+    }
+    saveStateInBackground();
+}
+
+/** Mark runs the client never reported on as timed out. */
+function checkStaleRuns() {
+    const cutoff = Date.now() - RUN_RESULT_TIMEOUT_MS;
+    let changed = false;
+    for (const runs of Object.values(state.jobRuns)) {
+        for (const run of runs) {
+            if (run.status === 'pending' && run.startedAt < cutoff) {
+                run.status = 'timeout';
+                run.finishedAt = Date.now();
+                run.error = 'No result reported by the client';
+                changed = true;
             }
-            saveState();
         }
     }
-    // Remove fired one-shot timers
+    if (changed) {saveStateInBackground();}
+}
+
+// ─── Missed-Run Catch-Up ───────────────────────────────
+
+function jobMisfirePolicy(job) {
+    const policy = job.misfirePolicy || state.settings.misfirePolicy;
+    return MISFIRE_POLICIES.includes(policy) ? policy : 'fire-once';
+}
+
+/**
+ * Collect fire times that passed while the server was down. Returns the most
+ * recent `limit` of them (oldest first), the first one missed and the total.
+ */
+function collectMissedRuns(job, now, limit) {
+    const missed = [];
+    let first = null;
+    let total = 0;
+    let next = calcNextRun(job);
+    while (next && next <= now) {
+        total++;
+        if (first === null) {first = next;}
+        missed.push(next);
+        if (missed.length > limit) {missed.shift();}
+        if (job.oneShot) {break;}
+        const following = calcNextRunFrom(job, next);
+        // Guard against schedules that do not advance
+        if (!following || following <= next) {break;}
+        next = following;
+        // Counting is bounded too — a seconds-interval job down for a week
+        // should not spin through every slot
+        if (total >= limit * 100) {break;}
+    }
+    return { missed, first, total };
+}
+
+/** Apply each job's misfire policy to runs missed while the server was down. */
+function catchUpMissedRuns() {
+    const now = Date.now();
+    const toRemove = [];
+    let changed = false;
+    for (const job of state.scheduledJobs) {
+        if (!job.enabled) {continue;}
+        const policy = jobMisfirePolicy(job);
+        const cap = Math.max(1, job.maxCatchUp || state.settings.maxCatchUp || 10);
+        const { missed, first, total } = collectMissedRuns(job, now, cap);
+        if (total === 0) {continue;}
+        changed = true;
+
+        let fired = [];
+        if (policy === 'fire-all') {fired = missed;}
+        else if (policy === 'fire-once') {fired = [missed[missed.length - 1]];}
+
+        for (const scheduledFor of fired) {
+            fireJob(job, { scheduledFor, trigger: 'catch-up' });
+        }
+        if (total > fired.length) {
+            recordRun(job, {
+                scheduledFor: first,
+                startedAt: now,
+                finishedAt: now,
+                status: 'skipped',
+                trigger: 'catch-up',
+                missed: total - fired.length,
+            });
+        }
+        console.log(`[Scheduler] Catch-up for ${job.name}: ${total} missed, ${fired.length} fired (${policy})`);
+
+        if (job.oneShot) {
+            job.enabled = false;
+            toRemove.push(job.id);
+        } else {
+            job.nextRun = calcNextRunAfterNow(job);
+        }
+    }
     if (toRemove.length > 0) {
         state.scheduledJobs = state.scheduledJobs.filter(j => !toRemove.includes(j.id));
-        saveState();
     }
+    if (changed) {saveStateInBackground();}
 }
 
 function fireNativeNotification(title, message) {
@@ -178,6 +457,8 @@ function fireNativeNotification(title, message) {
 
 function calcNextRun(job) {
     if (job.nextRun) {return job.nextRun;}
+    // Cron jobs wait for their first matching time instead of firing immediately
+    if (job.schedule?.cron) {return calcNextRunFrom(job, job.lastRun || job.createdAt || Date.now());}
     if (!job.lastRun) {return Date.now();}
     return calcNextRunFrom(job, job.lastRun);
 }
@@ -186,8 +467,20 @@ function calcNextRunAfterNow(job) {
     return calcNextRunFrom(job, Date.now());
 }
 
+function jobTimezone(job) {
+    return job.schedule?.tz || state.settings.timezone || defaultTimezone();
+}
+
 function calcNextRunFrom(job, fromTs) {
     const s = job.schedule;
+    if (s?.cron) {
+        try {
+            return nextCronTime(s.cron, fromTs, jobTimezone(job));
+        } catch (err) {
+            console.warn(`[Scheduler] Invalid cron for job ${job.name}: ${err.message}`);
+            return null;
+        }
+    }
     if (!s || !s.interval || !s.unit) {return null;}
     const multipliers = {
         seconds: 1000,
@@ -210,6 +503,19 @@ function calcNextRunFrom(job, fromTs) {
     return next;
 }
 
+/** Next `count` fire times for a job, starting from its pending run. */
+function upcomingRuns(job, count) {
+    if (!job.enabled) {return [];}
+    const runs = [];
+    let next = calcNextRun(job);
+    while (next && runs.length < count) {
+        runs.push(next);
+        if (job.oneShot) {break;}
+        next = calcNextRunFrom(job, next);
+    }
+    return runs;
+}
+
 function timeToMinutes(timeStr) {
     const [h, m] = timeStr.split(':').map(Number);
     return h * 60 + m;
@@ -233,7 +539,7 @@ function checkTaskReminders() {
             if (diff <= 5 && diff >= -1) {
                 queueNotification(`📋 Task due now: ${task.title}`, 'warning');
                 task.notifiedServer = true;
-                saveState();
+                saveStateInBackground();
             } else if (diff <= 15 && diff > 5) {
                 const key = `remind-15-${task.id}`;
                 if (!notifiedKeys.has(key)) {
@@ -248,7 +554,7 @@ function checkTaskReminders() {
             if (hour >= 8 && hour <= 9) {
                 queueNotification(`📋 Task due today: ${task.title}`, 'info');
                 task.notifiedServer = true;
-                saveState();
+                saveStateInBackground();
             }
         }
     }
@@ -293,6 +599,27 @@ function json(res, data, status = 200) {
     res.end(JSON.stringify(data));
 }
 
+/**
+ * A synced job keeps the origin of the job it replaces as long as its command
+ * is unchanged, so a client round-trip cannot drop the approval requirement.
+ */
+function keepJobOrigin(job) {
+    const current = state.scheduledJobs.find((j) => j.id === job?.id);
+    if (!current?.origin || current.command !== job.command) {return job;}
+    return { ...job, origin: current.origin };
+}
+
+/** Save, then answer; a failed write answers 500 instead. */
+async function saveAndRespond(res, data, status = 200) {
+    try {
+        await saveState();
+    } catch (err) {
+        json(res, { error: `Failed to save scheduler state: ${err.message}` }, 500);
+        return;
+    }
+    json(res, data, status);
+}
+
 // ─── Plugin ────────────────────────────────────────────
 
 export default function schedulerPlugin() {
@@ -326,6 +653,8 @@ export default function schedulerPlugin() {
 
             server.middlewares.use('/api/scheduler/status', (req, res, next) => {
                 if (req.method !== 'GET') {return next();}
+                const url = new URL(req.url, 'http://localhost');
+                const count = Math.min(Math.max(parseInt(url.searchParams.get('next'), 10) || 3, 1), 50);
                 json(res, {
                     running: !!schedulerInterval,
                     tickCount,
@@ -335,9 +664,64 @@ export default function schedulerPlugin() {
                     enabledJobs: state.scheduledJobs.filter((j) => j.enabled).length,
                     queuedNotifications: state.notifications.length,
                     dataFile: DATA_FILE,
+                    timezone: state.settings.timezone || defaultTimezone(),
+                    upcoming: state.scheduledJobs.map((j) => ({
+                        id: j.id,
+                        name: j.name,
+                        schedule: j.schedule,
+                        timezone: jobTimezone(j),
+                        nextRuns: upcomingRuns(j, count).map((ts) => new Date(ts).toISOString()),
+                    })),
                 });
             });
 
+            // ─── GET/PUT /api/scheduler/settings ───────
+
+            server.middlewares.use('/api/scheduler/settings', async (req, res, next) => {
+                if (req.method === 'GET') {
+                    json(res, { settings: state.settings, systemTimezone: defaultTimezone() });
+                    return;
+                }
+                if (req.method !== 'PUT') {return next();}
+                try {
+                    const body = await parseBody(req);
+                    if (body.timezone && !isValidTimezone(body.timezone)) {
+                        return json(res, { error: `Unknown timezone "${body.timezone}"` }, 400);
+                    }
+                    if (body.misfirePolicy !== undefined) {
+                        if (!MISFIRE_POLICIES.includes(body.misfirePolicy)) {
+                            return json(res, { error: `misfirePolicy must be one of: ${MISFIRE_POLICIES.join(', ')}` }, 400);
+                        }
+                        state.settings.misfirePolicy = body.misfirePolicy;
+                    }
+                    if (body.maxCatchUp !== undefined) {
+                        const cap = parseInt(body.maxCatchUp, 10);
+                        if (!(cap >= 1)) {return json(res, { error: 'maxCatchUp must be a positive integer' }, 400);}
+                        state.settings.maxCatchUp = cap;
+                    }
+                    if (body.maxAttempts !== undefined) {
+                        const attempts = parseInt(body.maxAttempts, 10);
+                        if (!(attempts >= 1)) {return json(res, { error: 'maxAttempts must be a positive integer' }, 400);}
+                        state.settings.maxAttempts = attempts;
+                    }
+                    if (body.retryBackoffMs !== undefined) {
+                        const backoff = parseInt(body.retryBackoffMs, 10);
+                        if (!(backoff >= 1000)) {return json(res, { error: 'retryBackoffMs must be at least 1000' }, 400);}
+                        state.settings.retryBackoffMs = backoff;
+                    }
+                    if ('timezone' in body) {
+                        state.settings.timezone = body.timezone || null;
+                        // Recompute pending cron runs in the new timezone
+                        for (const job of state.scheduledJobs) {
+                            if (job.schedule?.cron && !job.schedule.tz) {job.nextRun = calcNextRunAfterNow(job);}
+                        }
+                    }
+                    await saveAndRespond(res, { settings: state.settings });
+                } catch (err) {
+                    json(res, { error: err.message }, 400);
+                }
+            });
+
             // ─── GET /api/scheduler/notifications ──────
             // Returns queued notifications and clears them
 
@@ -357,9 +741,8 @@ export default function schedulerPlugin() {
                     const body = await parseBody(req);
                     if (body.tasks) {state.tasks = body.tasks;}
                     if (body.events) {state.events = body.events;}
-                    if (body.scheduledJobs) {state.scheduledJobs = body.scheduledJobs;}
-                    saveState();
-                    json(res, { ok: true, saved: true });
+                    if (body.scheduledJobs) {state.scheduledJobs = body.scheduledJobs.map(keepJobOrigin);}
+                    await saveAndRespond(res, { ok: true, saved: true });
                 } catch (err) {
                     json(res, { error: err.message }, 500);
                 }
@@ -395,8 +778,7 @@ export default function schedulerPlugin() {
                             notifiedServer: false,
                         };
                         state.tasks.push(task);
-                        saveState();
-                        json(res, { task }, 201);
+                        await saveAndRespond(res, { task }, 201);
                     } catch (err) {
                         json(res, { error: err.message }, 400);
                     }
@@ -409,8 +791,7 @@ export default function schedulerPlugin() {
                         const idx = state.tasks.findIndex((t) => t.id === idParam);
                         if (idx === -1) {return json(res, { error: 'Not found' }, 404);}
                         state.tasks[idx] = { ...state.tasks[idx], ...body };
-                        saveState();
-                        json(res, { task: state.tasks[idx] });
+                        await saveAndRespond(res, { task: state.tasks[idx] });
                     } catch (err) {
                         json(res, { error: err.message }, 400);
                     }
@@ -421,8 +802,7 @@ export default function schedulerPlugin() {
                     const idx = state.tasks.findIndex((t) => t.id === idParam);
                     if (idx === -1) {return json(res, { error: 'Not found' }, 404);}
                     state.tasks.splice(idx, 1);
-                    saveState();
-                    json(res, { ok: true });
+                    await saveAndRespond(res, { ok: true });
                     return;
                 }
 
@@ -456,8 +836,7 @@ export default function schedulerPlugin() {
                             createdAt: Date.now(),
                         };
                         state.events.push(event);
-                        saveState();
-                        json(res, { event }, 201);
+                        await saveAndRespond(res, { event }, 201);
                     } catch (err) {
                         json(res, { error: err.message }, 400);
                     }
@@ -470,8 +849,7 @@ export default function schedulerPlugin() {
                         const idx = state.events.findIndex((e) => e.id === idParam);
                         if (idx === -1) {return json(res, { error: 'Not found' }, 404);}
                         state.events[idx] = { ...state.events[idx], ...body };
-                        saveState();
-                        json(res, { event: state.events[idx] });
+                        await saveAndRespond(res, { event: state.events[idx] });
                     } catch (err) {
                         json(res, { error: err.message }, 400);
                     }
@@ -482,8 +860,7 @@ export default function schedulerPlugin() {
                     const idx = state.events.findIndex((e) => e.id === idParam);
                     if (idx === -1) {return json(res, { error: 'Not found' }, 404);}
                     state.events.splice(idx, 1);
-                    saveState();
-                    json(res, { ok: true });
+                    await saveAndRespond(res, { ok: true });
                     return;
                 }
 
@@ -494,7 +871,31 @@ export default function schedulerPlugin() {
 
             server.middlewares.use('/api/scheduler/jobs', async (req, res, next) => {
                 const url = new URL(req.url, 'http://localhost');
-                const idParam = url.pathname.replace(/^\//, '').split('/')[0] || null;
+                const [idParam = null, subResource = null, subId = null] = url.pathname.replace(/^\//, '').split('/').map((p) => p || null);
+
+                if (req.method === 'POST' && idParam && subResource === 'runs' && subId) {
+                    try {
+                        const body = await parseBody(req);
+                        if (!['success', 'failed'].includes(body.status)) {
+                            return json(res, { error: 'status must be "success" or "failed"' }, 400);
+                        }
+                        const run = completeRun(idParam, subId, body);
+                        if (!run) {return json(res, { error: 'Run not found' }, 404);}
+                        json(res, { run });
+                    } catch (err) {
+                        json(res, { error: err.message }, 400);
+                    }
+                    return;
+                }
+
+                if (req.method === 'GET' && idParam && subResource === 'runs') {
+                    const job = state.scheduledJobs.find((j) => j.id === idParam);
+                    const runs = state.jobRuns[idParam];
+                    if (!job && !runs) {return json(res, { error: 'Not found' }, 404);}
+                    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || MAX_RUNS_PER_JOB, MAX_RUNS_PER_JOB);
+                    json(res, { jobId: idParam, name: job?.name || null, runs: (runs || []).slice(0, limit) });
+                    return;
+                }
 
                 if (req.method === 'GET') {
                     json(res, { jobs: state.scheduledJobs });
@@ -504,20 +905,27 @@ export default function schedulerPlugin() {
                 if (req.method === 'POST' && !idParam) {
                     try {
                         const body = await parseBody(req);
+                        if (body.misfirePolicy && !MISFIRE_POLICIES.includes(body.misfirePolicy)) {
+                            return json(res, { error: `misfirePolicy must be one of: ${MISFIRE_POLICIES.join(', ')}` }, 400);
+                        }
                         const job = {
                             id: nanoid(10),
                             name: body.name || 'Unnamed Job',
                             command: body.command,
-                            schedule: body.schedule || { interval: 1, unit: 'hours' },
+                            schedule: normalizeSchedule(body.schedule || body.cron),
                             enabled: body.enabled !== false,
+                            misfirePolicy: body.misfirePolicy || null,
+                            maxCatchUp: body.maxCatchUp || null,
+                            maxAttempts: body.maxAttempts || null,
+                            retryBackoffMs: body.retryBackoffMs || null,
                             lastRun: null,
                             nextRun: null,
                             runCount: 0,
                             createdAt: Date.now(),
                         };
+                        if (job.schedule.cron) {job.nextRun = calcNextRunAfterNow(job);}
                         state.scheduledJobs.push(job);
-                        saveState();
-                        json(res, { job }, 201);
+                        await saveAndRespond(res, { job }, 201);
                     } catch (err) {
                         json(res, { error: err.message }, 400);
                     }
@@ -529,9 +937,16 @@ export default function schedulerPlugin() {
                         const body = await parseBody(req);
                         const idx = state.scheduledJobs.findIndex((j) => j.id === idParam);
                         if (idx === -1) {return json(res, { error: 'Not found' }, 404);}
-                        state.scheduledJobs[idx] = { ...state.scheduledJobs[idx], ...body };
-                        saveState();
-                        json(res, { job: state.scheduledJobs[idx] });
+                        if (body.misfirePolicy && !MISFIRE_POLICIES.includes(body.misfirePolicy)) {
+                            return json(res, { error: `misfirePolicy must be one of: ${MISFIRE_POLICIES.join(', ')}` }, 400);
+                        }
+                        const updated = { ...state.scheduledJobs[idx], ...body };
+                        if (body.schedule) {
+                            updated.schedule = normalizeSchedule(body.schedule);
+                            updated.nextRun = calcNextRunAfterNow(updated);
+                        }
+                        state.scheduledJobs[idx] = updated;
+                        await saveAndRespond(res, { job: state.scheduledJobs[idx] });
                     } catch (err) {
                         json(res, { error: err.message }, 400);
                     }
@@ -542,8 +957,9 @@ export default function schedulerPlugin() {
                     const idx = state.scheduledJobs.findIndex((j) => j.id === idParam);
                     if (idx === -1) {return json(res, { error: 'Not found' }, 404);}
                     state.scheduledJobs.splice(idx, 1);
-                    saveState();
-                    json(res, { ok: true });
+                    delete state.jobRuns[idParam];
+                    state.retries = state.retries.filter((r) => r.jobId !== idParam);
+                    await saveAndRespond(res, { ok: true });
                     return;
                 }
 
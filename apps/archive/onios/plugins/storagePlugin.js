@@ -1,47 +1,40 @@
 /**
  * Vite plugin that adds server-side key-value storage API routes.
- * Persists data to a JSON file on the server filesystem so storage
- * is shared across browsers/tabs and survives restarts.
+ * Persists data on the server filesystem (an append-only log by default,
+ * see utils/kvStore.js for backends) so storage is shared across
+ * browsers/tabs and survives restarts.
+ *
+ * Every key carries a `version` (bumped on each write) and an optional
+ * `expiresAt`; expired keys are hidden and evicted in the background.
+ * Writers that share keys pass `ifVersion` and get a 409 on conflict.
  *
  * Endpoints:
- *   GET    /api/storage/get?ns=&key=         → get a value
- *   POST   /api/storage/set                  → { ns, key, value }
- *   DELETE /api/storage/delete?ns=&key=       → delete a key
- *   GET    /api/storage/list?ns=              → list keys in namespace
+ *   GET    /api/storage/get?ns=&key=         → get a value (+ version)
+ *   POST   /api/storage/set                  → { ns, key, value, ttl?, expiresAt?, ifVersion? }
+ *   DELETE /api/storage/delete?ns=&key=&ifVersion= → delete a key
+ *   GET    /api/storage/list?ns=&prefix=      → list keys in namespace (indexed prefix scan)
  *   GET    /api/storage/namespaces            → list all namespaces
  *   GET    /api/storage/all                   → dump everything
  *   POST   /api/storage/import               → bulk import
  *   GET    /api/storage/stats                 → usage stats
- *   GET    /api/storage/search?q=             → search keys/values
+ *   GET    /api/storage/search?q=&limit=      → full-text search over values + key names
+ *   GET    /api/storage/watch?ns=&prefix=&cursor= → SSE change feed
+ *
+ * The watch stream emits `ready` (with the current cursor), then one
+ * `change` event per set/delete/expire, each with `id:` set to its cursor so
+ * EventSource resumes via Last-Event-ID after a reconnect. A cursor the
+ * server can no longer replay (restart, or older than the change log)
+ * produces a `reset` event: re-read the store, then carry on streaming.
  */
 
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
-
-const STORAGE_DIR = path.join(os.homedir(), '.onios');
-const STORAGE_FILE = path.join(STORAGE_DIR, 'storage.json');
-
-function ensureDir() {
-    if (!fs.existsSync(STORAGE_DIR)) {
-        fs.mkdirSync(STORAGE_DIR, { recursive: true });
-    }
-}
-
-function readStore() {
-    ensureDir();
-    if (!fs.existsSync(STORAGE_FILE)) {return {};}
-    try {
-        return JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf-8'));
-    } catch {
-        return {};
-    }
-}
+import {
+    getBackend, getEntry, setEntry, deleteEntry, listEntries, listNamespaces,
+    allEntries, searchEntries, storeStats, importEntries, evictExpired, entryVersion,
+    changesSince, matchesChange, watchChanges,
+} from './utils/kvStore.js';
 
-function writeStore(data) {
-    ensureDir();
-    fs.writeFileSync(STORAGE_FILE, JSON.stringify(data, null, 2), 'utf-8');
-}
+const EVICTION_INTERVAL_MS = 60 * 1000;
+const WATCH_KEEPALIVE_MS = 15000;
 
 function parseBody(req) {
     return new Promise((resolve, reject) => {
@@ -73,169 +66,168 @@ export default function storagePlugin() {
                 const key = url.searchParams.get('key');
                 if (!ns || !key) { json(res, { error: 'ns and key required' }, 400); return; }
 
-                const store = readStore();
-                const nsData = store[ns];
-                if (!nsData || !(key in nsData)) {
-                    json(res, { found: false, ns, key, value: null });
+                const entry = getEntry(ns, key);
+                if (!entry) {
+                    json(res, { found: false, ns, key, value: null, version: 0 });
                     return;
                 }
-                json(res, { found: true, ns, key, value: nsData[key].value, meta: nsData[key].meta });
+                json(res, { found: true, ns, key, value: entry.value, version: entryVersion(entry), meta: entry.meta });
             });
 
-            // POST /api/storage/set  body: { ns, key, value }
+            // POST /api/storage/set  body: { ns, key, value, ttl?, expiresAt?, ifVersion? }
             server.middlewares.use('/api/storage/set', async (req, res) => {
                 if (req.method !== 'POST') { json(res, { error: 'POST only' }, 405); return; }
                 const body = await parseBody(req);
-                const { ns, key, value } = body;
+                const { ns, key, value, ttl, expiresAt, ifVersion } = body;
                 if (!ns || !key) { json(res, { error: 'ns and key required' }, 400); return; }
 
-                const store = readStore();
-                if (!store[ns]) {store[ns] = {};}
-                const now = Date.now();
-                const existing = store[ns][key];
-                store[ns][key] = {
-                    value,
-                    meta: {
-                        created: existing?.meta?.created || now,
-                        updated: now,
-                        size: JSON.stringify(value).length,
-                    },
-                };
-                writeStore(store);
-                json(res, { ok: true, ns, key });
+                const result = await setEntry(ns, key, value, { ttl, expiresAt, ifVersion });
+                if (!result.ok) {
+                    json(res, { error: result.error, ns, key, version: result.version }, result.status);
+                    return;
+                }
+                json(res, {
+                    ok: true, ns, key,
+                    version: result.entry.meta.version,
+                    expiresAt: result.entry.meta.expiresAt || null,
+                });
             });
 
             // DELETE /api/storage/delete?ns=&key=
-            server.middlewares.use('/api/storage/delete', (req, res) => {
+            server.middlewares.use('/api/storage/delete', async (req, res) => {
                 if (req.method !== 'DELETE') { json(res, { error: 'DELETE only' }, 405); return; }
                 const url = new URL(req.url, 'http://localhost');
                 const ns = url.searchParams.get('ns');
                 const key = url.searchParams.get('key');
                 if (!ns || !key) { json(res, { error: 'ns and key required' }, 400); return; }
 
-                const store = readStore();
-                if (store[ns]) {
-                    delete store[ns][key];
-                    if (Object.keys(store[ns]).length === 0) {delete store[ns];}
-                    writeStore(store);
+                const result = await deleteEntry(ns, key, { ifVersion: url.searchParams.get('ifVersion') });
+                if (!result.ok) {
+                    json(res, { error: result.error, ns, key, version: result.version }, result.status);
+                    return;
                 }
-                json(res, { ok: true, ns, key });
+                json(res, { ok: true, ns, key, deleted: result.deleted });
             });
 
-            // GET /api/storage/list?ns=myapp
+            // GET /api/storage/list?ns=myapp&prefix=
             server.middlewares.use('/api/storage/list', (req, res) => {
                 if (req.method !== 'GET') { json(res, { error: 'GET only' }, 405); return; }
                 const url = new URL(req.url, 'http://localhost');
                 const ns = url.searchParams.get('ns');
                 if (!ns) { json(res, { error: 'ns required' }, 400); return; }
 
-                const store = readStore();
-                const nsData = store[ns] || {};
-                const keys = Object.keys(nsData).map(k => ({
+                const prefix = url.searchParams.get('prefix') || '';
+                const keys = listEntries(ns, { prefix }).map(([k, meta]) => ({
                     key: k,
-                    meta: nsData[k].meta,
+                    version: entryVersion({ meta }),
+                    meta,
                 }));
                 json(res, { ns, keys });
             });
 
             // GET /api/storage/namespaces
             server.middlewares.use('/api/storage/namespaces', (req, res) => {
-                const store = readStore();
-                const namespaces = Object.keys(store).map(ns => ({
-                    namespace: ns,
-                    keyCount: Object.keys(store[ns]).length,
-                }));
-                json(res, { namespaces });
+                json(res, { namespaces: listNamespaces() });
             });
 
             // GET /api/storage/all
             server.middlewares.use('/api/storage/all', (req, res) => {
                 if (req.method !== 'GET') { json(res, { error: 'GET only' }, 405); return; }
-                const store = readStore();
                 const entries = [];
-                for (const [ns, nsData] of Object.entries(store)) {
-                    for (const [key, entry] of Object.entries(nsData)) {
-                        entries.push({
-                            ns,
-                            key,
-                            value: entry.value,
-                            meta: entry.meta,
-                        });
-                    }
+                for (const entry of allEntries()) {
+                    entries.push({ ...entry, version: entryVersion(entry) });
                 }
                 json(res, { entries, count: entries.length });
             });
 
-            // POST /api/storage/import  body: { entries: [{ ns, key, value }] }
+            // POST /api/storage/import  body: { entries: [{ ns, key, value, meta? }] }
             server.middlewares.use('/api/storage/import', async (req, res) => {
                 if (req.method !== 'POST') { json(res, { error: 'POST only' }, 405); return; }
                 const body = await parseBody(req);
-                const entries = body.entries || [];
-
-                const store = readStore();
-                const now = Date.now();
-                let count = 0;
-                for (const entry of entries) {
-                    if (!entry.ns || !entry.key) {continue;}
-                    if (!store[entry.ns]) {store[entry.ns] = {};}
-                    store[entry.ns][entry.key] = {
-                        value: entry.value,
-                        meta: {
-                            created: entry.meta?.created || now,
-                            updated: now,
-                            size: JSON.stringify(entry.value).length,
-                        },
-                    };
-                    count++;
-                }
-                writeStore(store);
+                const count = await importEntries(body.entries || []);
                 json(res, { ok: true, imported: count });
             });
 
             // GET /api/storage/stats
             server.middlewares.use('/api/storage/stats', (req, res) => {
-                const store = readStore();
-                let totalKeys = 0;
-                let totalSize = 0;
-                const namespaces = Object.keys(store);
-                for (const nsData of Object.values(store)) {
-                    for (const entry of Object.values(nsData)) {
-                        totalKeys++;
-                        totalSize += entry.meta?.size || 0;
-                    }
-                }
-
+                const { totalKeys, totalSize, namespaces, backend, file, ...backendStats } = storeStats();
                 json(res, {
                     totalKeys,
                     totalSize,
                     totalSizeFormatted: formatBytes(totalSize),
                     namespaceCount: namespaces.length,
                     namespaces,
-                    storagePath: STORAGE_FILE,
+                    storagePath: file,
+                    backend,
+                    ...backendStats,
                 });
             });
 
-            // GET /api/storage/search?q=theme
+            // GET /api/storage/search?q=theme&limit=
             server.middlewares.use('/api/storage/search', (req, res) => {
                 if (req.method !== 'GET') { json(res, { error: 'GET only' }, 405); return; }
                 const url = new URL(req.url, 'http://localhost');
                 const q = (url.searchParams.get('q') || '').toLowerCase();
                 if (!q) { json(res, { error: 'q required' }, 400); return; }
 
-                const store = readStore();
-                const results = [];
-                for (const [ns, nsData] of Object.entries(store)) {
-                    for (const [key, entry] of Object.entries(nsData)) {
-                        const valStr = JSON.stringify(entry.value).toLowerCase();
-                        if (ns.includes(q) || key.includes(q) || valStr.includes(q)) {
-                            results.push({ ns, key, value: entry.value, meta: entry.meta });
-                        }
-                    }
-                }
+                const limit = Math.min(parseInt(url.searchParams.get('limit') || '200', 10) || 200, 1000);
+                const results = searchEntries(q, { limit });
                 json(res, { query: q, results, count: results.length });
             });
 
-            console.log('[StoragePlugin] Server-side storage ready at ~/.onios/storage.json');
+            // GET /api/storage/watch?ns=&prefix=&cursor=  (SSE)
+            server.middlewares.use('/api/storage/watch', (req, res) => {
+                if (req.method !== 'GET') { json(res, { error: 'GET only' }, 405); return; }
+                const url = new URL(req.url, 'http://localhost');
+                const filter = {
+                    ns: url.searchParams.get('ns') || undefined,
+                    prefix: url.searchParams.get('prefix') || undefined,
+                };
+                const cursor = url.searchParams.get('cursor') || req.headers['last-event-id'];
+
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'X-Accel-Buffering': 'no',
+                });
+                const send = (event, data, id) => {
+                    try {
+                        res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+                    } catch { /* client disconnected */ }
+                };
+
+                // Replay and subscribe in the same tick so no change falls in between
+                const backlog = changesSince(cursor, filter);
+                if (backlog.reset) {
+                    send('reset', { cursor: backlog.cursor, reason: 'cursor expired' }, backlog.cursor);
+                }
+                send('ready', { cursor: backlog.cursor, ns: filter.ns || null, prefix: filter.prefix || null });
+                for (const change of backlog.changes) {send('change', change, change.cursor);}
+                const unwatch = watchChanges((change) => {
+                    if (matchesChange(change, filter)) {send('change', change, change.cursor);}
+                });
+
+                const keepAlive = setInterval(() => {
+                    try { res.write(': keepalive\n\n'); } catch { clearInterval(keepAlive); }
+                }, WATCH_KEEPALIVE_MS);
+                res.on('close', () => {
+                    clearInterval(keepAlive);
+                    unwatch();
+                });
+            });
+
+            // Background TTL eviction; readers already skip expired keys
+            const evictionTimer = setInterval(() => {
+                evictExpired()
+                    .then((n) => { if (n > 0) {console.log(`[StoragePlugin] Evicted ${n} expired key(s)`);} })
+                    .catch(err => console.error('[StoragePlugin] Eviction failed:', err.message));
+            }, EVICTION_INTERVAL_MS);
+            evictionTimer.unref?.();
+            server.httpServer?.on('close', () => clearInterval(evictionTimer));
+
+            const { name, path: storagePath } = getBackend();
+            console.log(`[StoragePlugin] Server-side storage ready at ${storagePath} (${name} backend)`);
         },
     };
 }
@@ -23,19 +23,14 @@ export class AsyncQueue {
         }
 
         // Add to the chain
-        const chain = this._queues.get(key)
-            .then(asyncFn)
-            .catch((err) => {
-                // If the user function throws, we still want the queue to continue
-                // for subsequent operations
-                throw err;
-            });
+        const chain = this._queues.get(key).then(asyncFn);
 
-        // The latest promise in the chain is exactly what we just built
-        // We set that as the new tail. However, to prevent memory leaks,
-        // we append a finally block that cleans up the map if this is the
-        // last operation in the queue.
-        const tail = chain.finally(() => {
+        // The tail swallows the error (the caller gets it through `chain`),
+        // so a failed operation neither blocks the ones queued after it nor
+        // surfaces as an unhandled rejection. To prevent memory leaks, the
+        // finally block cleans up the map if this is the last operation in
+        // the queue.
+        const tail = chain.catch(() => {}).finally(() => {
             if (this._queues.get(key) === tail) {
                 this._queues.delete(key);
             }
@@ -0,0 +1,187 @@
+/**
+ * actionJournal — Persistent record of the gateway's /api/oni/actions/* calls.
+ *
+ * Each call is appended as a JSON line to `~/.onios/action-journal.jsonl`
+ * with its inputs, result (or error) and, where the action can be
+ * reversed, the inverse action that undoes it. The journal is append-only:
+ * undoing an entry adds a new entry with `undoOf`, and replays add entries
+ * with `replayOf`. The file rolls over to `.1` past JOURNAL_LIMITS.maxBytes;
+ * the most recent `maxEntries` entries are kept in memory.
+ *
+ * Secrets are redacted and long strings truncated before anything is
+ * written, inverse included. An entry whose params were changed that way is
+ * marked `replayable: false`; an inverse that was changed could not restore
+ * the original, so it is dropped and the entry marked `inverseDropped`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const ONIOS_DIR = path.join(os.homedir(), '.onios');
+export const ACTION_JOURNAL_FILE = path.join(ONIOS_DIR, 'action-journal.jsonl');
+
+export const JOURNAL_LIMITS = {
+    maxBytes: 8 * 1024 * 1024,
+    maxEntries: 2000,
+    maxStringChars: 64 * 1024,
+};
+
+const SECRET_KEY_RE = /^(password|passphrase|secret|token|apikey|api_key|privatekey|masterpassword)$/i;
+
+let entries = null;
+/** id → id of the entry that undid it */
+const undoneBy = new Map();
+
+function load() {
+    if (entries) {return entries;}
+    entries = [];
+    let text = '';
+    try {
+        text = fs.readFileSync(ACTION_JOURNAL_FILE, 'utf-8');
+    } catch {
+        return entries;
+    }
+    for (const line of text.split('\n')) {
+        if (!line) {continue;}
+        try {
+            const entry = JSON.parse(line);
+            entries.push(entry);
+            if (entry.undoOf) {undoneBy.set(entry.undoOf, entry.id);}
+        } catch { /* torn line */ }
+    }
+    entries = entries.slice(-JOURNAL_LIMITS.maxEntries);
+    return entries;
+}
+
+/** Copy of `value` with secrets redacted and long strings cut; `lossy` tells whether anything was changed. */
+function sanitize(value) {
+    let lossy = false;
+    const walk = (v, key) => {
+        if (key && SECRET_KEY_RE.test(key) && v !== null && v !== undefined) {
+            lossy = true;
+            return '[redacted]';
+        }
+        if (typeof v === 'string') {
+            if (v.length <= JOURNAL_LIMITS.maxStringChars) {return v;}
+            lossy = true;
+            return `${v.slice(0, JOURNAL_LIMITS.maxStringChars)}… [${v.length - JOURNAL_LIMITS.maxStringChars} chars truncated]`;
+        }
+        if (Array.isArray(v)) {return v.map((item) => walk(item));}
+        if (v && typeof v === 'object') {
+            return Object.fromEntries(Object.entries(v).map(([k, item]) => [k, walk(item, k)]));
+        }
+        return v;
+    };
+    return { value: walk(value), lossy };
+}
+
+function newId() {
+    return `act_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function append(entry) {
+    fs.mkdirSync(ONIOS_DIR, { recursive: true });
+    if (fs.existsSync(ACTION_JOURNAL_FILE) && fs.statSync(ACTION_JOURNAL_FILE).size > JOURNAL_LIMITS.maxBytes) {
+        fs.renameSync(ACTION_JOURNAL_FILE, `${ACTION_JOURNAL_FILE}.1`);
+    }
+    fs.appendFileSync(ACTION_JOURNAL_FILE, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Inverse of an action: the action calls (run in order) that undo it.
+ * @typedef {{ steps: Array<{ actionType: string, body: object }>, description: string }} ActionInverse
+ */
+
+/**
+ * Journal an action call. Write errors are logged, never thrown: the
+ * action has already happened.
+ * @param {{ actionType: string, params: object, result?: object, error?: string, inverse?: ActionInverse | null,
+ *           undoOf?: string, replayOf?: string, source?: string }} record
+ * @returns {object} the entry
+ */
+export function recordAction(record) {
+    load();
+    const params = sanitize(record.params || {});
+    const inverse = record.inverse ? sanitize(record.inverse) : null;
+    const entry = {
+        id: newId(),
+        time: new Date().toISOString(),
+        actionType: record.actionType,
+        action: record.params?.action || record.actionType,
+        source: record.source || 'gateway',
+        params: params.value,
+        replayable: !params.lossy && !record.undoOf,
+        ok: !record.error && !record.result?.error && record.result?.success !== false,
+        result: record.result === undefined ? undefined : sanitize(record.result).value,
+        error: record.error,
+        inverse: inverse && !inverse.lossy ? inverse.value : null,
+        inverseDropped: inverse?.lossy || undefined,
+        undoOf: record.undoOf,
+        replayOf: record.replayOf,
+    };
+    entries.push(entry);
+    if (entries.length > JOURNAL_LIMITS.maxEntries) {entries.shift();}
+    if (entry.undoOf) {undoneBy.set(entry.undoOf, entry.id);}
+    try {
+        append(entry);
+    } catch (err) {
+        console.error(`[actionJournal] Could not write journal: ${err.message}`);
+    }
+    return entry;
+}
+
+function withStatus(entry) {
+    return undoneBy.has(entry.id) ? { ...entry, undoneBy: undoneBy.get(entry.id) } : entry;
+}
+
+/** Entry by id (with `undoneBy` when it was undone), or null. */
+export function getAction(id) {
+    const entry = load().find((e) => e.id === id);
+    return entry ? withStatus(entry) : null;
+}
+
+/**
+ * Journal entries, newest first (or oldest first with `oldestFirst`).
+ * @param {{ limit?: number, actionType?: string, since?: string, undoable?: boolean, oldestFirst?: boolean }} [filter]
+ *   `since` is an ISO time or an entry id (exclusive).
+ */
+export function listActions({ limit = 100, actionType, since, undoable, oldestFirst = false } = {}) {
+    const all = load();
+    let start = 0;
+    if (since) {
+        const idx = all.findIndex((e) => e.id === since);
+        start = idx >= 0 ? idx + 1 : all.findIndex((e) => e.time > since);
+        if (start < 0) {return [];}
+    }
+    const out = [];
+    const count = all.length - start;
+    for (let n = 0; n < count && out.length < limit; n++) {
+        const entry = all[oldestFirst ? start + n : all.length - 1 - n];
+        if (actionType && entry.actionType !== actionType) {continue;}
+        if (undoable && !isUndoable(entry)) {continue;}
+        out.push(withStatus(entry));
+    }
+    return out;
+}
+
+/** Newest entry matching `predicate` (searches the in-memory window only). */
+export function findAction(predicate) {
+    const all = load();
+    for (let i = all.length - 1; i >= 0; i--) {
+        if (predicate(all[i])) {return all[i];}
+    }
+    return null;
+}
+
+/** Whether the entry succeeded, has an inverse and hasn't been undone yet. */
+export function isUndoable(entry) {
+    return Boolean(entry?.ok && entry.inverse?.steps?.length && !undoneBy.has(entry.id));
+}
+
+/** The most recent undoable entry that isn't itself an undo, or null. */
+export function lastUndoable() {
+    const entry = findAction((e) => !e.undoOf && isUndoable(e));
+    return entry ? withStatus(entry) : null;
+}
@@ -0,0 +1,89 @@
+/**
+ * approvalAudit — Audit trail for the approval gate in front of
+ * AI-originated commands (src/core/ApprovalGate.js).
+ *
+ * The browser decides; this module only records. Every decision —
+ * auto-allowed by policy, allowed by a session rule, approved, denied or
+ * timed out — is appended as a JSON line to `~/.onios/approval-audit.log`,
+ * which rolls over to `.1` past 1 MiB.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const ONIOS_DIR = path.join(os.homedir(), '.onios');
+export const APPROVAL_AUDIT_LOG = path.join(ONIOS_DIR, 'approval-audit.log');
+const MAX_AUDIT_LOG_BYTES = 1024 * 1024;
+const MAX_COMMAND_CHARS = 2000;
+
+export const APPROVAL_RISKS = ['read-only', 'mutating', 'destructive', 'external'];
+export const APPROVAL_DECISIONS = ['auto', 'session', 'approved', 'denied', 'timeout'];
+
+function approvalError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Validate a decision reported by the frontend and keep only known fields.
+ * @throws {Error} code EINVAL
+ */
+function normalizeEntry(entry) {
+    if (!entry || typeof entry !== 'object') {throw approvalError('Expected a JSON object', 'EINVAL');}
+    const { command, risk, decision } = entry;
+    if (typeof command !== 'string' || !command.trim()) {throw approvalError('command is required', 'EINVAL');}
+    if (!APPROVAL_RISKS.includes(risk)) {throw approvalError(`risk must be one of: ${APPROVAL_RISKS.join(', ')}`, 'EINVAL');}
+    if (!APPROVAL_DECISIONS.includes(decision)) {
+        throw approvalError(`decision must be one of: ${APPROVAL_DECISIONS.join(', ')}`, 'EINVAL');
+    }
+    const text = (value) => (typeof value === 'string' && value ? value.slice(0, 200) : undefined);
+    return {
+        command: command.slice(0, MAX_COMMAND_CHARS),
+        risk,
+        decision,
+        origin: text(entry.origin),
+        actionType: text(entry.actionType),
+        rule: text(entry.rule),
+        waitedMs: Number.isFinite(entry.waitedMs) ? Math.max(0, Math.round(entry.waitedMs)) : undefined,
+    };
+}
+
+/**
+ * Append a decision to the audit log.
+ * @param {{ command: string, risk: string, decision: string, origin?: string, actionType?: string, rule?: string, waitedMs?: number }} entry
+ * @returns {object} The entry as written
+ * @throws {Error} code EINVAL for a malformed entry; I/O errors propagate
+ */
+export function recordApprovalDecision(entry) {
+    const record = { time: new Date().toISOString(), ...normalizeEntry(entry) };
+    fs.mkdirSync(ONIOS_DIR, { recursive: true });
+    if (fs.existsSync(APPROVAL_AUDIT_LOG) && fs.statSync(APPROVAL_AUDIT_LOG).size > MAX_AUDIT_LOG_BYTES) {
+        fs.renameSync(APPROVAL_AUDIT_LOG, `${APPROVAL_AUDIT_LOG}.1`);
+    }
+    fs.appendFileSync(APPROVAL_AUDIT_LOG, JSON.stringify(record) + '\n');
+    return record;
+}
+
+/**
+ * Most recent decisions, newest first.
+ * @param {number} [limit]
+ * @param {{ decision?: string }} [filter]
+ */
+export function readApprovalAuditLog(limit = 100, { decision } = {}) {
+    let text = '';
+    try {
+        text = fs.readFileSync(APPROVAL_AUDIT_LOG, 'utf-8');
+    } catch {
+        return [];
+    }
+    const out = [];
+    const lines = text.split('\n');
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+        if (!lines[i]) {continue;}
+        try {
+            const entry = JSON.parse(lines[i]);
+            if (!decision || entry.decision === decision) {out.push(entry);}
+        } catch { /* torn line */ }
+    }
+    return out;
+}
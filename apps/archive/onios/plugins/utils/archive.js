@@ -0,0 +1,761 @@
+/**
+ * archive — zip and tar(.gz) support for /api/fs/archive, /api/fs/extract
+ * and the agent's file action, built on zlib alone.
+ *
+ * - `createArchive(sources, format, out)` streams a zip (deflate, with data
+ *   descriptors so nothing is buffered) or a gzipped ustar/PAX tar of files
+ *   and folders. Entry names are relative to each source's parent folder,
+ *   so archiving ~/Projects/app yields `app/...`. Symlinks are skipped.
+ * - `listArchive(file)` reads the zip central directory or walks the tar.
+ * - `extractArchive(file, dest, options)` writes into a staging folder next
+ *   to `dest` and renames it into place, so a failed extraction leaves
+ *   nothing behind. Entry names that are absolute or climb out with `..`
+ *   are refused (zip-slip), links and devices are skipped, and the actual
+ *   inflated bytes (not the headers' claims) are held to ARCHIVE_LIMITS.
+ *
+ * Zip64 archives can be read; new zips are limited to 4 GB and 65535
+ * entries (use tar.gz beyond that).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+export const ARCHIVE_LIMITS = {
+    maxEntries: 50000,
+    maxTotalBytes: 10 * 1024 * 1024 * 1024,
+    maxEntryBytes: 4 * 1024 * 1024 * 1024,
+    // Inflated size over archive size; only enforced past ratioFloorBytes
+    maxRatio: 200,
+    ratioFloorBytes: 64 * 1024 * 1024,
+};
+
+export const ARCHIVE_FORMATS = ['zip', 'tar.gz'];
+
+const ZIP32_MAX = 0xffffffff;
+const ZIP_MAX_ENTRIES = 0xffff;
+
+function archiveError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// ─── CRC-32 ──────────────────────────────────────────
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;}
+    return c;
+});
+
+function crc32(buf, crc = 0) {
+    let c = ~crc;
+    for (let i = 0; i < buf.length; i++) {c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);}
+    return ~c >>> 0;
+}
+
+// ─── Collecting Sources ──────────────────────────────
+
+/**
+ * Files and folders below `sources` (absolute, policy-checked paths).
+ * @returns {Promise<{ absPath: string, name: string, isDirectory: boolean, size: number, mtime: Date, mode: number }[]>}
+ */
+export async function collectEntries(sources) {
+    const entries = [];
+    const add = async (absPath, name) => {
+        const st = await fs.promises.lstat(absPath);
+        if (!st.isFile() && !st.isDirectory()) {return;} // links, sockets, devices
+        if (entries.length >= ARCHIVE_LIMITS.maxEntries) {
+            throw archiveError(`More than ${ARCHIVE_LIMITS.maxEntries} entries`, 'ETOOMANY');
+        }
+        entries.push({ absPath, name, isDirectory: st.isDirectory(), size: st.isDirectory() ? 0 : st.size, mtime: st.mtime, mode: st.mode & 0o7777 });
+        if (!st.isDirectory()) {return;}
+        const children = (await fs.promises.readdir(absPath)).toSorted();
+        for (const child of children) {await add(path.join(absPath, child), `${name}/${child}`);}
+    };
+    const seen = new Set();
+    for (const source of sources) {
+        const base = path.basename(source);
+        if (seen.has(base)) {throw archiveError(`Two sources are named "${base}"`, 'EINVAL');}
+        seen.add(base);
+        await add(source, base);
+    }
+    return entries;
+}
+
+// ─── Writing ─────────────────────────────────────────
+
+function dosDateTime(date) {
+    const d = date.getFullYear() < 1980 ? new Date(1980, 0, 1) : date;
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+}
+
+async function* zipChunks(entries) {
+    const total = entries.reduce((sum, e) => sum + e.size, 0);
+    if (entries.length > ZIP_MAX_ENTRIES || total > ZIP32_MAX - 64 * 1024 * 1024) {
+        throw archiveError('Too large for a zip archive (4 GB / 65535 entries); use tar.gz', 'EZIP64');
+    }
+    const central = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const name = Buffer.from(entry.isDirectory ? `${entry.name}/` : entry.name, 'utf-8');
+        const { time, date } = dosDateTime(entry.mtime);
+        // Bit 11: UTF-8 names; bit 3: sizes and CRC follow the data
+        const flags = entry.isDirectory ? 0x0800 : 0x0808;
+        const method = entry.isDirectory ? 0 : 8;
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt16LE(name.length, 26);
+        const headerOffset = offset;
+        yield local;
+        yield name;
+        offset += local.length + name.length;
+
+        let crc = 0;
+        let size = 0;
+        let compressed = 0;
+        if (!entry.isDirectory) {
+            const hasher = new Transform({
+                transform(chunk, _enc, cb) {
+                    crc = crc32(chunk, crc);
+                    size += chunk.length;
+                    cb(null, chunk);
+                },
+            });
+            const deflate = zlib.createDeflateRaw();
+            const piping = pipeline(fs.createReadStream(entry.absPath), hasher, deflate);
+            piping.catch(() => {}); // surfaced by the loop below
+            for await (const chunk of deflate) {
+                compressed += chunk.length;
+                yield chunk;
+            }
+            await piping;
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(crc, 4);
+            descriptor.writeUInt32LE(compressed, 8);
+            descriptor.writeUInt32LE(size, 12);
+            yield descriptor;
+            offset += compressed + descriptor.length;
+            if (offset > ZIP32_MAX) {throw archiveError('Archive grew past 4 GB; use tar.gz', 'EZIP64');}
+        }
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE((3 << 8) | 20, 4); // made by Unix, so the mode below is honoured
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(flags, 8);
+        header.writeUInt16LE(method, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(compressed, 20);
+        header.writeUInt32LE(size, 24);
+        header.writeUInt16LE(name.length, 28);
+        const unixMode = (entry.isDirectory ? 0o040000 : 0o100000) | entry.mode;
+        header.writeUInt32LE(((unixMode << 16) | (entry.isDirectory ? 0x10 : 0)) >>> 0, 38);
+        header.writeUInt32LE(headerOffset, 42);
+        central.push(header, name);
+    }
+
+    const directory = Buffer.concat(central);
+    yield directory;
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    yield end;
+}
+
+function paxRecord(key, value) {
+    // The length prefix counts itself
+    const body = ` ${key}=${value}\n`;
+    let len = Buffer.byteLength(body) + 1;
+    while (String(len).length + Buffer.byteLength(body) !== len) {len++;}
+    return `${len}${body}`;
+}
+
+function tarHeader({ name, size, mode, mtime, type }) {
+    const block = Buffer.alloc(512);
+    const octal = (value, width) => value.toString(8).padStart(width - 1, '0');
+    block.write(name, 0, 100, 'utf-8');
+    block.write(octal(mode, 8), 100);
+    block.write(octal(0, 8), 108);
+    block.write(octal(0, 8), 116);
+    block.write(octal(size, 12), 124);
+    block.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+    block.write(' '.repeat(8), 148);
+    block.write(type, 156);
+    block.write('ustar\x0000', 257, 'latin1');
+    let sum = 0;
+    for (const byte of block) {sum += byte;}
+    block.write(`${octal(sum, 7)}\x00`, 148, 'latin1');
+    return block;
+}
+
+async function* tarChunks(entries) {
+    const padding = (size) => Buffer.alloc((512 - (size % 512)) % 512);
+    for (const entry of entries) {
+        const name = entry.isDirectory ? `${entry.name}/` : entry.name;
+        const records = [];
+        if (Buffer.byteLength(name) > 100) {records.push(paxRecord('path', name));}
+        if (entry.size > 0o77777777777) {records.push(paxRecord('size', entry.size));}
+        if (records.length) {
+            const pax = Buffer.from(records.join(''), 'utf-8');
+            yield tarHeader({ name: 'PaxHeader', size: pax.length, mode: 0o644, mtime: entry.mtime, type: 'x' });
+            yield pax;
+            yield padding(pax.length);
+        }
+        yield tarHeader({
+            name: Buffer.from(name).subarray(0, 100).toString('utf-8'),
+            size: entry.isDirectory ? 0 : Math.min(entry.size, 0o77777777777),
+            mode: entry.mode,
+            mtime: entry.mtime,
+            type: entry.isDirectory ? '5' : '0',
+        });
+        if (entry.isDirectory) {continue;}
+        // The header promised `size` bytes: hold to it even if the file changes meanwhile
+        let written = 0;
+        if (entry.size > 0) {
+            for await (const chunk of fs.createReadStream(entry.absPath, { start: 0, end: entry.size - 1 })) {
+                written += chunk.length;
+                yield chunk;
+            }
+        }
+        if (written < entry.size) {yield Buffer.alloc(entry.size - written);}
+        yield padding(entry.size);
+    }
+    yield Buffer.alloc(1024);
+}
+
+/**
+ * Stream an archive of `sources` into `out`.
+ * @param {string[]} sources - Absolute, policy-checked paths.
+ * @param {'zip' | 'tar.gz'} format
+ * @param {NodeJS.WritableStream} out
+ * @returns {Promise<{ entries: number, bytes: number }>} bytes = uncompressed total
+ */
+export async function createArchive(sources, format, out) {
+    if (!ARCHIVE_FORMATS.includes(format)) {throw archiveError(`Unknown format: ${format}`, 'EINVAL');}
+    const entries = await collectEntries(sources);
+    if (format === 'zip') {
+        await pipeline(Readable.from(zipChunks(entries)), out);
+    } else {
+        await pipeline(Readable.from(tarChunks(entries)), zlib.createGzip(), out);
+    }
+    return { entries: entries.length, bytes: entries.reduce((sum, e) => sum + e.size, 0) };
+}
+
+// ─── Reading ─────────────────────────────────────────
+
+/** Detect the archive type from its first bytes. */
+export async function detectFormat(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const head = Buffer.alloc(512);
+        const { bytesRead } = await handle.read(head, 0, 512, 0);
+        if (bytesRead >= 4 && head.readUInt32LE(0) === 0x04034b50) {return 'zip';}
+        if (bytesRead >= 4 && head.readUInt32LE(0) === 0x06054b50) {return 'zip';}
+        if (bytesRead >= 2 && head[0] === 0x1f && head[1] === 0x8b) {return 'tar.gz';}
+        if (bytesRead >= 262 && head.toString('latin1', 257, 262) === 'ustar') {return 'tar';}
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/** Names are UTF-8 when flagged, but many tools write UTF-8 without the flag. */
+function decodeZipName(bytes, flags) {
+    if (flags & 0x0800) {return bytes.toString('utf-8');}
+    try {
+        return utf8.decode(bytes);
+    } catch {
+        return bytes.toString('latin1');
+    }
+}
+
+async function readZipDirectory(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const { size } = await handle.stat();
+        const tailSize = Math.min(size, 22 + 0xffff);
+        const tail = Buffer.alloc(tailSize);
+        await handle.read(tail, 0, tailSize, size - tailSize);
+        let eocd = -1;
+        for (let i = tailSize - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd === -1) {throw archiveError('Not a zip archive (no end of central directory)', 'EFORMAT');}
+        let count = tail.readUInt16LE(eocd + 10);
+        let dirSize = tail.readUInt32LE(eocd + 12);
+        let dirOffset = tail.readUInt32LE(eocd + 16);
+        if (count === 0xffff || dirSize === ZIP32_MAX || dirOffset === ZIP32_MAX) {
+            // Zip64: the locator sits right before the classic record
+            const locator = eocd - 20;
+            if (locator < 0 || tail.readUInt32LE(locator) !== 0x07064b50) {throw archiveError('Corrupt zip64 archive', 'EFORMAT');}
+            const record = Buffer.alloc(56);
+            await handle.read(record, 0, 56, Number(tail.readBigUInt64LE(locator + 8)));
+            if (record.readUInt32LE(0) !== 0x06064b50) {throw archiveError('Corrupt zip64 archive', 'EFORMAT');}
+            count = Number(record.readBigUInt64LE(32));
+            dirSize = Number(record.readBigUInt64LE(40));
+            dirOffset = Number(record.readBigUInt64LE(48));
+        }
+        if (count > ARCHIVE_LIMITS.maxEntries) {throw archiveError(`More than ${ARCHIVE_LIMITS.maxEntries} entries`, 'ETOOMANY');}
+        if (dirOffset + dirSize > size) {throw archiveError('Corrupt zip archive (central directory out of range)', 'EFORMAT');}
+
+        const dir = Buffer.alloc(dirSize);
+        await handle.read(dir, 0, dirSize, dirOffset);
+        const entries = [];
+        let p = 0;
+        for (let i = 0; i < count; i++) {
+            if (p + 46 > dir.length || dir.readUInt32LE(p) !== 0x02014b50) {throw archiveError('Corrupt zip central directory', 'EFORMAT');}
+            const flags = dir.readUInt16LE(p + 8);
+            const nameLen = dir.readUInt16LE(p + 28);
+            const extraLen = dir.readUInt16LE(p + 30);
+            const commentLen = dir.readUInt16LE(p + 32);
+            const madeBy = dir.readUInt16LE(p + 4) >> 8;
+            const external = dir.readUInt32LE(p + 38);
+            const entry = {
+                name: decodeZipName(dir.subarray(p + 46, p + 46 + nameLen), flags),
+                method: dir.readUInt16LE(p + 10),
+                encrypted: Boolean(flags & 1),
+                crc: dir.readUInt32LE(p + 16),
+                compressedSize: dir.readUInt32LE(p + 20),
+                size: dir.readUInt32LE(p + 24),
+                offset: dir.readUInt32LE(p + 42),
+                modified: new Date(
+                    ((dir.readUInt16LE(p + 14) >> 9) & 0x7f) + 1980, ((dir.readUInt16LE(p + 14) >> 5) & 0xf) - 1, dir.readUInt16LE(p + 14) & 0x1f,
+                    (dir.readUInt16LE(p + 12) >> 11) & 0x1f, (dir.readUInt16LE(p + 12) >> 5) & 0x3f, (dir.readUInt16LE(p + 12) & 0x1f) * 2,
+                ),
+                mode: madeBy === 3 ? external >>> 16 : 0,
+            };
+            // Zip64 extra field: the 64-bit values present are those whose 32-bit field is maxed out
+            let x = p + 46 + nameLen;
+            const extraEnd = x + extraLen;
+            while (x + 4 <= extraEnd) {
+                const id = dir.readUInt16LE(x);
+                const len = dir.readUInt16LE(x + 2);
+                if (id === 0x0001) {
+                    let q = x + 4;
+                    for (const key of ['size', 'compressedSize', 'offset']) {
+                        if (entry[key] === ZIP32_MAX && q + 8 <= x + 4 + len) {
+                            entry[key] = Number(dir.readBigUInt64LE(q));
+                            q += 8;
+                        }
+                    }
+                }
+                x += 4 + len;
+            }
+            const type = entry.mode & 0o170000;
+            entry.isDirectory = entry.name.endsWith('/') || type === 0o040000 || Boolean(external & 0x10 && entry.size === 0);
+            entry.isLink = type === 0o120000;
+            entries.push(entry);
+            p += 46 + nameLen + extraLen + commentLen;
+        }
+        return entries;
+    } finally {
+        await handle.close();
+    }
+}
+
+/** Pull-based reader over an async iterable of Buffers. */
+class ChunkReader {
+    constructor(iterable) {
+        this.iterator = iterable[Symbol.asyncIterator]();
+        this.buffer = Buffer.alloc(0);
+        this.ended = false;
+    }
+
+    async fill(n) {
+        while (this.buffer.length < n && !this.ended) {
+            const { value, done } = await this.iterator.next();
+            if (done) {
+                this.ended = true;
+            } else {
+                this.buffer = this.buffer.length ? Buffer.concat([this.buffer, value]) : value;
+            }
+        }
+    }
+
+    async read(n) {
+        await this.fill(n);
+        if (this.buffer.length < n) {return null;}
+        const out = this.buffer.subarray(0, n);
+        this.buffer = this.buffer.subarray(n);
+        return out;
+    }
+
+    async* take(n) {
+        while (n > 0) {
+            if (this.buffer.length === 0) {
+                await this.fill(1);
+                if (this.buffer.length === 0) {throw archiveError('Archive is truncated', 'EFORMAT');}
+            }
+            const part = this.buffer.subarray(0, Math.min(n, this.buffer.length));
+            this.buffer = this.buffer.subarray(part.length);
+            n -= part.length;
+            yield part;
+        }
+    }
+
+    async skip(n) {
+        for await (const _chunk of this.take(n)) { /* discard */ }
+    }
+}
+
+/** NUL-terminated header field `buf[start, end)` as a string. */
+function headerString(buf, start, end, encoding = 'utf-8') {
+    const nul = buf.indexOf(0, start);
+    return buf.toString(encoding, start, nul >= 0 && nul < end ? nul : end);
+}
+
+function parseOctal(buf, start, length) {
+    // GNU base-256 for values that don't fit in octal
+    if (buf[start] & 0x80) {
+        let value = 0;
+        for (let i = start + 1; i < start + length; i++) {value = value * 256 + buf[i];}
+        return value;
+    }
+    const text = headerString(buf, start, start + length, 'latin1').trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+function parsePax(text) {
+    const out = {};
+    for (const line of text.split('\n')) {
+        const m = /^\d+ ([^=]+)=(.*)$/.exec(line);
+        if (m) {out[m[1]] = m[2];}
+    }
+    return out;
+}
+
+/**
+ * Walk a tar stream. Each yielded entry's bytes must be read with
+ * `entry.read()` before continuing, or they are skipped.
+ */
+async function* tarEntries(stream) {
+    const reader = new ChunkReader(stream);
+    let pax = {};
+    let longName = null;
+    for (;;) {
+        const block = await reader.read(512);
+        if (!block || block.every((b) => b === 0)) {return;}
+        let sum = 0;
+        for (let i = 0; i < 512; i++) {sum += i >= 148 && i < 156 ? 32 : block[i];}
+        if (sum !== parseOctal(block, 148, 8)) {throw archiveError('Not a tar archive (bad header checksum)', 'EFORMAT');}
+
+        const type = String.fromCharCode(block[156] || 48);
+        const size = pax.size !== undefined ? Number(pax.size) : parseOctal(block, 124, 12);
+        let name = headerString(block, 0, 100);
+        const prefix = headerString(block, 345, 500);
+        if (block.toString('latin1', 257, 262) === 'ustar' && prefix) {name = `${prefix}/${name}`;}
+        name = pax.path || longName || name;
+        const padded = Math.ceil(size / 512) * 512;
+
+        if (type === 'x' || type === 'L') {
+            const data = await reader.read(padded);
+            if (!data) {throw archiveError('Archive is truncated', 'EFORMAT');}
+            const text = data.toString('utf-8', 0, size);
+            if (type === 'x') {pax = parsePax(text);} else {longName = text.split('\u0000')[0];}
+            continue;
+        }
+        if (type === 'g') {
+            await reader.skip(padded);
+            continue;
+        }
+        pax = {};
+        longName = null;
+
+        let consumed = false;
+        const entry = {
+            name,
+            size,
+            mode: parseOctal(block, 100, 8),
+            modified: new Date(parseOctal(block, 136, 12) * 1000),
+            isDirectory: type === '5' || name.endsWith('/'),
+            isLink: type === '1' || type === '2',
+            isFile: type === '0' || type === '7',
+            read: () => {
+                consumed = true;
+                return reader.take(size);
+            },
+        };
+        yield entry;
+        if (!consumed) {await reader.skip(size);}
+        await reader.skip(padded - size);
+    }
+}
+
+function tarStream(file, format) {
+    const source = fs.createReadStream(file);
+    if (format !== 'tar.gz') {return source;}
+    const gunzip = zlib.createGunzip();
+    source.on('error', (err) => gunzip.destroy(err));
+    return source.pipe(gunzip);
+}
+
+/**
+ * Entries of an archive.
+ * @returns {Promise<{ format: string, entries: { name: string, isDirectory: boolean, isLink: boolean, size: number, compressedSize?: number, modified: string }[] }>}
+ */
+export async function listArchive(file) {
+    const format = await detectFormat(file);
+    if (!format) {throw archiveError('Not a zip or tar archive', 'EFORMAT');}
+    const entries = [];
+    if (format === 'zip') {
+        for (const e of await readZipDirectory(file)) {
+            entries.push({
+                name: e.name.replace(/\/$/, ''),
+                isDirectory: e.isDirectory,
+                isLink: e.isLink,
+                size: e.isDirectory ? 0 : e.size,
+                compressedSize: e.compressedSize,
+                modified: e.modified.toISOString(),
+            });
+        }
+    } else {
+        for await (const e of tarEntries(tarStream(file, format))) {
+            if (entries.length >= ARCHIVE_LIMITS.maxEntries) {throw archiveError(`More than ${ARCHIVE_LIMITS.maxEntries} entries`, 'ETOOMANY');}
+            entries.push({
+                name: e.name.replace(/\/$/, ''),
+                isDirectory: e.isDirectory,
+                isLink: e.isLink,
+                size: e.isDirectory ? 0 : e.size,
+                modified: e.modified.toISOString(),
+            });
+        }
+    }
+    return { format, entries };
+}
+
+/**
+ * Immediate children of `dir` inside an archive listing, with folders that
+ * only exist implicitly (as a prefix of deeper entries) filled in.
+ */
+export function archiveChildren(entries, dir = '') {
+    const prefix = dir.replace(/^\/+|\/+$/g, '');
+    const base = prefix ? `${prefix}/` : '';
+    const children = new Map();
+    for (const entry of entries) {
+        const name = entry.name.replace(/^\.\//, '');
+        if (!name.startsWith(base) || name === prefix) {continue;}
+        const rest = name.slice(base.length);
+        const [first, ...deeper] = rest.split('/');
+        if (!first) {continue;}
+        if (deeper.length > 0) {
+            if (!children.has(first)) {children.set(first, { name: first, path: base + first, isDirectory: true, size: 0, modified: null });}
+        } else {
+            children.set(first, { ...entry, name: first, path: base + first });
+        }
+    }
+    return [...children.values()].toSorted((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name));
+}
+
+// ─── Extracting ──────────────────────────────────────
+
+/**
+ * Safe relative path for an entry name, or null if it would escape the
+ * destination (absolute, drive-letter or `..` components).
+ */
+export function safeEntryPath(name) {
+    const normalized = name.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {return null;}
+    const parts = normalized.split('/').filter((p) => p && p !== '.');
+    if (parts.length === 0 || parts.includes('..')) {return null;}
+    return parts.join(path.sep);
+}
+
+/** Counts inflated bytes against the limits and hashes for the zip CRC check. */
+function limitedSink(budget, entryName) {
+    let crc = 0;
+    let size = 0;
+    const transform = new Transform({
+        transform(chunk, _enc, cb) {
+            size += chunk.length;
+            budget.bytes += chunk.length;
+            if (size > ARCHIVE_LIMITS.maxEntryBytes) {
+                return cb(archiveError(`${entryName} inflates past ${ARCHIVE_LIMITS.maxEntryBytes} bytes`, 'EBOMB'));
+            }
+            if (budget.bytes > budget.maxBytes) {
+                return cb(archiveError(`Archive inflates past ${budget.maxBytes} bytes (possible zip bomb)`, 'EBOMB'));
+            }
+            crc = crc32(chunk, crc);
+            cb(null, chunk);
+        },
+    });
+    return { transform, result: () => ({ crc, size }) };
+}
+
+/**
+ * Extract `file` into `dest` (which must not exist yet).
+ * @param {string} file - Absolute, policy-checked archive path.
+ * @param {string} dest - Absolute, policy-checked folder to create.
+ * @param {{ entries?: string[], checkPath?: (absPath: string) => void }} [options]
+ *   `entries` limits extraction to these names (folders include their
+ *   contents); `checkPath` may throw to veto a target path.
+ * @returns {Promise<{ path: string, files: number, directories: number, bytes: number, skipped: { name: string, reason: string }[] }>}
+ */
+export async function extractArchive(file, dest, { entries: only, checkPath } = {}) {
+    const format = await detectFormat(file);
+    if (!format) {throw archiveError('Not a zip or tar archive', 'EFORMAT');}
+    if (fs.existsSync(dest)) {throw archiveError(`${dest} already exists`, 'EEXIST');}
+
+    const archiveSize = fs.statSync(file).size;
+    const budget = {
+        bytes: 0,
+        maxBytes: Math.min(ARCHIVE_LIMITS.maxTotalBytes, Math.max(ARCHIVE_LIMITS.ratioFloorBytes, archiveSize * ARCHIVE_LIMITS.maxRatio)),
+    };
+    const wanted = only?.length ? only.map((n) => n.replace(/^\/+|\/+$/g, '')) : null;
+    const selected = (name) => !wanted || wanted.some((w) => name === w || name.startsWith(`${w}/`));
+    const stats = { files: 0, directories: 0, skipped: [] };
+    const staging = path.join(path.dirname(dest), `.${path.basename(dest)}.extracting-${crypto.randomBytes(4).toString('hex')}`);
+
+    /** Resolve an entry to a path in the staging folder, or null (recorded as skipped). */
+    const target = (entry) => {
+        const rel = safeEntryPath(entry.name);
+        if (!rel) {
+            stats.skipped.push({ name: entry.name, reason: 'unsafe path' });
+            return null;
+        }
+        const resolved = path.join(staging, rel);
+        checkPath?.(path.join(dest, rel));
+        return resolved;
+    };
+    const count = () => {
+        if (stats.files + stats.directories >= ARCHIVE_LIMITS.maxEntries) {
+            throw archiveError(`More than ${ARCHIVE_LIMITS.maxEntries} entries`, 'ETOOMANY');
+        }
+    };
+
+    await fs.promises.mkdir(staging, { recursive: true });
+    try {
+        if (format === 'zip') {
+            const entries = await readZipDirectory(file);
+            const claimed = entries.reduce((sum, e) => sum + (selected(e.name.replace(/\/$/, '')) ? e.size : 0), 0);
+            if (claimed > budget.maxBytes) {throw archiveError(`Archive would inflate to ${claimed} bytes (limit ${budget.maxBytes})`, 'EBOMB');}
+            const handle = await fs.promises.open(file, 'r');
+            try {
+                for (const entry of entries) {
+                    const name = entry.name.replace(/\/$/, '');
+                    if (!selected(name)) {continue;}
+                    if (entry.isLink) { stats.skipped.push({ name, reason: 'symlink' }); continue; }
+                    if (entry.encrypted) { stats.skipped.push({ name, reason: 'encrypted' }); continue; }
+                    const out = target(entry);
+                    if (!out) {continue;}
+                    count();
+                    if (entry.isDirectory) {
+                        await fs.promises.mkdir(out, { recursive: true });
+                        stats.directories++;
+                        continue;
+                    }
+                    if (entry.method !== 0 && entry.method !== 8) { stats.skipped.push({ name, reason: `compression method ${entry.method}` }); continue; }
+                    const local = Buffer.alloc(30);
+                    await handle.read(local, 0, 30, entry.offset);
+                    if (local.readUInt32LE(0) !== 0x04034b50) {throw archiveError(`Corrupt zip entry ${name}`, 'EFORMAT');}
+                    const dataStart = entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+                    await fs.promises.mkdir(path.dirname(out), { recursive: true });
+                    const sink = limitedSink(budget, name);
+                    const streams = entry.compressedSize === 0
+                        ? [Readable.from([])]
+                        : [fs.createReadStream(file, { start: dataStart, end: dataStart + entry.compressedSize - 1 })];
+                    if (entry.method === 8 && entry.compressedSize > 0) {streams.push(zlib.createInflateRaw());}
+                    await pipeline(...streams, sink.transform, fs.createWriteStream(out, { mode: (entry.mode & 0o777) || 0o644 }));
+                    const { crc, size } = sink.result();
+                    if (crc !== entry.crc || size !== entry.size) {throw archiveError(`${name} is corrupt (CRC or size mismatch)`, 'EFORMAT');}
+                    await fs.promises.utimes(out, entry.modified, entry.modified).catch(() => {});
+                    stats.files++;
+                }
+            } finally {
+                await handle.close();
+            }
+        } else {
+            for await (const entry of tarEntries(tarStream(file, format))) {
+                const name = entry.name.replace(/\/$/, '');
+                if (!selected(name)) {continue;}
+                if (!entry.isDirectory && !entry.isFile) {
+                    stats.skipped.push({ name, reason: entry.isLink ? 'link' : 'special file' });
+                    continue;
+                }
+                const out = target(entry);
+                if (!out) {continue;}
+                count();
+                if (entry.isDirectory) {
+                    await fs.promises.mkdir(out, { recursive: true });
+                    stats.directories++;
+                    continue;
+                }
+                await fs.promises.mkdir(path.dirname(out), { recursive: true });
+                const sink = limitedSink(budget, name);
+                await pipeline(Readable.from(entry.read()), sink.transform, fs.createWriteStream(out, { mode: (entry.mode & 0o777) || 0o644 }));
+                await fs.promises.utimes(out, entry.modified, entry.modified).catch(() => {});
+                stats.files++;
+            }
+        }
+        if (wanted && stats.files + stats.directories === 0) {throw archiveError('None of the requested entries are in the archive', 'ENOENT');}
+        await fs.promises.rename(staging, dest);
+    } catch (err) {
+        await fs.promises.rm(staging, { recursive: true, force: true });
+        throw err;
+    }
+    return { path: dest, ...stats, bytes: budget.bytes };
+}
+
+/**
+ * Write an archive of `sources` to `dest` via a temporary file in the same
+ * folder, so a failed or interrupted run leaves no half-written archive.
+ * @returns {Promise<{ path: string, size: number, entries: number, bytes: number }>}
+ */
+export async function createArchiveFile(sources, format, dest, { overwrite = false } = {}) {
+    if (!overwrite && fs.existsSync(dest)) {throw archiveError(`${dest} already exists`, 'EEXIST');}
+    const temp = path.join(path.dirname(dest), `.${path.basename(dest)}.partial-${crypto.randomBytes(4).toString('hex')}`);
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    try {
+        // Open up front so a bad target fails here rather than as a stray stream error
+        const handle = await fs.promises.open(temp, 'w');
+        const result = await createArchive(sources, format, handle.createWriteStream());
+        await fs.promises.rename(temp, dest);
+        return { path: dest, size: fs.statSync(dest).size, ...result };
+    } catch (err) {
+        await fs.promises.rm(temp, { force: true });
+        throw err;
+    }
+}
+
+/** Archive name without its extension(s): `photos.tar.gz` → `photos`. */
+export function archiveBaseName(file) {
+    return path.basename(file).replace(/\.(zip|tgz|tar\.gz|tar)$/i, '');
+}
+
+/** `base` in `dir`, or `base 2`, `base 3`, ... if taken. */
+export function uniquePath(dir, base, ext = '') {
+    let candidate = path.join(dir, `${base}${ext}`);
+    for (let n = 2; fs.existsSync(candidate); n++) {candidate = path.join(dir, `${base} ${n}${ext}`);}
+    return candidate;
+}
+
+/** Where an archive of `sources` goes by default: next to the first one. */
+export function defaultArchivePath(sources, format) {
+    const base = sources.length === 1 ? path.basename(sources[0]) : 'Archive';
+    return uniquePath(path.dirname(sources[0]), base, `.${format}`);
+}
+
+/** Where an archive is extracted by default: a folder named after it. */
+export function defaultExtractPath(file) {
+    return uniquePath(path.dirname(file), archiveBaseName(file));
+}
@@ -0,0 +1,316 @@
+/**
+ * cron — Cron-expression and calendar-rule evaluation for the scheduler.
+ *
+ * Supports standard 5-field (`min hour dom month dow`) and 6-field
+ * (`sec min hour dom month dow`) expressions, evaluated as wall-clock time
+ * in an IANA timezone. Extensions:
+ *   - `L` in day-of-month          → last day of the month
+ *   - `MON#2` / `1#2` in day-of-week → 2nd Monday of the month
+ *   - `5L` in day-of-week          → last Friday of the month
+ *   - month / weekday names (JAN, MON), `?` as an alias for `*`
+ *
+ * DST handling: a wall-clock time that does not exist (spring-forward gap)
+ * fires once, shifted forward by the jump (02:30 → 03:30); a wall-clock time
+ * that occurs twice (fall-back overlap) fires once, on its first occurrence.
+ */
+
+export const CRON_PRESETS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+    '@weekdays': '0 0 * * 1-5',
+    '@weekends': '0 0 * * 0,6',
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Give up searching after this many days (covers e.g. `0 0 29 2 *` leap days)
+const MAX_SEARCH_DAYS = 366 * 9;
+
+export function defaultTimezone() {
+    return process.env.ONIOS_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+export function isValidTimezone(tz) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ─── Parsing ───────────────────────────────────────────
+
+function parseValue(token, min, names) {
+    const upper = token.toUpperCase();
+    if (names) {
+        const idx = names.indexOf(upper);
+        if (idx !== -1) {return idx + min;}
+    }
+    if (!/^\d+$/.test(token)) {throw new Error(`Invalid value "${token}"`);}
+    return Number(token);
+}
+
+function parseField(expr, min, max, names) {
+    const values = new Set();
+    for (const part of expr.split(',')) {
+        const [rangePart, stepPart] = part.split('/');
+        const step = stepPart === undefined ? 1 : Number(stepPart);
+        if (!Number.isInteger(step) || step < 1) {throw new Error(`Invalid step in "${part}"`);}
+
+        let lo;
+        let hi;
+        if (rangePart === '*' || rangePart === '?') {
+            lo = min;
+            hi = max;
+        } else if (rangePart.includes('-')) {
+            const [a, b] = rangePart.split('-');
+            lo = parseValue(a, min, names);
+            hi = parseValue(b, min, names);
+        } else {
+            lo = parseValue(rangePart, min, names);
+            hi = stepPart === undefined ? lo : max;
+        }
+        if (lo < min || hi > max || lo > hi) {throw new Error(`Value out of range in "${part}" (${min}-${max})`);}
+        for (let v = lo; v <= hi; v += step) {values.add(v);}
+    }
+    return [...values].toSorted((a, b) => a - b);
+}
+
+function parseDayOfMonth(expr) {
+    const parts = expr.split(',');
+    const lastDay = parts.includes('L');
+    const rest = parts.filter(p => p !== 'L');
+    return {
+        days: rest.length > 0 ? parseField(rest.join(','), 1, 31) : [],
+        lastDay,
+    };
+}
+
+function parseDayOfWeek(expr) {
+    const days = new Set();
+    const nth = [];   // [{ day, n }] — n-th weekday of month
+    const last = [];  // weekdays that match only on their last occurrence
+    const plain = [];
+    for (const part of expr.toUpperCase().split(',')) {
+        let m = part.match(/^(\w+)#([1-5])$/);
+        if (m) {
+            nth.push({ day: parseValue(m[1], 0, DAY_NAMES) % 7, n: Number(m[2]) });
+            continue;
+        }
+        m = part.match(/^(\w+)L$/);
+        if (m) {
+            last.push(parseValue(m[1], 0, DAY_NAMES) % 7);
+            continue;
+        }
+        plain.push(part);
+    }
+    if (plain.length > 0) {
+        // 7 is accepted as an alias for Sunday
+        for (const d of parseField(plain.join(','), 0, 7, DAY_NAMES)) {days.add(d % 7);}
+    }
+    return { days: [...days], nth, last };
+}
+
+/**
+ * Parse a cron expression or preset into a reusable matcher.
+ * @param {string} expression - 5/6-field cron expression or `@preset`.
+ * @returns {object} Parsed cron spec.
+ * @throws {Error} If the expression is malformed.
+ */
+export function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {throw new Error('Cron expression required');}
+    const source = CRON_PRESETS[expression.trim().toLowerCase()] || expression.trim();
+    const fields = source.split(/\s+/);
+    if (fields.length !== 5 && fields.length !== 6) {
+        throw new Error(`Cron expression must have 5 or 6 fields, got ${fields.length}`);
+    }
+    if (fields.length === 5) {fields.unshift('0');}
+    const [sec, min, hour, dom, month, dow] = fields;
+
+    const dayOfMonth = parseDayOfMonth(dom);
+    const dayOfWeek = parseDayOfWeek(dow);
+    return {
+        expression: source,
+        seconds: parseField(sec, 0, 59),
+        minutes: parseField(min, 0, 59),
+        hours: parseField(hour, 0, 23),
+        dayOfMonth,
+        months: parseField(month, 1, 12, MONTH_NAMES),
+        dayOfWeek,
+        // Vixie cron semantics: if both day fields are restricted, either may match
+        domRestricted: dom !== '*' && dom !== '?',
+        dowRestricted: dow !== '*' && dow !== '?',
+    };
+}
+
+// ─── Timezone Helpers ──────────────────────────────────
+
+const formatterCache = new Map();
+
+function getFormatter(tz) {
+    let fmt = formatterCache.get(tz);
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat('en-US', {
+            timeZone: tz,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+        });
+        formatterCache.set(tz, fmt);
+    }
+    return fmt;
+}
+
+/** Wall-clock fields of a UTC timestamp in `tz`. */
+function wallClock(ts, tz) {
+    const out = {};
+    for (const { type, value } of getFormatter(tz).formatToParts(new Date(ts))) {
+        if (type !== 'literal') {out[type] = Number(value);}
+    }
+    return { year: out.year, month: out.month, day: out.day, hour: out.hour, minute: out.minute, second: out.second };
+}
+
+/** Offset of `tz` from UTC at instant `ts`, in ms. */
+function tzOffset(ts, tz) {
+    const w = wallClock(ts, tz);
+    const asUtc = Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second);
+    return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in `tz` to a UTC timestamp. Ambiguous times
+ * resolve to the earlier instant; nonexistent times shift past the gap.
+ */
+function zonedToUtc(year, month, day, hour, minute, second, tz) {
+    const naive = Date.UTC(year, month - 1, day, hour, minute, second);
+    // Offsets a day either side bracket any DST transition near the target
+    const before = tzOffset(naive - 86400000, tz);
+    const after = tzOffset(naive + 86400000, tz);
+    const shifted = naive - before;
+    const candidates = [...new Set([naive - before, naive - after])].toSorted((a, b) => a - b);
+    for (const ts of candidates) {
+        const w = wallClock(ts, tz);
+        if (w.year === year && w.month === month && w.day === day && w.hour === hour && w.minute === minute) {
+            return ts;
+        }
+    }
+    // In the gap: the pre-transition offset lands just after the jump
+    return shifted;
+}
+
+// ─── Evaluation ────────────────────────────────────────
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function matchesDay(spec, year, month, day) {
+    const dow = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const dim = daysInMonth(year, month);
+
+    const domMatch = spec.dayOfMonth.days.includes(day) || (spec.dayOfMonth.lastDay && day === dim);
+    const { days, nth, last } = spec.dayOfWeek;
+    const dowMatch = days.includes(dow)
+        || nth.some(r => r.day === dow && Math.ceil(day / 7) === r.n)
+        || last.some(d => d === dow && day + 7 > dim);
+
+    if (spec.domRestricted && spec.dowRestricted) {return domMatch || dowMatch;}
+    if (spec.domRestricted) {return domMatch;}
+    if (spec.dowRestricted) {return dowMatch;}
+    return true;
+}
+
+/**
+ * Next fire time strictly after `fromTs`.
+ * @param {object|string} spec - Parsed spec from parseCron() or an expression.
+ * @param {number} fromTs - Reference timestamp (ms).
+ * @param {string} [tz] - IANA timezone; defaults to the scheduler timezone.
+ * @returns {number|null} Timestamp in ms, or null if nothing matches.
+ */
+export function nextCronTime(spec, fromTs, tz = defaultTimezone()) {
+    const cron = typeof spec === 'string' ? parseCron(spec) : spec;
+    const start = wallClock(fromTs, tz);
+    let { year, month, day } = start;
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+        if (cron.months.includes(month) && matchesDay(cron, year, month, day)) {
+            const sameDay = i === 0;
+            for (const hour of cron.hours) {
+                if (sameDay && hour < start.hour) {continue;}
+                for (const minute of cron.minutes) {
+                    if (sameDay && hour === start.hour && minute < start.minute) {continue;}
+                    for (const second of cron.seconds) {
+                        const ts = zonedToUtc(year, month, day, hour, minute, second, tz);
+                        if (ts > fromTs) {return ts;}
+                    }
+                }
+            }
+        }
+        // Advance one calendar day
+        const next = new Date(Date.UTC(year, month - 1, day + 1));
+        year = next.getUTCFullYear();
+        month = next.getUTCMonth() + 1;
+        day = next.getUTCDate();
+    }
+    return null;
+}
+
+/**
+ * The next `count` fire times after `fromTs`.
+ * @returns {number[]}
+ */
+export function nextCronTimes(spec, fromTs, count = 5, tz = defaultTimezone()) {
+    const cron = typeof spec === 'string' ? parseCron(spec) : spec;
+    const times = [];
+    let cursor = fromTs;
+    while (times.length < count) {
+        const next = nextCronTime(cron, cursor, tz);
+        if (next === null) {break;}
+        times.push(next);
+        cursor = next;
+    }
+    return times;
+}
+
+// ─── Schedule Normalisation ────────────────────────────
+
+/**
+ * Normalise a job schedule from API input. Accepts:
+ *   - a cron string or preset: "0 9 * * 1-5", "@daily"
+ *   - { cron, tz }                      — cron expression in a timezone
+ *   - { preset, at, tz }                — named preset, optionally at "HH:MM"
+ *   - { interval, unit, at }            — legacy interval schedule (unchanged)
+ * @returns {object} Schedule stored on the job.
+ * @throws {Error} If the cron expression or timezone is invalid.
+ */
+export function normalizeSchedule(input) {
+    if (!input) {return { interval: 1, unit: 'hours' };}
+    const schedule = typeof input === 'string' ? { cron: input } : { ...input };
+
+    if (schedule.preset) {
+        const key = schedule.preset.startsWith('@') ? schedule.preset : `@${schedule.preset}`;
+        const base = CRON_PRESETS[key.toLowerCase()];
+        if (!base) {throw new Error(`Unknown schedule preset "${schedule.preset}"`);}
+        const fields = base.split(' ');
+        if (schedule.at && key !== '@hourly') {
+            const [h, m] = schedule.at.split(':').map(Number);
+            if (!(h >= 0 && h <= 23 && m >= 0 && m <= 59)) {throw new Error(`Invalid time "${schedule.at}"`);}
+            fields[0] = String(m);
+            fields[1] = String(h);
+        }
+        schedule.cron = fields.join(' ');
+    }
+
+    if (schedule.cron) {
+        parseCron(schedule.cron);
+        if (schedule.tz && !isValidTimezone(schedule.tz)) {throw new Error(`Unknown timezone "${schedule.tz}"`);}
+    }
+    return schedule;
+}
@@ -0,0 +1,47 @@
+/**
+ * fsGrepWorker — Worker thread that runs fsSearch's content regex.
+ *
+ * A regex can't be interrupted once it starts, so a pathological pattern
+ * (catastrophic backtracking) run on the server's thread would stall it.
+ * Here it only stalls this worker, which fsSearch terminates when a file
+ * takes too long.
+ *
+ * workerData: { source, flags, maxFileBytes, maxMatches }
+ * Messages in:  { id, filePath, size }
+ * Messages out: { id, matches } — matching lines, or null if the file is
+ *               binary, unreadable or too large
+ */
+
+import fs from 'fs';
+import { parentPort, workerData } from 'worker_threads';
+
+const MAX_LINE_CHARS = 300;
+const BINARY_SNIFF_BYTES = 8000;
+
+const re = new RegExp(workerData.source, workerData.flags);
+
+async function grepFile(filePath, size) {
+    if (size > workerData.maxFileBytes) {return null;}
+    let buf;
+    try {
+        buf = await fs.promises.readFile(filePath);
+    } catch {
+        return null;
+    }
+    if (buf.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {return null;}
+    const matches = [];
+    const lines = buf.toString('utf-8').split(/\r?\n/);
+    for (let i = 0; i < lines.length && matches.length < workerData.maxMatches; i++) {
+        const m = re.exec(lines[i]);
+        if (!m) {continue;}
+        const text = lines[i].length > MAX_LINE_CHARS
+            ? lines[i].slice(Math.max(0, m.index - 100), Math.max(0, m.index - 100) + MAX_LINE_CHARS)
+            : lines[i];
+        matches.push({ line: i + 1, column: m.index + 1, text });
+    }
+    return matches;
+}
+
+parentPort.on('message', async ({ id, filePath, size }) => {
+    parentPort.postMessage({ id, matches: await grepFile(filePath, size) });
+});
@@ -0,0 +1,563 @@
+/**
+ * fsJobs — Batch copy, move, delete and rename jobs for /api/fs/jobs and
+ * the agent's file action.
+ *
+ * A job works through its items (one per source) in order and is saved
+ * after each one, and every few seconds during a long copy:
+ *
+ *   ~/.onios/jobs/<id>.json   { id, op, status, items: [{ from, to, state, bytes, error? }], progress, ... }
+ *
+ * Job status: queued → running → completed | failed | cancelled. Item
+ * state: pending → running → done | skipped | failed (| cancelled).
+ *
+ * After a restart `resumeJobs()` continues every job that was queued or
+ * running, from the item it had reached. Files are copied to a temp name
+ * and renamed into place, so an item that was cut short is simply run
+ * again; files already at the target with the same size and mtime count as
+ * copied rather than as conflicts.
+ *
+ * When a target exists, the job's `conflict` policy applies:
+ *   skip       leave both alone (default)
+ *   overwrite  move the existing target to the trash (fsTrash.js), then proceed
+ *   rename     use "name 2.ext", "name 3.ext", ...
+ *
+ * Rename jobs apply `find` (a regex over the file name) and `replace`
+ * (`$1` etc., plus `{n}` / `{n:3}` for a running number) to each source.
+ *
+ * Jobs run one at a time. Subscribers (`subscribeJob`) get `progress` at
+ * most every PROGRESS_INTERVAL_MS, `item` as each item finishes and `done`.
+ * Callers check the fs policy when a job is submitted; every source and
+ * target is checked again as it is processed, since a resumed job may
+ * outlive a policy change.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { AsyncQueue } from './AsyncQueue.js';
+import { readJSONFile, writeJSONFile } from './persistence.js';
+import { checkFsAccess, auditFsViolation } from './fsPolicy.js';
+import { moveToTrash } from './fsTrash.js';
+
+export const JOBS_DIR = path.join(os.homedir(), '.onios', 'jobs');
+
+export const JOB_OPS = ['copy', 'move', 'delete', 'rename'];
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'rename'];
+
+export const JOB_LIMITS = {
+    maxItems: 10000,
+    keepFinishedMs: 7 * 24 * 60 * 60 * 1000,
+};
+
+const PROGRESS_INTERVAL_MS = 250;
+const TEMP_NAME_RE = /^\..+\.copying-[0-9a-f]{8}$/;
+const SAVE_INTERVAL_MS = 2000;
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+/** @type {Map<string, object>} */
+const jobs = new Map();
+/** @type {Map<string, AbortController>} */
+const controllers = new Map();
+/** @type {Map<string, Set<Function>>} */
+const subscribers = new Map();
+const runner = new AsyncQueue();
+let resumed = false;
+
+function jobError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function jobFile(id) {
+    return path.join(JOBS_DIR, `${id}.json`);
+}
+
+function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    writeJSONFile(jobFile(job.id), job, { backups: 0, pretty: false });
+}
+
+function emit(job, event, data) {
+    for (const listener of subscribers.get(job.id) || []) {
+        try {
+            listener(event, data);
+        } catch { /* a broken subscriber shouldn't stop the job */ }
+    }
+}
+
+/** The job without its item list, for listings and progress events. */
+export function jobSummary(job) {
+    const { items, ...summary } = job;
+    const counts = { done: 0, skipped: 0, failed: 0 };
+    for (const item of items) {
+        if (item.state in counts) {counts[item.state]++;}
+    }
+    return { ...summary, ...counts };
+}
+
+/** Policy check while a job runs; violations are audited and thrown. */
+function requireAccess(job, absPath, op) {
+    const check = checkFsAccess(absPath, op);
+    if (check.allowed) {return check.path;}
+    auditFsViolation(check.violation, { source: job.startedBy === 'agent' ? 'agent' : 'http', endpoint: `fs-job:${job.id}` });
+    const err = jobError(check.violation.message, 'FS_POLICY_VIOLATION');
+    err.violation = check.violation;
+    throw err;
+}
+
+/** True if `child` is `parent` or inside it. */
+function isWithin(child, parent) {
+    const rel = path.relative(parent, child);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/** Total size of a file or directory tree (symlinks not followed). */
+async function sizeOf(p) {
+    const st = await fs.promises.lstat(p);
+    if (!st.isDirectory()) {return st.size;}
+    let total = 0;
+    for (const name of await fs.promises.readdir(p)) {
+        try {
+            total += await sizeOf(path.join(p, name));
+        } catch { /* vanished or unreadable */ }
+    }
+    return total;
+}
+
+/** "name.ext" → "name 2.ext", "name 3.ext", ... until unused. */
+function uniqueTarget(target) {
+    const dir = path.dirname(target);
+    const name = path.basename(target);
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    let candidate = target;
+    for (let n = 2; fs.existsSync(candidate); n++) {candidate = path.join(dir, `${base} ${n}${ext}`);}
+    return candidate;
+}
+
+/** Same file under another spelling (e.g. a case-only rename on macOS). */
+function sameFile(a, b) {
+    try {
+        const sa = fs.statSync(a);
+        const sb = fs.statSync(b);
+        return sa.ino === sb.ino && sa.dev === sb.dev;
+    } catch {
+        return false;
+    }
+}
+
+// ─── Planning ────────────────────────────────────────
+
+/** New path for a rename item, or null if the result isn't a usable file name. */
+function renameTarget(from, index, find, replace) {
+    const name = path.basename(from);
+    const counter = (_, width) => String(index + 1).padStart(Number(width) || 0, '0');
+    const next = name.replace(find, replace.replace(/\{n(?::(\d+))?\}/g, counter));
+    if (!next || next === '.' || next === '..' || /[/\\]/.test(next)) {return null;}
+    return path.join(path.dirname(from), next);
+}
+
+/**
+ * Validate a job request and build its items (nothing is written).
+ * @param {{ op: string, sources: string[], dest?: string, conflict?: string,
+ *   find?: string, replace?: string, ignoreCase?: boolean, permanent?: boolean,
+ *   startedBy?: 'user' | 'agent' }} spec - Paths absolute and policy-checked.
+ * @returns {object} the job, status `queued`
+ */
+export function planJob(spec) {
+    const { op, dest, conflict = 'skip' } = spec;
+    const sources = Array.isArray(spec.sources) ? spec.sources : [];
+    if (!JOB_OPS.includes(op)) {throw jobError(`Unknown op: ${op} (use ${JOB_OPS.join(', ')})`, 'EINVAL');}
+    if (!CONFLICT_POLICIES.includes(conflict)) {throw jobError(`Unknown conflict policy: ${conflict} (use ${CONFLICT_POLICIES.join(', ')})`, 'EINVAL');}
+    if (sources.length === 0) {throw jobError('No sources', 'EINVAL');}
+    if (sources.length > JOB_LIMITS.maxItems) {throw jobError(`Too many sources (max ${JOB_LIMITS.maxItems})`, 'EINVAL');}
+    if ((op === 'copy' || op === 'move') && !dest) {throw jobError(`${op} needs a dest folder`, 'EINVAL');}
+
+    let targetOf = () => null;
+    if (op === 'copy' || op === 'move') {
+        targetOf = (from) => path.join(dest, path.basename(from));
+    } else if (op === 'rename') {
+        if (typeof spec.find !== 'string' || !spec.find) {throw jobError('rename needs a find pattern', 'EINVAL');}
+        let find;
+        try {
+            find = new RegExp(spec.find, spec.ignoreCase ? 'i' : '');
+        } catch (err) {
+            throw jobError(`Invalid find pattern: ${err.message}`, 'EINVAL');
+        }
+        const replace = String(spec.replace ?? '');
+        targetOf = (from, index) => renameTarget(from, index, find, replace);
+    }
+
+    const now = new Date().toISOString();
+    const items = sources.map((from, index) => ({ from, to: targetOf(from, index), state: 'pending', bytes: 0 }));
+    return {
+        id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+        op,
+        dest: op === 'copy' || op === 'move' ? dest : null,
+        conflict,
+        permanent: op === 'delete' && Boolean(spec.permanent),
+        startedBy: spec.startedBy === 'agent' ? 'agent' : 'user',
+        status: 'queued',
+        items,
+        progress: { itemsDone: 0, itemsTotal: items.length, bytesDone: 0, bytesTotal: 0, measured: false, current: null },
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+    };
+}
+
+// ─── Copying ─────────────────────────────────────────
+
+/**
+ * Copy a file, directory or symlink. Regular files go through a temp file
+ * and keep their mode and timestamps.
+ */
+async function copyTree(from, to, ctx) {
+    ctx.signal.throwIfAborted();
+    const st = await fs.promises.lstat(from);
+    if (st.isSymbolicLink()) {
+        requireAccess(ctx.job, to, 'write');
+        if (ctx.resuming && fs.existsSync(to)) {return;}
+        await fs.promises.symlink(await fs.promises.readlink(from), to);
+        return;
+    }
+    if (st.isDirectory()) {
+        requireAccess(ctx.job, to, 'write');
+        await fs.promises.mkdir(to, { recursive: true });
+        if (ctx.resuming) {
+            // Half-written files from before the restart
+            for (const name of await fs.promises.readdir(to)) {
+                if (TEMP_NAME_RE.test(name)) {await fs.promises.rm(path.join(to, name), { force: true });}
+            }
+        }
+        for (const name of await fs.promises.readdir(from)) {
+            await copyTree(path.join(from, name), path.join(to, name), ctx);
+        }
+        await fs.promises.utimes(to, st.atime, st.mtime);
+        return;
+    }
+    // Sockets, FIFOs and devices aren't copied
+    if (!st.isFile()) {return;}
+    requireAccess(ctx.job, to, 'write');
+    if (ctx.resuming) {
+        const existing = await fs.promises.lstat(to).catch(() => null);
+        if (existing?.isFile() && existing.size === st.size && Math.floor(existing.mtimeMs / 1000) === Math.floor(st.mtimeMs / 1000)) {
+            ctx.advance(st.size);
+            return;
+        }
+    }
+    const tmp = path.join(path.dirname(to), `.${path.basename(to)}.copying-${crypto.randomBytes(4).toString('hex')}`);
+    const counter = new Transform({
+        transform(chunk, _encoding, callback) {
+            ctx.advance(chunk.length);
+            callback(null, chunk);
+        },
+    });
+    try {
+        await pipeline(fs.createReadStream(from), counter, fs.createWriteStream(tmp, { mode: st.mode }), { signal: ctx.signal });
+        await fs.promises.utimes(tmp, st.atime, st.mtime);
+        await fs.promises.rename(tmp, to);
+    } catch (err) {
+        await fs.promises.rm(tmp, { force: true });
+        throw err;
+    }
+}
+
+// ─── Running ─────────────────────────────────────────
+
+/** Resolve where an item goes, applying the conflict policy. Returns null to skip. */
+async function resolveTarget(job, item) {
+    const { from, to } = item;
+    if (!fs.existsSync(to) || (job.op === 'rename' && sameFile(from, to))) {return to;}
+    if (job.op !== 'rename' && path.resolve(from) === path.resolve(to)) {
+        // Copying or moving an item onto itself: only "rename" makes sense
+        if (job.conflict === 'rename') {return uniqueTarget(to);}
+        if (job.conflict === 'skip') {return null;}
+        throw jobError('Source and target are the same', 'EINVAL');
+    }
+    switch (job.conflict) {
+        case 'rename':
+            return uniqueTarget(to);
+        case 'overwrite':
+            requireAccess(job, to, 'delete');
+            await moveToTrash(to, { source: job.startedBy });
+            return to;
+        default:
+            return null;
+    }
+}
+
+async function runItem(job, item, ctx) {
+    const { op } = job;
+    const resuming = item.state === 'running';
+    ctx.resuming = resuming;
+
+    if (op === 'delete') {
+        const target = requireAccess(job, item.from, 'delete');
+        if (!fs.existsSync(target)) {
+            if (resuming) {return 'done';}
+            throw jobError(`Path not found: ${target}`, 'ENOENT');
+        }
+        item.state = 'running';
+        saveJob(job);
+        if (job.permanent) {
+            await fs.promises.rm(target, { recursive: true, force: true });
+        } else {
+            await moveToTrash(target, { source: job.startedBy });
+        }
+        ctx.advance(item.bytes);
+        return 'done';
+    }
+
+    requireAccess(job, item.from, op === 'copy' ? 'read' : 'move');
+    if (!fs.existsSync(item.from)) {
+        // A move or rename that landed just before a restart
+        if (resuming && op !== 'copy' && fs.existsSync(item.to)) {return 'done';}
+        throw jobError(`Path not found: ${item.from}`, 'ENOENT');
+    }
+    if (op !== 'rename' && isWithin(path.resolve(item.to), path.resolve(item.from)) && path.resolve(item.to) !== path.resolve(item.from)) {
+        throw jobError(`Can't ${op} ${path.basename(item.from)} into itself`, 'EINVAL');
+    }
+    if (op === 'rename' && !item.to) {throw jobError(`Pattern gives no valid new name for ${path.basename(item.from)}`, 'EINVAL');}
+    if (op === 'rename' && item.to === item.from) {return 'skipped';}
+
+    if (!resuming) {
+        const to = await resolveTarget(job, item);
+        if (!to) {return 'skipped';}
+        item.to = to;
+        // Mark before touching the target so a resume knows it's ours
+        item.state = 'running';
+        saveJob(job);
+    }
+    requireAccess(job, item.to, 'write');
+
+    if (op === 'copy') {
+        await copyTree(item.from, item.to, ctx);
+        return 'done';
+    }
+    try {
+        await fs.promises.mkdir(path.dirname(item.to), { recursive: true });
+        await fs.promises.rename(item.from, item.to);
+        ctx.advance(item.bytes);
+    } catch (err) {
+        if (err.code !== 'EXDEV') {throw err;}
+        await copyTree(item.from, item.to, ctx);
+        await fs.promises.rm(item.from, { recursive: true, force: true });
+    }
+    return 'done';
+}
+
+async function measure(job) {
+    let total = 0;
+    for (const item of job.items) {
+        if (job.op !== 'rename') {
+            item.bytes = await sizeOf(item.from).catch(() => 0);
+        }
+        total += item.bytes;
+    }
+    job.progress.bytesTotal = total;
+    job.progress.measured = true;
+}
+
+async function runJob(job) {
+    if (job.status !== 'queued' && job.status !== 'running') {return;}
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt ||= new Date().toISOString();
+    const { progress } = job;
+    let lastEmit = 0;
+    let lastSave = Date.now();
+    const report = (force = false) => {
+        const now = Date.now();
+        if (force || now - lastEmit >= PROGRESS_INTERVAL_MS) {
+            lastEmit = now;
+            emit(job, 'progress', jobSummary(job));
+        }
+        if (now - lastSave >= SAVE_INTERVAL_MS) {
+            lastSave = now;
+            saveJob(job);
+        }
+    };
+
+    try {
+        if (!progress.measured) {await measure(job);}
+        // Recount from the items: bytes of an interrupted item are counted again as it reruns
+        const finished = job.items.filter((i) => ['done', 'skipped', 'failed'].includes(i.state));
+        progress.itemsDone = finished.length;
+        progress.bytesDone = finished.reduce((sum, i) => sum + i.bytes, 0);
+        saveJob(job);
+        report(true);
+
+        for (const [index, item] of job.items.entries()) {
+            if (item.state !== 'pending' && item.state !== 'running') {continue;}
+            controller.signal.throwIfAborted();
+            progress.current = item.from;
+            const startBytes = progress.bytesDone;
+            const ctx = {
+                job,
+                signal: controller.signal,
+                resuming: false,
+                advance: (n) => {
+                    progress.bytesDone += n;
+                    report();
+                },
+            };
+            try {
+                item.state = await runItem(job, item, ctx);
+                delete item.error;
+                delete item.code;
+            } catch (err) {
+                if (controller.signal.aborted) {
+                    item.state = 'cancelled';
+                    throw err;
+                }
+                item.state = 'failed';
+                item.error = err.message;
+                item.code = err.code;
+            }
+            // Skipped and failed items count as processed so the totals add up
+            progress.bytesDone = startBytes + item.bytes;
+            progress.itemsDone++;
+            saveJob(job);
+            emit(job, 'item', { index, ...item });
+            report(true);
+        }
+        job.status = 'completed';
+    } catch (err) {
+        if (controller.signal.aborted) {
+            job.status = 'cancelled';
+        } else {
+            job.status = 'failed';
+            job.error = err.message;
+        }
+    } finally {
+        controllers.delete(job.id);
+    }
+    progress.current = null;
+    job.finishedAt = new Date().toISOString();
+    saveJob(job);
+    emit(job, 'done', jobSummary(job));
+    subscribers.delete(job.id);
+}
+
+function schedule(job) {
+    runner.enqueue('jobs', () => runJob(job)).catch((err) => {
+        console.error(`[fsJobs] Job ${job.id} crashed: ${err.message}`);
+    });
+}
+
+// ─── Operations ──────────────────────────────────────
+
+/** Plan, save and queue a job (see `planJob`). Returns its summary. */
+export function submitJob(spec) {
+    const job = planJob(spec);
+    jobs.set(job.id, job);
+    saveJob(job);
+    schedule(job);
+    return jobSummary(job);
+}
+
+/** Full job (with items) from memory or disk, or null. */
+export function getJob(id) {
+    if (!/^[\w-]+$/.test(String(id))) {return null;}
+    if (jobs.has(id)) {return jobs.get(id);}
+    const job = readJSONFile(jobFile(id), null);
+    if (job?.id) {jobs.set(id, job);}
+    return job?.id ? job : null;
+}
+
+/** Summaries of all known jobs, newest first. */
+export function listJobs() {
+    let names = [];
+    try {
+        names = fs.readdirSync(JOBS_DIR);
+    } catch {
+        return [];
+    }
+    return names
+        .filter((name) => name.endsWith('.json'))
+        .map((name) => getJob(name.slice(0, -5)))
+        .filter(Boolean)
+        .map(jobSummary)
+        .toSorted((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Stop a queued or running job. Items already finished stay as they are;
+ * a directory copy cut short keeps what it copied so far.
+ * @returns {object | null} summary, or null if the job is unknown
+ */
+export function cancelJob(id) {
+    const job = getJob(id);
+    if (!job) {return null;}
+    if (job.status === 'queued') {
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        saveJob(job);
+        emit(job, 'done', jobSummary(job));
+        subscribers.delete(job.id);
+    } else if (job.status === 'running') {
+        controllers.get(job.id)?.abort();
+    }
+    return jobSummary(job);
+}
+
+/** Forget a finished job. Throws EBUSY for queued or running jobs. */
+export function removeJob(id) {
+    const job = getJob(id);
+    if (!job) {return false;}
+    if (!FINISHED.has(job.status)) {throw jobError('Job is still active; cancel it first', 'EBUSY');}
+    jobs.delete(id);
+    fs.rmSync(jobFile(id), { force: true });
+    return true;
+}
+
+/**
+ * Listen to a job's events: `progress` (summary), `item` ({ index, from,
+ * to, state, error? }) and `done` (summary). Returns an unsubscribe function.
+ */
+export function subscribeJob(id, listener) {
+    if (!subscribers.has(id)) {subscribers.set(id, new Set());}
+    subscribers.get(id).add(listener);
+    return () => {
+        const set = subscribers.get(id);
+        set?.delete(listener);
+        if (set?.size === 0) {subscribers.delete(id);}
+    };
+}
+
+/** Drop finished jobs older than `keepFinishedMs`. */
+export function pruneJobs() {
+    const cutoff = Date.now() - JOB_LIMITS.keepFinishedMs;
+    let removed = 0;
+    for (const job of listJobs()) {
+        if (FINISHED.has(job.status) && Date.parse(job.finishedAt) < cutoff) {
+            removeJob(job.id);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/** Continue jobs that were queued or running when the server stopped (once per process). */
+export function resumeJobs() {
+    if (resumed) {return 0;}
+    resumed = true;
+    const pending = listJobs()
+        .filter((job) => job.status === 'queued' || job.status === 'running')
+        .toReversed();
+    for (const { id } of pending) {schedule(getJob(id));}
+    if (pending.length > 0) {
+        console.log(`[fsJobs] Resuming ${pending.length} job(s)`);
+    }
+    return pending.length;
+}
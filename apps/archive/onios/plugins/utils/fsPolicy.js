@@ -0,0 +1,227 @@
+/**
+ * fsPolicy — Root jail and permission policy for filesystem access.
+ *
+ * Every path handed to `/api/fs/*` (and the agent's file action) is checked
+ * against `~/.onios/fs-policy.json`:
+ *
+ *   {
+ *     "roots": [
+ *       { "path": "~", "mode": "read-write" },
+ *       { "path": "/Volumes/Media", "mode": "read-only" }
+ *     ],
+ *     "denyWrite": ["~/.ssh", "~/.gnupg", "**\/*.pem"]
+ *   }
+ *
+ * - A path must sit inside one of the roots (`mode` defaults to read-only;
+ *   the innermost matching root applies). Symlinks are resolved first, so a
+ *   link inside a root that points outside of it is rejected.
+ * - Writes, deletes and moves need a read-write root and must not match a
+ *   `denyWrite` glob (syntax in glob.js). A glob matching a directory
+ *   covers everything in it.
+ * - A root itself can't be deleted or moved.
+ *
+ * The file is re-read when it changes; there is deliberately no HTTP
+ * endpoint to modify it. Violations are appended as JSON lines to
+ * `~/.onios/fs-audit.log`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { readJSONFile } from './persistence.js';
+import { globSource } from './glob.js';
+
+const ONIOS_DIR = path.join(os.homedir(), '.onios');
+export const FS_POLICY_FILE = path.join(ONIOS_DIR, 'fs-policy.json');
+export const FS_AUDIT_LOG = path.join(ONIOS_DIR, 'fs-audit.log');
+const MAX_AUDIT_LOG_BYTES = 1024 * 1024;
+
+export const DEFAULT_FS_POLICY = {
+    roots: [{ path: '~', mode: 'read-write' }],
+    denyWrite: [
+        '~/.ssh',
+        '~/.gnupg',
+        '~/.aws',
+        '~/.kube',
+        '~/.docker/config.json',
+        '~/.config/gcloud',
+        '~/.netrc',
+        '~/.onios',
+    ],
+};
+
+const MODE_ALIASES = { 'read-only': 'read-only', ro: 'read-only', 'read-write': 'read-write', rw: 'read-write' };
+const WRITE_OPS = new Set(['write', 'delete', 'move']);
+
+/** Expand a leading `~` and make the path absolute. */
+export function expandPath(p) {
+    if (p === '~' || p.startsWith('~/')) {p = path.join(os.homedir(), p.slice(1));}
+    return path.resolve(p);
+}
+
+/** True if `child` is `parent` or inside it. */
+function isWithin(child, parent) {
+    const rel = path.relative(parent, child);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/**
+ * Resolve symlinks in `p`. For paths that don't exist yet (write targets),
+ * the nearest existing ancestor is resolved and the rest appended.
+ */
+function realPathOf(p) {
+    const missing = [];
+    let current = p;
+    for (;;) {
+        try {
+            return path.join(fs.realpathSync(current), ...missing);
+        } catch {
+            const parent = path.dirname(current);
+            if (parent === current) {return p;}
+            missing.unshift(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+/** Compile a deny glob to a RegExp over absolute paths. */
+function denyGlobToRegExp(glob) {
+    const expanded = glob.startsWith('~') ? expandPath(glob) : glob;
+    // Matching a directory covers its contents; relative globs match at any depth
+    const anchor = path.isAbsolute(expanded) ? '^' : '(?:^|/)';
+    return new RegExp(`${anchor}${globSource(expanded)}(?:/.*)?$`);
+}
+
+// ─── Policy Loading ──────────────────────────────────
+
+let cached = null;
+let cachedMtime = -1;
+
+function normalizePolicy(raw) {
+    const roots = (Array.isArray(raw?.roots) ? raw.roots : DEFAULT_FS_POLICY.roots)
+        .map((r) => (typeof r === 'string' ? { path: r, mode: 'read-write' } : r))
+        .filter((r) => r && typeof r.path === 'string' && r.path.trim())
+        .map((r) => {
+            const resolved = expandPath(r.path.trim());
+            return {
+                path: resolved,
+                realPath: realPathOf(resolved),
+                mode: MODE_ALIASES[r.mode] || 'read-only',
+            };
+        });
+    const denyWrite = (Array.isArray(raw?.denyWrite) ? raw.denyWrite : DEFAULT_FS_POLICY.denyWrite)
+        .filter((g) => typeof g === 'string' && g.trim())
+        .map((glob) => ({ glob, re: denyGlobToRegExp(glob.trim()) }));
+    return { roots, denyWrite };
+}
+
+/** Current policy, re-read whenever the policy file changes. */
+export function getFsPolicy() {
+    let mtime = 0;
+    try {
+        mtime = fs.statSync(FS_POLICY_FILE).mtimeMs;
+    } catch { /* no policy file: defaults */ }
+    if (!cached || mtime !== cachedMtime) {
+        cached = normalizePolicy(mtime ? readJSONFile(FS_POLICY_FILE, DEFAULT_FS_POLICY) : DEFAULT_FS_POLICY);
+        cachedMtime = mtime;
+    }
+    return cached;
+}
+
+/** Policy summary safe to show to clients. */
+export function describeFsPolicy() {
+    const { roots, denyWrite } = getFsPolicy();
+    return {
+        roots: roots.map(({ path: p, mode }) => ({ path: p, mode })),
+        denyWrite: denyWrite.map((d) => d.glob),
+        policyFile: FS_POLICY_FILE,
+    };
+}
+
+// ─── Checks ──────────────────────────────────────────
+
+/**
+ * Check whether `op` is allowed on `rawPath`.
+ * @param {string} rawPath - As given by the client (`~` allowed).
+ * @param {'read'|'write'|'delete'|'move'} op
+ * @returns {{ allowed: true, path: string, root: object }
+ *   | { allowed: false, path: string, violation: { reason: string, op: string, path: string, realPath?: string, root?: string, rule?: string, message: string } }}
+ */
+export function checkFsAccess(rawPath, op) {
+    const policy = getFsPolicy();
+    const target = expandPath(rawPath);
+    const realTarget = realPathOf(target);
+    const deny = (reason, message, extra = {}) => ({
+        allowed: false,
+        path: target,
+        violation: { reason, op, path: target, ...(realTarget !== target && { realPath: realTarget }), ...extra, message },
+    });
+
+    // Innermost root wins, so a read-only root can be nested in a read-write one
+    const byDepth = (a, b) => b.path.length - a.path.length;
+    const root = policy.roots.filter((r) => isWithin(target, r.path)).toSorted(byDepth)[0];
+    if (!root) {return deny('outside-roots', `${target} is outside the allowed roots`);}
+    const realRoot = policy.roots
+        .filter((r) => isWithin(realTarget, r.realPath))
+        .toSorted((a, b) => b.realPath.length - a.realPath.length)[0];
+    if (!realRoot) {
+        return deny('symlink-escape', `${target} resolves to ${realTarget}, outside the allowed roots`, { root: root.path });
+    }
+
+    if (WRITE_OPS.has(op)) {
+        for (const r of [root, realRoot]) {
+            if (r.mode !== 'read-write') {return deny('read-only', `${r.path} is read-only`, { root: r.path });}
+        }
+        const rule = policy.denyWrite.find((d) => d.re.test(target) || d.re.test(realTarget));
+        if (rule) {return deny('denied', `${target} is protected by deny rule "${rule.glob}"`, { rule: rule.glob });}
+        if (op !== 'write' && (target === root.path || realTarget === realRoot.realPath)) {
+            return deny('root', `Cannot ${op} the root ${root.path}`, { root: root.path });
+        }
+    }
+    return { allowed: true, path: target, root };
+}
+
+/** True if `absPath` is one of the configured roots (its parent is off-limits). */
+export function isFsRoot(absPath) {
+    return getFsPolicy().roots.some((r) => r.path === absPath);
+}
+
+// ─── Audit Log ───────────────────────────────────────
+
+/**
+ * Append a policy violation to the audit log (best effort, never throws).
+ * @param {object} violation - From `checkFsAccess`.
+ * @param {{ source?: string, endpoint?: string, client?: string }} [context]
+ */
+export function auditFsViolation(violation, context = {}) {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...context, ...violation }) + '\n';
+    console.warn(`[fsPolicy] Denied ${violation.op} ${violation.path}: ${violation.reason}`);
+    try {
+        fs.mkdirSync(ONIOS_DIR, { recursive: true });
+        if (fs.existsSync(FS_AUDIT_LOG) && fs.statSync(FS_AUDIT_LOG).size > MAX_AUDIT_LOG_BYTES) {
+            fs.renameSync(FS_AUDIT_LOG, `${FS_AUDIT_LOG}.1`);
+        }
+        fs.appendFileSync(FS_AUDIT_LOG, line);
+    } catch (err) {
+        console.error(`[fsPolicy] Could not write audit log: ${err.message}`);
+    }
+}
+
+/** Most recent audit log entries, newest first. */
+export function readFsAuditLog(limit = 100) {
+    let text = '';
+    try {
+        text = fs.readFileSync(FS_AUDIT_LOG, 'utf-8');
+    } catch {
+        return [];
+    }
+    const out = [];
+    const lines = text.split('\n');
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+        if (!lines[i]) {continue;}
+        try {
+            out.push(JSON.parse(lines[i]));
+        } catch { /* torn line */ }
+    }
+    return out;
+}
@@ -0,0 +1,344 @@
+/**
+ * fsSearch — Recursive file search for /api/fs/search and the agent's
+ * file action.
+ *
+ * `searchFiles(root, options)` walks `root` depth-first and yields one event
+ * per match followed by a final summary, so callers can stream results as
+ * NDJSON:
+ *
+ *   { type: 'match', path, relativePath, name, isDirectory, size, modified, matches? }
+ *   { type: 'done', scanned, matched, truncated, timedOut, aborted, elapsedMs, patternTimeout? }
+ *
+ * Filters: name/path globs, a content regex (text files only), size and
+ * modification-time ranges, entry type and depth. `.gitignore` files are
+ * honoured on the way down (with negation, anchoring and dir-only rules)
+ * and `.git` is always skipped. Directory symlinks are not followed; file
+ * symlinks are only read if they stay inside the fs policy's roots.
+ *
+ * The content regex runs in a worker thread (fsGrepWorker.js). A file that
+ * keeps it busy past `patternTimeoutMs` means the pattern backtracks out of
+ * control: the worker is terminated and the search ends with `timedOut`
+ * and `patternTimeout` (the file's relative path) in the summary.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { globSource, globToRegExp } from './glob.js';
+import { checkFsAccess } from './fsPolicy.js';
+
+export const SEARCH_DEFAULTS = {
+    maxDepth: 20,
+    limit: 1000,
+    maxFileBytes: 2 * 1024 * 1024,
+    maxMatchesPerFile: 20,
+    timeoutMs: 30000,
+    patternTimeoutMs: 2000,
+};
+
+const ALWAYS_SKIP = new Set(['.git']);
+
+// ─── .gitignore ──────────────────────────────────────
+
+/**
+ * Parse a .gitignore file into rules matched against paths relative to
+ * the directory that contains it.
+ * @returns {{ re: RegExp, negate: boolean, dirOnly: boolean }[]}
+ */
+export function parseGitignore(text) {
+    const rules = [];
+    for (let line of text.split(/\r?\n/)) {
+        line = line.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) {continue;}
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        } else if (line.startsWith('\\#') || line.startsWith('\\!')) {
+            line = line.slice(1);
+        }
+        const dirOnly = line.endsWith('/');
+        if (dirOnly) {line = line.slice(0, -1);}
+        // A slash anywhere but the end anchors the pattern to this directory
+        const anchored = line.includes('/');
+        if (line.startsWith('/')) {line = line.slice(1);}
+        if (!line) {continue;}
+        rules.push({ re: new RegExp(`${anchored ? '^' : '(?:^|/)'}${globSource(line)}$`), negate, dirOnly });
+    }
+    return rules;
+}
+
+/** Stack of .gitignore rule sets from the search root down to the current directory. */
+class IgnoreStack {
+    constructor() {
+        /** @type {{ dir: string, rules: object[] }[]} */
+        this.levels = [];
+    }
+
+    /** Load `dir/.gitignore` if present; returns true if a level was pushed. */
+    enter(dir) {
+        let text;
+        try {
+            text = fs.readFileSync(path.join(dir, '.gitignore'), 'utf-8');
+        } catch {
+            return false;
+        }
+        this.levels.push({ dir, rules: parseGitignore(text) });
+        return true;
+    }
+
+    leave() {
+        this.levels.pop();
+    }
+
+    ignores(absPath, isDirectory) {
+        let ignored = false;
+        for (const { dir, rules } of this.levels) {
+            const rel = path.relative(dir, absPath).split(path.sep).join('/');
+            for (const rule of rules) {
+                if (rule.dirOnly && !isDirectory) {continue;}
+                if (rule.re.test(rel)) {ignored = !rule.negate;}
+            }
+        }
+        return ignored;
+    }
+}
+
+// ─── Options ─────────────────────────────────────────
+
+function toBool(value, fallback) {
+    if (value === undefined || value === null || value === '') {return fallback;}
+    if (typeof value === 'boolean') {return value;}
+    return !['0', 'false', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+function toNumber(value, fallback) {
+    if (value === undefined || value === null || value === '') {return fallback;}
+    const n = Number(value);
+    if (!Number.isFinite(n)) {throw new Error(`Invalid number: ${value}`);}
+    return n;
+}
+
+/** Epoch ms from an ISO date, a number of ms, or a relative age like `7d` / `12h`. */
+function toTime(value) {
+    if (value === undefined || value === null || value === '') {return null;}
+    const relative = /^(\d+)([mhdw])$/.exec(String(value));
+    if (relative) {
+        const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 }[relative[2]];
+        return Date.now() - Number(relative[1]) * unit;
+    }
+    const t = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(t)) {throw new Error(`Invalid date: ${value}`);}
+    return t;
+}
+
+/**
+ * Validate and normalise search options from query params or a JSON body.
+ * Throws with a user-facing message on bad input.
+ *
+ * @param {object} input
+ *   glob (string | string[]), query (regex), caseSensitive, literal,
+ *   type ('file' | 'directory' | 'any'), minSize, maxSize,
+ *   modifiedAfter, modifiedBefore, maxDepth, showHidden, gitignore, limit
+ */
+export function normalizeSearchOptions(input = {}) {
+    const caseSensitive = toBool(input.caseSensitive, false);
+    const globs = [].concat(input.glob ?? []).filter(Boolean).map(String);
+    let content = null;
+    if (input.query) {
+        const source = toBool(input.literal, false)
+            ? String(input.query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            : String(input.query);
+        try {
+            content = new RegExp(source, caseSensitive ? '' : 'i');
+        } catch (err) {
+            throw new Error(`Invalid regex: ${err.message}`, { cause: err });
+        }
+    }
+    const type = input.type || (content ? 'file' : 'any');
+    if (!['file', 'directory', 'any'].includes(type)) {throw new Error(`Invalid type: ${type}`);}
+    if (content && type !== 'file') {throw new Error('Content search only applies to files');}
+
+    return {
+        globs: globs.map((g) => ({ re: globToRegExp(g, { nocase: !caseSensitive }), matchPath: g.includes('/') })),
+        content,
+        type,
+        minSize: toNumber(input.minSize, null),
+        maxSize: toNumber(input.maxSize, null),
+        modifiedAfter: toTime(input.modifiedAfter),
+        modifiedBefore: toTime(input.modifiedBefore),
+        maxDepth: Math.max(1, toNumber(input.maxDepth, SEARCH_DEFAULTS.maxDepth)),
+        showHidden: toBool(input.showHidden, false),
+        gitignore: toBool(input.gitignore, true),
+        limit: Math.min(10000, Math.max(1, toNumber(input.limit, SEARCH_DEFAULTS.limit))),
+        maxMatchesPerFile: SEARCH_DEFAULTS.maxMatchesPerFile,
+        timeoutMs: SEARCH_DEFAULTS.timeoutMs,
+    };
+}
+
+// ─── Search ──────────────────────────────────────────
+
+/** Content regex runner: one worker per search, replaced after a timeout. */
+class ContentMatcher {
+    constructor(re, maxMatches) {
+        this.workerData = {
+            source: re.source,
+            flags: re.flags,
+            maxFileBytes: SEARCH_DEFAULTS.maxFileBytes,
+            maxMatches,
+        };
+        this.worker = null;
+        this.nextId = 0;
+    }
+
+    /**
+     * Matching lines of a text file, or null if binary/unreadable/too large.
+     * Rejects with code EPATTERNTIMEOUT when the file takes longer than `timeoutMs`.
+     */
+    match(filePath, size, timeoutMs) {
+        if (size > SEARCH_DEFAULTS.maxFileBytes) {return Promise.resolve(null);}
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./fsGrepWorker.js', import.meta.url), { workerData: this.workerData });
+            this.worker.unref();
+        }
+        const worker = this.worker;
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                clearTimeout(timer);
+                worker.off('message', onMessage);
+                worker.off('error', onError);
+            };
+            const onMessage = (msg) => {
+                if (msg.id !== id) {return;}
+                done();
+                resolve(msg.matches);
+            };
+            const onError = (err) => {
+                done();
+                this.close();
+                reject(err);
+            };
+            const timer = setTimeout(() => {
+                done();
+                this.close();
+                const err = new Error(`Pattern took longer than ${timeoutMs} ms on ${filePath}`);
+                err.code = 'EPATTERNTIMEOUT';
+                reject(err);
+            }, timeoutMs);
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+            worker.postMessage({ id, filePath, size });
+        });
+    }
+
+    close() {
+        this.worker?.terminate();
+        this.worker = null;
+    }
+}
+
+/**
+ * Search below `root` (an absolute, policy-checked directory).
+ * @param {string} root
+ * @param {ReturnType<typeof normalizeSearchOptions>} options
+ * @param {AbortSignal} [signal]
+ */
+export async function* searchFiles(root, options, signal) {
+    const started = Date.now();
+    const deadline = started + options.timeoutMs;
+    const stats = { scanned: 0, matched: 0, truncated: false, timedOut: false, aborted: false };
+    const ignore = new IgnoreStack();
+    const matcher = options.content ? new ContentMatcher(options.content, options.maxMatchesPerFile) : null;
+
+    async function* walk(dir, depth) {
+        const pushed = options.gitignore && ignore.enter(dir);
+        try {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch {
+                return;
+            }
+            for (const entry of entries.toSorted((a, b) => a.name.localeCompare(b.name))) {
+                if (signal?.aborted) { stats.aborted = true; return; }
+                if (Date.now() > deadline) { stats.timedOut = true; return; }
+                if (stats.matched >= options.limit) { stats.truncated = true; return; }
+
+                const name = entry.name;
+                if (ALWAYS_SKIP.has(name) || (!options.showHidden && name.startsWith('.'))) {continue;}
+                const fullPath = path.join(dir, name);
+                stats.scanned++;
+
+                let stat;
+                try {
+                    stat = await fs.promises.stat(fullPath);
+                } catch {
+                    continue;
+                }
+                const isDirectory = stat.isDirectory();
+                if (options.gitignore && ignore.ignores(fullPath, isDirectory)) {continue;}
+                // Don't follow directory links (loops, escapes); check file links against the jail
+                if (entry.isSymbolicLink() && (isDirectory || !checkFsAccess(fullPath, 'read').allowed)) {continue;}
+
+                let event;
+                try {
+                    event = await matchEntry(fullPath, name, stat, isDirectory);
+                } catch (err) {
+                    if (err.code !== 'EPATTERNTIMEOUT') {throw err;}
+                    stats.timedOut = true;
+                    stats.patternTimeout = path.relative(root, fullPath).split(path.sep).join('/');
+                    return;
+                }
+                if (event) {
+                    stats.matched++;
+                    yield event;
+                }
+                if (isDirectory && depth < options.maxDepth) {
+                    yield* walk(fullPath, depth + 1);
+                    if (stats.aborted || stats.timedOut || stats.truncated) {return;}
+                }
+            }
+        } finally {
+            if (pushed) {ignore.leave();}
+        }
+    }
+
+    async function matchEntry(fullPath, name, stat, isDirectory) {
+        if (options.type === 'file' && isDirectory) {return null;}
+        if (options.type === 'directory' && !isDirectory) {return null;}
+        const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+        if (options.globs.length && !options.globs.some((g) => g.re.test(g.matchPath ? relativePath : name))) {return null;}
+        if (!isDirectory) {
+            if (options.minSize !== null && stat.size < options.minSize) {return null;}
+            if (options.maxSize !== null && stat.size > options.maxSize) {return null;}
+        }
+        const mtime = stat.mtimeMs;
+        if (options.modifiedAfter !== null && mtime < options.modifiedAfter) {return null;}
+        if (options.modifiedBefore !== null && mtime > options.modifiedBefore) {return null;}
+
+        const event = {
+            type: 'match',
+            path: fullPath,
+            relativePath,
+            name,
+            isDirectory,
+            size: isDirectory ? null : stat.size,
+            modified: stat.mtime.toISOString(),
+        };
+        if (matcher) {
+            const timeoutMs = Math.max(1, Math.min(SEARCH_DEFAULTS.patternTimeoutMs, deadline - Date.now()));
+            const matches = await matcher.match(fullPath, stat.size, timeoutMs);
+            if (!matches?.length) {return null;}
+            event.matches = matches;
+        }
+        return event;
+    }
+
+    try {
+        yield* walk(root, 1);
+    } finally {
+        matcher?.close();
+    }
+    yield { type: 'done', ...stats, elapsedMs: Date.now() - started };
+}
@@ -0,0 +1,265 @@
+/**
+ * fsTrash — Recoverable deletes for /api/fs/delete and the agent's
+ * SpaceLens cleanup.
+ *
+ * Deleted files and folders are moved (not copied) into ~/.onios/trash:
+ *
+ *   files/<id>       the item itself
+ *   info/<id>.json   { id, name, originalPath, deletedAt, deletedBy, isDirectory, size }
+ *   settings.json    { maxAgeDays, maxBytes }
+ *
+ * `purgeTrash()` permanently removes items older than `maxAgeDays` and then
+ * the oldest items until the trash fits in `maxBytes`; it runs after every
+ * delete and periodically from filesystemPlugin. An item larger than the
+ * whole quota is refused (code ETOOBIG) rather than trashed and purged at
+ * once, so nothing is ever lost without an explicit permanent delete.
+ *
+ * Callers check the fs policy (fsPolicy.js) before trashing or restoring;
+ * this module only manages the trash itself. Operations are serialised on
+ * the persistence queue so purges can't race restores.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { persistQueue, readJSONFile, writeJSONFile } from './persistence.js';
+
+export const TRASH_DIR = path.join(os.homedir(), '.onios', 'trash');
+const FILES_DIR = path.join(TRASH_DIR, 'files');
+const INFO_DIR = path.join(TRASH_DIR, 'info');
+const SETTINGS_FILE = path.join(TRASH_DIR, 'settings.json');
+
+export const DEFAULT_TRASH_SETTINGS = {
+    maxAgeDays: 30,
+    maxBytes: 5 * 1024 * 1024 * 1024,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_SOURCES = new Set(['user', 'agent', 'system']);
+
+function trashError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function serialized(fn) {
+    return persistQueue.enqueue(TRASH_DIR, fn);
+}
+
+/** Total size of a file or directory tree (symlinks not followed). */
+async function sizeOf(p) {
+    const st = await fs.promises.lstat(p);
+    if (!st.isDirectory()) {return st.size;}
+    let total = 0;
+    for (const name of await fs.promises.readdir(p)) {
+        try {
+            total += await sizeOf(path.join(p, name));
+        } catch { /* vanished or unreadable */ }
+    }
+    return total;
+}
+
+/** Rename, falling back to copy + remove across filesystems. */
+async function moveItem(from, to) {
+    try {
+        await fs.promises.rename(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') {throw err;}
+        await fs.promises.cp(from, to, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+        await fs.promises.rm(from, { recursive: true, force: true });
+    }
+}
+
+function readEntries() {
+    let names = [];
+    try {
+        names = fs.readdirSync(INFO_DIR);
+    } catch {
+        return [];
+    }
+    const entries = [];
+    for (const name of names) {
+        if (!name.endsWith('.json')) {continue;}
+        const entry = readJSONFile(path.join(INFO_DIR, name), null);
+        if (entry?.id) {entries.push(entry);}
+    }
+    return entries.toSorted((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+async function removeEntry(entry) {
+    await fs.promises.rm(path.join(FILES_DIR, entry.id), { recursive: true, force: true });
+    await fs.promises.rm(path.join(INFO_DIR, `${entry.id}.json`), { force: true });
+}
+
+// ─── Settings ────────────────────────────────────────
+
+export function getTrashSettings() {
+    return { ...DEFAULT_TRASH_SETTINGS, ...readJSONFile(SETTINGS_FILE, {}) };
+}
+
+/** Update purge limits; returns the new settings. */
+export function setTrashSettings(patch = {}) {
+    const settings = getTrashSettings();
+    for (const key of Object.keys(DEFAULT_TRASH_SETTINGS)) {
+        if (patch[key] === undefined) {continue;}
+        const n = Number(patch[key]);
+        if (!Number.isFinite(n) || n < 0) {throw trashError(`Invalid ${key}: ${patch[key]}`, 'EINVAL');}
+        settings[key] = n;
+    }
+    fs.mkdirSync(TRASH_DIR, { recursive: true });
+    writeJSONFile(SETTINGS_FILE, settings, { backups: 0 });
+    return settings;
+}
+
+// ─── Operations ──────────────────────────────────────
+
+/** True if `absPath` is the trash or inside it. */
+export function isInTrash(absPath) {
+    const rel = path.relative(TRASH_DIR, absPath);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/**
+ * Move `absPath` into the trash.
+ * @param {string} absPath - Absolute, policy-checked path.
+ * @param {{ source?: 'user' | 'agent' | 'system' }} [options]
+ * @returns {Promise<object>} the trash entry
+ */
+export function moveToTrash(absPath, { source = 'user' } = {}) {
+    return serialized(async () => {
+        if (isInTrash(absPath)) {throw trashError('Item is already in the trash', 'EINVAL');}
+        const st = await fs.promises.lstat(absPath).catch(() => null);
+        if (!st) {throw trashError(`Path not found: ${absPath}`, 'ENOENT');}
+
+        const size = await sizeOf(absPath);
+        const { maxBytes } = getTrashSettings();
+        if (maxBytes > 0 && size > maxBytes) {
+            throw trashError(`${path.basename(absPath)} is larger than the trash quota (${size} > ${maxBytes} bytes)`, 'ETOOBIG');
+        }
+
+        const entry = {
+            id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+            name: path.basename(absPath),
+            originalPath: absPath,
+            deletedAt: new Date().toISOString(),
+            deletedBy: TRASH_SOURCES.has(source) ? source : 'user',
+            isDirectory: st.isDirectory(),
+            size,
+        };
+        await fs.promises.mkdir(FILES_DIR, { recursive: true });
+        await fs.promises.mkdir(INFO_DIR, { recursive: true });
+        // Metadata first: a crash mid-move leaves an entry that can still be found
+        writeJSONFile(path.join(INFO_DIR, `${entry.id}.json`), entry, { backups: 0 });
+        try {
+            await moveItem(absPath, path.join(FILES_DIR, entry.id));
+        } catch (err) {
+            await fs.promises.rm(path.join(INFO_DIR, `${entry.id}.json`), { force: true });
+            throw err;
+        }
+        await purgeLocked(entry.id);
+        return entry;
+    });
+}
+
+/** Trash contents, newest first, with totals and purge settings. */
+export function listTrash() {
+    return serialized(async () => {
+        const items = readEntries().filter((e) => fs.existsSync(path.join(FILES_DIR, e.id)));
+        return {
+            items,
+            totalBytes: items.reduce((sum, e) => sum + (e.size || 0), 0),
+            settings: getTrashSettings(),
+        };
+    });
+}
+
+/** A single trash entry, or null. */
+export function getTrashEntry(id) {
+    if (!/^[\w-]+$/.test(String(id))) {return null;}
+    return readJSONFile(path.join(INFO_DIR, `${id}.json`), null);
+}
+
+/**
+ * Move an item back to its original path (or `to`). Missing parent
+ * directories are recreated; an existing file at the target is never
+ * overwritten (code EEXIST).
+ * @returns {Promise<object>} the entry plus `restoredTo`
+ */
+export function restoreFromTrash(id, { to } = {}) {
+    return serialized(async () => {
+        const entry = getTrashEntry(id);
+        const stored = entry && path.join(FILES_DIR, entry.id);
+        if (!entry || !fs.existsSync(stored)) {throw trashError(`No trash item ${id}`, 'ENOENT');}
+        const target = to || entry.originalPath;
+        if (fs.existsSync(target)) {throw trashError(`${target} already exists`, 'EEXIST');}
+
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await moveItem(stored, target);
+        await fs.promises.rm(path.join(INFO_DIR, `${entry.id}.json`), { force: true });
+        return { ...entry, restoredTo: target };
+    });
+}
+
+/**
+ * Permanently delete trash items (all of them when `ids` is omitted).
+ * @returns {Promise<{ removed: number, freedBytes: number }>}
+ */
+export function emptyTrash(ids) {
+    return serialized(async () => {
+        const wanted = ids ? new Set(ids) : null;
+        let removed = 0;
+        let freedBytes = 0;
+        for (const entry of readEntries()) {
+            if (wanted && !wanted.has(entry.id)) {continue;}
+            await removeEntry(entry);
+            removed++;
+            freedBytes += entry.size || 0;
+        }
+        return { removed, freedBytes };
+    });
+}
+
+async function purgeLocked(keepId = null) {
+    const { maxAgeDays, maxBytes } = getTrashSettings();
+    const now = Date.now();
+    let removed = 0;
+    let freedBytes = 0;
+    const drop = async (entry) => {
+        await removeEntry(entry);
+        removed++;
+        freedBytes += entry.size || 0;
+    };
+
+    // Oldest first
+    const entries = readEntries().toReversed();
+    const kept = [];
+    for (const entry of entries) {
+        const age = now - Date.parse(entry.deletedAt);
+        const missing = !fs.existsSync(path.join(FILES_DIR, entry.id));
+        if (missing || (maxAgeDays > 0 && age > maxAgeDays * DAY_MS && entry.id !== keepId)) {
+            await drop(entry);
+        } else {
+            kept.push(entry);
+        }
+    }
+    if (maxBytes > 0) {
+        let total = kept.reduce((sum, e) => sum + (e.size || 0), 0);
+        for (const entry of kept) {
+            if (total <= maxBytes) {break;}
+            if (entry.id === keepId) {continue;}
+            await drop(entry);
+            total -= entry.size || 0;
+        }
+    }
+    if (removed > 0) {
+        console.log(`[fsTrash] Purged ${removed} item(s), ${freedBytes} bytes`);
+    }
+    return { removed, freedBytes };
+}
+
+/** Apply the age and size limits now. */
+export function purgeTrash() {
+    return serialized(() => purgeLocked());
+}
@@ -0,0 +1,301 @@
+/**
+ * fsUpload — Chunked, resumable uploads for /api/fs/upload.
+ *
+ * An upload is created with the final path and size, then filled with
+ * chunks sent in order, each at the byte offset the server reports:
+ *
+ *   ~/.onios/uploads/<id>.part   bytes received so far
+ *   ~/.onios/uploads/<id>.json   { id, path, size, offset, sha256, overwrite, createdAt, updatedAt }
+ *
+ * Both survive a server restart, so a client that lost its connection asks
+ * for the current offset and carries on from there. A chunk may carry its
+ * own SHA-256; a mismatch rolls the chunk back. The whole-file SHA-256 is
+ * computed as chunks arrive and checked against the one given at creation
+ * or completion before the file is moved into place; the target is never
+ * written until then.
+ *
+ * Callers check the fs policy (fsPolicy.js); this module only manages the
+ * staging area. Uploads untouched for `staleMs` are discarded by
+ * `purgeStaleUploads()`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { readJSONFile, writeJSONFile } from './persistence.js';
+
+export const UPLOAD_DIR = path.join(os.homedir(), '.onios', 'uploads');
+
+export const UPLOAD_DEFAULTS = {
+    chunkSize: 8 * 1024 * 1024,
+    maxChunkBytes: 64 * 1024 * 1024,
+    staleMs: 24 * 60 * 60 * 1000,
+};
+
+const SHA256_RE = /^[a-f0-9]{64}$/;
+
+/** @type {Map<string, { meta: object, hash: crypto.Hash | null, busy: boolean }>} */
+const uploads = new Map();
+
+function uploadError(message, code, extra = {}) {
+    const err = new Error(message);
+    err.code = code;
+    Object.assign(err, extra);
+    return err;
+}
+
+function partFile(id) {
+    return path.join(UPLOAD_DIR, `${id}.part`);
+}
+
+function metaFile(id) {
+    return path.join(UPLOAD_DIR, `${id}.json`);
+}
+
+function normalizeDigest(value, label) {
+    if (value === undefined || value === null || value === '') {return null;}
+    const digest = String(value).trim().toLowerCase();
+    if (!SHA256_RE.test(digest)) {throw uploadError(`Invalid ${label}: expected a hex SHA-256`, 'EINVAL');}
+    return digest;
+}
+
+function saveMeta(state) {
+    state.meta.updatedAt = new Date().toISOString();
+    writeJSONFile(metaFile(state.meta.id), state.meta, { backups: 0 });
+}
+
+function removeFiles(id) {
+    fs.rmSync(partFile(id), { force: true });
+    fs.rmSync(metaFile(id), { force: true });
+}
+
+/** Upload state from memory, or from disk after a restart. */
+function loadUpload(id) {
+    if (!/^[\w-]+$/.test(String(id))) {return null;}
+    let state = uploads.get(id);
+    if (state) {return state;}
+    const meta = readJSONFile(metaFile(id), null);
+    if (!meta?.id || !fs.existsSync(partFile(id))) {return null;}
+    // Trust the bytes on disk over the metadata (a chunk may have been cut short)
+    meta.offset = Math.min(meta.size, fs.statSync(partFile(id)).size);
+    state = { meta, hash: null, busy: false };
+    uploads.set(id, state);
+    return state;
+}
+
+/** Running hash of the first `offset` bytes, rebuilt from disk if it was lost. */
+async function ensureHash(state) {
+    if (state.hash) {return state.hash;}
+    const hash = crypto.createHash('sha256');
+    if (state.meta.offset > 0) {
+        const stream = fs.createReadStream(partFile(state.meta.id), { start: 0, end: state.meta.offset - 1 });
+        for await (const chunk of stream) {hash.update(chunk);}
+    }
+    state.hash = hash;
+    return hash;
+}
+
+/** Rename, falling back to copy + remove across filesystems. */
+async function moveFile(from, to) {
+    try {
+        await fs.promises.rename(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') {throw err;}
+        await fs.promises.copyFile(from, to);
+        await fs.promises.rm(from, { force: true });
+    }
+}
+
+function describe(meta) {
+    return {
+        uploadId: meta.id,
+        path: meta.path,
+        size: meta.size,
+        offset: meta.offset,
+        complete: meta.offset === meta.size,
+        chunkSize: UPLOAD_DEFAULTS.chunkSize,
+        maxChunkBytes: UPLOAD_DEFAULTS.maxChunkBytes,
+        expiresAt: new Date(Date.parse(meta.updatedAt) + UPLOAD_DEFAULTS.staleMs).toISOString(),
+    };
+}
+
+// ─── Operations ──────────────────────────────────────
+
+/**
+ * Start an upload.
+ * @param {{ path: string, size: number, sha256?: string, overwrite?: boolean }} options
+ *   `path` is absolute and policy-checked.
+ * @returns {object} status: `uploadId`, `offset`, suggested `chunkSize`, `maxChunkBytes`, ...
+ */
+export function createUpload({ path: target, size, sha256, overwrite = false }) {
+    const bytes = Number(size);
+    if (!Number.isSafeInteger(bytes) || bytes < 0) {throw uploadError(`Invalid size: ${size}`, 'EINVAL');}
+    const expected = normalizeDigest(sha256, 'sha256');
+    if (!overwrite && fs.existsSync(target)) {throw uploadError(`${target} already exists`, 'EEXIST');}
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {throw uploadError(`${target} is a directory`, 'EISDIR');}
+
+    const now = new Date().toISOString();
+    const meta = {
+        id: `${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`,
+        path: target,
+        size: bytes,
+        offset: 0,
+        sha256: expected,
+        overwrite: Boolean(overwrite),
+        createdAt: now,
+        updatedAt: now,
+    };
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    fs.writeFileSync(partFile(meta.id), '');
+    const state = { meta, hash: crypto.createHash('sha256'), busy: false };
+    uploads.set(meta.id, state);
+    saveMeta(state);
+    return describe(meta);
+}
+
+/** Current status of an upload, or null if unknown/expired. */
+export function getUpload(id) {
+    const state = loadUpload(id);
+    return state ? describe(state.meta) : null;
+}
+
+/**
+ * Append one chunk read from `stream` at `offset`, which must equal the
+ * upload's current offset (code EOFFSET otherwise, with `offset` set to the
+ * expected value). The chunk is rolled back if it is cut short, overruns
+ * the declared size or doesn't match `sha256`.
+ * @param {string} id
+ * @param {number} offset
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {{ sha256?: string }} [options]
+ * @returns {Promise<object>} status after the chunk
+ */
+export async function appendChunk(id, offset, stream, { sha256 } = {}) {
+    const state = loadUpload(id);
+    if (!state) {throw uploadError(`No upload ${id}`, 'ENOENT');}
+    const expected = normalizeDigest(sha256, 'chunk sha256');
+    if (state.busy) {throw uploadError('Another chunk is being written', 'EBUSY', { offset: state.meta.offset });}
+    if (Number(offset) !== state.meta.offset) {
+        throw uploadError(`Expected offset ${state.meta.offset}, got ${offset}`, 'EOFFSET', { offset: state.meta.offset });
+    }
+
+    state.busy = true;
+    const start = state.meta.offset;
+    let file = null;
+    try {
+        file = await fs.promises.open(partFile(id), 'r+');
+        const fileHash = (await ensureHash(state)).copy();
+        const chunkHash = crypto.createHash('sha256');
+        let written = 0;
+        let failure = null;
+        try {
+            for await (const data of stream) {
+                if (written + data.length > UPLOAD_DEFAULTS.maxChunkBytes) {
+                    throw uploadError(`Chunk larger than ${UPLOAD_DEFAULTS.maxChunkBytes} bytes`, 'ETOOBIG');
+                }
+                if (start + written + data.length > state.meta.size) {
+                    throw uploadError(`Chunk runs past the declared size (${state.meta.size} bytes)`, 'ETOOBIG');
+                }
+                await file.write(data, 0, data.length, start + written);
+                written += data.length;
+                chunkHash.update(data);
+                fileHash.update(data);
+            }
+            if (expected && chunkHash.digest('hex') !== expected) {
+                throw uploadError('Chunk checksum mismatch', 'EINTEGRITY');
+            }
+        } catch (err) {
+            failure = err;
+        }
+        if (failure) {
+            await file.truncate(start);
+            throw Object.assign(failure, { offset: start });
+        }
+        state.hash = fileHash;
+        state.meta.offset = start + written;
+        saveMeta(state);
+        return describe(state.meta);
+    } finally {
+        await file?.close();
+        state.busy = false;
+    }
+}
+
+/**
+ * Verify and move a fully received upload to its target.
+ * @param {string} id
+ * @param {{ sha256?: string }} [options] - Overrides the digest given at creation.
+ * @returns {Promise<{ path: string, size: number, sha256: string }>}
+ */
+export async function completeUpload(id, { sha256 } = {}) {
+    const state = loadUpload(id);
+    if (!state) {throw uploadError(`No upload ${id}`, 'ENOENT');}
+    const { meta } = state;
+    if (state.busy) {throw uploadError('A chunk is still being written', 'EBUSY', { offset: meta.offset });}
+    if (meta.offset !== meta.size) {
+        throw uploadError(`Upload incomplete: ${meta.offset} of ${meta.size} bytes`, 'EINCOMPLETE', { offset: meta.offset });
+    }
+    const expected = normalizeDigest(sha256, 'sha256') || meta.sha256;
+    const actual = (await ensureHash(state)).copy().digest('hex');
+    if (expected && expected !== actual) {
+        abortUpload(id);
+        throw uploadError(`Checksum mismatch: expected ${expected}, got ${actual}`, 'EINTEGRITY');
+    }
+    if (!meta.overwrite && fs.existsSync(meta.path)) {throw uploadError(`${meta.path} already exists`, 'EEXIST');}
+
+    state.busy = true;
+    try {
+        await fs.promises.mkdir(path.dirname(meta.path), { recursive: true });
+        await moveFile(partFile(id), meta.path);
+    } finally {
+        state.busy = false;
+    }
+    removeFiles(id);
+    uploads.delete(id);
+    return { path: meta.path, size: meta.size, sha256: actual };
+}
+
+/** Discard an upload; returns false if it didn't exist. */
+export function abortUpload(id) {
+    const state = loadUpload(id);
+    if (!state) {return false;}
+    uploads.delete(id);
+    removeFiles(id);
+    return true;
+}
+
+/** Discard uploads that haven't received a chunk for `staleMs`. */
+export function purgeStaleUploads() {
+    let names = [];
+    try {
+        names = fs.readdirSync(UPLOAD_DIR);
+    } catch {
+        return 0;
+    }
+    const cutoff = Date.now() - UPLOAD_DEFAULTS.staleMs;
+    const ids = new Set(names.filter((n) => /\.(part|json)$/.test(n)).map((n) => n.replace(/\.(part|json)$/, '')));
+    let removed = 0;
+    for (const id of ids) {
+        if (uploads.get(id)?.busy) {continue;}
+        const meta = readJSONFile(metaFile(id), null);
+        let updated = meta ? Date.parse(meta.updatedAt) : NaN;
+        if (!Number.isFinite(updated)) {
+            // Orphaned part or metadata: go by the file's own age
+            try {
+                updated = fs.statSync(fs.existsSync(partFile(id)) ? partFile(id) : metaFile(id)).mtimeMs;
+            } catch {
+                continue;
+            }
+        }
+        if (updated < cutoff) {
+            uploads.delete(id);
+            removeFiles(id);
+            removed++;
+        }
+    }
+    if (removed > 0) {
+        console.log(`[fsUpload] Discarded ${removed} stale upload(s)`);
+    }
+    return removed;
+}
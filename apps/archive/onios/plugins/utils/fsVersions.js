@@ -0,0 +1,372 @@
+/**
+ * fsVersions — Content-addressed history of files overwritten through
+ * /api/fs/write, /api/fs/write-binary and the agent's file and project
+ * actions.
+ *
+ * Before such a write, `snapshotFile()` saves the file's current content:
+ *
+ *   objects/<ab>/<sha256>.gz   gzipped content, stored once however many
+ *                              files or versions share it
+ *   index/<hash of path>.json  { path, versions: [{ id, sha256, size, savedAt, modified, source, reason }] }
+ *   settings.json              { maxVersionsPerFile, maxAgeDays, maxBytes, maxFileBytes }
+ *
+ * all under ~/.onios/versions. A snapshot identical to the file's newest
+ * version is not stored again. Files larger than `maxFileBytes` aren't
+ * versioned. History follows the path: a moved file starts a new one.
+ *
+ * `maxVersionsPerFile` and `maxAgeDays` are applied whenever a file gets a
+ * new version; `pruneVersions()` applies them everywhere, then drops the
+ * oldest versions across all files until the store fits in `maxBytes` and
+ * deletes content no version refers to any more. It runs periodically from
+ * filesystemPlugin and after the settings change.
+ *
+ * Callers check the fs policy; this module only manages the store.
+ * Operations are serialised on the persistence queue.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { persistQueue, readJSONFile, writeJSONFile } from './persistence.js';
+import { unifiedDiff } from './textDiff.js';
+
+export const VERSIONS_DIR = path.join(os.homedir(), '.onios', 'versions');
+const OBJECTS_DIR = path.join(VERSIONS_DIR, 'objects');
+const INDEX_DIR = path.join(VERSIONS_DIR, 'index');
+const SETTINGS_FILE = path.join(VERSIONS_DIR, 'settings.json');
+
+export const DEFAULT_VERSION_SETTINGS = {
+    maxVersionsPerFile: 50,
+    maxAgeDays: 30,
+    maxBytes: 1024 * 1024 * 1024,
+    maxFileBytes: 16 * 1024 * 1024,
+};
+
+/** Largest side of a diff; bigger versions can still be listed and restored. */
+const MAX_DIFF_BYTES = 2 * 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VERSION_SOURCES = new Set(['user', 'agent', 'system']);
+
+function versionError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function serialized(fn) {
+    return persistQueue.enqueue(VERSIONS_DIR, fn);
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function objectFile(hash) {
+    return path.join(OBJECTS_DIR, hash.slice(0, 2), `${hash}.gz`);
+}
+
+function indexFile(absPath) {
+    return path.join(INDEX_DIR, `${sha256(absPath).slice(0, 32)}.json`);
+}
+
+function readIndex(absPath) {
+    const index = readJSONFile(indexFile(absPath), null);
+    return index?.path === absPath ? index : { path: absPath, versions: [] };
+}
+
+function saveIndex(index) {
+    const file = indexFile(index.path);
+    if (index.versions.length === 0) {
+        fs.rmSync(file, { force: true });
+        return;
+    }
+    fs.mkdirSync(INDEX_DIR, { recursive: true });
+    writeJSONFile(file, index, { backups: 0, pretty: false });
+}
+
+function readAllIndexes() {
+    let names = [];
+    try {
+        names = fs.readdirSync(INDEX_DIR);
+    } catch {
+        return [];
+    }
+    return names
+        .filter((name) => name.endsWith('.json'))
+        .map((name) => readJSONFile(path.join(INDEX_DIR, name), null))
+        .filter((index) => index?.path && Array.isArray(index.versions));
+}
+
+async function storeObject(hash, content) {
+    const file = objectFile(hash);
+    if (fs.existsSync(file)) {return;}
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp-${process.pid}`;
+    await fs.promises.writeFile(tmp, zlib.gzipSync(content));
+    await fs.promises.rename(tmp, file);
+}
+
+async function readObject(hash) {
+    try {
+        return zlib.gunzipSync(await fs.promises.readFile(objectFile(hash)));
+    } catch (err) {
+        if (err.code === 'ENOENT') {throw versionError(`Content ${hash.slice(0, 12)} is missing from the version store`, 'ENOENT');}
+        throw err;
+    }
+}
+
+/** Apply the per-file count and age limits; returns the dropped versions. */
+function trimIndex(index, { maxVersionsPerFile, maxAgeDays }) {
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+    const kept = index.versions.filter((v) => !(maxAgeDays > 0 && Date.parse(v.savedAt) < cutoff));
+    const dropped = index.versions.filter((v) => !kept.includes(v));
+    if (maxVersionsPerFile > 0 && kept.length > maxVersionsPerFile) {
+        dropped.push(...kept.splice(0, kept.length - maxVersionsPerFile));
+    }
+    index.versions = kept;
+    return dropped;
+}
+
+/** Binary if there's a NUL byte early on, as git does. */
+function isBinary(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+}
+
+// ─── Settings ────────────────────────────────────────
+
+export function getVersionSettings() {
+    return { ...DEFAULT_VERSION_SETTINGS, ...readJSONFile(SETTINGS_FILE, {}) };
+}
+
+/** Update retention limits (0 disables a limit); returns the new settings. */
+export function setVersionSettings(patch = {}) {
+    const settings = getVersionSettings();
+    for (const key of Object.keys(DEFAULT_VERSION_SETTINGS)) {
+        if (patch[key] === undefined) {continue;}
+        const n = Number(patch[key]);
+        if (!Number.isFinite(n) || n < 0) {throw versionError(`Invalid ${key}: ${patch[key]}`, 'EINVAL');}
+        settings[key] = n;
+    }
+    fs.mkdirSync(VERSIONS_DIR, { recursive: true });
+    writeJSONFile(SETTINGS_FILE, settings, { backups: 0 });
+    return settings;
+}
+
+// ─── Operations ──────────────────────────────────────
+
+async function snapshotLocked(absPath, { source = 'user', reason = 'write' } = {}) {
+    const st = await fs.promises.stat(absPath).catch(() => null);
+    if (!st?.isFile()) {return null;}
+    const settings = getVersionSettings();
+    if (settings.maxFileBytes > 0 && st.size > settings.maxFileBytes) {return null;}
+
+    const content = await fs.promises.readFile(absPath);
+    const hash = sha256(content);
+    const index = readIndex(absPath);
+    const latest = index.versions.at(-1);
+    if (latest?.sha256 === hash) {return latest;}
+
+    await storeObject(hash, content);
+    const savedAt = new Date();
+    const entry = {
+        id: `${savedAt.getTime().toString(36)}-${hash.slice(0, 8)}`,
+        sha256: hash,
+        size: content.length,
+        savedAt: savedAt.toISOString(),
+        modified: st.mtime.toISOString(),
+        source: VERSION_SOURCES.has(source) ? source : 'user',
+        reason,
+    };
+    index.versions.push(entry);
+    trimIndex(index, settings);
+    saveIndex(index);
+    return entry;
+}
+
+/**
+ * Save the current content of `absPath` as a version, before it is
+ * overwritten. Missing files, directories and files over `maxFileBytes`
+ * are ignored.
+ * @param {string} absPath - Absolute, policy-checked path.
+ * @param {{ source?: 'user' | 'agent' | 'system', reason?: string }} [options]
+ * @returns {Promise<object | null>} the version (an existing one if unchanged), or null
+ */
+export function snapshotFile(absPath, options) {
+    if (absPath.startsWith(VERSIONS_DIR + path.sep)) {return Promise.resolve(null);}
+    return serialized(() => snapshotLocked(absPath, options));
+}
+
+/**
+ * Versions of `absPath`, newest first, plus the live file as `current`
+ * (`sha256` tells which version, if any, it matches).
+ */
+export function listVersions(absPath) {
+    return serialized(async () => {
+        const { versions } = readIndex(absPath);
+        const st = await fs.promises.stat(absPath).catch(() => null);
+        let current = null;
+        if (st?.isFile()) {
+            const { maxFileBytes } = getVersionSettings();
+            current = {
+                size: st.size,
+                modified: st.mtime.toISOString(),
+                sha256: maxFileBytes > 0 && st.size > maxFileBytes ? null : sha256(await fs.promises.readFile(absPath)),
+            };
+        }
+        return { path: absPath, current, versions: versions.toReversed() };
+    });
+}
+
+function findVersion(absPath, id) {
+    const version = readIndex(absPath).versions.find((v) => v.id === id);
+    if (!version) {throw versionError(`No version ${id} of ${absPath}`, 'ENOENT');}
+    return version;
+}
+
+/** Content of version `id`, or of the live file for `current`. */
+async function contentOf(absPath, id) {
+    if (id === 'current') {
+        try {
+            return await fs.promises.readFile(absPath);
+        } catch (err) {
+            if (err.code === 'ENOENT') {throw versionError(`${absPath} no longer exists`, 'ENOENT');}
+            throw err;
+        }
+    }
+    return readObject(findVersion(absPath, id).sha256);
+}
+
+/** Content of one version as a Buffer (`id` may be `current`). */
+export function readVersion(absPath, id) {
+    return serialized(() => contentOf(absPath, id));
+}
+
+/**
+ * Unified diff between two versions (`current` for the live file).
+ * @returns {Promise<{ from, to, diff?, additions?, deletions?, binary?, tooLarge?, identical? }>}
+ */
+export function diffVersions(absPath, from, to = 'current') {
+    return serialized(async () => {
+        const [a, b] = await Promise.all([contentOf(absPath, from), contentOf(absPath, to)]);
+        const result = { path: absPath, from, to };
+        if (a.equals(b)) {return { ...result, identical: true, diff: '', additions: 0, deletions: 0 };}
+        if (isBinary(a) || isBinary(b)) {return { ...result, binary: true, fromSize: a.length, toSize: b.length };}
+        if (a.length > MAX_DIFF_BYTES || b.length > MAX_DIFF_BYTES) {return { ...result, tooLarge: true };}
+        const name = path.basename(absPath);
+        return {
+            ...result,
+            ...unifiedDiff(a.toString('utf-8'), b.toString('utf-8'), { fromLabel: `${name}@${from}`, toLabel: `${name}@${to}` }),
+        };
+    });
+}
+
+/**
+ * Put version `id` back in place. The live content is saved as a version
+ * first (reason `restore`), so a restore can itself be undone.
+ * @returns {Promise<{ path: string, restored: object, snapshot: object | null }>}
+ */
+export function restoreVersion(absPath, id, { source = 'user' } = {}) {
+    return serialized(async () => {
+        const version = findVersion(absPath, id);
+        const content = await readObject(version.sha256);
+        if (sha256(content) !== version.sha256) {throw versionError(`Stored content of ${id} is corrupt`, 'EINTEGRITY');}
+        const snapshot = await snapshotLocked(absPath, { source, reason: 'restore' });
+        await fs.promises.mkdir(path.dirname(absPath), { recursive: true });
+        await fs.promises.writeFile(absPath, content);
+        return { path: absPath, restored: version, snapshot };
+    });
+}
+
+/**
+ * Apply the retention settings to every file, then the total size limit,
+ * and delete unreferenced content.
+ * @returns {Promise<{ removedVersions: number, removedObjects: number, freedBytes: number, totalBytes: number }>}
+ */
+export function pruneVersions() {
+    return serialized(async () => {
+        const settings = getVersionSettings();
+        let removedVersions = 0;
+        const indexes = readAllIndexes();
+        for (const index of indexes) {
+            const dropped = trimIndex(index, settings);
+            if (dropped.length > 0) {
+                removedVersions += dropped.length;
+                saveIndex(index);
+            }
+        }
+
+        // On-disk size of each referenced object
+        const objectSize = new Map();
+        for (const index of indexes) {
+            for (const v of index.versions) {
+                if (objectSize.has(v.sha256)) {continue;}
+                const st = await fs.promises.stat(objectFile(v.sha256)).catch(() => null);
+                objectSize.set(v.sha256, st ? st.size : 0);
+            }
+        }
+        let total = [...objectSize.values()].reduce((sum, n) => sum + n, 0);
+
+        if (settings.maxBytes > 0 && total > settings.maxBytes) {
+            const refs = new Map();
+            const all = [];
+            for (const index of indexes) {
+                for (const v of index.versions) {
+                    refs.set(v.sha256, (refs.get(v.sha256) || 0) + 1);
+                    all.push({ index, version: v });
+                }
+            }
+            all.sort((x, y) => x.version.savedAt.localeCompare(y.version.savedAt));
+            const touched = new Set();
+            for (const { index, version } of all) {
+                if (total <= settings.maxBytes) {break;}
+                index.versions = index.versions.filter((v) => v !== version);
+                touched.add(index);
+                removedVersions++;
+                refs.set(version.sha256, refs.get(version.sha256) - 1);
+                if (refs.get(version.sha256) === 0) {total -= objectSize.get(version.sha256);}
+            }
+            for (const index of touched) {saveIndex(index);}
+        }
+
+        // Garbage-collect content no version points at
+        const live = new Set(indexes.flatMap((index) => index.versions.map((v) => v.sha256)));
+        let removedObjects = 0;
+        let freedBytes = 0;
+        let buckets = [];
+        try {
+            buckets = await fs.promises.readdir(OBJECTS_DIR);
+        } catch { /* empty store */ }
+        for (const bucket of buckets) {
+            const dir = path.join(OBJECTS_DIR, bucket);
+            for (const name of await fs.promises.readdir(dir).catch(() => [])) {
+                if (live.has(name.replace(/\.gz$/, ''))) {continue;}
+                const file = path.join(dir, name);
+                const st = await fs.promises.stat(file).catch(() => null);
+                await fs.promises.rm(file, { force: true });
+                removedObjects++;
+                freedBytes += st?.size || 0;
+            }
+            await fs.promises.rmdir(dir).catch(() => {});
+        }
+        if (removedVersions > 0 || removedObjects > 0) {
+            console.log(`[fsVersions] Pruned ${removedVersions} version(s), ${removedObjects} object(s), ${freedBytes} bytes`);
+        }
+        return { removedVersions, removedObjects, freedBytes, totalBytes: total };
+    });
+}
+
+/**
+ * `snapshotFile` for write paths: a failure to version is logged, not
+ * thrown, so it never blocks the write itself.
+ * @returns {Promise<object | null>}
+ */
+export async function snapshotBeforeWrite(absPath, source) {
+    try {
+        return await snapshotFile(absPath, { source });
+    } catch (err) {
+        console.warn(`[fsVersions] Could not save a version of ${absPath}: ${err.message}`);
+        return null;
+    }
+}
@@ -0,0 +1,284 @@
+/**
+ * fsWatch — Shared, debounced filesystem watchers for /api/fs/watch and
+ * in-process consumers (the document indexer).
+ *
+ * `watchPath(target, { recursive }, onChange, onError)` subscribes to a file
+ * or directory. Subscribers of the same path share one `fs.watch` handle.
+ * Raw events are collected for `debounceMs` (at most `maxWaitMs` while
+ * changes keep coming) and delivered as one batch of:
+ *
+ *   { type: 'create' | 'modify' | 'delete', path, isDirectory, size, modified }
+ *   { type: 'rename', path, oldPath, isDirectory, size, modified }
+ *
+ * Events are worked out by diffing a per-directory snapshot against the
+ * disk, so a create + delete inside one window cancels out, an atomic save
+ * (write temp file, rename over) reads as a modify, and a delete + create
+ * of the same inode pairs up as a rename. Recursive watches skip `.git`
+ * and `node_modules` and give up past `maxDirs` directories. A watch ends,
+ * with `onError`, when its target is gone or can no longer be read.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const FS_WATCH_DEFAULTS = {
+    debounceMs: 200,
+    maxWaitMs: 1000,
+    maxDirs: 2000,
+};
+
+// Never descended into by recursive watches
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+function statEntry(absPath) {
+    try {
+        const st = fs.lstatSync(absPath);
+        return { ino: st.ino, isDirectory: st.isDirectory(), size: st.size, mtimeMs: st.mtimeMs };
+    } catch {
+        return null;
+    }
+}
+
+function toEvent(type, absPath, entry, extra = {}) {
+    return {
+        type,
+        path: absPath,
+        ...extra,
+        isDirectory: entry.isDirectory,
+        size: entry.isDirectory ? null : entry.size,
+        modified: new Date(entry.mtimeMs).toISOString(),
+    };
+}
+
+class PathWatcher {
+    constructor(target, recursive) {
+        this.target = target;
+        this.recursive = recursive;
+        this.subscribers = new Set();
+        /** @type {Map<string, string>} absolute path → raw fs.watch event type */
+        this.pending = new Map();
+        /** @type {Map<string, Map<string, object>>} directory → name → entry */
+        this.snapshots = new Map();
+        /** @type {Map<string, fs.FSWatcher>} */
+        this.handles = new Map();
+        this.timer = null;
+        this.firstPendingAt = 0;
+
+        const stat = fs.statSync(target);
+        // Watch a file through its directory so atomic saves don't orphan the handle
+        this.fileName = stat.isDirectory() ? null : path.basename(target);
+        this.dir = stat.isDirectory() ? target : path.dirname(target);
+        try {
+            this.addDir(this.dir);
+        } catch (err) {
+            this.closeHandles();
+            throw err;
+        }
+    }
+
+    /**
+     * Snapshot and watch `dir` (and, for recursive watches, its subdirectories).
+     * Node's own recursive mode is avoided: on Linux it loses files replaced
+     * by a rename. Returns the entries found, for reporting a new subtree.
+     */
+    addDir(dir, found = []) {
+        if (this.handles.has(dir)) {return found;}
+        if (this.handles.size >= FS_WATCH_DEFAULTS.maxDirs) {
+            const err = new Error(`Too many directories to watch under ${this.target} (max ${FS_WATCH_DEFAULTS.maxDirs})`);
+            err.code = 'ENOSPC';
+            throw err;
+        }
+        const handle = fs.watch(dir, (eventType, filename) => {
+            this.onRaw(dir, eventType, filename ? String(filename) : null);
+        });
+        handle.on('error', (err) => {
+            if (dir === this.dir) {this.fail(err);} else {this.removeDir(dir);}
+        });
+        this.handles.set(dir, handle);
+
+        const entries = new Map();
+        let names = [];
+        try {
+            names = fs.readdirSync(dir);
+        } catch { /* unreadable: empty snapshot */ }
+        for (const name of names) {
+            const absPath = path.join(dir, name);
+            const entry = statEntry(absPath);
+            if (!entry) {continue;}
+            entries.set(name, entry);
+            found.push({ absPath, entry });
+            if (this.recursive && !this.fileName && entry.isDirectory && !SKIP_DIRS.has(name)) {
+                this.addDir(absPath, found);
+            }
+        }
+        this.snapshots.set(dir, entries);
+        return found;
+    }
+
+    /** Stop watching `dir` and everything below it. */
+    removeDir(dir) {
+        for (const [key, handle] of this.handles) {
+            if (key === dir || key.startsWith(dir + path.sep)) {
+                handle.close();
+                this.handles.delete(key);
+                this.snapshots.delete(key);
+            }
+        }
+    }
+
+    onRaw(dir, eventType, filename) {
+        if (filename === null) {
+            this.pending.set(dir, 'rescan');
+        } else {
+            if (this.fileName && filename !== this.fileName) {return;}
+            const absPath = path.join(dir, filename);
+            // 'rename' (appeared/disappeared) says more than 'change'
+            if (this.pending.get(absPath) !== 'rename') {this.pending.set(absPath, eventType);}
+        }
+        const now = Date.now();
+        if (!this.timer) {this.firstPendingAt = now;}
+        clearTimeout(this.timer);
+        const wait = Math.min(FS_WATCH_DEFAULTS.debounceMs, Math.max(0, this.firstPendingAt + FS_WATCH_DEFAULTS.maxWaitMs - now));
+        this.timer = setTimeout(() => {
+            // A throw here would escape the timer and take the dev server down
+            try {
+                this.flush();
+            } catch (err) {
+                this.fail(err);
+            }
+        }, wait);
+    }
+
+    flush() {
+        this.timer = null;
+        const pending = this.pending;
+        this.pending = new Map();
+
+        const created = [];
+        const deleted = [];
+        const events = [];
+        let rescanError = null;
+
+        const classify = (absPath) => {
+            const snapshot = this.snapshots.get(path.dirname(absPath));
+            if (!snapshot) {return;} // directory already gone
+            const name = path.basename(absPath);
+            const prev = snapshot.get(name);
+            const cur = statEntry(absPath);
+            if (cur) {snapshot.set(name, cur);} else {snapshot.delete(name);}
+
+            if (prev && !cur) {
+                deleted.push({ absPath, entry: prev });
+            } else if (!prev && cur) {
+                created.push({ absPath, entry: cur });
+            } else if (prev && cur && !cur.isDirectory
+                && (prev.ino !== cur.ino || prev.mtimeMs !== cur.mtimeMs || prev.size !== cur.size)) {
+                events.push(toEvent('modify', absPath, cur));
+            }
+        };
+
+        for (const [absPath, kind] of pending) {
+            if (kind === 'rescan') {
+                const before = this.snapshots.get(absPath) || new Map();
+                let current = [];
+                try {
+                    current = fs.readdirSync(absPath);
+                } catch (err) {
+                    // Gone or unreadable: entries that can't be stat'ed any more read as deleted
+                    if (absPath === this.dir && err.code !== 'ENOENT') {rescanError = err;}
+                }
+                const names = new Set([...before.keys(), ...current]);
+                for (const name of names) {
+                    if (this.fileName && name !== this.fileName) {continue;}
+                    classify(path.join(absPath, name));
+                }
+            } else {
+                classify(absPath);
+            }
+        }
+
+        for (const d of deleted) {
+            if (d.entry.isDirectory) {this.removeDir(d.absPath);}
+        }
+        // A delete and a create of the same inode in one window is a rename
+        for (const c of created) {
+            const i = deleted.findIndex((d) => d.entry.ino === c.entry.ino);
+            const renamed = i === -1 ? null : deleted.splice(i, 1)[0];
+            events.push(renamed
+                ? toEvent('rename', c.absPath, c.entry, { oldPath: renamed.absPath })
+                : toEvent('create', c.absPath, c.entry));
+            if (!this.recursive || !c.entry.isDirectory || SKIP_DIRS.has(path.basename(c.absPath))) {continue;}
+            try {
+                const found = this.addDir(c.absPath);
+                // Anything created in a new directory before its watch was up
+                if (!renamed) {events.push(...found.map((f) => toEvent('create', f.absPath, f.entry)));}
+            } catch (err) {
+                console.warn(`[fsWatch] ${err.message}`);
+            }
+        }
+        for (const d of deleted) {
+            events.push({ type: 'delete', path: d.absPath, isDirectory: d.entry.isDirectory, size: null, modified: null });
+        }
+
+        if (events.length > 0) {
+            for (const sub of this.subscribers) {
+                try { sub.onChange(events); } catch (err) { console.error('[fsWatch] Subscriber failed:', err.message); }
+            }
+        }
+        if (!fs.existsSync(this.target)) {
+            this.fail(new Error(`${this.target} no longer exists`));
+        } else if (rescanError) {
+            this.fail(rescanError);
+        }
+    }
+
+    fail(err) {
+        const subscribers = [...this.subscribers];
+        this.close();
+        for (const sub of subscribers) {sub.onError?.(err);}
+    }
+
+    closeHandles() {
+        for (const handle of this.handles.values()) {handle.close();}
+        this.handles.clear();
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.subscribers.clear();
+        this.closeHandles();
+        watchers.delete(watcherKey(this.target, this.recursive));
+    }
+}
+
+/** @type {Map<string, PathWatcher>} */
+const watchers = new Map();
+
+function watcherKey(target, recursive) {
+    return `${recursive ? 'r' : 'n'}:${target}`;
+}
+
+/**
+ * Watch a file or directory (absolute, already policy-checked path).
+ * Throws if the path doesn't exist or can't be watched (e.g. the OS watch
+ * limit is exhausted).
+ * @param {string} target
+ * @param {{ recursive?: boolean }} options
+ * @param {(events: object[]) => void} onChange
+ * @param {(err: Error) => void} [onError] - The watch has ended.
+ * @returns {() => void} unsubscribe
+ */
+export function watchPath(target, { recursive = false } = {}, onChange, onError) {
+    const key = watcherKey(target, recursive);
+    let watcher = watchers.get(key);
+    if (!watcher) {
+        watcher = new PathWatcher(target, recursive);
+        watchers.set(key, watcher);
+    }
+    const sub = { onChange, onError };
+    watcher.subscribers.add(sub);
+    return () => {
+        watcher.subscribers.delete(sub);
+        if (watcher.subscribers.size === 0 && watchers.get(key) === watcher) {watcher.close();}
+    };
+}
@@ -0,0 +1,72 @@
+/**
+ * glob — Minimal glob → RegExp compiler shared by the filesystem policy,
+ * search and .gitignore handling.
+ *
+ * Supported syntax:
+ *   *      any run of characters within one path segment
+ *   **     any run of characters across segments (`**\/` may match none)
+ *   ?      one character other than `/`
+ *   [abc]  character class (`[!abc]` / `[^abc]` negated)
+ *   {a,b}  alternatives
+ */
+
+const REGEX_SPECIAL = /[.+^${}()|[\]\\]/g;
+
+/**
+ * Translate a glob to RegExp source (without anchors).
+ * @param {string} glob
+ * @returns {string}
+ */
+export function globSource(glob) {
+    let re = '';
+    let braceDepth = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i++; }
+        } else if (c === '*') {
+            re += '[^/]*';
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                re += '\\[';
+                continue;
+            }
+            let body = glob.slice(i + 1, end);
+            const negated = body[0] === '!' || body[0] === '^';
+            if (negated) {body = body.slice(1);}
+            re += `[${negated ? '^' : ''}${body.replace(/\\/g, '\\\\')}]`;
+            i = end;
+        } else if (c === '{' && glob.indexOf('}', i) !== -1) {
+            braceDepth++;
+            re += '(?:';
+        } else if (c === '}' && braceDepth > 0) {
+            braceDepth--;
+            re += ')';
+        } else if (c === ',' && braceDepth > 0) {
+            re += '|';
+        } else if (c === '\\' && i + 1 < glob.length) {
+            re += glob[++i].replace(REGEX_SPECIAL, '\\$&');
+        } else {
+            re += c.replace(REGEX_SPECIAL, '\\$&');
+        }
+    }
+    return re;
+}
+
+/**
+ * Compile a glob matched against the whole string.
+ * @param {string} glob
+ * @param {{ nocase?: boolean }} [options]
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob, { nocase = false } = {}) {
+    return new RegExp(`^${globSource(glob)}$`, nocase ? 'i' : '');
+}
+
+/** True if `str` contains glob metacharacters. */
+export function isGlob(str) {
+    return /[*?[{]/.test(str);
+}
@@ -0,0 +1,168 @@
+/**
+ * htmlRewrite — Point the links and assets of a proxied page back at
+ * /api/web-proxy, so a page shown through the proxy keeps loading through it.
+ *
+ * - URL attributes (href, src, srcset, poster, action, ...) are resolved
+ *   against the page (or its `<base>`) and replaced with proxy URLs.
+ * - `url(...)` and `@import` in `<style>`, `style=""` and CSS files are
+ *   rewritten the same way.
+ * - GET forms submit to the proxy with the real action in a hidden
+ *   FORM_TARGET_PARAM field; POST forms go to the site directly.
+ * - A `<base>` with the real page URL is kept or added, so URLs built by
+ *   scripts still resolve against the site rather than OniOS, and the page
+ *   reports its URL to the parent window (`onios:web-proxy` message).
+ * - `<meta http-equiv="Content-Security-Policy">` and `integrity` on
+ *   stylesheets are dropped; both would reject the rewritten resources.
+ *
+ * This is regex-based, not a full HTML parser: comments and script bodies
+ * are left alone, everything else is best effort.
+ */
+
+/** Query parameter carrying a GET form's real action URL. */
+export const FORM_TARGET_PARAM = '__proxy_url';
+
+const URL_ATTRS = new Set(['href', 'src', 'poster', 'action', 'formaction', 'data', 'background']);
+const SKIP_URL_RE = /^(?:#|javascript:|data:|mailto:|tel:|blob:|about:)/i;
+
+// Comment | <script>/<style> with raw body | any other start tag
+const HTML_TOKEN_RE = /<!--[\s\S]*?-->|<(script|style)\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/\1\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+const ATTR_RE = /([^\s"'>/=]+)(?:(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const CSS_URL_RE = /url\(\s*(['"]?)([^'")]*)\1\s*\)|@import\s+(['"])([^'"]+)\3/gi;
+
+const ENTITIES = { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>', '#39': "'", '#x27': "'" };
+
+function decodeEntities(value) {
+    return value.replace(/&(amp|quot|apos|lt|gt|#39|#x27);/gi, (m, name) => ENTITIES[name.toLowerCase()]);
+}
+
+function escapeAttr(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/** Absolute http(s) form of `value`, or null if it should stay as it is. */
+function resolveUrl(value, base) {
+    const trimmed = value.trim();
+    if (!trimmed || SKIP_URL_RE.test(trimmed)) {return null;}
+    try {
+        const url = new URL(trimmed, base);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+function proxify(absUrl, proxyUrl) {
+    return `${proxyUrl}?url=${encodeURIComponent(absUrl)}`;
+}
+
+function rewriteSrcset(value, base, proxyUrl) {
+    return value.split(',').map((candidate) => {
+        const [url, ...descriptor] = candidate.trim().split(/\s+/);
+        const abs = url && resolveUrl(url, base);
+        return abs ? [proxify(abs, proxyUrl), ...descriptor].join(' ') : candidate.trim();
+    }).join(', ');
+}
+
+/**
+ * Rewrite the URLs in a stylesheet.
+ * @param {string} css
+ * @param {string} baseUrl - URL the stylesheet's relative URLs resolve against.
+ * @param {string} proxyUrl - Absolute URL of the proxy endpoint.
+ */
+export function rewriteCss(css, baseUrl, proxyUrl) {
+    return css.replace(CSS_URL_RE, (match, q1, url, q2, importUrl) => {
+        const abs = resolveUrl(url ?? importUrl, baseUrl);
+        if (!abs) {return match;}
+        return url !== undefined
+            ? `url("${proxify(abs, proxyUrl)}")`
+            : `@import "${proxify(abs, proxyUrl)}"`;
+    });
+}
+
+/** Value of attribute `name` in a start tag's attribute string. */
+function attrValue(attrs, name) {
+    for (const [, attr, , dq, sq, uq] of attrs.matchAll(ATTR_RE)) {
+        if (attr.toLowerCase() === name) {return decodeEntities(dq ?? sq ?? uq ?? '');}
+    }
+    return null;
+}
+
+/**
+ * Rewrite a proxied HTML page.
+ * @param {string} html
+ * @param {string} pageUrl - Final URL of the page (after redirects).
+ * @param {string} proxyUrl - Absolute URL of the proxy endpoint, e.g. `http://localhost:5173/api/web-proxy`.
+ * @returns {string}
+ */
+export function rewriteHtml(html, pageUrl, proxyUrl) {
+    const baseTag = html.match(/<base\b((?:[^>"']|"[^"]*"|'[^']*')*)>/i);
+    const baseHref = baseTag && attrValue(baseTag[1], 'href');
+    const base = (baseHref && resolveUrl(baseHref, pageUrl)) || pageUrl;
+
+    const rewriteAttrs = (tag, attrs) => attrs.replace(ATTR_RE, (match, name, eq, dq, sq, uq) => {
+        const lower = name.toLowerCase();
+        const raw = dq ?? sq ?? uq;
+        if (raw === undefined) {return match;}
+        if (lower === 'integrity' && tag === 'link') {return '';}
+        const value = decodeEntities(raw);
+        let next = null;
+        if (tag === 'base' && lower === 'href') {
+            next = base;
+        } else if (tag === 'form' && lower === 'action') {
+            // GET forms are handled by formTarget(); POST goes to the site itself
+            next = resolveUrl(value, base);
+        } else if (URL_ATTRS.has(lower)) {
+            const abs = resolveUrl(value, base);
+            next = abs && proxify(abs, proxyUrl);
+        } else if (lower === 'srcset' || lower === 'imagesrcset') {
+            next = rewriteSrcset(value, base, proxyUrl);
+        } else if (lower === 'style') {
+            next = rewriteCss(value, base, proxyUrl);
+        } else if (lower === 'content' && tag === 'meta' && /^\s*refresh\s*$/i.test(attrValue(attrs, 'http-equiv') || '')) {
+            next = value.replace(/(url\s*=\s*)(['"]?)([^'"]+)\2/i, (m, prefix, q, url) => {
+                const abs = resolveUrl(url, base);
+                return abs ? `${prefix}${proxify(abs, proxyUrl)}` : m;
+            });
+        }
+        return next === null || next === value ? match : `${name}${eq}"${escapeAttr(next)}"`;
+    });
+
+    // A GET form submits its fields as the query string, so the real action travels as a field
+    const formTarget = (attrs) => {
+        if ((attrValue(attrs, 'method') || 'get').toLowerCase() !== 'get') {return null;}
+        return resolveUrl(attrValue(attrs, 'action') || pageUrl, base);
+    };
+
+    let sawBase = false;
+    let out = html.replace(HTML_TOKEN_RE, (match, rawTag, rawAttrs, body, tagName, attrs) => {
+        if (match.startsWith('<!--')) {return match;}
+        if (rawTag) {
+            const tag = rawTag.toLowerCase();
+            const content = tag === 'style' ? rewriteCss(body, base, proxyUrl) : body;
+            return `<${rawTag}${rewriteAttrs(tag, rawAttrs)}>${content}</${rawTag}>`;
+        }
+        const tag = tagName.toLowerCase();
+        if (tag === 'meta' && /^\s*content-security-policy\s*$/i.test(attrValue(attrs, 'http-equiv') || '')) {return '';}
+        if (tag === 'base') {sawBase = true;}
+        if (tag === 'form') {
+            const target = formTarget(attrs);
+            if (target) {
+                const withoutAction = attrs.replace(ATTR_RE, (m, name) => (name.toLowerCase() === 'action' ? '' : m));
+                return `<${tagName}${withoutAction} action="${escapeAttr(proxyUrl)}">`
+                    + `<input type="hidden" name="${FORM_TARGET_PARAM}" value="${escapeAttr(target)}">`;
+            }
+        }
+        return `<${tagName}${rewriteAttrs(tag, attrs)}>`;
+    });
+
+    // JSON.stringify doesn't escape "</script>"
+    const report = JSON.stringify({ type: 'onios:web-proxy', url: pageUrl }).replace(/</g, '\\u003c');
+    const inject = (sawBase ? '' : `<base href="${escapeAttr(base)}">`)
+        + `<script>try{parent.postMessage(${report},'*')}catch(e){}</script>`;
+    if (/<head\b[^>]*>/i.test(out)) {
+        out = out.replace(/<head\b[^>]*>/i, (head) => `${head}\n${inject}`);
+    } else {
+        out = inject + out;
+    }
+    return out;
+}
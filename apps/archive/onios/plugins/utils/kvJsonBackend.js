@@ -0,0 +1,102 @@
+/**
+ * kvJsonBackend — Storage backend that keeps the whole store in one JSON file.
+ *
+ * This is the original `~/.onios/storage.json` format, still available via
+ * `ONIOS_STORAGE_BACKEND=json` for people who edit the file by hand. The
+ * store is held in memory and every write rewrites the file atomically, so
+ * it is only suitable for small stores; the default log backend
+ * (kvLogBackend.js) is not.
+ */
+
+import { readJSONFile, writeJSONFile } from './persistence.js';
+import { TextIndex, entryTokens } from './kvTextIndex.js';
+
+const docId = (ns, key) => `${ns}\u0000${key}`;
+
+/**
+ * The Oni gateway used to write flat `"ns:key": { value, ns, key, meta }`
+ * records at the top level. Fold any such records into their namespace; a
+ * value already stored under the namespace wins over the legacy copy.
+ * @param {object} store - `{ [ns]: { [key]: entry } }`, modified in place.
+ * @returns {number} Number of folded records.
+ */
+export function foldLegacyEntries(store) {
+    let folded = 0;
+    for (const [name, rec] of Object.entries(store)) {
+        const isLegacy = name.includes(':') && rec && typeof rec.ns === 'string'
+            && typeof rec.key === 'string' && name === `${rec.ns}:${rec.key}` && 'value' in rec;
+        if (!isLegacy) {continue;}
+        delete store[name];
+        if (!store[rec.ns]) {store[rec.ns] = {};}
+        if (!store[rec.ns][rec.key]) {
+            const updated = rec.meta?.updated || Date.now();
+            store[rec.ns][rec.key] = {
+                value: rec.value,
+                meta: { created: updated, updated, size: JSON.stringify(rec.value ?? null).length, version: 1 },
+            };
+        }
+        folded++;
+    }
+    return folded;
+}
+
+/** @implements {import('./kvStore.js').StorageBackend} */
+export class JsonBackend {
+    /** @param {string} filePath */
+    constructor(filePath) {
+        this.name = 'json';
+        this.path = filePath;
+        this._data = readJSONFile(filePath, {});
+        this._text = new TextIndex();
+        if (foldLegacyEntries(this._data) > 0) {writeJSONFile(filePath, this._data);}
+        for (const [ns, nsData] of Object.entries(this._data)) {
+            for (const [key, entry] of Object.entries(nsData)) {
+                this._text.set(docId(ns, key), entryTokens(ns, key, entry.value));
+            }
+        }
+    }
+
+    get(ns, key) {
+        return this._data[ns]?.[key] ?? null;
+    }
+
+    getMeta(ns, key) {
+        return this._data[ns]?.[key]?.meta ?? null;
+    }
+
+    namespaces() {
+        return Object.keys(this._data);
+    }
+
+    scan(ns, prefix = '') {
+        return Object.entries(this._data[ns] || {})
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([key, entry]) => [key, entry.meta])
+            .toSorted(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+
+    search(query) {
+        return [...this._text.search(query)].map(id => id.split('\u0000'));
+    }
+
+    apply(ops) {
+        for (const op of ops) {
+            if (op.type === 'set') {
+                if (!this._data[op.ns]) {this._data[op.ns] = {};}
+                this._data[op.ns][op.key] = { value: op.value, meta: op.meta };
+                this._text.set(docId(op.ns, op.key), entryTokens(op.ns, op.key, op.value));
+            } else if (op.type === 'delete' && this._data[op.ns]) {
+                delete this._data[op.ns][op.key];
+                if (Object.keys(this._data[op.ns]).length === 0) {delete this._data[op.ns];}
+                this._text.delete(docId(op.ns, op.key));
+            }
+        }
+        writeJSONFile(this.path, this._data);
+    }
+
+    stats() {
+        return { file: this.path };
+    }
+
+    close() {}
+}
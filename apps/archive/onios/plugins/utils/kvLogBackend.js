@@ -0,0 +1,296 @@
+/**
+ * kvLogBackend — Append-only log storage backend (the default).
+ *
+ * Every write appends one JSON line (`set` with value and meta, or `del`) to
+ * `~/.onios/storage.log` and fsyncs it; nothing is ever rewritten in place.
+ * On startup the log is replayed into an in-memory index holding each key's
+ * meta plus the byte offset of its latest `set` line, so:
+ *
+ *   - `getMeta`, `scan` and `namespaces` never touch the disk,
+ *   - `get` reads exactly one line (large blobs are not kept in memory),
+ *   - `scan(ns, prefix)` binary-searches a sorted key list per namespace,
+ *   - `search` uses an inverted word index built during replay.
+ *
+ * A torn last line from a crash is truncated away on load. Once more than
+ * half the log is superseded records, it is compacted into a fresh file
+ * (write temp → fsync → rename). The log must have a single writer process.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fsyncDir } from './persistence.js';
+import { TextIndex, entryTokens } from './kvTextIndex.js';
+
+const LOG_HEADER = { t: 'header', format: 'onios-kv-log', version: 1 };
+const READ_CHUNK_BYTES = 1024 * 1024;
+/** Don't bother compacting logs smaller than this. */
+const MIN_COMPACT_BYTES = 1024 * 1024;
+
+const docId = (ns, key) => `${ns}\u0000${key}`;
+
+/** Index of the first element ≥ `key` in a sorted array. */
+function lowerBound(sorted, key) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (sorted[mid] < key) {lo = mid + 1;} else {hi = mid;}
+    }
+    return lo;
+}
+
+/**
+ * Yield every newline-terminated line of an open file with its byte offset.
+ * A trailing fragment without a newline is yielded with `complete: false`.
+ */
+function* readLines(fd) {
+    const chunk = Buffer.alloc(READ_CHUNK_BYTES);
+    let carry = Buffer.alloc(0);
+    let carryOffset = 0;
+    let position = 0;
+    for (;;) {
+        const n = fs.readSync(fd, chunk, 0, chunk.length, position);
+        if (n === 0) {break;}
+        position += n;
+        const buf = carry.length ? Buffer.concat([carry, chunk.subarray(0, n)]) : chunk.subarray(0, n);
+        let start = 0;
+        let nl;
+        while ((nl = buf.indexOf(10, start)) !== -1) {
+            yield { offset: carryOffset + start, line: buf.subarray(start, nl), complete: true };
+            start = nl + 1;
+        }
+        carryOffset += start;
+        carry = Buffer.from(buf.subarray(start));
+    }
+    if (carry.length) {yield { offset: carryOffset, line: carry, complete: false };}
+}
+
+/** @implements {import('./kvStore.js').StorageBackend} */
+export class LogBackend {
+    /** @param {string} filePath */
+    constructor(filePath) {
+        this.name = 'log';
+        this.path = filePath;
+        /** @type {Map<string, Map<string, { meta: object, offset: number, length: number }>>} */
+        this._index = new Map();
+        /** @type {Map<string, string[]>} namespace → sorted keys */
+        this._sorted = new Map();
+        this._text = new TextIndex();
+        this._size = 0;
+        this._deadBytes = 0;
+        this._fd = null;
+        this._open();
+    }
+
+    // ─── Loading ─────────────────────────────────────────
+
+    _open() {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        const isNew = !fs.existsSync(this.path);
+        this._fd = fs.openSync(this.path, isNew ? 'w+' : 'r+');
+        if (isNew) {
+            this._append([JSON.stringify(LOG_HEADER)]);
+            return;
+        }
+
+        let validEnd = 0;
+        for (const { offset, line, complete } of readLines(this._fd)) {
+            let rec;
+            try {
+                rec = JSON.parse(line.toString('utf-8'));
+            } catch {
+                if (!complete) {break;}
+                // A corrupt line mid-file: skip it, later records still apply
+                console.warn(`[kvLogBackend] Skipping unreadable record at byte ${offset} of ${path.basename(this.path)}`);
+                this._deadBytes += line.length + 1;
+                validEnd = offset + line.length + 1;
+                continue;
+            }
+            if (!complete) {break;}
+            this._replay(rec, offset, line.length + 1);
+            validEnd = offset + line.length + 1;
+        }
+
+        const fileSize = fs.fstatSync(this._fd).size;
+        if (validEnd < fileSize) {
+            console.warn(`[kvLogBackend] Truncating ${fileSize - validEnd} byte(s) of incomplete write from ${path.basename(this.path)}`);
+            fs.ftruncateSync(this._fd, validEnd);
+            fs.fsyncSync(this._fd);
+        }
+        this._size = validEnd;
+        this._maybeCompact();
+    }
+
+    /** Apply one log record to the in-memory index. */
+    _replay(rec, offset, length) {
+        if (rec.t === 'set') {
+            this._indexSet(rec.ns, rec.key, rec.meta, offset, length);
+            this._text.set(docId(rec.ns, rec.key), entryTokens(rec.ns, rec.key, rec.value));
+        } else if (rec.t === 'del') {
+            this._indexDelete(rec.ns, rec.key);
+            this._deadBytes += length;
+        } else {
+            // Header and unknown record types carry no data
+            this._deadBytes += rec.t === 'header' ? 0 : length;
+        }
+    }
+
+    _indexSet(ns, key, meta, offset, length) {
+        let nsIndex = this._index.get(ns);
+        if (!nsIndex) {
+            nsIndex = new Map();
+            this._index.set(ns, nsIndex);
+            this._sorted.set(ns, []);
+        }
+        const previous = nsIndex.get(key);
+        if (previous) {
+            this._deadBytes += previous.length;
+        } else {
+            const sorted = this._sorted.get(ns);
+            sorted.splice(lowerBound(sorted, key), 0, key);
+        }
+        nsIndex.set(key, { meta, offset, length });
+    }
+
+    _indexDelete(ns, key) {
+        const nsIndex = this._index.get(ns);
+        const previous = nsIndex?.get(key);
+        if (!previous) {return;}
+        this._deadBytes += previous.length;
+        nsIndex.delete(key);
+        const sorted = this._sorted.get(ns);
+        sorted.splice(lowerBound(sorted, key), 1);
+        if (nsIndex.size === 0) {
+            this._index.delete(ns);
+            this._sorted.delete(ns);
+        }
+        this._text.delete(docId(ns, key));
+    }
+
+    // ─── Reads ───────────────────────────────────────────
+
+    _readRecord(loc) {
+        const buf = Buffer.alloc(loc.length - 1);
+        fs.readSync(this._fd, buf, 0, buf.length, loc.offset);
+        return JSON.parse(buf.toString('utf-8'));
+    }
+
+    get(ns, key) {
+        const loc = this._index.get(ns)?.get(key);
+        if (!loc) {return null;}
+        return { value: this._readRecord(loc).value, meta: loc.meta };
+    }
+
+    getMeta(ns, key) {
+        return this._index.get(ns)?.get(key)?.meta ?? null;
+    }
+
+    namespaces() {
+        return [...this._index.keys()];
+    }
+
+    scan(ns, prefix = '') {
+        const sorted = this._sorted.get(ns);
+        if (!sorted) {return [];}
+        const nsIndex = this._index.get(ns);
+        const out = [];
+        for (let i = lowerBound(sorted, prefix); i < sorted.length && sorted[i].startsWith(prefix); i++) {
+            out.push([sorted[i], nsIndex.get(sorted[i]).meta]);
+        }
+        return out;
+    }
+
+    search(query) {
+        return [...this._text.search(query)].map(id => id.split('\u0000'));
+    }
+
+    // ─── Writes ──────────────────────────────────────────
+
+    /** Append lines in one write and fsync. Returns the offset of the first line. */
+    _append(lines) {
+        const start = this._size;
+        const buf = Buffer.from(lines.map(l => l + '\n').join(''), 'utf-8');
+        fs.writeSync(this._fd, buf, 0, buf.length, start);
+        fs.fdatasyncSync(this._fd);
+        this._size += buf.length;
+        return start;
+    }
+
+    apply(ops) {
+        if (ops.length === 0) {return;}
+        const lines = ops.map(op => JSON.stringify(op.type === 'set'
+            ? { t: 'set', ns: op.ns, key: op.key, meta: op.meta, value: op.value }
+            : { t: 'del', ns: op.ns, key: op.key }));
+        let offset = this._append(lines);
+        ops.forEach((op, i) => {
+            const length = Buffer.byteLength(lines[i], 'utf-8') + 1;
+            if (op.type === 'set') {
+                this._indexSet(op.ns, op.key, op.meta, offset, length);
+                this._text.set(docId(op.ns, op.key), entryTokens(op.ns, op.key, op.value));
+            } else {
+                this._indexDelete(op.ns, op.key);
+                this._deadBytes += length;
+            }
+            offset += length;
+        });
+        this._maybeCompact();
+    }
+
+    // ─── Compaction ──────────────────────────────────────
+
+    _maybeCompact() {
+        if (this._size >= MIN_COMPACT_BYTES && this._deadBytes > this._size / 2) {
+            this.compact();
+        }
+    }
+
+    /** Rewrite the log with only the live `set` records. */
+    compact() {
+        const tmpPath = `${this.path}.compact-${process.pid}`;
+        const out = fs.openSync(tmpPath, 'w');
+        const moved = [];
+        let position = 0;
+        try {
+            const header = Buffer.from(JSON.stringify(LOG_HEADER) + '\n', 'utf-8');
+            fs.writeSync(out, header, 0, header.length, position);
+            position += header.length;
+            for (const [ns, nsIndex] of this._index) {
+                for (const [key, loc] of nsIndex) {
+                    const buf = Buffer.alloc(loc.length);
+                    fs.readSync(this._fd, buf, 0, loc.length, loc.offset);
+                    fs.writeSync(out, buf, 0, buf.length, position);
+                    moved.push([ns, key, position]);
+                    position += loc.length;
+                }
+            }
+            fs.fsyncSync(out);
+        } catch (err) {
+            fs.closeSync(out);
+            fs.rmSync(tmpPath, { force: true });
+            console.error(`[kvLogBackend] Compaction failed: ${err.message}`);
+            return;
+        }
+        fs.closeSync(out);
+        fs.renameSync(tmpPath, this.path);
+        fsyncDir(path.dirname(this.path));
+
+        fs.closeSync(this._fd);
+        this._fd = fs.openSync(this.path, 'r+');
+        for (const [ns, key, offset] of moved) {this._index.get(ns).get(key).offset = offset;}
+        const before = this._size;
+        this._size = position;
+        this._deadBytes = 0;
+        console.log(`[kvLogBackend] Compacted ${path.basename(this.path)}: ${before} → ${position} bytes`);
+    }
+
+    stats() {
+        return { file: this.path, logBytes: this._size, reclaimableBytes: this._deadBytes };
+    }
+
+    close() {
+        if (this._fd !== null) {
+            fs.closeSync(this._fd);
+            this._fd = null;
+        }
+    }
+}
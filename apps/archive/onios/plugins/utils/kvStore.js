@@ -0,0 +1,430 @@
+/**
+ * kvStore — Namespaced key-value store backing /api/storage and the Oni
+ * storage action.
+ *
+ * Entries are `{ value, meta }` where meta holds `created`, `updated`,
+ * `size`, a per-key `version` that grows by one on every write, and an
+ * optional `expiresAt` (ms epoch). Expired entries are invisible to readers
+ * and removed by `evictExpired()`.
+ *
+ * Deleted and evicted keys leave a tombstone (`meta.deleted`, no value) that
+ * keeps their last version, so a re-created key continues from it and a CAS
+ * against a version read before the delete fails.
+ *
+ * Writes accept `ifVersion` for compare-and-set: the write only lands when
+ * the key's current version matches (0 = key must not exist).
+ *
+ * Persistence is delegated to a pluggable backend, picked with
+ * `ONIOS_STORAGE_BACKEND` (default `log`, see kvLogBackend.js; `json` keeps
+ * the legacy single-file format). Backends are synchronous, so every
+ * check-then-write below runs in a single tick and needs no extra locking.
+ * On first start with the log backend, an existing storage.json is
+ * migrated into the log once and kept as storage.json.migrated.
+ *
+ * Every committed change is also published on an in-memory change feed
+ * (`watchChanges` / `changesSince`). Cursors look like `<epoch>-<seq>`; the
+ * epoch changes on restart, so a stale cursor yields a reset instead of a
+ * silently incomplete replay.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { readJSONFile } from './persistence.js';
+import { JsonBackend, foldLegacyEntries } from './kvJsonBackend.js';
+import { LogBackend } from './kvLogBackend.js';
+
+export const STORAGE_DIR = path.join(os.homedir(), '.onios');
+export const LEGACY_STORAGE_FILE = path.join(STORAGE_DIR, 'storage.json');
+export const STORAGE_LOG_FILE = path.join(STORAGE_DIR, 'storage.log');
+
+/** Upper bound for a TTL (one year) so typos don't create immortal keys. */
+export const MAX_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+// ─── Backends ────────────────────────────────────────────
+
+/**
+ * @typedef {object} StorageBackend
+ * @property {string} name
+ * @property {string} path - File (or database) the backend persists to.
+ * @property {(ns: string, key: string) => { value: any, meta: object } | null} get
+ * @property {(ns: string, key: string) => object | null} getMeta - Meta only; must not load the value.
+ * @property {() => string[]} namespaces
+ * @property {(ns: string, prefix?: string) => Array<[string, object]>} scan - `[key, meta]` sorted by key.
+ * @property {(query: string) => Array<[string, string]>} search - `[ns, key]` of full-text matches.
+ * @property {(ops: Array<{ type: 'set'|'delete', ns: string, key: string, value?: any, meta?: object }>) => void} apply
+ *   Durably apply writes, in order, before returning.
+ * @property {() => object} stats
+ * @property {() => void} close
+ */
+
+/** @type {Record<string, () => StorageBackend>} */
+const BACKENDS = {
+    log: () => openLogBackend(),
+    json: () => new JsonBackend(LEGACY_STORAGE_FILE),
+};
+
+let backend = null;
+
+/**
+ * Register another backend implementation (e.g. SQLite) under `name`;
+ * select it with `ONIOS_STORAGE_BACKEND=<name>`.
+ * @param {string} name
+ * @param {() => StorageBackend} factory
+ */
+export function registerStorageBackend(name, factory) {
+    BACKENDS[name] = factory;
+}
+
+/** The active backend, opened on first use. */
+export function getBackend() {
+    if (!backend) {
+        const name = process.env.ONIOS_STORAGE_BACKEND || 'log';
+        const factory = BACKENDS[name];
+        if (!factory) {
+            throw new Error(`Unknown storage backend "${name}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+        }
+        backend = factory();
+    }
+    return backend;
+}
+
+/** Close the active backend; the next call reopens it. */
+export function closeBackend() {
+    backend?.close();
+    backend = null;
+}
+
+function openLogBackend() {
+    const needsMigration = !fs.existsSync(STORAGE_LOG_FILE) && fs.existsSync(LEGACY_STORAGE_FILE);
+    const log = new LogBackend(STORAGE_LOG_FILE);
+    if (needsMigration) {migrateJsonStore(log);}
+    return log;
+}
+
+/** One-time import of storage.json into a fresh backend. */
+function migrateJsonStore(target) {
+    const store = readJSONFile(LEGACY_STORAGE_FILE, {});
+    foldLegacyEntries(store);
+    const ops = [];
+    for (const [ns, nsData] of Object.entries(store)) {
+        for (const [key, entry] of Object.entries(nsData || {})) {
+            if (!entry || typeof entry !== 'object') {continue;}
+            const meta = { ...entry.meta, size: JSON.stringify(entry.value ?? null).length, version: entry.meta?.version || 1 };
+            ops.push({ type: 'set', ns, key, value: entry.value, meta });
+        }
+    }
+    target.apply(ops);
+    fs.renameSync(LEGACY_STORAGE_FILE, `${LEGACY_STORAGE_FILE}.migrated`);
+    console.log(`[kvStore] Migrated ${ops.length} key(s) from storage.json to ${path.basename(target.path)}`);
+}
+
+// ─── Change Feed ─────────────────────────────────────────
+
+/** Number of recent changes kept for cursor resume. */
+export const CHANGE_LOG_SIZE = 1000;
+
+const changeFeed = {
+    epoch: Date.now().toString(36),
+    seq: 0,
+    _log: [],
+    _listeners: new Set(),
+
+    publish(change) {
+        const event = { ...change, seq: ++this.seq, cursor: '', timestamp: Date.now() };
+        event.cursor = `${this.epoch}-${event.seq}`;
+        this._log.push(event);
+        if (this._log.length > CHANGE_LOG_SIZE) {this._log.shift();}
+        for (const listener of this._listeners) {
+            try { listener(event); } catch (err) { console.error('[kvStore] Change listener failed:', err.message); }
+        }
+    },
+};
+
+function publishChanges(changes) {
+    for (const change of changes) {changeFeed.publish(change);}
+}
+
+/** Cursor pointing at the latest change; resume from here to get only new events. */
+export function currentCursor() {
+    return `${changeFeed.epoch}-${changeFeed.seq}`;
+}
+
+/** Whether a change matches an optional namespace and key-prefix filter. */
+export function matchesChange(change, { ns, prefix } = {}) {
+    if (ns && change.ns !== ns) {return false;}
+    if (prefix && !change.key.startsWith(prefix)) {return false;}
+    return true;
+}
+
+/**
+ * Changes after `cursor` that match `filter`. `reset` is true when the cursor
+ * belongs to an earlier server run or has fallen out of the log; callers
+ * should then re-read the store and continue from `cursor`.
+ * @param {string} [cursor]
+ * @param {{ ns?: string, prefix?: string }} [filter]
+ * @returns {{ changes: object[], cursor: string, reset: boolean }}
+ */
+export function changesSince(cursor, filter = {}) {
+    const latest = currentCursor();
+    if (!cursor) {return { changes: [], cursor: latest, reset: false };}
+    const [epoch, seqStr] = String(cursor).split('-');
+    const seq = Number(seqStr);
+    const oldest = changeFeed._log[0]?.seq ?? changeFeed.seq + 1;
+    if (epoch !== changeFeed.epoch || !Number.isInteger(seq) || seq > changeFeed.seq || seq < oldest - 1) {
+        return { changes: [], cursor: latest, reset: true };
+    }
+    const changes = changeFeed._log.filter(c => c.seq > seq && matchesChange(c, filter));
+    return { changes, cursor: latest, reset: false };
+}
+
+/**
+ * Subscribe to committed changes. Returns an unsubscribe function.
+ * @param {(change: object) => void} listener
+ */
+export function watchChanges(listener) {
+    changeFeed._listeners.add(listener);
+    return () => changeFeed._listeners.delete(listener);
+}
+
+// ─── Store ───────────────────────────────────────────────
+
+export function isExpired(entry, now = Date.now()) {
+    return !!entry?.meta?.expiresAt && entry.meta.expiresAt <= now;
+}
+
+/** Whether a stored entry is visible to readers (not a tombstone, not expired). */
+function isLive(meta, now = Date.now()) {
+    return !!meta && !meta.deleted && !isExpired({ meta }, now);
+}
+
+/** Tombstone op keeping the version of a removed key. */
+function tombstoneOp(ns, key, meta, now = Date.now()) {
+    return { type: 'set', ns, key, value: null, meta: { deleted: true, updated: now, version: entryVersion({ meta }) } };
+}
+
+/** Version of a stored entry; entries written before versioning count as 1. */
+export function entryVersion(entry) {
+    if (!entry) {return 0;}
+    return entry.meta?.version || 1;
+}
+
+/**
+ * Resolve `ttl` (ms from now) or `expiresAt` (ms epoch or ISO string) into an
+ * absolute expiry. Returns undefined when neither is given, null to clear.
+ * @returns {{ expiresAt?: number|null, error?: string }}
+ */
+export function resolveExpiry({ ttl, expiresAt } = {}, now = Date.now()) {
+    if (ttl !== undefined && ttl !== null) {
+        const ms = Number(ttl);
+        if (!Number.isFinite(ms) || ms <= 0 || ms > MAX_TTL_MS) {
+            return { error: `ttl must be between 1 and ${MAX_TTL_MS} ms` };
+        }
+        return { expiresAt: now + ms };
+    }
+    if (expiresAt === null) {return { expiresAt: null };}
+    if (expiresAt !== undefined) {
+        const ts = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+        if (!Number.isFinite(ts)) {return { error: 'expiresAt must be a timestamp or ISO date' };}
+        if (ts <= now) {return { error: 'expiresAt must be in the future' };}
+        return { expiresAt: ts };
+    }
+    return {};
+}
+
+function parseIfVersion(ifVersion) {
+    if (ifVersion === undefined || ifVersion === null || ifVersion === '') {return undefined;}
+    const v = Number(ifVersion);
+    return Number.isInteger(v) && v >= 0 ? v : NaN;
+}
+
+/** Current live entry, or null when missing or expired. */
+export function getEntry(ns, key) {
+    const entry = getBackend().get(ns, key);
+    return entry && isLive(entry.meta) ? entry : null;
+}
+
+/** Live entry meta without loading the value, or null. */
+function liveMeta(ns, key, now = Date.now()) {
+    const meta = getBackend().getMeta(ns, key);
+    return isLive(meta, now) ? meta : null;
+}
+
+/**
+ * Live keys of a namespace as `[key, meta]` pairs sorted by key, optionally
+ * limited to keys starting with `prefix` (an indexed range scan).
+ */
+export function listEntries(ns, { prefix = '' } = {}) {
+    const now = Date.now();
+    return getBackend().scan(ns, prefix).filter(([, meta]) => isLive(meta, now));
+}
+
+/** Namespaces with at least one live key, with their key counts. */
+export function listNamespaces() {
+    return getBackend().namespaces()
+        .map(ns => ({ namespace: ns, keyCount: listEntries(ns).length }))
+        .filter(ns => ns.keyCount > 0);
+}
+
+/**
+ * Every live entry, values included. Loads each value, so prefer
+ * `listEntries` when meta is enough.
+ * @returns {Generator<{ ns: string, key: string, value: any, meta: object }>}
+ */
+export function* allEntries() {
+    for (const ns of getBackend().namespaces()) {
+        for (const [key] of listEntries(ns)) {
+            const entry = getEntry(ns, key);
+            if (entry) {yield { ns, key, value: entry.value, meta: entry.meta };}
+        }
+    }
+}
+
+/**
+ * Full-text search over values plus substring match on namespace and key
+ * names, newest first.
+ * @returns {Array<{ ns: string, key: string, value: any, meta: object }>}
+ */
+export function searchEntries(query, { limit = 200 } = {}) {
+    const q = String(query).toLowerCase();
+    const found = new Map();
+    for (const [ns, key] of getBackend().search(q)) {found.set(`${ns}\u0000${key}`, [ns, key]);}
+    for (const ns of getBackend().namespaces()) {
+        const nsMatches = ns.toLowerCase().includes(q);
+        for (const [key] of listEntries(ns)) {
+            if (nsMatches || key.toLowerCase().includes(q)) {found.set(`${ns}\u0000${key}`, [ns, key]);}
+        }
+    }
+    const results = [];
+    for (const [ns, key] of found.values()) {
+        const entry = getEntry(ns, key);
+        if (entry) {results.push({ ns, key, value: entry.value, meta: entry.meta });}
+    }
+    return results
+        .toSorted((a, b) => (b.meta?.updated || 0) - (a.meta?.updated || 0))
+        .slice(0, limit);
+}
+
+/** Key count and total value size across live entries. */
+export function storeStats() {
+    let totalKeys = 0;
+    let totalSize = 0;
+    const namespaces = [];
+    for (const ns of getBackend().namespaces()) {
+        const entries = listEntries(ns);
+        if (entries.length === 0) {continue;}
+        namespaces.push(ns);
+        totalKeys += entries.length;
+        for (const [, meta] of entries) {totalSize += meta?.size || 0;}
+    }
+    return { totalKeys, totalSize, namespaces, backend: getBackend().name, ...getBackend().stats() };
+}
+
+/**
+ * Write a value. `options.ttl` / `options.expiresAt` set the expiry; without
+ * either, an existing expiry is kept. `options.ifVersion` makes it a CAS.
+ * @returns {Promise<{ ok: true, entry: object } | { ok: false, status: number, error: string, version?: number }>}
+ */
+export async function setEntry(ns, key, value, options = {}) {
+    const expiry = resolveExpiry(options);
+    if (expiry.error) {return { ok: false, status: 400, error: expiry.error };}
+    const ifVersion = parseIfVersion(options.ifVersion);
+    if (Number.isNaN(ifVersion)) {return { ok: false, status: 400, error: 'ifVersion must be a non-negative integer' };}
+
+    const now = Date.now();
+    const existingMeta = getBackend().getMeta(ns, key);
+    // An expired or deleted entry is gone as far as callers are concerned,
+    // but its version (or its tombstone's) still counts so versions never go backwards
+    const live = liveMeta(ns, key, now);
+    const currentVersion = entryVersion(live && { meta: live });
+    if (ifVersion !== undefined && ifVersion !== currentVersion) {
+        return { ok: false, status: 409, error: 'Version conflict', version: currentVersion };
+    }
+
+    const meta = {
+        created: live?.created || now,
+        updated: now,
+        size: JSON.stringify(value ?? null).length,
+        version: entryVersion(existingMeta && { meta: existingMeta }) + 1,
+    };
+    const expiresAt = 'expiresAt' in expiry ? expiry.expiresAt : live?.expiresAt;
+    if (expiresAt) {meta.expiresAt = expiresAt;}
+
+    getBackend().apply([{ type: 'set', ns, key, value, meta }]);
+    publishChanges([{ type: 'set', ns, key, value, version: meta.version, expiresAt: meta.expiresAt || null }]);
+    return { ok: true, entry: { value, meta } };
+}
+
+/**
+ * Delete a key. With `ifVersion` the delete only happens on a version match.
+ * @returns {Promise<{ ok: true, deleted: boolean } | { ok: false, status: number, error: string, version?: number }>}
+ */
+export async function deleteEntry(ns, key, { ifVersion } = {}) {
+    const expected = parseIfVersion(ifVersion);
+    if (Number.isNaN(expected)) {return { ok: false, status: 400, error: 'ifVersion must be a non-negative integer' };}
+
+    const live = liveMeta(ns, key);
+    const version = entryVersion(live && { meta: live });
+    if (expected !== undefined && expected !== version) {
+        return { ok: false, status: 409, error: 'Version conflict', version };
+    }
+    const existingMeta = getBackend().getMeta(ns, key);
+    if (existingMeta && !existingMeta.deleted) {getBackend().apply([tombstoneOp(ns, key, existingMeta)]);}
+    if (live) {publishChanges([{ type: 'delete', ns, key, version }]);}
+    return { ok: true, deleted: !!live };
+}
+
+/**
+ * Bulk import `{ ns, key, value, meta? }` entries; each import is a new
+ * version of its key. Entries whose imported expiry has passed are skipped.
+ * @returns {Promise<number>} Number of entries imported.
+ */
+export async function importEntries(entries) {
+    const now = Date.now();
+    const ops = [];
+    const versions = new Map();
+    for (const entry of entries) {
+        if (!entry.ns || !entry.key) {continue;}
+        const expiresAt = entry.meta?.expiresAt;
+        if (expiresAt && expiresAt <= now) {continue;}
+        // The same key may appear twice in one import
+        const id = `${entry.ns}\u0000${entry.key}`;
+        const existingMeta = getBackend().getMeta(entry.ns, entry.key);
+        const previous = versions.get(id) ?? entryVersion(existingMeta && { meta: existingMeta });
+        const meta = {
+            created: entry.meta?.created || now,
+            updated: now,
+            size: JSON.stringify(entry.value ?? null).length,
+            version: previous + 1,
+        };
+        if (expiresAt) {meta.expiresAt = expiresAt;}
+        versions.set(id, meta.version);
+        ops.push({ type: 'set', ns: entry.ns, key: entry.key, value: entry.value, meta });
+    }
+    getBackend().apply(ops);
+    publishChanges(ops.map(op => ({
+        type: 'set', ns: op.ns, key: op.key, value: op.value, version: op.meta.version, expiresAt: op.meta.expiresAt || null,
+    })));
+    return ops.length;
+}
+
+/**
+ * Replace every expired entry with a tombstone.
+ * @returns {Promise<number>} Number of evicted entries.
+ */
+export async function evictExpired() {
+    const now = Date.now();
+    const changes = [];
+    const ops = [];
+    for (const ns of getBackend().namespaces()) {
+        for (const [key, meta] of getBackend().scan(ns)) {
+            if (!isExpired({ meta }, now)) {continue;}
+            changes.push({ type: 'expire', ns, key, version: entryVersion({ meta }) });
+            ops.push(tombstoneOp(ns, key, meta, now));
+        }
+    }
+    if (changes.length === 0) {return 0;}
+    getBackend().apply(ops);
+    publishChanges(changes);
+    return changes.length;
+}
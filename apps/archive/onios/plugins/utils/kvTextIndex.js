@@ -0,0 +1,121 @@
+/**
+ * kvTextIndex — In-memory inverted index for storage full-text search.
+ *
+ * Documents are identified by an opaque string id and indexed by the words
+ * found in their namespace, key and (recursively) their value. A query
+ * matches documents containing every query word; the last word may be a
+ * prefix, so typing "dar" already finds "dark".
+ */
+
+/** Words longer than this (base64 blobs, hashes) are not indexed. */
+const MAX_TOKEN_LENGTH = 64;
+/** Cap per document so one huge value can't dominate the index. */
+const MAX_TOKENS_PER_DOC = 10000;
+
+/**
+ * Split text into lowercase words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return String(text)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(t => t && t.length <= MAX_TOKEN_LENGTH);
+}
+
+/** Collect the searchable strings of a stored value (object keys included). */
+function collectText(value, out, depth = 0) {
+    if (value === null || value === undefined || depth > 20) {return;}
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+        out.push(String(value));
+        return;
+    }
+    if (Array.isArray(value)) {
+        for (const item of value) {collectText(item, out, depth + 1);}
+        return;
+    }
+    if (typeof value === 'object') {
+        for (const [k, v] of Object.entries(value)) {
+            out.push(k);
+            collectText(v, out, depth + 1);
+        }
+    }
+}
+
+/** Unique words describing a stored entry. */
+export function entryTokens(ns, key, value) {
+    const parts = [ns, key];
+    collectText(value, parts);
+    const tokens = new Set();
+    for (const part of parts) {
+        for (const token of tokenize(part)) {
+            tokens.add(token);
+            if (tokens.size >= MAX_TOKENS_PER_DOC) {return [...tokens];}
+        }
+    }
+    return [...tokens];
+}
+
+export class TextIndex {
+    constructor() {
+        /** @type {Map<string, Set<string>>} token → document ids */
+        this._postings = new Map();
+        /** @type {Map<string, string[]>} document id → its tokens */
+        this._docs = new Map();
+    }
+
+    /** Index (or re-index) a document. */
+    set(id, tokens) {
+        this.delete(id);
+        for (const token of tokens) {
+            let ids = this._postings.get(token);
+            if (!ids) {
+                ids = new Set();
+                this._postings.set(token, ids);
+            }
+            ids.add(id);
+        }
+        this._docs.set(id, tokens);
+    }
+
+    delete(id) {
+        const tokens = this._docs.get(id);
+        if (!tokens) {return;}
+        for (const token of tokens) {
+            const ids = this._postings.get(token);
+            if (!ids) {continue;}
+            ids.delete(id);
+            if (ids.size === 0) {this._postings.delete(token);}
+        }
+        this._docs.delete(id);
+    }
+
+    /**
+     * Ids of documents matching every word of `query`.
+     * @param {string} query
+     * @returns {Set<string>}
+     */
+    search(query) {
+        const words = tokenize(query);
+        if (words.length === 0) {return new Set();}
+        const last = words.pop();
+
+        // Prefix match for the last word
+        const lastIds = new Set();
+        for (const [token, ids] of this._postings) {
+            if (token.startsWith(last)) {
+                for (const id of ids) {lastIds.add(id);}
+            }
+        }
+
+        let result = lastIds;
+        for (const word of words) {
+            const ids = this._postings.get(word);
+            if (!ids) {return new Set();}
+            result = new Set([...result].filter(id => ids.has(id)));
+            if (result.size === 0) {break;}
+        }
+        return result;
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * persistence — Crash-safe JSON file storage shared by all plugins.
+ *
+ * Writes go to a temp file in the same directory, are fsync'd, then renamed
+ * over the live file, so a crash mid-write leaves either the old or the new
+ * content — never a torn file. Before each write the previous version is kept
+ * as a rotating backup (`file.bak.1` newest … `file.bak.N` oldest).
+ *
+ * Reads that hit a corrupt file keep it as `file.corrupt-<mtime>` and restore
+ * the newest backup that still parses, instead of silently returning an
+ * empty store.
+ *
+ * All async helpers run through one shared AsyncQueue keyed by file path, so
+ * read-modify-write cycles from different requests and plugins never
+ * interleave on the same file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncQueue } from './AsyncQueue.js';
+
+export const persistQueue = new AsyncQueue();
+
+const DEFAULT_BACKUPS = 3;
+let tmpCounter = 0;
+
+function backupPath(filePath, n) {
+    return `${filePath}.bak.${n}`;
+}
+
+/** fsync a directory so a rename inside it survives a crash. */
+export function fsyncDir(dir) {
+    // Persists the rename itself; not supported on every platform (Windows)
+    let fd;
+    try {
+        fd = fs.openSync(dir, 'r');
+        fs.fsyncSync(fd);
+    } catch { /* best effort */ } finally {
+        if (fd !== undefined) {fs.closeSync(fd);}
+    }
+}
+
+function rotateBackups(filePath, count) {
+    if (count < 1 || !fs.existsSync(filePath)) {return;}
+    for (let i = count - 1; i >= 1; i--) {
+        const from = backupPath(filePath, i);
+        if (fs.existsSync(from)) {fs.renameSync(from, backupPath(filePath, i + 1));}
+    }
+    const newest = backupPath(filePath, 1);
+    try {
+        // A hard link is instant and keeps the old inode once the rename lands
+        fs.rmSync(newest, { force: true });
+        fs.linkSync(filePath, newest);
+    } catch {
+        fs.copyFileSync(filePath, newest);
+    }
+}
+
+/**
+ * Atomically replace `filePath` with `text` (temp file → fsync → rename).
+ * @param {string} filePath
+ * @param {string} text
+ * @param {{ backups?: number }} [options] - Backup generations to keep.
+ */
+export function writeFileAtomic(filePath, text, { backups = DEFAULT_BACKUPS } = {}) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {fs.mkdirSync(dir, { recursive: true });}
+
+    const tmpPath = `${filePath}.tmp-${process.pid}-${++tmpCounter}`;
+    try {
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeFileSync(fd, text, 'utf-8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        rotateBackups(filePath, backups);
+        fs.renameSync(tmpPath, filePath);
+        fsyncDir(dir);
+    } catch (err) {
+        fs.rmSync(tmpPath, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * Atomically write `data` as JSON.
+ * @param {string} filePath
+ * @param {any} data
+ * @param {{ backups?: number, pretty?: boolean }} [options]
+ */
+export function writeJSONFile(filePath, data, { backups = DEFAULT_BACKUPS, pretty = true } = {}) {
+    writeFileAtomic(filePath, JSON.stringify(data, null, pretty ? 2 : 0), { backups });
+}
+
+function tryParse(filePath) {
+    try {
+        const raw = fs.readFileSync(filePath, 'utf-8');
+        return { ok: true, data: JSON.parse(raw) };
+    } catch (err) {
+        return { ok: false, error: err };
+    }
+}
+
+/** Newest backup of `filePath` that still parses, or null. */
+function findValidBackup(filePath) {
+    for (let i = 1; i <= 20; i++) {
+        const candidate = backupPath(filePath, i);
+        if (!fs.existsSync(candidate)) {break;}
+        const parsed = tryParse(candidate);
+        if (parsed.ok) {return { path: candidate, data: parsed.data };}
+    }
+    return null;
+}
+
+/**
+ * Read a JSON file, recovering from the newest valid backup if it is corrupt.
+ * The corrupt file is always preserved as `file.corrupt-<mtime>`.
+ * @param {string} filePath
+ * @param {any} fallback - Returned when the file is missing or unrecoverable.
+ * @returns {any}
+ */
+export function readJSONFile(filePath, fallback) {
+    if (!fs.existsSync(filePath)) {return fallback;}
+    const parsed = tryParse(filePath);
+    if (parsed.ok) {return parsed.data;}
+
+    const name = path.basename(filePath);
+    // Named after the corrupt version's mtime so repeated reads keep one copy
+    const quarantine = `${filePath}.corrupt-${Math.floor(fs.statSync(filePath).mtimeMs)}`;
+    const backup = findValidBackup(filePath);
+    try {
+        if (backup) {
+            fs.renameSync(filePath, quarantine);
+            fs.copyFileSync(backup.path, `${filePath}.tmp-restore`);
+            fs.renameSync(`${filePath}.tmp-restore`, filePath);
+            console.warn(`[Persistence] ${name} was corrupt (${parsed.error.message}); restored from ${path.basename(backup.path)}, kept ${path.basename(quarantine)}`);
+            return backup.data;
+        }
+        // Nothing to restore: leave the file in place (it may belong to another
+        // tool) but keep a copy before our next write rotates it away
+        if (!fs.existsSync(quarantine)) {fs.copyFileSync(filePath, quarantine);}
+    } catch (err) {
+        console.error(`[Persistence] Recovery of ${name} failed: ${err.message}`);
+        return backup ? backup.data : fallback;
+    }
+    console.error(`[Persistence] ${name} is corrupt (${parsed.error.message}) and has no valid backup; copy kept at ${path.basename(quarantine)}`);
+    return fallback;
+}
+
+/** Queued read — waits for pending writes to the same file. */
+export function readJSONFileAsync(filePath, fallback) {
+    return persistQueue.enqueue(filePath, () => readJSONFile(filePath, fallback));
+}
+
+/**
+ * Queued atomic write. `data` is serialised immediately, so later mutations
+ * by the caller do not leak into the pending write.
+ */
+export function writeJSONFileAsync(filePath, data, options = {}) {
+    const text = JSON.stringify(data, null, options.pretty === false ? 0 : 2);
+    return persistQueue.enqueue(filePath, () => writeFileAtomic(filePath, text, options));
+}
+
+/**
+ * Serialized read-modify-write. `mutator` receives the current data (or a
+ * copy of `fallback`) and modifies it in place; the file is then written
+ * back and the mutator's return value is passed through.
+ * @template T
+ * @param {string} filePath
+ * @param {any} fallback
+ * @param {(data: any) => T | Promise<T>} mutator
+ * @returns {Promise<T>}
+ */
+export function updateJSONFile(filePath, fallback, mutator) {
+    return persistQueue.enqueue(filePath, async () => {
+        const data = readJSONFile(filePath, structuredClone(fallback));
+        const result = await mutator(data);
+        writeJSONFile(filePath, data);
+        return result;
+    });
+}
@@ -0,0 +1,142 @@
+/**
+ * sendFile — Stream a file with HTTP caching and range semantics, for
+ * /api/fs/media and /api/fs/download.
+ *
+ * - `ETag` (size + mtime + inode) and `Last-Modified` on every response.
+ * - `If-None-Match` / `If-Modified-Since` → 304; `If-Match` /
+ *   `If-Unmodified-Since` → 412.
+ * - `Range: bytes=a-b`, `a-` and `-n` → 206 with `Content-Range`; a range
+ *   past the end → 416. Multiple ranges are answered with the whole file,
+ *   as is a range whose `If-Range` validator no longer matches.
+ * - HEAD sends headers only.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const MIME_TYPES = {
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png',
+    gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
+    ico: 'image/x-icon', bmp: 'image/bmp',
+    mp4: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm',
+    avi: 'video/x-msvideo', mkv: 'video/x-matroska',
+    mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg',
+    flac: 'audio/flac', aac: 'audio/aac',
+    pdf: 'application/pdf',
+};
+
+export function contentTypeFor(filePath) {
+    return MIME_TYPES[path.extname(filePath).slice(1).toLowerCase()] || 'application/octet-stream';
+}
+
+/** Validator for a file version; changes when the file is rewritten or replaced. */
+export function fileETag(stat) {
+    return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}-${stat.ino.toString(16)}"`;
+}
+
+/**
+ * Parse a Range header against a file of `size` bytes.
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ *   null means "ignore the header and send everything".
+ */
+export function parseRange(header, size) {
+    const match = /^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) {return null;}
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last n bytes
+        const suffix = Number(match[2]);
+        if (suffix === 0) {return 'unsatisfiable';}
+        start = Math.max(0, size - suffix);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+        if (end < start && match[2] !== '') {return null;}
+    }
+    if (start >= size) {return 'unsatisfiable';}
+    return { start, end };
+}
+
+function etagListMatches(header, etag, weak) {
+    if (header.trim() === '*') {return true;}
+    const strip = (tag) => (weak ? tag.replace(/^W\//, '') : tag);
+    return header.split(',').some((tag) => strip(tag.trim()) === etag);
+}
+
+function notModifiedSince(header, stat) {
+    const since = Date.parse(header);
+    return Number.isFinite(since) && Math.floor(stat.mtimeMs / 1000) * 1000 <= since;
+}
+
+/**
+ * Answer `req` with the file at `filePath` (absolute, policy-checked).
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} filePath
+ * @param {fs.Stats} stat
+ * @param {{ contentType?: string, disposition?: string, cacheControl?: string }} [options]
+ */
+export function sendFile(req, res, filePath, stat, options = {}) {
+    const etag = fileETag(stat);
+    const headers = {
+        'Content-Type': options.contentType || contentTypeFor(filePath),
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': stat.mtime.toUTCString(),
+        'Cache-Control': options.cacheControl || 'no-cache',
+    };
+    if (options.disposition) {headers['Content-Disposition'] = options.disposition;}
+
+    const ifMatch = req.headers['if-match'];
+    if ((ifMatch && !etagListMatches(ifMatch, etag, false))
+        || (!ifMatch && req.headers['if-unmodified-since'] && !notModifiedSince(req.headers['if-unmodified-since'], stat))) {
+        res.writeHead(412, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'File has changed', etag }));
+        return;
+    }
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch ? etagListMatches(ifNoneMatch, etag, true)
+        : (req.headers['if-modified-since'] && notModifiedSince(req.headers['if-modified-since'], stat))) {
+        delete headers['Content-Type'];
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    let range = req.headers.range ? parseRange(req.headers.range, stat.size) : null;
+    const ifRange = req.headers['if-range'];
+    if (range && ifRange) {
+        const current = ifRange.startsWith('"') || ifRange.startsWith('W/')
+            ? ifRange === etag
+            : ifRange === headers['Last-Modified'];
+        if (!current) {range = null;}
+    }
+    if (range === 'unsatisfiable') {
+        res.writeHead(416, { 'Content-Range': `bytes */${stat.size}`, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Range not satisfiable', size: stat.size }));
+        return;
+    }
+
+    let start = 0;
+    let end = stat.size - 1;
+    if (range) {
+        ({ start, end } = range);
+        headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+    }
+    headers['Content-Length'] = stat.size === 0 ? 0 : end - start + 1;
+    res.writeHead(range ? 206 : 200, headers);
+    if (req.method === 'HEAD' || stat.size === 0) {
+        res.end();
+        return;
+    }
+
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (err) => {
+        console.error(`[sendFile] ${filePath}: ${err.message}`);
+        res.destroy(err);
+    });
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+}
@@ -0,0 +1,165 @@
+/**
+ * textDiff — Line diffs (Myers' O(ND) algorithm) and unified diff output,
+ * used by the file version store (fsVersions.js).
+ *
+ * The trace kept for backtracking grows with the square of the number of
+ * edits, so a diff needing more than `maxEdits` changed lines gives up
+ * (returns null / `tooLarge`) rather than eating memory.
+ */
+
+export const DIFF_DEFAULTS = {
+    context: 3,
+    maxEdits: 4000,
+};
+
+function splitLines(text) {
+    if (text === '') {return [];}
+    const lines = text.split('\n');
+    if (lines.at(-1) === '') {lines.pop();}
+    return lines;
+}
+
+/**
+ * Shortest edit script from `a` to `b` (arrays of lines).
+ * @returns {Array<[' ' | '-' | '+', string]> | null} null when over `maxEdits`
+ */
+function editScript(a, b, maxEdits) {
+    // Common prefix and suffix don't need the full algorithm
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {start++;}
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const head = a.slice(0, start).map((line) => [' ', line]);
+    const tail = a.slice(endA).map((line) => [' ', line]);
+    const x0 = a.slice(start, endA);
+    const y0 = b.slice(start, endB);
+    const n = x0.length;
+    const m = y0.length;
+    if (n === 0 || m === 0) {
+        return [...head, ...x0.map((line) => ['-', line]), ...y0.map((line) => ['+', line]), ...tail];
+    }
+
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    for (let d = 0; d <= max; d++) {
+        if (d > maxEdits) {return null;}
+        // Only diagonals -d-1..d+1 are read while backtracking through step d
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && x0[x] === y0[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                return [...head, ...backtrack(trace, x0, y0), ...tail];
+            }
+        }
+    }
+    return null;
+}
+
+function backtrack(trace, a, b) {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const at = (k) => snapshot[k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            edits.push([' ', a[--x]]);
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                edits.push(['+', b[--y]]);
+            } else {
+                edits.push(['-', a[--x]]);
+            }
+        }
+    }
+    return edits.toReversed();
+}
+
+/**
+ * Line-by-line diff of two texts.
+ * @returns {Array<[' ' | '-' | '+', string]> | null} null when the texts differ in more than `maxEdits` lines
+ */
+export function diffLines(oldText, newText, { maxEdits = DIFF_DEFAULTS.maxEdits } = {}) {
+    return editScript(splitLines(oldText), splitLines(newText), maxEdits);
+}
+
+/**
+ * Unified diff (`diff -u` style) of two texts.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {{ fromLabel?: string, toLabel?: string, context?: number, maxEdits?: number }} [options]
+ * @returns {{ diff: string, additions: number, deletions: number } | { tooLarge: true }}
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+    const { fromLabel = 'a', toLabel = 'b', context = DIFF_DEFAULTS.context, maxEdits = DIFF_DEFAULTS.maxEdits } = options;
+    const edits = diffLines(oldText, newText, { maxEdits });
+    if (!edits) {return { tooLarge: true };}
+
+    let additions = 0;
+    let deletions = 0;
+    const changed = [];
+    edits.forEach(([op], i) => {
+        if (op === '+') {additions++;}
+        if (op === '-') {deletions++;}
+        if (op !== ' ') {changed.push(i);}
+    });
+    if (changed.length === 0) {return { diff: '', additions, deletions };}
+
+    // Group changes whose context windows touch into hunks
+    const hunks = [];
+    for (const i of changed) {
+        const last = hunks.at(-1);
+        if (last && i - last.end <= 2 * context) {
+            last.end = i;
+        } else {
+            hunks.push({ start: i, end: i });
+        }
+    }
+
+    // Line numbers (1-based) of each edit in the old and new text
+    const oldLine = [];
+    const newLine = [];
+    let o = 1;
+    let n = 1;
+    for (const [op] of edits) {
+        oldLine.push(o);
+        newLine.push(n);
+        if (op !== '+') {o++;}
+        if (op !== '-') {n++;}
+    }
+
+    const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    for (const hunk of hunks) {
+        const from = Math.max(0, hunk.start - context);
+        const to = Math.min(edits.length - 1, hunk.end + context);
+        const slice = edits.slice(from, to + 1);
+        const oldCount = slice.filter(([op]) => op !== '+').length;
+        const newCount = slice.filter(([op]) => op !== '-').length;
+        // diff -u convention: an empty range starts at the line before it
+        const oldStart = oldCount === 0 ? oldLine[from] - 1 : oldLine[from];
+        const newStart = newCount === 0 ? newLine[from] - 1 : newLine[from];
+        out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const [op, line] of slice) {out.push(`${op}${line}`);}
+    }
+    return { diff: `${out.join('\n')}\n`, additions, deletions };
+}
@@ -0,0 +1,504 @@
+/**
+ * webProxy — Outbound fetches for /api/web-proxy (the Browser widget), with
+ * SSRF protection and an on-disk HTTP cache.
+ *
+ * Only http(s) URLs are fetched, and a host must resolve to public
+ * addresses only: loopback, private, link-local (cloud metadata), CGNAT,
+ * multicast and reserved ranges are refused unless allowed in
+ * `~/.onios/web-proxy.json`:
+ *
+ *   {
+ *     "allowHosts": ["nas.local", "*.lan"],
+ *     "allowNetworks": ["192.168.1.0/24", "127.0.0.1"],
+ *     "cacheMaxBytes": 268435456
+ *   }
+ *
+ * The check runs inside the socket's DNS lookup, so the address connected
+ * to is the address that was checked (no DNS rebinding), and it is repeated
+ * for every redirect hop. Like fs-policy.json, the file is re-read when it
+ * changes and has no HTTP endpoint to modify it.
+ *
+ * The cache (~/.onios/web-cache, `cacheMaxBytes` 0 disables it) keeps GET
+ * 200 responses unless they are `no-store` or `Vary: *`. Fresh entries
+ * (max-age, Expires, or a tenth of their Last-Modified age up to a day) are
+ * served without a request; stale ones are revalidated with If-None-Match /
+ * If-Modified-Since. Least recently used entries go first when the cache is
+ * over its size. Cached HTML pages double as the offline index of the
+ * `local` search provider (utils/webSearch.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { persistQueue, readJSONFile } from './persistence.js';
+
+const ONIOS_DIR = path.join(os.homedir(), '.onios');
+export const WEB_PROXY_POLICY_FILE = path.join(ONIOS_DIR, 'web-proxy.json');
+export const WEB_CACHE_DIR = path.join(ONIOS_DIR, 'web-cache');
+
+export const DEFAULT_WEB_PROXY_POLICY = {
+    allowHosts: [],
+    allowNetworks: [],
+    cacheMaxBytes: 256 * 1024 * 1024,
+};
+
+export const PROXY_LIMITS = {
+    timeoutMs: 10000,
+    maxRedirects: 5,
+    maxResponseBytes: 32 * 1024 * 1024,
+    maxCacheEntryBytes: 8 * 1024 * 1024,
+};
+
+/** Ranges no proxied request may reach unless allowed (IPv4-mapped IPv6 is covered by the IPv4 rules). */
+const BLOCKED_NETWORKS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 127, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6'],
+];
+
+const blockedNetworks = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_NETWORKS) {blockedNetworks.addSubnet(address, prefix, type);}
+
+const BROWSER_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5',
+    'Accept-Encoding': 'gzip, deflate, br',
+};
+
+const DECODERS = {
+    gzip: () => zlib.createGunzip(),
+    'x-gzip': () => zlib.createGunzip(),
+    deflate: () => zlib.createInflate(),
+    br: () => zlib.createBrotliDecompress(),
+};
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Response headers kept with a cache entry. */
+const CACHED_HEADERS = ['content-type', 'cache-control', 'expires', 'etag', 'last-modified'];
+
+function proxyError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function serialized(fn) {
+    return persistQueue.enqueue(WEB_CACHE_DIR, fn);
+}
+
+// ─── Policy ──────────────────────────────────────────
+
+let cached = null;
+let cachedMtime = -1;
+
+function normalizePolicy(raw) {
+    const allowHosts = (Array.isArray(raw?.allowHosts) ? raw.allowHosts : [])
+        .filter((h) => typeof h === 'string' && h.trim())
+        .map((h) => h.trim().toLowerCase());
+    const allowNetworks = [];
+    const allowed = new net.BlockList();
+    for (const entry of Array.isArray(raw?.allowNetworks) ? raw.allowNetworks : []) {
+        const [address, prefix] = String(entry).trim().split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        const bits = prefix === undefined ? (type === 'ipv6' ? 128 : 32) : Number(prefix);
+        try {
+            if (!net.isIP(address)) {throw new Error('not an IP address');}
+            allowed.addSubnet(address, bits, type);
+            allowNetworks.push(`${address}/${bits}`);
+        } catch (err) {
+            console.warn(`[webProxy] Ignoring allowNetworks entry "${entry}": ${err.message}`);
+        }
+    }
+    const maxBytes = Number(raw?.cacheMaxBytes);
+    return {
+        allowHosts,
+        allowNetworks,
+        allowed,
+        cacheMaxBytes: Number.isFinite(maxBytes) && maxBytes >= 0 ? maxBytes : DEFAULT_WEB_PROXY_POLICY.cacheMaxBytes,
+    };
+}
+
+/** Current policy, re-read whenever the policy file changes. */
+export function getWebProxyPolicy() {
+    let mtime = 0;
+    try {
+        mtime = fs.statSync(WEB_PROXY_POLICY_FILE).mtimeMs;
+    } catch { /* no policy file: defaults */ }
+    if (!cached || mtime !== cachedMtime) {
+        cached = normalizePolicy(mtime ? readJSONFile(WEB_PROXY_POLICY_FILE, DEFAULT_WEB_PROXY_POLICY) : DEFAULT_WEB_PROXY_POLICY);
+        cachedMtime = mtime;
+    }
+    return cached;
+}
+
+/** Policy summary safe to show to clients. */
+export function describeWebProxyPolicy() {
+    const { allowHosts, allowNetworks, cacheMaxBytes } = getWebProxyPolicy();
+    return {
+        allowHosts,
+        allowNetworks,
+        cacheMaxBytes,
+        blockedNetworks: BLOCKED_NETWORKS.map(([address, prefix]) => `${address}/${prefix}`),
+        policyFile: WEB_PROXY_POLICY_FILE,
+    };
+}
+
+// ─── Destination Checks ──────────────────────────────
+
+function hostAllowed(hostname, policy) {
+    return policy.allowHosts.some((h) => (h.startsWith('*.') ? hostname.endsWith(h.slice(1)) : hostname === h));
+}
+
+function addressAllowed(address, policy) {
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return !blockedNetworks.check(address, type) || policy.allowed.check(address, type);
+}
+
+/** dns.lookup that refuses hosts with any blocked address. */
+function guardedLookup(policy) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) {return callback(err);}
+            const blocked = addresses.find((a) => !addressAllowed(a.address, policy));
+            if (blocked) {
+                return callback(proxyError(`${hostname} resolves to ${blocked.address}, a private or reserved address`, 'EBLOCKED'));
+            }
+            if (options.all) {return callback(null, addresses);}
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+/**
+ * Parse `rawUrl` and check what can be checked before connecting.
+ * @returns {{ url: URL, lookup?: Function }} `lookup` checks resolved addresses
+ * @throws {Error} EINVAL for a bad URL or scheme, EBLOCKED for a blocked address
+ */
+function checkDestination(rawUrl, policy) {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch {
+        throw proxyError(`Invalid URL: ${rawUrl}`, 'EINVAL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw proxyError(`Only http and https URLs can be proxied, not ${url.protocol}`, 'EINVAL');
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (hostAllowed(hostname, policy)) {return { url };}
+    // IP literals never go through a lookup
+    if (net.isIP(hostname)) {
+        if (!addressAllowed(hostname, policy)) {
+            throw proxyError(`${hostname} is a private or reserved address`, 'EBLOCKED');
+        }
+        return { url };
+    }
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        throw proxyError(`${hostname} is a loopback host`, 'EBLOCKED');
+    }
+    return { url, lookup: guardedLookup(policy) };
+}
+
+// ─── Fetching ────────────────────────────────────────
+
+function readBody(res, limit) {
+    return new Promise((resolve, reject) => {
+        const encoding = (res.headers['content-encoding'] || '').trim().toLowerCase();
+        const decoder = DECODERS[encoding]?.();
+        const stream = decoder ? res.pipe(decoder) : res;
+        if (decoder) {res.on('error', (err) => decoder.destroy(err));}
+        const chunks = [];
+        let size = 0;
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                res.destroy();
+                stream.destroy(proxyError(`Response is larger than ${limit} bytes`, 'ETOOBIG'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/** One request, no redirects followed. */
+function requestOnce(rawUrl, headers, signal, policy) {
+    const { url, lookup } = checkDestination(rawUrl, policy);
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = client.get(url, { headers, signal, ...(lookup && { lookup }) }, (res) => {
+            if (REDIRECT_STATUSES.has(res.statusCode) && res.headers.location) {
+                res.resume();
+                resolve({ status: res.statusCode, headers: res.headers, redirect: res.headers.location });
+                return;
+            }
+            readBody(res, PROXY_LIMITS.maxResponseBytes)
+                .then((body) => resolve({ status: res.statusCode, headers: res.headers, body }))
+                .catch(reject);
+        });
+        req.on('error', reject);
+    });
+}
+
+/** Request `rawUrl`, following redirects; every hop is checked again. */
+async function fetchFollowing(rawUrl, headers, signal, policy) {
+    let current = rawUrl;
+    for (let hop = 0; ; hop++) {
+        const res = await requestOnce(current, headers, signal, policy);
+        if (!res.redirect) {return { ...res, url: current };}
+        if (hop >= PROXY_LIMITS.maxRedirects) {
+            throw proxyError(`More than ${PROXY_LIMITS.maxRedirects} redirects`, 'EREDIRECT');
+        }
+        current = new URL(res.redirect, current).href;
+    }
+}
+
+// ─── Cache ───────────────────────────────────────────
+
+function cacheFiles(url) {
+    const key = crypto.createHash('sha256').update(url).digest('hex').slice(0, 40);
+    return { meta: path.join(WEB_CACHE_DIR, `${key}.json`), body: path.join(WEB_CACHE_DIR, `${key}.body`) };
+}
+
+function parseCacheControl(header = '') {
+    const directives = {};
+    for (const part of header.split(',')) {
+        const [name, value] = part.trim().split('=');
+        if (name) {directives[name.toLowerCase()] = value === undefined ? true : value.replace(/^"|"$/g, '');}
+    }
+    return directives;
+}
+
+/** How long a response stays fresh, in ms. */
+function freshnessMs(headers, now) {
+    const cc = parseCacheControl(headers['cache-control']);
+    if (cc['no-cache']) {return 0;}
+    const age = (Number(headers.age) || 0) * 1000;
+    if (cc['max-age'] !== undefined) {return Math.max(0, (Number(cc['max-age']) || 0) * 1000 - age);}
+    const date = Date.parse(headers.date) || now;
+    if (headers.expires) {
+        const expires = Date.parse(headers.expires);
+        return Number.isNaN(expires) ? 0 : Math.max(0, expires - date - age);
+    }
+    const lastModified = Date.parse(headers['last-modified']);
+    return Number.isNaN(lastModified) ? 0 : Math.min(DAY_MS, Math.max(0, (date - lastModified) / 10));
+}
+
+function storable(res) {
+    if (res.status !== 200 || res.body.length > PROXY_LIMITS.maxCacheEntryBytes) {return false;}
+    if (parseCacheControl(res.headers['cache-control'])['no-store'] || res.headers.vary?.trim() === '*') {return false;}
+    // Nothing to gain from an entry that is neither fresh nor revalidatable
+    return freshnessMs(res.headers, Date.now()) > 0 || Boolean(res.headers.etag || res.headers['last-modified']);
+}
+
+function pickHeaders(headers) {
+    return Object.fromEntries(CACHED_HEADERS.filter((h) => headers[h] !== undefined).map((h) => [h, headers[h]]));
+}
+
+function readCached(url) {
+    const files = cacheFiles(url);
+    const meta = readJSONFile(files.meta, null);
+    if (meta?.url !== url) {return null;}
+    try {
+        const body = fs.readFileSync(files.body);
+        return body.length === meta.size ? { meta, body, files } : null;
+    } catch {
+        return null;
+    }
+}
+
+/** Write via a temp file so readers never see half an entry; the meta goes last. */
+function writeCacheFile(file, data) {
+    const tmp = `${file}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+}
+
+// Bytes added since the last prune counted the cache; Infinity until the first one
+let approxCacheBytes = Infinity;
+
+function storeCached(url, res, policy) {
+    return serialized(() => {
+        const files = cacheFiles(url);
+        fs.mkdirSync(WEB_CACHE_DIR, { recursive: true });
+        writeCacheFile(files.body, res.body);
+        writeCacheFile(files.meta, JSON.stringify({
+            url,
+            finalUrl: res.url,
+            status: res.status,
+            headers: pickHeaders(res.headers),
+            size: res.body.length,
+            storedAt: Date.now(),
+            freshUntil: Date.now() + freshnessMs(res.headers, Date.now()),
+        }));
+        approxCacheBytes += res.body.length;
+        if (approxCacheBytes > policy.cacheMaxBytes) {pruneCacheNow(policy.cacheMaxBytes);}
+    });
+}
+
+function pruneCacheNow(maxBytes) {
+    let names;
+    try {
+        names = fs.readdirSync(WEB_CACHE_DIR);
+    } catch {
+        approxCacheBytes = 0;
+        return { removed: 0, bytes: 0 };
+    }
+    const entries = [];
+    const metas = new Set();
+    for (const name of names) {
+        const file = path.join(WEB_CACHE_DIR, name);
+        if (name.endsWith('.json')) {
+            const meta = readJSONFile(file, null);
+            let mtime = 0;
+            try {
+                mtime = fs.statSync(file).mtimeMs;
+            } catch { /* removed meanwhile */ }
+            entries.push({ key: name.slice(0, -5), size: meta?.size || 0, mtime });
+            metas.add(name.slice(0, -5));
+        }
+    }
+    // Bodies without a meta file and temp files left by a crash
+    for (const name of names) {
+        const key = name.split('.')[0];
+        if (!name.endsWith('.json') && (!metas.has(key) || name.includes('.tmp-'))) {
+            fs.rmSync(path.join(WEB_CACHE_DIR, name), { force: true });
+        }
+    }
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+    let removed = 0;
+    // Hits touch the meta file, so its mtime is the last use
+    for (const entry of entries.toSorted((a, b) => a.mtime - b.mtime)) {
+        if (total <= maxBytes) {break;}
+        fs.rmSync(path.join(WEB_CACHE_DIR, `${entry.key}.json`), { force: true });
+        fs.rmSync(path.join(WEB_CACHE_DIR, `${entry.key}.body`), { force: true });
+        total -= entry.size;
+        removed++;
+    }
+    approxCacheBytes = total;
+    return { removed, bytes: total };
+}
+
+/**
+ * Drop least recently used cache entries until the cache fits its limit.
+ * @returns {Promise<{ removed: number, bytes: number }>}
+ */
+export function pruneWebCache() {
+    return serialized(() => pruneCacheNow(getWebProxyPolicy().cacheMaxBytes));
+}
+
+/**
+ * HTML pages in the cache, for the offline search index (utils/webSearch.js).
+ * @returns {Array<{ url: string, bodyFile: string, storedAt: number }>} `url` is the page's final URL
+ */
+export function cachedPages() {
+    let names;
+    try {
+        names = fs.readdirSync(WEB_CACHE_DIR);
+    } catch {
+        return [];
+    }
+    const pages = [];
+    for (const name of names) {
+        if (!name.endsWith('.json')) {continue;}
+        const meta = readJSONFile(path.join(WEB_CACHE_DIR, name), null);
+        if (!meta || !/^text\/html/i.test(meta.headers?.['content-type'] || '')) {continue;}
+        pages.push({
+            url: meta.finalUrl || meta.url,
+            bodyFile: path.join(WEB_CACHE_DIR, `${name.slice(0, -5)}.body`),
+            storedAt: meta.storedAt,
+        });
+    }
+    return pages;
+}
+
+// ─── Proxy Fetch ─────────────────────────────────────
+
+/**
+ * Fetch `rawUrl` for the proxy, from the cache when possible.
+ * @param {string} rawUrl
+ * @param {{ signal?: AbortSignal, revalidate?: boolean }} [options]
+ *   `revalidate` skips fresh cache entries (the client sent `Cache-Control: no-cache`).
+ * @returns {Promise<{ status: number, contentType: string, body: Buffer, url: string, cache: 'HIT'|'MISS'|'REVALIDATED' }>}
+ *   `url` is the final URL after redirects.
+ * @throws {Error} with `code` EINVAL, EBLOCKED, EREDIRECT, ETOOBIG or ETIMEDOUT, or a network error
+ */
+export async function proxyFetch(rawUrl, { signal, revalidate = false } = {}) {
+    const policy = getWebProxyPolicy();
+    const url = checkDestination(rawUrl, policy).url.href;
+    const entry = policy.cacheMaxBytes > 0 ? readCached(url) : null;
+    const fromCache = (cache) => ({
+        status: entry.meta.status,
+        contentType: entry.meta.headers['content-type'] || 'application/octet-stream',
+        body: entry.body,
+        url: entry.meta.finalUrl,
+        cache,
+    });
+
+    if (entry && !revalidate && entry.meta.freshUntil > Date.now()) {
+        const now = new Date();
+        try {
+            fs.utimesSync(entry.files.meta, now, now);
+        } catch { /* pruned meanwhile */ }
+        return fromCache('HIT');
+    }
+
+    const headers = { ...BROWSER_HEADERS };
+    if (entry?.meta.headers.etag) {headers['If-None-Match'] = entry.meta.headers.etag;}
+    if (entry?.meta.headers['last-modified']) {headers['If-Modified-Since'] = entry.meta.headers['last-modified'];}
+
+    const timeout = AbortSignal.timeout(PROXY_LIMITS.timeoutMs);
+    let res;
+    try {
+        res = await fetchFollowing(url, headers, signal ? AbortSignal.any([signal, timeout]) : timeout, policy);
+    } catch (err) {
+        if (timeout.aborted) {throw proxyError(`No response from ${new URL(url).host} within ${PROXY_LIMITS.timeoutMs} ms`, 'ETIMEDOUT');}
+        throw err;
+    }
+
+    if (res.status === 304 && entry) {
+        const merged = { ...entry.meta.headers, ...pickHeaders(res.headers) };
+        const meta = { ...entry.meta, headers: merged, freshUntil: Date.now() + freshnessMs(merged, Date.now()) };
+        serialized(() => writeCacheFile(entry.files.meta, JSON.stringify(meta)))
+            .catch((err) => console.error(`[webProxy] Could not update cache entry: ${err.message}`));
+        return fromCache('REVALIDATED');
+    }
+
+    if (policy.cacheMaxBytes > 0 && storable(res)) {
+        storeCached(url, res, policy).catch((err) => console.error(`[webProxy] Could not cache ${url}: ${err.message}`));
+    }
+    return {
+        status: res.status,
+        contentType: res.headers['content-type'] || 'application/octet-stream',
+        body: res.body,
+        url: res.url,
+        cache: 'MISS',
+    };
+}
@@ -0,0 +1,436 @@
+/**
+ * webSearch — Web search behind pluggable providers, used by /api/search
+ * (and the older /api/brave-search) and the agent's `search` action.
+ *
+ * Providers:
+ *   brave    Brave Search API; needs `braveApiKey` or BRAVE_API_KEY
+ *   searxng  a SearXNG instance with the JSON format enabled; needs
+ *            `searxngUrl` or SEARXNG_URL
+ *   local    offline: pages the web proxy has cached (utils/webProxy.js)
+ *
+ * Every provider's results are normalised to `{ title, url, snippet, source }`
+ * (`source` is the provider name). Provider `auto` tries the configured
+ * providers in `order` and falls through to the next one on an error.
+ *
+ * Each provider has a sliding-window rate limit; a request waits up to
+ * MAX_RATE_WAIT_MS for a slot and otherwise fails with ERATELIMIT. Results
+ * are cached in memory per provider, query and count for `cacheTtlSec`.
+ *
+ * Settings live in ~/.onios/search.json:
+ *   { order, braveApiKey, searxngUrl, cacheTtlSec, rateLimits: { <provider>: { requests, perSec } } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { readJSONFile, writeJSONFile } from './persistence.js';
+import { cachedPages } from './webProxy.js';
+import { TextIndex, tokenize } from './kvTextIndex.js';
+
+const SETTINGS_FILE = path.join(os.homedir(), '.onios', 'search.json');
+
+export const DEFAULT_SEARCH_SETTINGS = {
+    order: ['brave', 'searxng', 'local'],
+    braveApiKey: '',
+    searxngUrl: '',
+    cacheTtlSec: 600,
+    rateLimits: {},
+};
+
+export const SEARCH_LIMITS = {
+    maxCount: 20,
+    timeoutMs: 10000,
+    maxCacheEntries: 200,
+};
+
+const MAX_RATE_WAIT_MS = 5000;
+const MAX_SNIPPET_LENGTH = 300;
+/** Text kept per page in the offline index. */
+const MAX_INDEXED_TEXT = 100 * 1024;
+
+function searchError(message, code, extra = {}) {
+    const err = new Error(message);
+    err.code = code;
+    Object.assign(err, extra);
+    return err;
+}
+
+// ─── Text Helpers ────────────────────────────────────
+
+const ENTITIES = { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>', nbsp: ' ', '#39': "'", '#x27': "'" };
+
+function decodeEntities(text) {
+    return text
+        .replace(/&(amp|quot|apos|lt|gt|nbsp|#39|#x27);/gi, (m, name) => ENTITIES[name.toLowerCase()])
+        .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)));
+}
+
+/** Plain text of an HTML fragment (providers mark matches with <strong> etc.). */
+function stripTags(html) {
+    return decodeEntities(String(html).replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Normalise one provider result; null if it has no usable URL.
+ * @returns {{ title: string, url: string, snippet: string, source: string } | null}
+ */
+export function normalizeResult(raw, source) {
+    let url;
+    try {
+        url = new URL(String(raw?.url || ''));
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {return null;}
+    return {
+        title: truncate(stripTags(raw.title || '') || url.hostname, 200),
+        url: url.href,
+        snippet: truncate(stripTags(raw.snippet || ''), MAX_SNIPPET_LENGTH),
+        source,
+    };
+}
+
+// ─── Settings ────────────────────────────────────────
+
+export function getSearchSettings() {
+    const stored = readJSONFile(SETTINGS_FILE, {});
+    return { ...DEFAULT_SEARCH_SETTINGS, ...stored, rateLimits: { ...stored.rateLimits } };
+}
+
+/** Settings safe to show to clients: the API key is reported as set or not. */
+export function describeSearchSettings() {
+    const { braveApiKey, ...settings } = getSearchSettings();
+    return { ...settings, braveApiKey: Boolean(braveApiKey || process.env.BRAVE_API_KEY), settingsFile: SETTINGS_FILE };
+}
+
+/** Update settings; returns the described (masked) settings. */
+export function setSearchSettings(patch = {}) {
+    const settings = getSearchSettings();
+    if (patch.order !== undefined) {
+        if (!Array.isArray(patch.order) || patch.order.some((name) => !PROVIDERS[name])) {
+            throw searchError(`Invalid order: providers are ${Object.keys(PROVIDERS).join(', ')}`, 'EINVAL');
+        }
+        settings.order = [...new Set(patch.order)];
+    }
+    for (const key of ['braveApiKey', 'searxngUrl']) {
+        if (patch[key] === undefined) {continue;}
+        if (typeof patch[key] !== 'string') {throw searchError(`Invalid ${key}`, 'EINVAL');}
+        settings[key] = patch[key].trim();
+    }
+    if (settings.searxngUrl && !URL.canParse(settings.searxngUrl)) {
+        throw searchError(`Invalid searxngUrl: ${settings.searxngUrl}`, 'EINVAL');
+    }
+    if (patch.cacheTtlSec !== undefined) {
+        const ttl = Number(patch.cacheTtlSec);
+        if (!Number.isFinite(ttl) || ttl < 0) {throw searchError(`Invalid cacheTtlSec: ${patch.cacheTtlSec}`, 'EINVAL');}
+        settings.cacheTtlSec = ttl;
+    }
+    for (const [name, limit] of Object.entries(patch.rateLimits || {})) {
+        if (!PROVIDERS[name]) {throw searchError(`Unknown provider: ${name}`, 'EINVAL');}
+        if (limit === null) {
+            delete settings.rateLimits[name];
+            continue;
+        }
+        const requests = Number(limit?.requests);
+        const perSec = Number(limit?.perSec);
+        if (!(requests >= 1) || !(perSec > 0)) {throw searchError(`Invalid rate limit for ${name}`, 'EINVAL');}
+        settings.rateLimits[name] = { requests: Math.floor(requests), perSec };
+    }
+    fs.mkdirSync(path.dirname(SETTINGS_FILE), { recursive: true });
+    writeJSONFile(SETTINGS_FILE, settings, { backups: 0 });
+    resultCache.clear();
+    return describeSearchSettings();
+}
+
+// ─── Providers ───────────────────────────────────────
+
+/**
+ * @typedef {object} SearchProvider
+ * @property {string} label
+ * @property {{ requests: number, perSec: number } | null} rateLimit - Default; `rateLimits` in the settings overrides it.
+ * @property {(settings: object) => boolean} configured
+ * @property {(query: string, options: { count: number, settings: object, signal: AbortSignal }) => Promise<Array<{ title: string, url: string, snippet: string }>>} search
+ *   May return more than `count` results; extras are dropped after normalising.
+ */
+
+async function fetchJSON(url, init, providerLabel) {
+    const res = await fetch(url, init);
+    if (res.status === 429) {
+        const retryAfter = Number(res.headers.get('retry-after'));
+        throw searchError(`${providerLabel} is rate limiting requests`, 'ERATELIMIT', {
+            ...(retryAfter > 0 && { retryAfterMs: retryAfter * 1000 }),
+        });
+    }
+    if (!res.ok) {
+        const text = await res.text().catch(() => '');
+        throw searchError(`${providerLabel} error: ${res.status} ${text.slice(0, 200)}`.trim(), 'EUPSTREAM');
+    }
+    return res.json();
+}
+
+const braveProvider = {
+    label: 'Brave Search',
+    rateLimit: { requests: 1, perSec: 1 },
+    configured: (settings) => Boolean(settings.braveApiKey || process.env.BRAVE_API_KEY),
+    async search(query, { count, settings, signal }) {
+        const url = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}&count=${count}`;
+        const data = await fetchJSON(url, {
+            headers: {
+                'Accept': 'application/json',
+                'Accept-Encoding': 'gzip',
+                'X-Subscription-Token': settings.braveApiKey || process.env.BRAVE_API_KEY,
+            },
+            signal,
+        }, 'Brave API');
+        return (data.web?.results || []).map((r) => ({ title: r.title, url: r.url, snippet: r.description }));
+    },
+};
+
+const searxngProvider = {
+    label: 'SearXNG',
+    rateLimit: { requests: 5, perSec: 1 },
+    configured: (settings) => Boolean(settings.searxngUrl || process.env.SEARXNG_URL),
+    async search(query, { settings, signal }) {
+        const base = (settings.searxngUrl || process.env.SEARXNG_URL).replace(/\/+$/, '');
+        const data = await fetchJSON(`${base}/search?q=${encodeURIComponent(query)}&format=json`, {
+            headers: { 'Accept': 'application/json' },
+            signal,
+        }, 'SearXNG (is the json format enabled?)');
+        return (data.results || []).map((r) => ({ title: r.title, url: r.url, snippet: r.content }));
+    },
+};
+
+const localProvider = {
+    label: 'Offline (cached pages)',
+    rateLimit: null,
+    configured: () => true,
+    async search(query, { count }) {
+        return searchLocalIndex(query, count);
+    },
+};
+
+/** @type {Record<string, SearchProvider>} */
+const PROVIDERS = {
+    brave: braveProvider,
+    searxng: searxngProvider,
+    local: localProvider,
+};
+
+/**
+ * Register another provider under `name`; add it to `order` in the
+ * settings to use it with provider `auto`.
+ * @param {string} name
+ * @param {SearchProvider} provider
+ */
+export function registerSearchProvider(name, provider) {
+    PROVIDERS[name] = provider;
+}
+
+/** Providers with their state, in the order `auto` tries them. */
+export function listSearchProviders() {
+    const settings = getSearchSettings();
+    const names = [...new Set([...settings.order, ...Object.keys(PROVIDERS)])].filter((name) => PROVIDERS[name]);
+    return names.map((name) => ({
+        name,
+        label: PROVIDERS[name].label,
+        configured: PROVIDERS[name].configured(settings),
+        auto: settings.order.includes(name),
+        rateLimit: rateLimitFor(name, settings),
+    }));
+}
+
+// ─── Offline Index ───────────────────────────────────
+
+const localIndex = {
+    index: new TextIndex(),
+    /** @type {Map<string, { title: string, text: string, storedAt: number }>} url → page */
+    pages: new Map(),
+};
+
+function htmlToPage(html) {
+    const title = stripTags(/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] || '');
+    const body = html
+        .replace(/<(head|script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<[^>]*>/g, ' ');
+    return { title, text: truncate(stripTags(body), MAX_INDEXED_TEXT) };
+}
+
+/** Bring the index up to date with the web cache (only changed pages are re-read). */
+function refreshLocalIndex() {
+    const seen = new Set();
+    for (const { url, bodyFile, storedAt } of cachedPages()) {
+        seen.add(url);
+        if (localIndex.pages.get(url)?.storedAt === storedAt) {continue;}
+        let html;
+        try {
+            html = fs.readFileSync(bodyFile, 'utf-8');
+        } catch {
+            continue;
+        }
+        const page = { ...htmlToPage(html), storedAt };
+        localIndex.pages.set(url, page);
+        localIndex.index.set(url, [...new Set(tokenize(`${page.title} ${page.text} ${url}`))]);
+    }
+    for (const url of localIndex.pages.keys()) {
+        if (seen.has(url)) {continue;}
+        localIndex.pages.delete(url);
+        localIndex.index.delete(url);
+    }
+}
+
+function countOccurrences(haystack, word) {
+    let count = 0;
+    for (let i = haystack.indexOf(word); i !== -1 && count < 50; i = haystack.indexOf(word, i + word.length)) {count++;}
+    return count;
+}
+
+function searchLocalIndex(query, count) {
+    refreshLocalIndex();
+    const words = tokenize(query);
+    const scored = [];
+    for (const url of localIndex.index.search(query)) {
+        const page = localIndex.pages.get(url);
+        const title = page.title.toLowerCase();
+        const text = page.text.toLowerCase();
+        const score = words.reduce((sum, w) => sum + 5 * countOccurrences(title, w) + countOccurrences(text, w), 0);
+        // Snippet around the first query word found in the text
+        const at = Math.min(...words.map((w) => text.indexOf(w)).filter((i) => i >= 0), Infinity);
+        const start = Number.isFinite(at) ? Math.max(0, at - 80) : 0;
+        const snippet = `${start > 0 ? '…' : ''}${page.text.slice(start, start + MAX_SNIPPET_LENGTH)}`;
+        scored.push({ score, result: { title: page.title, url, snippet } });
+    }
+    return scored.toSorted((a, b) => b.score - a.score).slice(0, count).map((s) => s.result);
+}
+
+// ─── Rate Limits and Cache ───────────────────────────
+
+/** @type {Map<string, number[]>} provider → start times of recent requests */
+const recentRequests = new Map();
+
+function rateLimitFor(name, settings) {
+    return settings.rateLimits[name] || PROVIDERS[name].rateLimit;
+}
+
+async function takeRateSlot(name, limit, signal) {
+    if (!limit) {return;}
+    const windowMs = limit.perSec * 1000;
+    for (;;) {
+        const now = Date.now();
+        const times = (recentRequests.get(name) || []).filter((t) => now - t < windowMs);
+        if (times.length < limit.requests) {
+            times.push(now);
+            recentRequests.set(name, times);
+            return;
+        }
+        const waitMs = times[0] + windowMs - now;
+        if (waitMs > MAX_RATE_WAIT_MS) {
+            throw searchError(`${PROVIDERS[name].label} rate limit reached (${limit.requests} per ${limit.perSec}s)`, 'ERATELIMIT', { retryAfterMs: waitMs });
+        }
+        await new Promise((resolve) => setTimeout(resolve, waitMs));
+        if (signal?.aborted) {throw signal.reason;}
+    }
+}
+
+/** @type {Map<string, { results: object[], expires: number }>} in insertion (= age) order */
+const resultCache = new Map();
+
+function cacheKey(name, query, count) {
+    return `${name}\n${count}\n${query.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+function cachedResults(key) {
+    const entry = resultCache.get(key);
+    if (!entry) {return null;}
+    if (entry.expires > Date.now()) {return entry.results;}
+    resultCache.delete(key);
+    return null;
+}
+
+function cacheResults(key, results, ttlSec) {
+    if (!(ttlSec > 0)) {return;}
+    resultCache.delete(key);
+    resultCache.set(key, { results, expires: Date.now() + ttlSec * 1000 });
+    while (resultCache.size > SEARCH_LIMITS.maxCacheEntries) {resultCache.delete(resultCache.keys().next().value);}
+}
+
+// ─── Search ──────────────────────────────────────────
+
+async function searchWith(name, query, count, settings, signal) {
+    const provider = PROVIDERS[name];
+    if (!provider.configured(settings)) {throw searchError(`${provider.label} is not configured`, 'ENOTCONFIGURED');}
+    const key = cacheKey(name, query, count);
+    const hit = cachedResults(key);
+    if (hit) {return { results: hit, cached: true };}
+
+    await takeRateSlot(name, rateLimitFor(name, settings), signal);
+    const timeout = AbortSignal.timeout(SEARCH_LIMITS.timeoutMs);
+    let raw;
+    try {
+        raw = await provider.search(query, { count, settings, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+    } catch (err) {
+        if (timeout.aborted) {throw searchError(`${provider.label} did not answer within ${SEARCH_LIMITS.timeoutMs} ms`, 'ETIMEDOUT');}
+        if (err.code || signal?.aborted) {throw err;}
+        throw searchError(`${provider.label}: ${err.cause?.message || err.message}`, 'EUPSTREAM');
+    }
+    const seen = new Set();
+    const results = [];
+    for (const r of raw) {
+        if (results.length >= count) {break;}
+        const result = normalizeResult(r, name);
+        if (!result || seen.has(result.url)) {continue;}
+        seen.add(result.url);
+        results.push(result);
+    }
+    cacheResults(key, results, settings.cacheTtlSec);
+    return { results, cached: false };
+}
+
+/**
+ * Search the web.
+ * @param {string} query
+ * @param {{ provider?: string, count?: number, signal?: AbortSignal, overrides?: object }} [options]
+ *   `provider` is a provider name or `auto` (default); `overrides` replace settings for this call
+ *   (e.g. a per-request `braveApiKey`).
+ * @returns {Promise<{ query: string, provider: string, results: Array<{ title: string, url: string, snippet: string, source: string }>,
+ *   cached: boolean, skipped?: Array<{ provider: string, error: string, code: string }> }>}
+ *   `skipped` lists providers `auto` tried before the one that answered.
+ * @throws {Error} with `code` EINVAL, ENOTCONFIGURED, ERATELIMIT (`retryAfterMs`), EUPSTREAM or ETIMEDOUT;
+ *   when every `auto` provider failed, the last error, with `skipped`
+ */
+export async function searchWeb(query, { provider = 'auto', count = 10, signal, overrides = {} } = {}) {
+    query = String(query ?? '').trim();
+    if (!query) {throw searchError('Missing query', 'EINVAL');}
+    const settings = { ...getSearchSettings(), ...overrides };
+    const n = Math.min(Math.max(Math.floor(Number(count)) || 10, 1), SEARCH_LIMITS.maxCount);
+
+    if (provider !== 'auto') {
+        if (!PROVIDERS[provider]) {
+            throw searchError(`Unknown provider "${provider}" (available: auto, ${Object.keys(PROVIDERS).join(', ')})`, 'EINVAL');
+        }
+        return { query, provider, ...await searchWith(provider, query, n, settings, signal) };
+    }
+
+    const candidates = settings.order.filter((name) => PROVIDERS[name]?.configured(settings));
+    if (candidates.length === 0) {
+        throw searchError('No search provider is configured (set braveApiKey or searxngUrl, or add local to order)', 'ENOTCONFIGURED');
+    }
+    const skipped = [];
+    for (const name of candidates) {
+        try {
+            const result = await searchWith(name, query, n, settings, signal);
+            return { query, provider: name, ...result, ...(skipped.length > 0 && { skipped }) };
+        } catch (err) {
+            if (signal?.aborted) {throw err;}
+            skipped.push({ provider: name, error: err.message, code: err.code || 'EUPSTREAM' });
+            if (name === candidates.at(-1)) {
+                err.skipped = skipped;
+                throw err;
+            }
+        }
+    }
+}
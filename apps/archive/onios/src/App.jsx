@@ -10,11 +10,13 @@ import FirstLaunch from "./components/FirstLaunch/FirstLaunch";
 import CommandBar from "./components/CommandBar/CommandBar";
 import Taskbar from "./components/Taskbar/Taskbar";
 import Notifications from "./components/Notifications/Notifications";
+import ApprovalPrompt from "./components/ApprovalPrompt/ApprovalPrompt";
 import useWindowStore from "./stores/windowStore";
 import useCommandStore from "./stores/commandStore";
 import useNotificationStore from "./stores/notificationStore";
 import useThemeStore from "./stores/themeStore";
 import { commandRegistry } from "./core/CommandRegistry";
+import { runApprovedCommand } from "./core/ApprovalGate";
 import { WIDGET_REGISTRY } from "./core/widgetRegistry";
 import {
   sendTerminalInput,
@@ -38,8 +40,10 @@ import { workflowEngine } from "./core/WorkflowEngine";
 // serverSync removed — gateway handles state
 import useWorkflowStore from "./stores/workflowStore";
 import useTaskStore from "./stores/taskStore";
+import useApprovalStore, {
+  DEFAULT_APPROVAL_POLICY,
+} from "./stores/approvalStore";
 import usePasswordStore, {
-  generatePassword,
   calculateStrength,
   strengthLabel,
 } from "./stores/passwordStore";
@@ -359,6 +363,61 @@ function registerAllCommands() {
     { description: "Toggle dark/light mode" },
   );
 
+  // === system.approvals — approval gate policy (user-only, see ApprovalGate) ===
+  commandRegistry.register(
+    "system.approvals.policy",
+    (risk, value) => {
+      const store = useApprovalStore.getState();
+      if (risk === "reset") {
+        store.resetPolicy();
+        addNotification("Approval policy reset to defaults", "info");
+      } else if (risk) {
+        if (
+          !(risk in DEFAULT_APPROVAL_POLICY) ||
+          !["allow", "ask", "deny"].includes(value)
+        ) {
+          return `Usage: system.approvals.policy("${Object.keys(DEFAULT_APPROVAL_POLICY).join("|")}", "allow|ask|deny") or system.approvals.policy("reset")`;
+        }
+        store.setPolicy(risk, value);
+        addNotification(`AI commands (${risk}): ${value}`, "info");
+      }
+      const { policy, sessionRules } = useApprovalStore.getState();
+      const lines = Object.entries(policy).map(([r, v]) => `${r}: ${v}`);
+      lines.push(
+        sessionRules.length
+          ? `Allowed this session: ${sessionRules.join(", ")}`
+          : "Allowed this session: none",
+      );
+      return lines.join("\n");
+    },
+    {
+      description: "Show or set how AI commands of each risk level are approved",
+      args: ["risk?", "value?"],
+      risk: "mutating",
+    },
+  );
+  commandRegistry.register(
+    "system.approvals.revoke",
+    (path) => {
+      const store = useApprovalStore.getState();
+      if (!path) {
+        const count = store.sessionRules.length;
+        store.clearSessionRules();
+        return `Revoked ${count} session approval${count === 1 ? "" : "s"}`;
+      }
+      if (!store.sessionRules.includes(path)) {
+        return `No session approval for ${path}`;
+      }
+      store.removeSessionRule(path);
+      return `Revoked session approval for ${path}`;
+    },
+    {
+      description: "Revoke \"always allow for this session\" approvals (one command path, or all)",
+      args: ["path?"],
+      risk: "mutating",
+    },
+  );
+
   // === oni chat ===
   commandRegistry.register("oni.chat", () => openWidget("oni-chat"), {
     description: "Open Oni AI chat",
@@ -503,7 +562,7 @@ function registerAllCommands() {
       addNotification("Screenshot captured!", "success");
       return "Screenshot taken";
     },
-    { description: "Take a screenshot" },
+    { description: "Take a screenshot", risk: "external" },
   );
 
   commandRegistry.register(
@@ -569,10 +628,10 @@ function registerAllCommands() {
       );
       const data = await res.json();
       if (data.error) {return `Error: ${data.error}`;}
-      addNotification(`Deleted: ${path.split("/").pop()}`, "info");
-      return `Deleted: ${path}`;
+      addNotification(`Moved to Trash: ${path.split("/").pop()}`, "info");
+      return `Moved to Trash: ${path} (restore from File Explorer → Trash)`;
     },
-    { description: "Delete a file or folder" },
+    { description: "Move a file or folder to the Trash" },
   );
 
   commandRegistry.register(
@@ -616,7 +675,7 @@ function registerAllCommands() {
       if (data.error) {return `Error: ${data.error}`;}
       return `Written to: ${data.path}`;
     },
-    { description: "Write content to a file" },
+    { description: "Write content to a file", risk: "mutating" },
   );
 
   // === terminal commands ===
@@ -674,7 +733,7 @@ function registerAllCommands() {
         _drainTermQueue();
       });
     },
-    { description: "Execute a command in the terminal" },
+    { description: "Execute a command in the terminal", risk: "destructive" },
   );
 
   commandRegistry.register(
@@ -685,7 +744,7 @@ function registerAllCommands() {
       if (!sent) {return "No active terminal connection";}
       return "Input sent";
     },
-    { description: "Send raw input to the active terminal" },
+    { description: "Send raw input to the active terminal", risk: "destructive" },
   );
 
   commandRegistry.register(
@@ -695,7 +754,7 @@ function registerAllCommands() {
       if (!sent) {return "No active terminal connection";}
       return "Ctrl+C sent";
     },
-    { description: "Send Ctrl+C (interrupt) to the terminal" },
+    { description: "Send Ctrl+C (interrupt) to the terminal", risk: "mutating" },
   );
 
   // === system.windows — Active Widgets Layer ===
@@ -810,7 +869,7 @@ function registerAllCommands() {
       wins.forEach((w) => closeWindow(w.id));
       return `Closed ${wins.length} window(s)`;
     },
-    { description: "Close all open windows" },
+    { description: "Close all open windows", risk: "destructive" },
   );
 
   // === document commands ===
@@ -1079,10 +1138,14 @@ function registerAllCommands() {
   // === task commands ===
   commandRegistry.register(
     "task.add",
-    (title, dueDate, dueTime, priority) => {
+    (title, dueDate, dueTime, priority, id) => {
       if (!title)
         {return 'Usage: task.add("title", "2025-03-01", "14:00", "high")';}
+      // The gateway passes its own id so it can delete (undo) the task later
+      if (id && useTaskStore.getState().tasks.some((t) => t.id === id))
+        {return `Task already exists: ${id}`;}
       const task = useTaskStore.getState().addTask({
+        id: id || undefined,
         title,
         dueDate: dueDate || null,
         dueTime: dueTime || null,
@@ -1281,6 +1344,7 @@ function registerAllCommands() {
     },
     {
       description: "Add a scheduled job (cron-like) that auto-fires a command",
+      commandArg: 1,
     },
   );
 
@@ -1364,7 +1428,7 @@ function registerAllCommands() {
       const entry = store.addEntry({
         title,
         username: username || "",
-        password: password || generatePassword(16),
+        password: password || store.generate(),
         url: url || "",
         category: category || "general",
       });
@@ -1396,6 +1460,7 @@ function registerAllCommands() {
     {
       description:
         "Get a password entry by title or ID (shows decrypted password)",
+      risk: "external",
     },
   );
 
@@ -1436,14 +1501,39 @@ function registerAllCommands() {
   commandRegistry.register(
     "password.generate",
     (length, options) => {
-      const len = Number(length) || 16;
-      const pw = generatePassword(len);
+      const store = usePasswordStore.getState();
+      const opts = typeof options === "object" && options ? { ...options } : {};
+      if (Number(length)) {opts.length = Number(length);}
+      const pw = store.generate(opts);
       const score = calculateStrength(pw);
       // Copy to clipboard
       navigator.clipboard?.writeText(pw);
-      return `Generated (${len} chars, ${strengthLabel(score)}):\n${pw}\n(Copied to clipboard)`;
+      return `Generated (${pw.length} chars, ${strengthLabel(score)}):\n${pw}\n(Copied to clipboard)`;
+    },
+    {
+      description:
+        "Generate a random password (saved generator options unless overridden) and copy to clipboard",
     },
-    { description: "Generate a random password and copy to clipboard" },
+  );
+
+  commandRegistry.register(
+    "password.audit",
+    () => {
+      const report = usePasswordStore.getState().audit();
+      if (!report) {return "Vault is locked.";}
+      const { summary } = report;
+      if (report.entries.length === 0)
+        {return `Vault health ${summary.score}% — no risky entries (${summary.total} checked)`;}
+      const lines = report.entries.map(
+        (r) => `${r.title} id=${r.id}: ${r.issues.map((i) => i.message).join("; ")}`,
+      );
+      return [
+        `Vault health ${summary.score}% — ${summary.atRisk}/${summary.total} at risk ` +
+          `(${summary.weak} weak, ${summary.reused} reused, ${summary.stale} stale, ${summary.insecure} without HTTPS)`,
+        ...lines,
+      ].join("\n");
+    },
+    { description: "Audit the vault for weak, reused, stale and non-HTTPS entries" },
   );
 
   commandRegistry.register(
@@ -1651,7 +1741,7 @@ function registerAllCommands() {
       eventBus.emit("camera:capture");
       return "Photo capture triggered";
     },
-    { description: "Take a photo with the camera" },
+    { description: "Take a photo with the camera", risk: "external" },
   );
 
   commandRegistry.register(
@@ -1699,7 +1789,7 @@ function registerAllCommands() {
       eventBus.emit("screen:screenshot");
       return "Screenshot triggered — select screen or window to capture";
     },
-    { description: "Take a screenshot of the screen or a specific window" },
+    { description: "Take a screenshot of the screen or a specific window", risk: "external" },
   );
 
   commandRegistry.register(
@@ -1714,7 +1804,7 @@ function registerAllCommands() {
       eventBus.emit("screen:record:start");
       return "Screen recording started — select screen or window to record";
     },
-    { description: "Start screen recording" },
+    { description: "Start screen recording", risk: "external" },
   );
 
   commandRegistry.register(
@@ -1803,7 +1893,7 @@ function registerAllCommands() {
       });
       return url ? `Browser opened: ${url}` : "Browser opened";
     },
-    { description: "Open the headless browser widget", widget: "browser" },
+    { description: "Open the headless browser widget", widget: "browser", risk: "external" },
   );
 
   commandRegistry.register(
@@ -1823,7 +1913,7 @@ function registerAllCommands() {
       }
       return `Navigating to: ${url}`;
     },
-    { description: "Navigate the browser to a URL" },
+    { description: "Navigate the browser to a URL", risk: "external" },
   );
 
   // === sub-agent commands ===
@@ -2289,7 +2379,7 @@ function registerAllCommands() {
         return `Workflow "${wf.name}" failed: ${result.error}`;
       }
     },
-    { description: "Execute a workflow by ID or name" },
+    { description: "Execute a workflow by ID or name", risk: "destructive" },
   );
 
   commandRegistry.register(
@@ -2431,7 +2521,7 @@ function registerAllCommands() {
       });
       return `Added ${node.type} node "${node.label}" (${node.id}) to workflow "${wf.name}"`;
     },
-    { description: "Add a node to a workflow" },
+    { description: "Add a node to a workflow", risk: "destructive" },
   );
 
   commandRegistry.register(
@@ -2449,7 +2539,10 @@ function registerAllCommands() {
       store.updateNode(workflowId, nodeId, updates);
       return `Updated node ${nodeId} in workflow "${wf.name}"`;
     },
-    { description: "Update a node's properties in a workflow" },
+    {
+      description: "Update a node's properties in a workflow",
+      risk: "destructive",
+    },
   );
 
   commandRegistry.register(
@@ -2905,6 +2998,35 @@ function registerAllCommands() {
   );
 }
 
+/** Report the outcome of a server-scheduled command run back to the scheduler
+ *  so it can record the result and retry failures. */
+async function _reportSchedulerRun(notification, runPromise) {
+  let report;
+  try {
+    const run = await runPromise;
+    const failed = run?.error || run?.status === "error";
+    report = failed
+      ? {
+          status: "failed",
+          error: String(run.error || "Command failed"),
+          output: run.output ?? null,
+        }
+      : { status: "success", output: run?.output ?? null };
+  } catch (err) {
+    report = { status: "failed", error: err?.message || String(err) };
+  }
+  try {
+    await fetch(
+      `/api/scheduler/jobs/${notification.jobId}/runs/${notification.runId}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(report),
+      },
+    );
+  } catch {}
+}
+
 /** Build a short signature string capturing workflow count, enabled flags, and trigger configs.
  *  Used to detect when the engine needs to re-init its event listeners. */
 function _workflowSignature(workflows) {
@@ -2961,8 +3083,18 @@ export default function App() {
           if (n.type === "command" && n.message?.startsWith("__CMD__:")) {
             const cmd = n.message.replace("__CMD__:", "");
             try {
-              execCmd(cmd, "scheduler");
-            } catch {}
+              // Jobs the agent created need the same approval as its direct commands
+              const run =
+                n.origin === "agent"
+                  ? runApprovedCommand(cmd, {
+                      origin: "scheduler",
+                      actionType: `job:${n.jobId}`,
+                    })
+                  : execCmd(cmd, "scheduler").await();
+              if (n.runId) {_reportSchedulerRun(n, run);}
+            } catch (err) {
+              if (n.runId) {_reportSchedulerRun(n, Promise.reject(err));}
+            }
           } else {
             addNotification(
               n.message,
@@ -3061,6 +3193,7 @@ export default function App() {
           <TabletDesktop />
           <CommandBar />
           <Notifications />
+          <ApprovalPrompt />
         </>
       ) : (
         <>
@@ -3068,6 +3201,7 @@ export default function App() {
           <Taskbar />
           <CommandBar />
           <Notifications />
+          <ApprovalPrompt />
         </>
       )}
     </>
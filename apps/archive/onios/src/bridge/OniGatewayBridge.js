@@ -3,10 +3,50 @@
  *
  * This is the central integration point: OniOS sends user messages to the gateway,
  * receives agent responses, and the gateway can execute commands on OniOS.
+ *
+ * Status: client side only, and dormant. Nothing in the app calls connect()
+ * yet (OniOS talks to the gateway through GatewayClient and the oni CLI), and
+ * no gateway implements this channel's frames, including `ack` and the
+ * `welcome` below. Until one does, a connection settles on version 1, where
+ * nothing is acked and frames count as delivered once sent.
+ *
+ * Delivery:
+ * - Every frame carries an `id`. User messages and command/skill results are
+ *   kept in an outbox until the gateway answers `{ type: 'ack', id }`; whatever
+ *   is unacked is sent again, in order, after a reconnect. Periodic state
+ *   (widget context, skills, registration) is simply re-sent instead.
+ * - Incoming frames with an `id` are acked the same way. A command or skill
+ *   request whose id was already seen is never run twice: a finished one gets
+ *   its stored result again, a running one is ignored.
+ * - Reconnects back off exponentially (with jitter) up to BRIDGE_LIMITS.backoffMaxMs.
+ *
+ * Protocol: each connection starts with a hello/welcome handshake
+ * (bridgeProtocol.js). Nothing but the hello is sent until it settles.
+ * Inbound frames are validated; malformed ones get an `error` frame back.
+ * With a version 1 gateway (no handshake) OniOS falls back to the old
+ * `register` frame, skips acks (frames count as delivered once sent) and
+ * reports bad requests as failed `command_result`/`skill_result`.
  */
 
 import { eventBus } from '../core/EventBus.js';
 import { commandRegistry } from '../core/CommandRegistry.js';
+import { runApprovedCommand } from '../core/ApprovalGate.js';
+import {
+  PROTOCOL_VERSION, PROTOCOL_ERRORS, HANDSHAKE_TIMEOUT_MS,
+  parseInbound, helloFrame, negotiate, errorFrame,
+} from './bridgeProtocol.js';
+
+export const BRIDGE_LIMITS = {
+  backoffBaseMs: 1000,
+  backoffMaxMs: 30000,
+  maxOutbox: 200,
+  // Unacked frames older than this are dropped rather than replayed
+  maxOutboxAgeMs: 10 * 60 * 1000,
+  // Request ids remembered for deduplication
+  maxSeenRequests: 500,
+};
+
+const newFrameId = () => `onios-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 
 class OniGatewayBridge {
   constructor() {
@@ -15,46 +55,69 @@ class OniGatewayBridge {
     this.token = '';
     this._status = 'disconnected'; // disconnected | connecting | connected | error
     this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
     this.messageHandlers = [];
     this.contextSyncInterval = null;
+    this._outbox = new Map(); // id → { frame, queuedAt, attempts }
+    this._ackWaiters = new Map(); // id → [resolve]
+    this._seenRequests = new Map(); // request id → result frame, or null while running
+    this._seenMessages = new Set();
+    this._manualClose = false;
+    this.protocolVersion = null; // null until the handshake settles
+    this.peerCapabilities = new Set();
+    this._handshakeTimer = null;
+    this._onReady = null;
   }
 
   get status() {
     return this._status;
   }
 
+  /** Number of frames waiting for an ack. */
+  get pendingCount() {
+    return this._outbox.size;
+  }
+
   async connect(url, token) {
     this.url = url;
     this.token = token;
+    this._manualClose = false;
     this._status = 'connecting';
     eventBus.emit('gateway:status', this._status);
 
     return new Promise((resolve, reject) => {
       try {
         const wsUrl = `${url}?token=${encodeURIComponent(token)}&channel=onios`;
-        this.ws = new WebSocket(wsUrl);
+        const ws = new WebSocket(wsUrl);
+        this.ws = ws;
 
-        this.ws.onopen = () => {
+        ws.onopen = () => {
           this._status = 'connected';
+          this.reconnectAttempts = 0;
           eventBus.emit('gateway:status', this._status);
           console.log('[OniGatewayBridge] Connected to Oni gateway');
-          this._registerAsChannel();
-          this._startContextSync();
-          resolve();
+          this._startHandshake({ resolve, reject });
         };
 
-        this.ws.onmessage = (event) => {
+        ws.onmessage = (event) => {
           this._handleMessage(event.data);
         };
 
-        this.ws.onclose = () => {
+        ws.onclose = () => {
+          // A socket replaced by a newer connect() no longer owns the bridge state
+          if (this.ws !== ws) {return;}
+          this.ws = null;
+          this._resetProtocol();
+          this._onReady?.reject(new Error('Gateway closed the connection during the handshake'));
+          this._onReady = null;
           this._status = 'disconnected';
           eventBus.emit('gateway:status', this._status);
           this._stopContextSync();
-          this._scheduleReconnect();
+          if (!this._manualClose) {this._scheduleReconnect();}
         };
 
-        this.ws.onerror = () => {
+        ws.onerror = () => {
+          if (this.ws !== ws) {return;}
           this._status = 'error';
           eventBus.emit('gateway:status', this._status);
           reject(new Error('Gateway connection failed'));
@@ -67,11 +130,13 @@ class OniGatewayBridge {
   }
 
   disconnect() {
+    this._manualClose = true;
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
       this.reconnectTimer = null;
     }
     this._stopContextSync();
+    this._resetProtocol();
     if (this.ws) {
       this.ws.close();
       this.ws = null;
@@ -84,21 +149,46 @@ class OniGatewayBridge {
     return this._status === 'connected' && this.ws?.readyState === WebSocket.OPEN;
   }
 
+  /** Connected and past the handshake. */
+  isReady() {
+    return this.isConnected() && this.protocolVersion !== null;
+  }
+
   /**
-   * Send a user message to the gateway agent.
+   * Send a user message to the gateway agent. Queued while disconnected and
+   * re-sent after a reconnect until the gateway acks it.
+   * @returns {string} the message id (see awaitAck)
    */
   sendMessage(content, metadata = {}) {
-    if (!this.isConnected()) {
-      console.warn('[OniGatewayBridge] Not connected');
-      return;
-    }
-    this.ws.send(JSON.stringify({
+    return this._send({
       type: 'message',
       content,
       channel: 'onios',
       timestamp: Date.now(),
       ...metadata,
-    }));
+    }, { reliable: true });
+  }
+
+  /**
+   * Wait for the gateway to ack a frame.
+   * @param {string} id - From sendMessage
+   * @param {{ timeoutMs?: number }} [options]
+   * @returns {Promise<boolean>} false on timeout (the frame stays queued)
+   */
+  awaitAck(id, { timeoutMs = 30000 } = {}) {
+    if (!this._outbox.has(id)) {return Promise.resolve(true);}
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        const waiters = this._ackWaiters.get(id) || [];
+        this._ackWaiters.set(id, waiters.filter(w => w !== done));
+        resolve(false);
+      }, timeoutMs);
+      const done = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+      this._ackWaiters.set(id, [...(this._ackWaiters.get(id) || []), done]);
+    });
   }
 
   /**
@@ -115,33 +205,160 @@ class OniGatewayBridge {
    * Push widget context to the gateway so the AI knows what's on screen.
    */
   pushWidgetContext(contexts) {
-    if (!this.isConnected()) {return;}
-    this.ws.send(JSON.stringify({
+    this._send({
       type: 'widget_context',
       contexts,
       timestamp: Date.now(),
-    }));
+    });
   }
 
   /**
    * Push all registered skills to the gateway.
    */
   pushSkills(skills) {
-    if (!this.isConnected()) {return;}
-    this.ws.send(JSON.stringify({
+    this._send({
       type: 'register_skills',
       skills,
       timestamp: Date.now(),
-    }));
+    });
   }
 
   // ─── Private ───────────────────────────────────────────
 
+  /**
+   * Send a frame with an id. Reliable frames go through the outbox; others
+   * are dropped while disconnected.
+   * @returns {string} the frame id
+   */
+  _send(frame, { reliable = false } = {}) {
+    const out = { ...frame, id: frame.id || newFrameId() };
+    if (reliable && !this._outbox.has(out.id)) {
+      this._pruneOutbox(1);
+      this._outbox.set(out.id, { frame: out, queuedAt: Date.now(), attempts: 0 });
+      eventBus.emit('gateway:outbox', { pending: this._outbox.size });
+    }
+    if (this.isReady()) {this._transmit(out);}
+    return out.id;
+  }
+
+  _transmit(frame) {
+    const queued = this._outbox.get(frame.id);
+    if (queued) {queued.attempts++;}
+    let wire = queued && queued.attempts > 1 ? { ...frame, resent: true } : frame;
+    if (this.protocolVersion >= 2) {wire = { v: this.protocolVersion, ...wire };}
+    try {
+      this.ws.send(JSON.stringify(wire));
+    } catch (err) {
+      console.warn('[OniGatewayBridge] Send failed:', err);
+      return;
+    }
+    // Without acks a frame handed to the socket is as delivered as it gets
+    if (queued && !this.peerCapabilities.has('acks')) {this._handleAck([frame.id]);}
+  }
+
+  /** Re-send unacked frames in the order they were queued. */
+  _flushOutbox() {
+    this._pruneOutbox();
+    for (const { frame } of this._outbox.values()) {
+      if (!this.isReady()) {return;}
+      this._transmit(frame);
+    }
+  }
+
+  /** Drop frames past maxOutboxAgeMs, then the oldest ones until `reserve` more fit in maxOutbox. */
+  _pruneOutbox(reserve = 0) {
+    const cutoff = Date.now() - BRIDGE_LIMITS.maxOutboxAgeMs;
+    const dropped = [];
+    for (const [id, entry] of this._outbox) {
+      if (entry.queuedAt >= cutoff && this._outbox.size - dropped.length + reserve <= BRIDGE_LIMITS.maxOutbox) {break;}
+      dropped.push(id);
+    }
+    for (const id of dropped) {
+      const { frame } = this._outbox.get(id);
+      this._outbox.delete(id);
+      this._ackWaiters.delete(id);
+      eventBus.emit('gateway:outbox:dropped', { id, type: frame.type });
+    }
+    if (dropped.length) {console.warn(`[OniGatewayBridge] Dropped ${dropped.length} unacked frame(s)`);}
+  }
+
+  _handleAck(ids) {
+    for (const id of ids) {
+      if (!this._outbox.delete(id)) {continue;}
+      for (const resolve of this._ackWaiters.get(id) || []) {resolve();}
+      this._ackWaiters.delete(id);
+    }
+    eventBus.emit('gateway:outbox', { pending: this._outbox.size });
+  }
+
+  /** Remember an id in a bounded insertion-ordered collection. */
+  _remember(collection, id, value) {
+    if (collection instanceof Map) {collection.set(id, value);} else {collection.add(id);}
+    if (collection.size > BRIDGE_LIMITS.maxSeenRequests) {
+      collection.delete(collection.keys().next().value);
+    }
+  }
+
+  // ─── Handshake ─────────────────────────────────────────
+
+  /** Send the hello; the handshake settles on the welcome, another frame, or the timeout. */
+  _startHandshake(ready) {
+    this._resetProtocol();
+    this._onReady = ready;
+    try {
+      this.ws.send(JSON.stringify(helloFrame({
+        id: newFrameId(),
+        channel: 'onios',
+        commands: commandRegistry.list().length,
+      })));
+    } catch (err) {
+      console.warn('[OniGatewayBridge] Hello failed:', err);
+    }
+    this._handshakeTimer = setTimeout(() => this._completeHandshake(1, new Set()), HANDSHAKE_TIMEOUT_MS);
+  }
+
+  _completeHandshake(version, capabilities) {
+    clearTimeout(this._handshakeTimer);
+    this._handshakeTimer = null;
+    this.protocolVersion = version;
+    this.peerCapabilities = capabilities;
+    console.log(`[OniGatewayBridge] Protocol ${version}${capabilities.size ? ` (${[...capabilities].join(', ')})` : ''}`);
+    eventBus.emit('gateway:protocol', { version, capabilities: [...capabilities] });
+    if (version === 1) {this._registerAsChannel();}
+    this._flushOutbox();
+    this._stopContextSync();
+    this._startContextSync();
+    this._onReady?.resolve();
+    this._onReady = null;
+  }
+
+  /** The gateway only speaks versions OniOS doesn't: give up without reconnecting. */
+  _failHandshake(message) {
+    console.error(`[OniGatewayBridge] ${message}`);
+    try {
+      this.ws.send(JSON.stringify(errorFrame(PROTOCOL_ERRORS.EPROTOCOL, message)));
+    } catch { /* closing anyway */ }
+    eventBus.emit('gateway:protocol:error', { code: PROTOCOL_ERRORS.EPROTOCOL, message });
+    const ready = this._onReady;
+    this.disconnect();
+    this._status = 'error';
+    eventBus.emit('gateway:status', this._status);
+    ready?.reject(new Error(message));
+  }
+
+  _resetProtocol() {
+    clearTimeout(this._handshakeTimer);
+    this._handshakeTimer = null;
+    this.protocolVersion = null;
+    this.peerCapabilities = new Set();
+  }
+
+  /** Version 1 registration (current gateways get the same data in the hello). */
   _registerAsChannel() {
-    if (!this.isConnected()) {return;}
+    if (!this.isReady()) {return;}
     // Register OniOS as a channel with its capabilities
     const commands = commandRegistry.list();
-    this.ws.send(JSON.stringify({
+    this._send({
       type: 'register',
       channel: 'onios',
       capabilities: {
@@ -150,13 +367,13 @@ class OniGatewayBridge {
         context: true,
         subAgents: true,
       },
-    }));
+    });
   }
 
   _startContextSync() {
     // Sync widget context to gateway every 5 seconds
     this.contextSyncInterval = setInterval(() => {
-      if (!this.isConnected()) {return;}
+      if (!this.isReady()) {return;}
       // Collect context from all open widgets via the widgetContext provider
       try {
         const { widgetContext } = require('../core/WidgetContextProvider.js');
@@ -180,60 +397,134 @@ class OniGatewayBridge {
   }
 
   _handleMessage(raw) {
-    try {
-      const data = JSON.parse(raw);
-
-      // Agent response message
-      if (data.type === 'agent_message' || data.type === 'message') {
-        const msg = {
-          role: data.role || 'assistant',
-          content: data.content || '',
-          timestamp: data.timestamp || Date.now(),
-        };
-        for (const handler of this.messageHandlers) {
-          handler(msg);
-        }
-        eventBus.emit('gateway:message', msg);
-      }
+    let parsed = parseInbound(raw, this.protocolVersion ?? PROTOCOL_VERSION);
 
-      // Command request from gateway (AI wants to execute an OniOS command)
-      if (data.type === 'command_request') {
-        this._executeGatewayCommand(data);
+    if (parsed.ok && parsed.frame.type === 'welcome') {
+      const result = negotiate(parsed.frame);
+      if (result.ok) {
+        this._completeHandshake(result.version, result.capabilities);
+      } else {
+        this._failHandshake(result.message);
       }
+      return;
+    }
+    if (this.protocolVersion === null) {
+      // Anything but a welcome first: a gateway from before the handshake
+      this._completeHandshake(1, new Set());
+      parsed = parseInbound(raw, 1);
+    }
+    if (!parsed.ok) {
+      this._rejectFrame(parsed);
+      return;
+    }
+    const data = parsed.frame;
+
+    if (data.type === 'ack') {
+      this._handleAck(data.ids || [data.id]);
+      return;
+    }
+    if (data.type === 'error') {
+      console.warn(`[OniGatewayBridge] Gateway error ${data.code}${data.ref ? ` (re ${data.ref})` : ''}: ${data.message || ''}`);
+      eventBus.emit('gateway:protocol:error', { code: data.code, message: data.message, ref: data.ref, fromGateway: true });
+      return;
+    }
+    // Ack everything that carries an id, including duplicates (the first ack may have been lost)
+    if (data.id && this.peerCapabilities.has('acks') && this.isConnected()) {
+      this.ws.send(JSON.stringify({ type: 'ack', v: this.protocolVersion, id: data.id }));
+    }
 
-      // Skill request from gateway
-      if (data.type === 'skill_request') {
-        this._executeGatewaySkill(data);
+    // Agent response message
+    if (data.type === 'agent_message' || data.type === 'message') {
+      if (data.id) {
+        if (this._seenMessages.has(data.id)) {return;}
+        this._remember(this._seenMessages, data.id);
       }
-    } catch (err) {
-      console.error('[OniGatewayBridge] Parse error:', err);
+      const msg = {
+        role: data.role || 'assistant',
+        content: data.content || '',
+        timestamp: data.timestamp || Date.now(),
+      };
+      for (const handler of this.messageHandlers) {
+        try { handler(msg); } catch (err) { console.error('[OniGatewayBridge] Message handler failed:', err); }
+      }
+      eventBus.emit('gateway:message', msg);
+    }
+
+    // Command request from gateway (AI wants to execute an OniOS command)
+    if (data.type === 'command_request' && this._firstDelivery(data)) {
+      this._executeGatewayCommand(data);
+    }
+
+    // Skill request from gateway
+    if (data.type === 'skill_request' && this._firstDelivery(data)) {
+      this._executeGatewaySkill(data);
+    }
+  }
+
+  /** Answer a frame that failed validation. */
+  _rejectFrame({ code, message, ref, type }) {
+    // Version 1 gateways send frame types OniOS never handled; those were always ignored
+    if (code === PROTOCOL_ERRORS.EUNSUPPORTED && this.protocolVersion === 1) {return;}
+    console.warn(`[OniGatewayBridge] Rejected ${type || 'frame'}: ${message}`);
+    eventBus.emit('gateway:protocol:error', { code, message, ref, type });
+    // Never answer an error with an error
+    if (type === 'error' || !this.isConnected()) {return;}
+    if (this.peerCapabilities.has('errors')) {
+      this.ws.send(JSON.stringify(errorFrame(code, message, ref)));
+    } else if (ref && (type === 'command_request' || type === 'skill_request')) {
+      // All a version 1 gateway understands is a failed result
+      this._send({
+        type: type === 'command_request' ? 'command_result' : 'skill_result',
+        id: ref,
+        ok: false,
+        error: `${code}: ${message}`,
+      });
+    }
+  }
+
+  /**
+   * Whether a command/skill request should run. For a repeated id the stored
+   * result is sent again (or nothing, while the first delivery still runs).
+   */
+  _firstDelivery(data) {
+    if (!data.id) {return true;}
+    if (!this._seenRequests.has(data.id)) {
+      this._remember(this._seenRequests, data.id, null);
+      return true;
     }
+    const result = this._seenRequests.get(data.id);
+    if (result) {this._send(result, { reliable: true });}
+    return false;
+  }
+
+  /**
+   * Send a command/skill result reliably and keep it for repeated requests.
+   * The result frame reuses the request id, which is how the gateway matches them up.
+   */
+  _sendResult(data, result) {
+    const frame = { ...result, id: data.id };
+    if (data.id) {this._remember(this._seenRequests, data.id, frame);}
+    this._send(frame, { reliable: true });
   }
 
   async _executeGatewayCommand(data) {
     try {
-      const handle = commandRegistry.execute(
+      const result = await runApprovedCommand(
         data.command + (data.args?.length ? `(${data.args.map(a => JSON.stringify(a)).join(',')})` : ''),
-        'ai'
+        { origin: 'gateway-ws' }
       );
-      const result = await handle.await();
-      if (this.isConnected()) {
-        this.ws.send(JSON.stringify({
-          type: 'command_result',
-          id: data.id,
-          ok: true,
-          result,
-        }));
-      }
+      this._sendResult(data, {
+        type: 'command_result',
+        ok: true,
+        result,
+      });
     } catch (err) {
-      if (this.isConnected()) {
-        this.ws.send(JSON.stringify({
-          type: 'command_result',
-          id: data.id,
-          ok: false,
-          error: String(err),
-        }));
-      }
+      this._sendResult(data, {
+        type: 'command_result',
+        ok: false,
+        error: String(err),
+        denied: err.name === 'ApprovalDeniedError',
+      });
     }
   }
 
@@ -244,42 +535,41 @@ class OniGatewayBridge {
       if (!skill) {throw new Error(`Skill not found: ${data.skillId}`);}
 
       const args = skill.buildArgs(data.params || {});
-      const handle = commandRegistry.execute(
+      const result = await runApprovedCommand(
         `${skill.command}(${args.map(a => JSON.stringify(a)).join(',')})`,
-        'ai'
+        { origin: 'gateway-ws', actionType: `skill:${data.skillId}` }
       );
-      const result = await handle.await();
-      if (this.isConnected()) {
-        this.ws.send(JSON.stringify({
-          type: 'skill_result',
-          id: data.id,
-          ok: true,
-          result,
-        }));
-      }
+      this._sendResult(data, {
+        type: 'skill_result',
+        ok: true,
+        result,
+      });
     } catch (err) {
-      if (this.isConnected()) {
-        this.ws.send(JSON.stringify({
-          type: 'skill_result',
-          id: data.id,
-          ok: false,
-          error: String(err),
-        }));
-      }
+      this._sendResult(data, {
+        type: 'skill_result',
+        ok: false,
+        error: String(err),
+        denied: err.name === 'ApprovalDeniedError',
+      });
     }
   }
 
   _scheduleReconnect() {
-    if (this.reconnectTimer) {return;}
+    if (this.reconnectTimer || this._manualClose || !this.url) {return;}
+    // Somewhere between half and all of the exponential delay, so clients don't reconnect in lockstep
+    const ceiling = Math.min(BRIDGE_LIMITS.backoffMaxMs, BRIDGE_LIMITS.backoffBaseMs * 2 ** this.reconnectAttempts);
+    const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    this.reconnectAttempts++;
+    eventBus.emit('gateway:reconnecting', { attempt: this.reconnectAttempts, delayMs: delay });
     this.reconnectTimer = setTimeout(() => {
       this.reconnectTimer = null;
-      if (this._status === 'disconnected' && this.url) {
-        console.log('[OniGatewayBridge] Reconnecting...');
+      if (this._status !== 'connected' && !this._manualClose) {
+        console.log(`[OniGatewayBridge] Reconnecting (attempt ${this.reconnectAttempts})...`);
         this.connect(this.url, this.token).catch(() => {
           this._scheduleReconnect();
         });
       }
-    }, 5000);
+    }, delay);
   }
 }
 
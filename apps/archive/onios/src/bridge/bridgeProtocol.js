@@ -0,0 +1,170 @@
+/**
+ * bridgeProtocol — Versioned message schema for the OniOS ↔ gateway WebSocket.
+ *
+ * Handshake: right after the socket opens OniOS sends
+ *   { type: 'hello', v, protocol: { version, min }, client: 'onios', capabilities: [...] }
+ * and a current gateway answers
+ *   { type: 'welcome', v, protocol: <chosen version>, capabilities: [...] }
+ *
+ * Version 1 is the protocol from before the handshake: no `v` field, no
+ * acks, no error frames, registration through `{ type: 'register' }`. A
+ * gateway that answers the hello with anything else, or not at all within
+ * HANDSHAKE_TIMEOUT_MS, is treated as version 1.
+ *
+ * Inbound frames are checked against INBOUND_SCHEMAS for the negotiated
+ * version. A frame that fails gets `{ type: 'error', code, message, ref }`
+ * back (version 2+).
+ */
+
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+export const HANDSHAKE_TIMEOUT_MS = 3000;
+export const MAX_FRAME_BYTES = 1024 * 1024;
+
+/** What OniOS supports; the gateway's `welcome` lists what it supports. */
+export const CLIENT_CAPABILITIES = ['acks', 'dedupe', 'commands', 'skills', 'widget_context', 'errors'];
+
+/** Error codes used in `error` frames. */
+export const PROTOCOL_ERRORS = {
+  EPARSE: 'EPARSE', // not JSON, or not an object
+  ETOOBIG: 'ETOOBIG', // over MAX_FRAME_BYTES
+  EINVALID: 'EINVALID', // a field is missing or has the wrong type
+  EUNSUPPORTED: 'EUNSUPPORTED', // unknown frame type
+  EPROTOCOL: 'EPROTOCOL', // no protocol version in common
+};
+
+// Field spec: type, and `required` (true, or the first version that requires it).
+// `pattern` is only enforced from version `patternFrom` (default 1).
+const id = { type: 'string', maxLength: 200 };
+const message = {
+  id,
+  content: { type: 'string', required: 2 },
+  role: { type: 'string', enum: ['assistant', 'system', 'user'] },
+  timestamp: { type: 'number' },
+};
+
+export const INBOUND_SCHEMAS = {
+  welcome: {
+    protocol: { type: 'integer', required: true },
+    capabilities: { type: 'array', of: 'string' },
+    gateway: { type: 'string' },
+  },
+  ack: {
+    id,
+    ids: { type: 'array', of: 'string' },
+  },
+  agent_message: message,
+  message,
+  command_request: {
+    id: { ...id, required: 2 },
+    // Version 1 gateways send call syntax in `command` ("system.windows.list()")
+    command: { type: 'string', required: true, pattern: /^[A-Za-z][\w.]*$/, patternFrom: 2 },
+    args: { type: 'array' },
+  },
+  skill_request: {
+    id: { ...id, required: 2 },
+    skillId: { type: 'string', required: true },
+    params: { type: 'object' },
+  },
+  error: {
+    code: { type: 'string', required: true },
+    message: { type: 'string' },
+    ref: { type: 'string' },
+  },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) {return 'array';}
+  if (value === null) {return 'null';}
+  if (Number.isInteger(value)) {return 'integer';}
+  return typeof value;
+}
+
+function checkField(name, value, spec, version) {
+  const actual = typeOf(value);
+  const ok = spec.type === 'number' ? actual === 'number' || actual === 'integer' : actual === spec.type;
+  if (!ok) {return `${name} must be ${spec.type === 'integer' ? 'an integer' : `a ${spec.type}`}`;}
+  if (spec.enum && !spec.enum.includes(value)) {return `${name} must be one of: ${spec.enum.join(', ')}`;}
+  if (spec.pattern && version >= (spec.patternFrom ?? 1) && !spec.pattern.test(value)) {return `${name} has an invalid format`;}
+  if (spec.maxLength && value.length > spec.maxLength) {return `${name} is too long`;}
+  if (spec.of && value.some(item => typeOf(item) !== spec.of)) {return `${name} must contain only ${spec.of}s`;}
+  return null;
+}
+
+/**
+ * Parse and validate an inbound frame.
+ * @param {string} raw
+ * @param {number} version - negotiated protocol version
+ * @returns {{ ok: true, frame: object } | { ok: false, code: string, message: string, ref?: string, type?: string }}
+ */
+export function parseInbound(raw, version) {
+  if (typeof raw === 'string' && raw.length > MAX_FRAME_BYTES) {
+    return { ok: false, code: PROTOCOL_ERRORS.ETOOBIG, message: `Frame larger than ${MAX_FRAME_BYTES} bytes` };
+  }
+  let frame;
+  try {
+    frame = JSON.parse(raw);
+  } catch {
+    return { ok: false, code: PROTOCOL_ERRORS.EPARSE, message: 'Frame is not valid JSON' };
+  }
+  if (typeOf(frame) !== 'object') {
+    return { ok: false, code: PROTOCOL_ERRORS.EPARSE, message: 'Frame must be a JSON object' };
+  }
+  const ref = typeof frame.id === 'string' ? frame.id : undefined;
+  const fail = (code, msg) => ({ ok: false, code, message: msg, ref, type: frame.type });
+
+  if (typeof frame.type !== 'string') {return fail(PROTOCOL_ERRORS.EINVALID, 'type is required');}
+  const schema = INBOUND_SCHEMAS[frame.type];
+  if (!schema) {return fail(PROTOCOL_ERRORS.EUNSUPPORTED, `Unknown frame type: ${frame.type}`);}
+  if (frame.v !== undefined && (!Number.isInteger(frame.v) || frame.v > PROTOCOL_VERSION)) {
+    return fail(PROTOCOL_ERRORS.EPROTOCOL, `Unsupported frame version: ${frame.v}`);
+  }
+
+  for (const [name, spec] of Object.entries(schema)) {
+    const value = frame[name];
+    if (value === undefined || value === null) {
+      const required = spec.required === true || (typeof spec.required === 'number' && version >= spec.required);
+      if (required) {return fail(PROTOCOL_ERRORS.EINVALID, `${name} is required`);}
+      continue;
+    }
+    const problem = checkField(name, value, spec, version);
+    if (problem) {return fail(PROTOCOL_ERRORS.EINVALID, problem);}
+  }
+  if (frame.type === 'ack' && frame.id === undefined && frame.ids === undefined) {
+    return fail(PROTOCOL_ERRORS.EINVALID, 'id or ids is required');
+  }
+  return { ok: true, frame };
+}
+
+/** The hello frame OniOS opens the handshake with. */
+export function helloFrame(extra = {}) {
+  return {
+    type: 'hello',
+    v: PROTOCOL_VERSION,
+    protocol: { version: PROTOCOL_VERSION, min: MIN_PROTOCOL_VERSION },
+    client: 'onios',
+    capabilities: CLIENT_CAPABILITIES,
+    ...extra,
+  };
+}
+
+/**
+ * Settle the handshake from the gateway's welcome.
+ * @returns {{ ok: true, version: number, capabilities: Set<string> } | { ok: false, message: string }}
+ */
+export function negotiate(welcome) {
+  const version = welcome.protocol;
+  if (version < MIN_PROTOCOL_VERSION || version > PROTOCOL_VERSION) {
+    return {
+      ok: false,
+      message: `Gateway speaks protocol ${version}; OniOS supports ${MIN_PROTOCOL_VERSION}–${PROTOCOL_VERSION}`,
+    };
+  }
+  const offered = new Set(welcome.capabilities || []);
+  return { ok: true, version, capabilities: new Set(CLIENT_CAPABILITIES.filter(c => offered.has(c))) };
+}
+
+/** Structured error reply for a rejected frame. */
+export function errorFrame(code, message, ref) {
+  return { type: 'error', v: PROTOCOL_VERSION, code, message, ...(ref ? { ref } : {}) };
+}
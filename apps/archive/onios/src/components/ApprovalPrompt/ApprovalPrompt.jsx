@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from "react";
+import { ShieldAlert } from "lucide-react";
+import useApprovalStore from "../../stores/approvalStore";
+import { decide } from "../../core/ApprovalGate";
+import "./ApprovalPrompt.css";
+
+const RISK_LABELS = {
+  "read-only": "Read-only",
+  mutating: "Changes data",
+  destructive: "Destructive",
+  external: "External access",
+};
+
+function Countdown({ expiresAt }) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+  return (
+    <span className="approval-countdown">
+      {Math.max(0, Math.ceil((expiresAt - now) / 1000))}s
+    </span>
+  );
+}
+
+/**
+ * Approve/deny prompt for commands the AI wants to run (core/ApprovalGate.js).
+ * Shows the oldest pending request; the rest wait behind it.
+ */
+export default function ApprovalPrompt() {
+  const pending = useApprovalStore((s) => s.pending);
+  if (pending.length === 0) {return null;}
+  const request = pending[0];
+
+  return (
+    <div className="approval-container">
+      <div className={`approval-card ${request.risk}`} role="alertdialog" aria-label="Approve AI command">
+        <div className="approval-header">
+          <ShieldAlert />
+          <span className="approval-title">AI wants to run a command</span>
+          <span className={`approval-risk ${request.risk}`}>
+            {RISK_LABELS[request.risk] || request.risk}
+          </span>
+          <Countdown key={request.id} expiresAt={request.expiresAt} />
+        </div>
+        <code className="approval-command">{request.command}</code>
+        {request.description && (
+          <div className="approval-description">{request.description}</div>
+        )}
+        <div className="approval-actions">
+          <button
+            className="approval-btn deny"
+            onClick={() => decide(request.id, false)}
+          >
+            Deny
+          </button>
+          <button
+            className="approval-btn always"
+            title={`Allow ${request.paths.join(", ")} without asking until OniOS is reloaded`}
+            onClick={() => decide(request.id, true, { always: true })}
+          >
+            Always allow this session
+          </button>
+          <button
+            className="approval-btn approve"
+            onClick={() => decide(request.id, true)}
+          >
+            Approve
+          </button>
+        </div>
+        {pending.length > 1 && (
+          <div className="approval-queue">
+            {pending.length - 1} more waiting
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
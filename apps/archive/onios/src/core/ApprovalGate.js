@@ -0,0 +1,261 @@
+/**
+ * ApprovalGate — Human-in-the-loop check in front of commands the gateway
+ * AI asks OniOS to run (GatewayClient, OniGatewayBridge).
+ *
+ * Each command is classified by risk:
+ *   read-only    — looks things up, opens views
+ *   mutating     — changes OniOS state (create, update, move, ...)
+ *   destructive  — deletes data or runs arbitrary code
+ *   external     — reaches outside OniOS (network, camera, screen, secrets)
+ *
+ * A `risk` field in the command's registration metadata wins; otherwise
+ * the verb at the end of the path decides (`files.delete` → destructive)
+ * and unknown verbs count as mutating. For a pipe chain the riskiest
+ * command decides. A command that stores or runs another command given as
+ * an argument (`commandArg` in its metadata, e.g. schedule.add) is at
+ * least as risky as that command, and the embedded command is checked
+ * like one in the chain.
+ *
+ * The per-risk policy in approvalStore says 'allow', 'ask' or 'deny'.
+ * Asking queues the command for ApprovalPrompt; unanswered requests are
+ * denied after APPROVAL_TIMEOUT_MS. "Always allow for this session" adds
+ * the command paths to the session rules. Every decision is posted to
+ * /api/oni/approvals for the audit trail and emitted as `approval:decided`.
+ *
+ * The approval settings themselves (`system.approvals.*`) are user-only:
+ * the gate refuses them from the AI whatever the policy says.
+ */
+
+import { nanoid } from 'nanoid';
+import { commandRegistry } from './CommandRegistry.js';
+import { eventBus } from './EventBus.js';
+import useApprovalStore from '../stores/approvalStore.js';
+
+export const RISK_LEVELS = ['read-only', 'mutating', 'external', 'destructive'];
+
+export const APPROVAL_TIMEOUT_MS = 60000;
+
+const READ_ONLY_VERBS = new Set([
+    'open', 'list', 'get', 'search', 'find', 'summary', 'stats', 'status', 'info',
+    'view', 'read', 'has', 'is', 'today', 'overdue', 'upcoming', 'categories',
+    'help', 'commands', 'await', 'output', 'running', 'failed', 'calculate',
+    'audit', 'available', 'recent', 'focused', 'snapshot', 'context', 'generate',
+    'show', 'preview', 'versions', 'diff', 'count', 'check',
+]);
+const DESTRUCTIVE_VERBS = new Set(['delete', 'remove', 'clear', 'kill', 'exec', 'destroy', 'purge', 'reset', 'wipe']);
+const EXTERNAL_VERBS = new Set(['send', 'post', 'upload', 'share', 'capture', 'screenshot', 'record', 'fetch', 'download']);
+
+const USER_ONLY_PREFIX = 'system.approvals.';
+
+/** Error for a command the user (or the policy) refused. */
+export class ApprovalDeniedError extends Error {
+    constructor(message, { decision, risk } = {}) {
+        super(message);
+        this.name = 'ApprovalDeniedError';
+        this.decision = decision;
+        this.risk = risk;
+    }
+}
+
+/** Pending resolvers by request id; the store only holds serialisable data. */
+const waiting = new Map();
+
+/** Split a pipe chain on `|` outside quotes and parentheses. */
+function splitChain(commandStr) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < commandStr.length; i++) {
+        const ch = commandStr[i];
+        if (quote) {
+            if (ch === '\\') {i++;} else if (ch === quote) {quote = null;}
+        } else if (ch === '"' || ch === "'" || ch === '`') {
+            quote = ch;
+        } else if (ch === '(') {
+            depth++;
+        } else if (ch === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (ch === '|' && depth === 0) {
+            parts.push(commandStr.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(commandStr.slice(start));
+    return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/** The arguments of `path(a, "b", ...)` as written, split on top-level commas. */
+function argsOf(segment) {
+    const open = segment.indexOf('(');
+    const close = segment.lastIndexOf(')');
+    if (open < 0 || close < open) {return [];}
+    const inner = segment.slice(open + 1, close);
+    const args = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < inner.length; i++) {
+        const ch = inner[i];
+        if (quote) {
+            if (ch === '\\') {i++;} else if (ch === quote) {quote = null;}
+        } else if (ch === '"' || ch === "'" || ch === '`') {
+            quote = ch;
+        } else if (ch === '(' || ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ')' || ch === ']' || ch === '}') {
+            depth = Math.max(0, depth - 1);
+        } else if (ch === ',' && depth === 0) {
+            args.push(inner.slice(start, i));
+            start = i + 1;
+        }
+    }
+    args.push(inner.slice(start));
+    return args.map(a => a.trim());
+}
+
+function unquote(arg) {
+    const quote = arg[0];
+    if ((quote === '"' || quote === "'" || quote === '`') && arg.endsWith(quote) && arg.length > 1) {
+        return arg.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return arg;
+}
+
+function worstRisk(risks) {
+    return risks.reduce(
+        (worst, r) => (RISK_LEVELS.indexOf(r) > RISK_LEVELS.indexOf(worst) ? r : worst),
+        'read-only',
+    );
+}
+
+function riskFromVerb(path) {
+    const verb = (path.split('.').pop() || '').split(/(?=[A-Z])/)[0].toLowerCase();
+    if (DESTRUCTIVE_VERBS.has(verb)) {return 'destructive';}
+    if (EXTERNAL_VERBS.has(verb)) {return 'external';}
+    if (READ_ONLY_VERBS.has(verb)) {return 'read-only';}
+    return 'mutating';
+}
+
+/**
+ * Classify a command string (a single command or a pipe chain), including
+ * the commands embedded in its arguments.
+ * @param {string} commandStr
+ * @returns {{ risk: string, commands: Array<{ path: string, risk: string, description?: string }> }}
+ */
+export function classifyCommand(commandStr) {
+    const entries = new Map(commandRegistry.list().map(e => [e.path, e]));
+    const classify = (str) => splitChain(String(str)).flatMap((segment) => {
+        const path = segment.split(/[\s(]/)[0];
+        const entry = entries.get(path);
+        const own = RISK_LEVELS.includes(entry?.risk) ? entry.risk : riskFromVerb(path);
+        const arg = Number.isInteger(entry?.commandArg) ? argsOf(segment)[entry.commandArg] : undefined;
+        // The embedded commands are listed too, so policy, session rules and
+        // the user-only prefix apply to them as if they were run directly
+        const embedded = arg ? classify(unquote(arg)) : [];
+        const risk = worstRisk([own, ...embedded.map(c => c.risk)]);
+        return [{ path, risk, description: entry?.description }, ...embedded];
+    });
+    const commands = classify(commandStr);
+    return { risk: worstRisk(commands.map(c => c.risk)), commands };
+}
+
+function recordDecision(entry) {
+    eventBus.emit('approval:decided', entry);
+    fetch('/api/oni/approvals', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry),
+    }).catch(() => { /* audit is best effort; the decision stands */ });
+}
+
+/**
+ * Decide whether an AI-originated command may run, asking the user when
+ * the policy says so.
+ * @param {string} commandStr
+ * @param {{ origin?: string, actionType?: string }} [context]
+ * @returns {Promise<{ approved: boolean, decision: 'auto' | 'session' | 'approved' | 'denied' | 'timeout', risk: string, byPolicy?: boolean }>}
+ */
+export function requestApproval(commandStr, { origin = 'gateway', actionType } = {}) {
+    const { risk, commands } = classifyCommand(commandStr);
+    const { policy, sessionRules } = useApprovalStore.getState();
+    const base = { command: commandStr, risk, origin, actionType };
+
+    if (commands.some(c => c.path.startsWith(USER_ONLY_PREFIX))) {
+        recordDecision({ ...base, decision: 'denied', rule: 'user-only' });
+        return Promise.resolve({ approved: false, decision: 'denied', risk, byPolicy: true });
+    }
+    const refused = commands.find(c => policy[c.risk] === 'deny');
+    if (refused) {
+        recordDecision({ ...base, decision: 'denied', rule: `policy:${refused.risk}` });
+        return Promise.resolve({ approved: false, decision: 'denied', risk, byPolicy: true });
+    }
+    const unanswered = commands.filter(c => policy[c.risk] !== 'allow');
+    if (unanswered.every(c => sessionRules.includes(c.path))) {
+        const decision = unanswered.length ? 'session' : 'auto';
+        recordDecision({ ...base, decision, rule: decision === 'session' ? 'session' : `policy:${risk}` });
+        return Promise.resolve({ approved: true, decision, risk });
+    }
+
+    const id = nanoid(8);
+    const createdAt = Date.now();
+    const request = {
+        id,
+        command: commandStr,
+        paths: unanswered.map(c => c.path),
+        risk,
+        origin,
+        actionType,
+        description: unanswered.map(c => c.description).filter(Boolean).join('; ') || undefined,
+        createdAt,
+        expiresAt: createdAt + APPROVAL_TIMEOUT_MS,
+    };
+    eventBus.emit('approval:requested', request);
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => settle('timeout'), APPROVAL_TIMEOUT_MS);
+        function settle(decision, rule) {
+            clearTimeout(timer);
+            waiting.delete(id);
+            useApprovalStore.getState().removePending(id);
+            recordDecision({ ...base, decision, rule, waitedMs: Date.now() - createdAt });
+            resolve({ approved: decision === 'approved', decision, risk });
+        }
+        waiting.set(id, settle);
+        useApprovalStore.getState().addPending(request);
+    });
+}
+
+/**
+ * Answer a pending request (called by ApprovalPrompt).
+ * @param {string} id
+ * @param {boolean} approved
+ * @param {{ always?: boolean }} [options] - also allow these command paths for the rest of the session
+ */
+export function decide(id, approved, { always = false } = {}) {
+    const settle = waiting.get(id);
+    if (!settle) {return;}
+    if (approved && always) {
+        const request = useApprovalStore.getState().pending.find(p => p.id === id);
+        for (const path of request?.paths || []) {useApprovalStore.getState().addSessionRule(path);}
+    }
+    settle(approved ? 'approved' : 'denied', approved && always ? 'session-added' : undefined);
+}
+
+/**
+ * Run an AI-originated command through the gate and then the registry.
+ * @param {string} commandStr
+ * @param {{ origin?: string, actionType?: string }} [context]
+ * @returns {Promise<*>} the command's output
+ * @throws {ApprovalDeniedError} when the command was denied or timed out
+ */
+export async function runApprovedCommand(commandStr, context = {}) {
+    const { approved, decision, risk, byPolicy } = await requestApproval(commandStr, context);
+    if (!approved) {
+        const reason = byPolicy ? 'blocked by policy'
+            : decision === 'timeout' ? 'no answer from the user' : 'denied by the user';
+        throw new ApprovalDeniedError(`Command not run (${risk}, ${reason}): ${commandStr}`, { decision, risk });
+    }
+    const handle = commandRegistry.execute(commandStr, 'ai');
+    return handle.await();
+}
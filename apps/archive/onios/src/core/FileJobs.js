@@ -0,0 +1,87 @@
+/**
+ * FileJobs — Client side of the batch job API (/api/fs/jobs): copy, move,
+ * delete and rename many paths in the background.
+ *
+ * `runJob` submits a job and follows its SSE progress stream until it
+ * finishes. Aborting the signal cancels the job on the server; closing the
+ * page does not (the job keeps running and can be followed again with
+ * `followJob`).
+ */
+
+/** Error from the job API; `code` and `status` mirror the response. */
+export class JobError extends Error {
+    constructor(message, { code, status } = {}) {
+        super(message);
+        this.name = 'JobError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+async function request(url, init) {
+    const res = await fetch(url, init);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new JobError(data.error || `HTTP ${res.status}`, { code: data.code, status: res.status });
+    }
+    return data;
+}
+
+/** Ask the server to stop a job. Finished items are not undone. */
+export function cancelJob(id) {
+    return request('/api/fs/jobs/cancel', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id }),
+    });
+}
+
+/**
+ * Follow a job until it is done.
+ * @param {string} id
+ * @param {{ signal?: AbortSignal, onProgress?: (job: object) => void }} [options]
+ *   Aborting `signal` cancels the job.
+ * @returns {Promise<object>} final summary (`status`, `done`, `skipped`, `failed`, `progress`)
+ */
+export function followJob(id, { signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`/api/fs/jobs/events?id=${encodeURIComponent(id)}`);
+        const onAbort = () => cancelJob(id).catch(() => {});
+        const finish = (job) => {
+            source.close();
+            signal?.removeEventListener('abort', onAbort);
+            resolve(job);
+        };
+        const update = (e) => onProgress?.(JSON.parse(e.data));
+        source.addEventListener('job', update);
+        source.addEventListener('progress', update);
+        source.addEventListener('done', (e) => finish(JSON.parse(e.data)));
+        source.addEventListener('error', () => {
+            // EventSource reconnects by itself; give up only if the job is gone
+            request(`/api/fs/jobs?id=${encodeURIComponent(id)}`).catch((err) => {
+                if (err.status !== 404) {return;}
+                source.close();
+                reject(err);
+            });
+        });
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Submit a job and wait for it.
+ * @param {{ op: 'copy' | 'move' | 'delete' | 'rename', paths: string[], dest?: string,
+ *   conflict?: 'skip' | 'overwrite' | 'rename', find?: string, replace?: string, permanent?: boolean }} spec
+ * @param {{ signal?: AbortSignal, onProgress?: (job: object) => void }} [options]
+ * @returns {Promise<object>} final summary
+ * @throws {JobError} when the job is refused (bad request, policy violation, missing path)
+ */
+export async function runJob(spec, options = {}) {
+    const job = await request('/api/fs/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(spec),
+    });
+    options.onProgress?.(job);
+    return followJob(job.id, options);
+}
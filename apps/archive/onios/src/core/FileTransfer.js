@@ -0,0 +1,156 @@
+/**
+ * FileTransfer — Client side of the resumable upload protocol
+ * (/api/fs/upload) and download URLs (/api/fs/download).
+ *
+ * Files are sent in chunks of the size the server suggests, each with its
+ * SHA-256 when WebCrypto is available. A failed chunk is retried from
+ * whatever offset the server reports, and the upload id is remembered in
+ * localStorage, so dropping the same file on the same path again (even
+ * after a reload) continues where the last attempt stopped.
+ */
+
+const RESUME_KEY_PREFIX = 'onios-upload:';
+const MAX_RETRIES = 5;
+
+/** Error from the upload API; `code` and `status` mirror the response. */
+export class UploadError extends Error {
+    constructor(message, { code, status, offset } = {}) {
+        super(message);
+        this.name = 'UploadError';
+        this.code = code;
+        this.status = status;
+        this.offset = offset;
+    }
+}
+
+async function request(url, init) {
+    const res = await fetch(url, init);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new UploadError(data.error || `HTTP ${res.status}`, { code: data.code, status: res.status, offset: data.offset });
+    }
+    return data;
+}
+
+function postJSON(url, body, signal) {
+    return request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal,
+    });
+}
+
+async function sha256Hex(blob) {
+    if (!globalThis.crypto?.subtle) {return null;}
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function resumeKey(file, destPath) {
+    return `${RESUME_KEY_PREFIX}${destPath}:${file.size}:${file.lastModified || 0}`;
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+/** Reuse an unfinished upload of the same file to the same path, if the server still has it. */
+async function resumeOrStart(file, destPath, overwrite, signal) {
+    const key = resumeKey(file, destPath);
+    const previous = localStorage.getItem(key);
+    if (previous) {
+        try {
+            const status = await request(`/api/fs/upload?id=${encodeURIComponent(previous)}`, { signal });
+            if (status.size === file.size) {return { ...status, key };}
+        } catch (err) {
+            if (err.name === 'AbortError') {throw err;}
+        }
+        localStorage.removeItem(key);
+    }
+    const status = await postJSON('/api/fs/upload', { path: destPath, size: file.size, overwrite }, signal);
+    localStorage.setItem(key, status.uploadId);
+    return { ...status, key };
+}
+
+/**
+ * Upload a File or Blob to `destPath`.
+ * @param {Blob} file
+ * @param {string} destPath
+ * @param {{ overwrite?: boolean, signal?: AbortSignal, onProgress?: (sent: number, total: number) => void }} [options]
+ * @returns {Promise<{ path: string, size: number, sha256: string }>}
+ * @throws {UploadError} e.g. code EEXIST when the target exists and `overwrite` is off
+ */
+export async function uploadFile(file, destPath, { overwrite = false, signal, onProgress } = {}) {
+    const upload = await resumeOrStart(file, destPath, overwrite, signal);
+    const id = encodeURIComponent(upload.uploadId);
+    const chunkSize = upload.chunkSize || 8 * 1024 * 1024;
+    let offset = upload.offset;
+    let retries = 0;
+    onProgress?.(offset, file.size);
+
+    while (offset < file.size) {
+        const chunk = file.slice(offset, Math.min(offset + chunkSize, file.size));
+        try {
+            const digest = await sha256Hex(chunk);
+            const status = await request(`/api/fs/upload?id=${id}&offset=${offset}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    ...(digest && { 'X-Chunk-SHA256': digest }),
+                },
+                body: chunk,
+                signal,
+            });
+            offset = status.offset;
+            retries = 0;
+            onProgress?.(offset, file.size);
+        } catch (err) {
+            if (err.name === 'AbortError') {throw err;}
+            // Out of step (e.g. a retried chunk already landed): continue from the server's offset
+            if (err.code === 'EOFFSET' && typeof err.offset === 'number') {
+                offset = err.offset;
+                continue;
+            }
+            if (err.code === 'ENOENT' || err.code === 'ETOOBIG' || ++retries > MAX_RETRIES) {
+                if (err.code === 'ENOENT') {localStorage.removeItem(upload.key);}
+                throw err;
+            }
+            await wait(Math.min(30000, 500 * 2 ** retries), signal);
+            try {
+                offset = (await request(`/api/fs/upload?id=${id}`, { signal })).offset;
+            } catch { /* keep the last known offset and retry */ }
+        }
+    }
+
+    try {
+        const result = await postJSON('/api/fs/upload/complete', { id: upload.uploadId }, signal);
+        localStorage.removeItem(upload.key);
+        return result;
+    } catch (err) {
+        // A checksum failure discards the upload server-side
+        if (err.code === 'EINTEGRITY') {localStorage.removeItem(upload.key);}
+        throw err;
+    }
+}
+
+/** Cancel an upload started for `file` → `destPath` and forget it. */
+export async function abortUpload(file, destPath) {
+    const key = resumeKey(file, destPath);
+    const id = localStorage.getItem(key);
+    localStorage.removeItem(key);
+    if (id) {
+        await fetch(`/api/fs/upload?id=${encodeURIComponent(id)}`, { method: 'DELETE' }).catch(() => {});
+    }
+}
+
+/** URL that downloads `path` as an attachment (Range-capable, so browsers can resume). */
+export function downloadUrl(path, { inline = false } = {}) {
+    return `/api/fs/download?path=${encodeURIComponent(path)}${inline ? '&inline=1' : ''}`;
+}
@@ -0,0 +1,117 @@
+/**
+ * useFsWatch — Live filesystem change notifications for widgets.
+ *
+ * All widgets in a tab share one /api/fs/watch session (a single SSE
+ * connection, so watches don't eat into the browser's per-host connection
+ * limit). Each subscription adds its path to the session; a path watched
+ * by several widgets is registered once. When the stream reconnects the
+ * server starts a new session and every path is registered again.
+ *
+ * Listeners receive batches of debounced events:
+ *   { type: 'create' | 'modify' | 'delete' | 'rename', path, oldPath?, isDirectory, size, modified }
+ */
+
+import { useEffect, useRef } from 'react';
+
+/** @type {Map<string, { path: string, recursive: boolean, watchId: string|null, listeners: Set<Function> }>} */
+const subscriptions = new Map();
+let source = null;
+let sessionId = null;
+
+function post(body) {
+    return fetch('/api/fs/watch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, ...body }),
+    }).then((res) => res.json());
+}
+
+async function register(sub) {
+    if (!sessionId) {return;} // registered once the session is ready
+    try {
+        const result = await post({ watch: [{ path: sub.path, recursive: sub.recursive }] });
+        if (result.watching?.[0]) {
+            sub.watchId = result.watching[0].watchId;
+            // Unsubscribed while the request was in flight
+            if (sub.listeners.size === 0) {post({ unwatch: [sub.watchId] }).catch(() => {});}
+        } else {
+            console.warn(`[FsWatch] Cannot watch ${sub.path}: ${result.errors?.[0]?.error || result.error}`);
+        }
+    } catch (err) {
+        console.warn(`[FsWatch] Cannot watch ${sub.path}: ${err.message}`);
+    }
+}
+
+function openSession() {
+    source = new EventSource('/api/fs/watch');
+    source.addEventListener('ready', (event) => {
+        try { sessionId = JSON.parse(event.data).sessionId; } catch { return; }
+        for (const sub of subscriptions.values()) {
+            sub.watchId = null;
+            register(sub);
+        }
+    });
+    source.addEventListener('change', (event) => {
+        let data;
+        try { data = JSON.parse(event.data); } catch { return; }
+        for (const sub of subscriptions.values()) {
+            if (sub.watchId !== data.watchId) {continue;}
+            for (const listener of sub.listeners) {
+                try { listener(data.events); } catch (err) { console.error('[FsWatch] Listener failed:', err); }
+            }
+        }
+    });
+    source.addEventListener('closed', (event) => {
+        try {
+            const { watchId } = JSON.parse(event.data);
+            for (const sub of subscriptions.values()) {
+                if (sub.watchId === watchId) {sub.watchId = null;}
+            }
+        } catch { /* ignore malformed event */ }
+    });
+}
+
+/**
+ * Watch a file or directory. Returns an unsubscribe function.
+ * @param {string} path
+ * @param {(events: object[]) => void} listener
+ * @param {{ recursive?: boolean }} [options]
+ */
+export function watchFs(path, listener, { recursive = false } = {}) {
+    const key = `${recursive ? 'r' : 'n'}:${path}`;
+    let sub = subscriptions.get(key);
+    if (!sub) {
+        sub = { path, recursive, watchId: null, listeners: new Set() };
+        subscriptions.set(key, sub);
+        if (source) {register(sub);} else {openSession();}
+    }
+    sub.listeners.add(listener);
+
+    return () => {
+        sub.listeners.delete(listener);
+        if (sub.listeners.size > 0 || subscriptions.get(key) !== sub) {return;}
+        subscriptions.delete(key);
+        if (subscriptions.size === 0) {
+            // Nothing left to watch: drop the connection (and the session with it)
+            source?.close();
+            source = null;
+            sessionId = null;
+        } else if (sub.watchId) {
+            post({ unwatch: [sub.watchId] }).catch(() => {});
+        }
+    };
+}
+
+/**
+ * React hook: call `onChange(events)` when `path` changes on disk.
+ * Pass a falsy path to pause watching.
+ */
+export function useFsWatch(path, onChange, { recursive = false } = {}) {
+    const handlerRef = useRef(onChange);
+    handlerRef.current = onChange;
+
+    useEffect(() => {
+        if (!path) {return undefined;}
+        return watchFs(path, (events) => handlerRef.current(events), { recursive });
+    }, [path, recursive]);
+}
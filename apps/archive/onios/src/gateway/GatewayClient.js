@@ -10,6 +10,7 @@
  *
  * 2. **Local Command Execution** — when action events include a `command` hint,
  *    executes them via commandRegistry so widgets actually open/update on screen.
+ *    Risky commands are held for the user's approval (core/ApprovalGate.js).
  *
  * 3. **Widget Context Sync** — periodically pushes current widget state to the
  *    gateway so the AI knows what's on screen.
@@ -22,8 +23,8 @@
  *   receives → executes terminal.exec() via commandRegistry → Terminal widget opens
  */
 
-import { commandRegistry } from '../core/CommandRegistry.js';
 import { eventBus } from '../core/EventBus.js';
+import { runApprovedCommand } from '../core/ApprovalGate.js';
 
 class GatewayClient {
     constructor() {
@@ -138,12 +139,15 @@ class GatewayClient {
     /**
      * Execute a commandRegistry command from a gateway action event.
      * This is how gateway AI actions translate to widget operations.
+     * Risky commands wait for the user's approval first (ApprovalGate).
      */
     async _executeCommand(commandStr, actionData) {
         try {
             console.log(`[GatewayClient] Executing: ${commandStr}`);
-            const handle = commandRegistry.execute(commandStr, 'ai');
-            const result = await handle.await();
+            const result = await runApprovedCommand(commandStr, {
+                origin: 'gateway-events',
+                actionType: actionData.actionType,
+            });
 
             eventBus.emit('gateway:command:executed', {
                 command: commandStr,
@@ -158,6 +162,7 @@ class GatewayClient {
                 command: commandStr,
                 actionType: actionData.actionType,
                 error: err.message,
+                denied: err.name === 'ApprovalDeniedError',
             });
             return null;
         }
@@ -190,6 +195,8 @@ class GatewayClient {
             // Import dynamically to avoid circular deps
             const { widgetContext } = await import('../core/WidgetContextProvider.js');
             const windowStore = (await import('../stores/windowStore.js')).default;
+            const passwordStore = (await import('../stores/passwordStore.js')).default;
+            const { auditDigest } = await import('../stores/vaultAudit.js');
 
             const summary = widgetContext?.getSummary?.() || '';
             const windows = (windowStore?.getState?.()?.windows || []).map(w => ({
@@ -200,10 +207,14 @@ class GatewayClient {
                 minimized: !!w.isMinimized,
             }));
 
+            // Health digest only (no passwords, no per-entry details); null while the vault is locked
+            const report = passwordStore?.getState?.()?.audit?.() ?? null;
+            const passwordAudit = report ? auditDigest(report) : null;
+
             await fetch('/api/oni/context', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ widgetContext: summary, windows, timestamp: Date.now() }),
+                body: JSON.stringify({ widgetContext: summary, windows, passwordAudit, timestamp: Date.now() }),
             }).catch(() => { /* endpoint may not exist yet */ });
         } catch { /* context provider not ready */ }
     }
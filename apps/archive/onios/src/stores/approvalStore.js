@@ -0,0 +1,74 @@
+/**
+ * approvalStore — Zustand store behind the approval gate (core/ApprovalGate.js).
+ *
+ * Holds the commands waiting for the user, the per-risk policy
+ * ('allow' | 'ask' | 'deny', persisted) and the "always allow for this
+ * session" rules (in memory only, gone on reload).
+ */
+
+import { create } from 'zustand';
+
+const POLICY_KEY = 'onios-approval-policy';
+
+export const DEFAULT_APPROVAL_POLICY = {
+    'read-only': 'allow',
+    mutating: 'allow',
+    destructive: 'ask',
+    external: 'ask',
+};
+
+const POLICY_VALUES = new Set(['allow', 'ask', 'deny']);
+
+function loadPolicy() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(POLICY_KEY) || '{}');
+        const policy = { ...DEFAULT_APPROVAL_POLICY };
+        for (const risk of Object.keys(policy)) {
+            if (POLICY_VALUES.has(saved[risk])) {policy[risk] = saved[risk];}
+        }
+        return policy;
+    } catch {
+        return { ...DEFAULT_APPROVAL_POLICY };
+    }
+}
+
+const useApprovalStore = create((set, get) => ({
+    /** @type {Array<{ id: string, command: string, paths: string[], risk: string, origin: string, actionType?: string, description?: string, createdAt: number, expiresAt: number }>} */
+    pending: [],
+    policy: loadPolicy(),
+    /** Command paths the user allowed for the rest of the session */
+    sessionRules: [],
+
+    addPending: (request) => {
+        set(state => ({ pending: [...state.pending, request] }));
+    },
+
+    removePending: (id) => {
+        set(state => ({ pending: state.pending.filter(p => p.id !== id) }));
+    },
+
+    setPolicy: (risk, value) => {
+        if (!(risk in DEFAULT_APPROVAL_POLICY) || !POLICY_VALUES.has(value)) {return;}
+        const policy = { ...get().policy, [risk]: value };
+        localStorage.setItem(POLICY_KEY, JSON.stringify(policy));
+        set({ policy });
+    },
+
+    resetPolicy: () => {
+        localStorage.removeItem(POLICY_KEY);
+        set({ policy: { ...DEFAULT_APPROVAL_POLICY } });
+    },
+
+    addSessionRule: (path) => {
+        if (get().sessionRules.includes(path)) {return;}
+        set(state => ({ sessionRules: [...state.sessionRules, path] }));
+    },
+
+    removeSessionRule: (path) => {
+        set(state => ({ sessionRules: state.sessionRules.filter(r => r !== path) }));
+    },
+
+    clearSessionRules: () => set({ sessionRules: [] }),
+}));
+
+export default useApprovalStore;
@@ -1,56 +1,183 @@
 /**
  * passwordStore — Zustand store for the password vault.
  *
- * Persists to localStorage with basic XOR obfuscation.
- * NOT real encryption — this is a demo/dev tool, not production security.
- * For real use, integrate Web Crypto API or a proper vault backend.
+ * Each entry is encrypted with AES-GCM under a key derived from the master
+ * password (PBKDF2, see vaultCrypto.js) and only the sealed form is persisted
+ * to localStorage. While unlocked, entries are decrypted in memory; passwords
+ * are held outside the store state so they never appear in state snapshots.
+ * The vault locks on reload and after `autoLockMinutes` without activity.
  *
- * Entry shape:
+ * Vaults saved by the old XOR-obfuscated format are kept as `legacy` and
+ * upgraded on their first unlock (or on setup, if no master was ever set).
+ *
+ * Import/export (vaultFormats.js): `importItems` merges parsed Bitwarden,
+ * KeePass or CSV items, matching duplicates by site + username;
+ * `exportBundle` / `readBundle` move the vault as an encrypted bundle.
+ *
+ * Health (vaultAudit.js): `audit()` reports weak, reused, stale and
+ * non-HTTPS entries without exposing passwords; `generate()` uses the saved
+ * `generatorOptions`.
+ *
+ * Entry shape (in memory while unlocked):
+ * {
+ *   id, title, username, url, notes, category,
+ *   createdAt, updatedAt, passwordChangedAt, favorite
+ * }
+ * `updatedAt` moves on any edit (title, URL, favorite); `passwordChangedAt`
+ * only when the password itself changes, and is what the audit ages.
+ * Passwords: getEntry(id).password / getDecryptedPassword(id).
+ *
+ * Persisted:
  * {
- *   id, title, username, password (obfuscated), url,
- *   notes, category, createdAt, updatedAt, favorite
+ *   vault: { version: 2, kdf, verifier, sealed: { [id]: { iv, ct } } } | null,
+ *   legacy: { masterHash, entries } | null,
+ *   autoLockMinutes, auditSettings, generatorOptions
  * }
  */
 
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import { nanoid } from 'nanoid';
+import { deriveVaultKey, newKdfParams, sealJSON, openJSON } from './vaultCrypto.js';
+import { hostOf, sealBundle, openBundle } from './vaultFormats.js';
+import { auditVault, estimateEntropy, DEFAULT_AUDIT_SETTINGS } from './vaultAudit.js';
 
-// Simple XOR obfuscation (NOT real encryption — demo only)
-const OBFUSCATION_KEY = 'oniOS-vault-k3y';
+const VAULT_FORMAT_VERSION = 2;
+const VERIFIER_AAD = 'onios-vault:verifier';
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+const IDLE_CHECK_MS = 15000;
 
-function obfuscate(str) {
+const entryAad = (id) => `onios-vault:entry:${id}`;
+
+// ─── Legacy (XOR) Vault ──────────────────────────────
+
+// Only used to read vaults written before real encryption
+const LEGACY_OBFUSCATION_KEY = 'oniOS-vault-k3y';
+
+function legacyDeobfuscate(str) {
     if (!str) {return '';}
     return Array.from(str)
-        .map((c, i) => String.fromCharCode(c.charCodeAt(0) ^ OBFUSCATION_KEY.charCodeAt(i % OBFUSCATION_KEY.length)))
+        .map((c, i) => String.fromCharCode(c.charCodeAt(0) ^ LEGACY_OBFUSCATION_KEY.charCodeAt(i % LEGACY_OBFUSCATION_KEY.length)))
         .join('');
 }
 
-function deobfuscate(str) {
-    return obfuscate(str); // XOR is symmetric
+function legacyHash(password) {
+    return Array.from(password).reduce(
+        (h, c) => ((h << 5) - h + c.charCodeAt(0)) | 0, 0
+    ).toString(36);
+}
+
+function legacyEntries(legacy) {
+    return (legacy?.entries || []).map((e) => ({ ...e, password: legacyDeobfuscate(e.password) }));
+}
+
+// ─── Session State (never persisted) ─────────────────
+
+let vaultKey = null; // CryptoKey while unlocked (cleared via the write queue on lock)
+const secrets = new Map(); // entry id → password while unlocked
+let writeQueue = Promise.resolve();
+let idleTimer = null;
+let lastActivity = 0;
+
+/**
+ * Run vault writes one at a time, in order, so a seal can never land after
+ * a later delete or master-password change.
+ */
+function enqueueWrite(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch((err) => console.error('[passwordStore] Vault write failed:', err));
+    return run;
+}
+
+function splitSecret(entry) {
+    const { password, ...fields } = entry;
+    return { fields, password: password || '' };
+}
+
+async function sealAll(key, entries) {
+    const sealed = {};
+    for (const entry of entries) {
+        sealed[entry.id] = await sealJSON(key, entry, entryAad(entry.id));
+    }
+    return sealed;
+}
+
+/** Entries for the same site (or title) and username count as duplicates. */
+function duplicateKey(entry) {
+    const site = hostOf(entry.url) || (entry.title || '').trim();
+    return `${site.toLowerCase()}\u0000${(entry.username || '').trim().toLowerCase()}`;
+}
+
+function startIdleTimer() {
+    lastActivity = Date.now();
+    if (idleTimer) {clearInterval(idleTimer);}
+    idleTimer = setInterval(() => {
+        const { autoLockMinutes, vaultLocked, lock } = usePasswordStore.getState();
+        if (vaultLocked || !autoLockMinutes) {return;}
+        if (Date.now() - lastActivity > autoLockMinutes * 60000) {lock();}
+    }, IDLE_CHECK_MS);
+}
+
+function stopIdleTimer() {
+    if (idleTimer) {clearInterval(idleTimer);}
+    idleTimer = null;
+}
+
+const DEFAULT_GENERATOR_OPTIONS = {
+    length: 20,
+    uppercase: true,
+    lowercase: true,
+    numbers: true,
+    symbols: true,
+    excludeAmbiguous: false,
+    exclude: '',
+};
+
+const GENERATOR_CLASSES = {
+    lowercase: 'abcdefghijklmnopqrstuvwxyz',
+    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    numbers: '0123456789',
+    symbols: '!@#$%^&*()_+-=[]{}|;:,.<>?',
+};
+const AMBIGUOUS_CHARS = 'Il1O0o|`\'"';
+
+/** Uniform random integer in [0, n) (rejection sampling, no modulo bias). */
+function randomIndex(n) {
+    const limit = Math.floor(0x100000000 / n) * n;
+    const buf = new Uint32Array(1);
+    do {crypto.getRandomValues(buf);} while (buf[0] >= limit);
+    return buf[0] % n;
 }
 
 /**
  * Generate a random password.
+ *
+ * Options: `uppercase`, `lowercase`, `numbers`, `symbols` (character
+ * classes), `excludeAmbiguous` (drop I/l/1/O/0 and friends) and `exclude`
+ * (extra characters to leave out). At least one character from every
+ * enabled class is included.
  */
-function generatePassword(length = 16, options = {}) {
-    const {
-        uppercase = true,
-        lowercase = true,
-        numbers = true,
-        symbols = true,
-    } = options;
-
-    let chars = '';
-    if (lowercase) {chars += 'abcdefghijklmnopqrstuvwxyz';}
-    if (uppercase) {chars += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';}
-    if (numbers) {chars += '0123456789';}
-    if (symbols) {chars += '!@#$%^&*()_+-=[]{}|;:,.<>?';}
-    if (!chars) {chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';}
-
-    const array = new Uint32Array(length);
-    crypto.getRandomValues(array);
-    return Array.from(array, (n) => chars[n % chars.length]).join('');
+function generatePassword(length = DEFAULT_GENERATOR_OPTIONS.length, options = {}) {
+    const opts = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+    const excluded = new Set((opts.excludeAmbiguous ? AMBIGUOUS_CHARS : '') + (opts.exclude || ''));
+    const classes = Object.keys(GENERATOR_CLASSES)
+        .filter((name) => opts[name])
+        .map((name) => Array.from(GENERATOR_CLASSES[name]).filter((c) => !excluded.has(c)))
+        .filter((chars) => chars.length > 0);
+    if (classes.length === 0) {
+        classes.push(Array.from(GENERATOR_CLASSES.lowercase + GENERATOR_CLASSES.uppercase + GENERATOR_CLASSES.numbers));
+    }
+
+    const size = Math.max(Number(length) || DEFAULT_GENERATOR_OPTIONS.length, classes.length);
+    const all = classes.flat();
+    const chars = classes.map((cls) => cls[randomIndex(cls.length)]);
+    while (chars.length < size) {chars.push(all[randomIndex(all.length)]);}
+    // Shuffle so the guaranteed characters aren't always up front
+    for (let i = chars.length - 1; i > 0; i--) {
+        const j = randomIndex(i + 1);
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars.join('');
 }
 
 /**
@@ -79,139 +206,387 @@ function strengthLabel(score) {
 
 const usePasswordStore = create(
     persist(
-        (set, get) => ({
-            entries: [],
-            vaultLocked: true,
-            masterHash: null, // stored hash of master password
-
-            // ─── Vault Lock ───────────────────────────────
-
-            setMasterPassword: (password) => {
-                // Simple hash for demo (NOT production-grade)
-                const hash = Array.from(password).reduce(
-                    (h, c) => ((h << 5) - h + c.charCodeAt(0)) | 0, 0
-                ).toString(36);
-                set({ masterHash: hash, vaultLocked: false });
-            },
+        (set, get) => {
+            /** Create a fresh vault for `password` holding `entries` (with passwords). */
+            const createVault = async (password, entries) => {
+                const kdf = newKdfParams();
+                const key = await deriveVaultKey(password, kdf);
+                const verifier = await sealJSON(key, { vault: 'onios' }, VERIFIER_AAD);
+                const sealed = await sealAll(key, entries);
+                secrets.clear();
+                const plain = entries.map((entry) => {
+                    const { fields, password: pw } = splitSecret(entry);
+                    secrets.set(entry.id, pw);
+                    return fields;
+                });
+                vaultKey = key;
+                set({
+                    vault: { version: VAULT_FORMAT_VERSION, kdf, verifier, sealed },
+                    legacy: null,
+                    entries: plain,
+                    vaultLocked: false,
+                });
+                startIdleTimer();
+            };
+
+            /** Queue an encrypted write of one entry's current content. */
+            const sealEntry = (id) => {
+                const entry = get().entries.find((e) => e.id === id);
+                if (!entry) {return;}
+                const plain = { ...entry, password: secrets.get(id) ?? '' };
+                enqueueWrite(async () => {
+                    if (!vaultKey) {return;}
+                    const box = await sealJSON(vaultKey, plain, entryAad(id));
+                    set((state) => ({
+                        vault: { ...state.vault, sealed: { ...state.vault.sealed, [id]: box } },
+                    }));
+                });
+            };
 
-            unlock: (password) => {
-                const hash = Array.from(password).reduce(
-                    (h, c) => ((h << 5) - h + c.charCodeAt(0)) | 0, 0
-                ).toString(36);
-                if (hash === get().masterHash) {
-                    set({ vaultLocked: false });
+            return {
+                entries: [],
+                vaultLocked: true,
+                vault: null,
+                legacy: null,
+                autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
+                auditSettings: DEFAULT_AUDIT_SETTINGS,
+                generatorOptions: DEFAULT_GENERATOR_OPTIONS,
+
+                // ─── Vault Lock ───────────────────────────────
+
+                /** First-time setup. Returns false if a vault already exists. */
+                setMasterPassword: async (password) => {
+                    if (get().isSetup()) {return false;}
+                    await createVault(password, legacyEntries(get().legacy));
                     return true;
-                }
-                return false;
-            },
+                },
 
-            lock: () => set({ vaultLocked: true }),
-
-            isSetup: () => get().masterHash !== null,
-
-            // ─── CRUD ─────────────────────────────────────
-
-            addEntry: (data) => {
-                const entry = {
-                    id: nanoid(10),
-                    title: data.title || 'Untitled',
-                    username: data.username || '',
-                    password: obfuscate(data.password || ''),
-                    url: data.url || '',
-                    notes: data.notes || '',
-                    category: data.category || 'general',
-                    favorite: data.favorite || false,
-                    createdAt: Date.now(),
-                    updatedAt: Date.now(),
-                };
-                set((state) => ({ entries: [...state.entries, entry] }));
-                return { ...entry, password: '***' };
-            },
+                /** Derive the key and decrypt the vault. Resolves false on a wrong password. */
+                unlock: async (password) => {
+                    const { vault, legacy } = get();
+                    if (!vault) {
+                        if (!legacy?.masterHash || legacyHash(password) !== legacy.masterHash) {return false;}
+                        // First unlock of an obfuscated vault: upgrade it in place
+                        await createVault(password, legacyEntries(legacy));
+                        return true;
+                    }
 
-            updateEntry: (id, updates) => {
-                set((state) => ({
-                    entries: state.entries.map((e) => {
-                        if (e.id !== id) {return e;}
-                        const updated = { ...e, ...updates, updatedAt: Date.now() };
-                        if (updates.password !== undefined) {
-                            updated.password = obfuscate(updates.password);
+                    let key;
+                    try {
+                        key = await deriveVaultKey(password, vault.kdf);
+                        await openJSON(key, vault.verifier, VERIFIER_AAD);
+                    } catch {
+                        return false;
+                    }
+
+                    const entries = [];
+                    secrets.clear();
+                    for (const [id, box] of Object.entries(vault.sealed)) {
+                        try {
+                            const { fields, password: pw } = splitSecret(await openJSON(key, box, entryAad(id)));
+                            secrets.set(id, pw);
+                            entries.push(fields);
+                        } catch {
+                            console.error(`[passwordStore] Entry ${id} failed to decrypt (corrupted or tampered); skipped`);
                         }
-                        return updated;
-                    }),
-                }));
-            },
+                    }
+                    vaultKey = key;
+                    set({ entries, vaultLocked: false });
+                    startIdleTimer();
+                    return true;
+                },
 
-            deleteEntry: (id) => {
-                set((state) => ({
-                    entries: state.entries.filter((e) => e.id !== id),
-                }));
-            },
+                lock: () => {
+                    stopIdleTimer();
+                    secrets.clear();
+                    set({ entries: [], vaultLocked: true });
+                    // Pending writes still need the key; drop it once they are done
+                    enqueueWrite(() => {
+                        if (get().vaultLocked) {vaultKey = null;}
+                    });
+                },
 
-            toggleFavorite: (id) => {
-                set((state) => ({
-                    entries: state.entries.map((e) =>
-                        e.id === id ? { ...e, favorite: !e.favorite, updatedAt: Date.now() } : e
-                    ),
-                }));
-            },
+                isSetup: () => get().vault !== null || !!get().legacy?.masterHash,
 
-            // ─── Queries ──────────────────────────────────
+                /**
+                 * Re-encrypt the whole vault under a new master password.
+                 * @returns {Promise<{ ok: boolean, error?: string }>}
+                 */
+                changeMasterPassword: async (currentPassword, newPassword) => {
+                    const { vault } = get();
+                    if (!vault) {return { ok: false, error: 'Vault is not set up' };}
+                    if (!newPassword) {return { ok: false, error: 'New master password required' };}
 
-            getEntry: (id) => {
-                const entry = get().entries.find((e) => e.id === id);
-                if (!entry) {return null;}
-                return { ...entry, password: deobfuscate(entry.password) };
-            },
+                    let oldKey;
+                    try {
+                        oldKey = await deriveVaultKey(currentPassword, vault.kdf);
+                        await openJSON(oldKey, vault.verifier, VERIFIER_AAD);
+                    } catch {
+                        return { ok: false, error: 'Current master password is wrong' };
+                    }
+                    const kdf = newKdfParams();
+                    const newKey = await deriveVaultKey(newPassword, kdf);
 
-            getDecryptedPassword: (id) => {
-                const entry = get().entries.find((e) => e.id === id);
-                return entry ? deobfuscate(entry.password) : null;
-            },
+                    // Queued behind pending writes; re-seals from the stored
+                    // ciphertext so it works whether or not the vault is unlocked
+                    return enqueueWrite(async () => {
+                        const { sealed } = get().vault;
+                        const resealed = {};
+                        for (const [id, box] of Object.entries(sealed)) {
+                            const entry = await openJSON(oldKey, box, entryAad(id));
+                            resealed[id] = await sealJSON(newKey, entry, entryAad(id));
+                        }
+                        const verifier = await sealJSON(newKey, { vault: 'onios' }, VERIFIER_AAD);
+                        set({ vault: { version: VAULT_FORMAT_VERSION, kdf, verifier, sealed: resealed } });
+                        if (!get().vaultLocked) {vaultKey = newKey;}
+                        return { ok: true };
+                    });
+                },
 
-            search: (query) => {
-                const q = query.toLowerCase();
-                return get().entries.filter(
-                    (e) =>
-                        e.title.toLowerCase().includes(q) ||
-                        e.username.toLowerCase().includes(q) ||
-                        e.url.toLowerCase().includes(q) ||
-                        e.category.toLowerCase().includes(q)
-                ).map((e) => ({ ...e, password: '***' }));
-            },
+                // ─── Auto-lock ────────────────────────────────
 
-            getByCategory: (category) => {
-                return get().entries
-                    .filter((e) => e.category === category)
-                    .map((e) => ({ ...e, password: '***' }));
-            },
+                /** Record user activity; resets the idle auto-lock countdown. */
+                touch: () => {
+                    lastActivity = Date.now();
+                },
 
-            getCategories: () => {
-                const cats = new Set(get().entries.map((e) => e.category));
-                return Array.from(cats);
-            },
+                /** Minutes of inactivity before auto-lock (0 = never). */
+                setAutoLockMinutes: (minutes) => {
+                    set({ autoLockMinutes: Math.max(0, Number(minutes) || 0) });
+                    lastActivity = Date.now();
+                },
 
-            getFavorites: () => {
-                return get().entries
-                    .filter((e) => e.favorite)
-                    .map((e) => ({ ...e, password: '***' }));
-            },
+                // ─── CRUD ─────────────────────────────────────
+
+                /**
+                 * Add an entry. A new password counts as changed now; an
+                 * imported one keeps the date its source gives
+                 * (`passwordChangedAt`, else `updatedAt`, else `createdAt`)
+                 * and has none when the source gives no date.
+                 */
+                addEntry: (data, { imported = false } = {}) => {
+                    const entry = {
+                        id: nanoid(10),
+                        title: data.title || 'Untitled',
+                        username: data.username || '',
+                        url: data.url || '',
+                        notes: data.notes || '',
+                        category: data.category || 'general',
+                        favorite: data.favorite || false,
+                        createdAt: Date.now(),
+                        updatedAt: Date.now(),
+                        passwordChangedAt: imported
+                            ? [data.passwordChangedAt, data.updatedAt, data.createdAt].find(Number.isFinite)
+                            : Date.now(),
+                    };
+                    secrets.set(entry.id, data.password || '');
+                    set((state) => ({ entries: [...state.entries, entry] }));
+                    sealEntry(entry.id);
+                    get().touch();
+                    return { ...entry, password: '***' };
+                },
+
+                updateEntry: (id, updates) => {
+                    const { fields, password } = splitSecret(updates);
+                    // Dates are the store's to set; imported items carry their source's
+                    const { passwordChangedAt: _passwordChangedAt, createdAt: _createdAt, updatedAt: _updatedAt, ...rest } = fields;
+                    const passwordChanged = updates.password !== undefined && password !== (secrets.get(id) ?? '');
+                    if (updates.password !== undefined) {secrets.set(id, password);}
+                    set((state) => ({
+                        entries: state.entries.map((e) => {
+                            if (e.id !== id) {return e;}
+                            const now = Date.now();
+                            return {
+                                ...e,
+                                ...rest,
+                                id,
+                                updatedAt: now,
+                                ...(passwordChanged ? { passwordChangedAt: now } : {}),
+                            };
+                        }),
+                    }));
+                    sealEntry(id);
+                    get().touch();
+                },
+
+                deleteEntry: (id) => {
+                    secrets.delete(id);
+                    set((state) => ({
+                        entries: state.entries.filter((e) => e.id !== id),
+                    }));
+                    enqueueWrite(() => {
+                        set((state) => {
+                            if (!state.vault) {return {};}
+                            const { [id]: _removed, ...sealed } = state.vault.sealed;
+                            return { vault: { ...state.vault, sealed } };
+                        });
+                    });
+                    get().touch();
+                },
+
+                toggleFavorite: (id) => {
+                    set((state) => ({
+                        entries: state.entries.map((e) =>
+                            e.id === id ? { ...e, favorite: !e.favorite, updatedAt: Date.now() } : e
+                        ),
+                    }));
+                    sealEntry(id);
+                },
+
+                // ─── Queries ──────────────────────────────────
+
+                getEntry: (id) => {
+                    const entry = get().entries.find((e) => e.id === id);
+                    if (!entry) {return null;}
+                    get().touch();
+                    return { ...entry, password: secrets.get(id) ?? '' };
+                },
 
-            // ─── Utils ────────────────────────────────────
+                getDecryptedPassword: (id) => {
+                    const entry = get().entries.find((e) => e.id === id);
+                    if (!entry) {return null;}
+                    get().touch();
+                    return secrets.get(id) ?? '';
+                },
 
-            generatePassword,
-            calculateStrength,
-            strengthLabel,
-        }),
+                search: (query) => {
+                    const q = query.toLowerCase();
+                    return get().entries.filter(
+                        (e) =>
+                            e.title.toLowerCase().includes(q) ||
+                            e.username.toLowerCase().includes(q) ||
+                            e.url.toLowerCase().includes(q) ||
+                            e.category.toLowerCase().includes(q)
+                    ).map((e) => ({ ...e, password: '***' }));
+                },
+
+                getByCategory: (category) => {
+                    return get().entries
+                        .filter((e) => e.category === category)
+                        .map((e) => ({ ...e, password: '***' }));
+                },
+
+                getCategories: () => {
+                    const cats = new Set(get().entries.map((e) => e.category));
+                    return Array.from(cats);
+                },
+
+                getFavorites: () => {
+                    return get().entries
+                        .filter((e) => e.favorite)
+                        .map((e) => ({ ...e, password: '***' }));
+                },
+
+                // ─── Import / Export ──────────────────────────
+
+                /** Existing entry that `item` would duplicate, or null. */
+                findDuplicate: (item) => {
+                    const key = duplicateKey(item);
+                    return get().entries.find((e) => duplicateKey(e) === key) || null;
+                },
+
+                /**
+                 * Merge parsed items into the vault.
+                 * `onDuplicate`: 'skip' (default), 'update' (overwrite the
+                 * existing entry) or 'keep' (add alongside). Duplicates whose
+                 * password matches are always skipped.
+                 * @returns {{ imported: number, updated: number, skipped: number }}
+                 */
+                importItems: (items, { onDuplicate = 'skip' } = {}) => {
+                    if (get().vaultLocked) {throw new Error('Vault is locked');}
+                    const summary = { imported: 0, updated: 0, skipped: 0 };
+                    for (const item of items) {
+                        const existing = get().findDuplicate(item);
+                        if (existing && (onDuplicate === 'skip' || secrets.get(existing.id) === item.password)) {
+                            summary.skipped++;
+                        } else if (existing && onDuplicate === 'update') {
+                            get().updateEntry(existing.id, item);
+                            summary.updated++;
+                        } else {
+                            get().addEntry(item, { imported: true });
+                            summary.imported++;
+                        }
+                    }
+                    return summary;
+                },
+
+                /** Export every entry as an encrypted bundle (JSON string). */
+                exportBundle: async (passphrase) => {
+                    if (get().vaultLocked) {throw new Error('Vault is locked');}
+                    if (!passphrase) {throw new Error('Export passphrase required');}
+                    get().touch();
+                    const items = get().entries.map(({ id, ...fields }) => ({ ...fields, password: secrets.get(id) ?? '' }));
+                    return sealBundle(items, passphrase);
+                },
+
+                /** Decrypt a bundle into items for `importItems`. */
+                readBundle: (text, passphrase) => openBundle(text, passphrase),
+
+                // ─── Health Audit ─────────────────────────────
+
+                /**
+                 * Audit the unlocked vault for weak, reused, stale and
+                 * non-HTTPS entries (see vaultAudit.js). Returns null while
+                 * locked. The report contains no passwords.
+                 */
+                audit: (overrides = {}) => {
+                    if (get().vaultLocked) {return null;}
+                    const getPassword = (id) => secrets.get(id) ?? '';
+                    return auditVault(get().entries, getPassword, { ...get().auditSettings, ...overrides });
+                },
+
+                /** Update `staleDays` / `minEntropyBits` for future audits. */
+                setAuditSettings: (settings) => {
+                    const next = { ...get().auditSettings };
+                    if (settings.staleDays !== undefined) {next.staleDays = Math.max(0, Number(settings.staleDays) || 0);}
+                    if (settings.minEntropyBits !== undefined) {next.minEntropyBits = Math.max(0, Number(settings.minEntropyBits) || 0);}
+                    set({ auditSettings: next });
+                },
+
+                // ─── Generator ────────────────────────────────
+
+                /** Generate a password with the saved generator options, optionally overridden. */
+                generate: (overrides = {}) => {
+                    const opts = { ...get().generatorOptions, ...overrides };
+                    return generatePassword(opts.length, opts);
+                },
+
+                setGeneratorOptions: (options) => {
+                    set({ generatorOptions: { ...get().generatorOptions, ...options } });
+                },
+
+                // ─── Utils ────────────────────────────────────
+
+                generatePassword,
+                calculateStrength,
+                strengthLabel,
+            };
+        },
         {
             name: 'onios-vault',
+            version: 1,
             partialize: (state) => ({
-                entries: state.entries,
-                masterHash: state.masterHash,
-                vaultLocked: true, // always lock on reload
+                vault: state.vault,
+                legacy: state.legacy,
+                autoLockMinutes: state.autoLockMinutes,
+                auditSettings: state.auditSettings,
+                generatorOptions: state.generatorOptions,
             }),
+            migrate: (persisted, version) => {
+                if (version === 0) {
+                    // XOR-obfuscated vault; upgraded to real encryption on unlock
+                    const hasData = persisted?.masterHash || persisted?.entries?.length;
+                    return {
+                        vault: null,
+                        legacy: hasData ? { masterHash: persisted.masterHash ?? null, entries: persisted.entries || [] } : null,
+                        autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
+                    };
+                }
+                return persisted;
+            },
         },
     ),
 );
 
 export default usePasswordStore;
-export { generatePassword, calculateStrength, strengthLabel };
+export { generatePassword, calculateStrength, strengthLabel, estimateEntropy, DEFAULT_GENERATOR_OPTIONS };
@@ -3,6 +3,11 @@
  *
  * Provides reactive state for the Storage widget UI:
  * stats, entries, namespaces, refresh triggers.
+ *
+ * `watch()` keeps it live. Server-side keys (storagePlugin) are loaded from
+ * /api/storage/all and then patched from the change feed
+ * (/api/storage/watch), reloading only when the feed reports a `reset`.
+ * localStorage writes from other tabs trigger a refresh.
  */
 
 import { create } from 'zustand';
@@ -16,6 +21,27 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
+const SERVER_KEY_PREFIX = 'server:';
+
+function serverRowKey(ns, key) {
+    return `${SERVER_KEY_PREFIX}${ns}:${key}`;
+}
+
+/** Shape a server entry like the localStorage rows the table renders. */
+function toServerRow({ ns, key, value, version, meta }) {
+    const raw = JSON.stringify(value) ?? '';
+    return {
+        key: serverRowKey(ns, key),
+        namespace: ns,
+        shortKey: key,
+        type: Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value,
+        preview: raw.length > 80 ? `${raw.slice(0, 80)}…` : raw,
+        sizeFormatted: formatBytes(raw.length),
+        meta: { created: meta?.created, updated: meta?.updated || Date.now() },
+        server: { ns, key, version: version ?? meta?.version ?? 0, value },
+    };
+}
+
 const useStorageStore = create((set, get) => ({
     stats: null,
     entries: null,
@@ -25,16 +51,118 @@ const useStorageStore = create((set, get) => ({
     searchQuery: '',
     inspectingKey: null, // full localStorage key being inspected
     inspectingAiItem: null, // { type, data } for AI items
+    serverCursor: null, // last change-feed cursor seen from /api/storage/watch
+    serverRows: {}, // server-side entries by row key, kept in sync by watch()
 
     // ─── Refresh ─────────────────────────────────────
 
     refresh: () => {
         const stats = storageService.getStats();
-        const entries = storageService.getAllEntries();
+        const entries = {
+            ...storageService.getAllEntries(),
+            server: Object.values(get().serverRows),
+        };
         const namespaces = storageService.getNamespaces();
         set({ stats, entries, namespaces });
     },
 
+    /** Replace the server rows with a fresh /api/storage/all snapshot. */
+    loadServerEntries: async () => {
+        const res = await fetch('/api/storage/all');
+        if (!res.ok) {throw new Error(`GET /api/storage/all failed: ${res.status}`);}
+        const { entries = [] } = await res.json();
+        const serverRows = {};
+        for (const entry of entries) {
+            const row = toServerRow(entry);
+            serverRows[row.key] = row;
+        }
+        set({ serverRows });
+    },
+
+    /** Apply one change-feed event; stale events (lower version) are ignored. */
+    applyServerChange: (change) => {
+        if (!change?.ns || !change?.key) {return;}
+        const rowKey = serverRowKey(change.ns, change.key);
+        const current = get().serverRows[rowKey];
+        if (current && (change.version ?? 0) < current.server.version) {return;}
+        const serverRows = { ...get().serverRows };
+        if (change.type === 'set') {
+            serverRows[rowKey] = toServerRow({
+                ...change,
+                meta: { created: current?.meta.created, updated: change.timestamp },
+            });
+        } else {
+            delete serverRows[rowKey];
+        }
+        set({ serverRows });
+    },
+
+    // ─── Live Updates ────────────────────────────────
+
+    /**
+     * Subscribe to storage changes. Returns an unsubscribe function.
+     * Bursts of changes collapse into a single refresh.
+     */
+    watch: () => {
+        let timer = null;
+        const scheduleRefresh = () => {
+            if (timer) {return;}
+            timer = setTimeout(() => {
+                timer = null;
+                get().refresh();
+            }, 100);
+        };
+
+        // Changes that arrive while a snapshot loads are replayed on top of it.
+        let loading = null;
+        let pending = [];
+        const reload = () => {
+            pending = [];
+            loading = get().loadServerEntries()
+                .catch(err => console.warn('[Storage] Failed to load server entries:', err.message))
+                .finally(() => {
+                    loading = null;
+                    pending.forEach(get().applyServerChange);
+                    pending = [];
+                    scheduleRefresh();
+                });
+        };
+        const parse = (event) => {
+            try { return JSON.parse(event.data); } catch { return null; }
+        };
+
+        const cursor = get().serverCursor;
+        const source = new EventSource(`/api/storage/watch${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`);
+        source.addEventListener('change', (event) => {
+            const change = parse(event);
+            if (!change) {return;}
+            if (change.cursor) {set({ serverCursor: change.cursor });}
+            if (loading) { pending.push(change); return; }
+            get().applyServerChange(change);
+            scheduleRefresh();
+        });
+        source.addEventListener('reset', (event) => {
+            const data = parse(event);
+            if (data?.cursor) {set({ serverCursor: data.cursor });}
+            reload();
+        });
+        source.addEventListener('ready', (event) => {
+            const data = parse(event);
+            if (data?.cursor) {set({ serverCursor: data.cursor });}
+            // Resumed streams replay what was missed; a fresh one needs a snapshot
+            if (!cursor && !loading) {reload();}
+        });
+
+        // localStorage writes in other tabs
+        window.addEventListener('storage', scheduleRefresh);
+
+        return () => {
+            source.close();
+            window.removeEventListener('storage', scheduleRefresh);
+            if (timer) {clearTimeout(timer);}
+        };
+    },
+
     // ─── Filters ─────────────────────────────────────
 
     setCategory: (cat) => set({ selectedCategory: cat, selectedNamespace: null }),
@@ -54,6 +182,14 @@ const useStorageStore = create((set, get) => ({
     },
 
     deleteKey: (fullLocalStorageKey) => {
+        const row = get().serverRows[fullLocalStorageKey];
+        if (row) {
+            // The change feed removes the row once the server applies the delete
+            const { ns, key } = row.server;
+            fetch(`/api/storage/delete?ns=${encodeURIComponent(ns)}&key=${encodeURIComponent(key)}`, { method: 'DELETE' })
+                .catch(err => console.warn('[Storage] Failed to delete server key:', err.message));
+            return;
+        }
         localStorage.removeItem(fullLocalStorageKey);
         get().refresh();
     },
@@ -93,6 +229,7 @@ const useStorageStore = create((set, get) => ({
                 ...entries.storage,
                 ...entries.widgetState,
                 ...entries.other,
+                ...entries.server,
             ];
         } else if (selectedCategory === 'storage' && selectedNamespace) {
             items = entries.storage.filter(e => e.namespace === selectedNamespace);
@@ -114,6 +251,8 @@ const useStorageStore = create((set, get) => ({
     },
 
     getRawValue: (fullKey) => {
+        const row = get().serverRows[fullKey];
+        if (row) {return JSON.stringify(row.server.value);}
         return localStorage.getItem(fullKey);
     },
 }));
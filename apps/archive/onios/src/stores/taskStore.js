@@ -29,7 +29,7 @@ const useTaskStore = create(
 
             addTask: (taskData) => {
                 const task = {
-                    id: nanoid(10),
+                    id: taskData.id || nanoid(10),
                     title: taskData.title || 'Untitled Task',
                     description: taskData.description || '',
                     status: taskData.status || 'todo',       // todo, in-progress, done, cancelled
@@ -0,0 +1,213 @@
+/**
+ * vaultAudit — Password health checks for the vault.
+ *
+ * `auditVault` flags entries that are:
+ * - weak: estimated entropy below `minEntropyBits`
+ * - reused: the same password is stored under another entry
+ * - stale: password not changed in `staleDays` (`passwordChangedAt`; entries
+ *   from before that field, or imported without a date, fall back to `updatedAt`)
+ * - insecure: the URL uses plain `http://` (loopback hosts excepted)
+ *
+ * The report never contains passwords. GatewayClient pushes only its
+ * `auditDigest` (summary plus at-risk ids and titles) with the widget context.
+ */
+
+import { hostOf } from './vaultFormats.js';
+
+export const DEFAULT_AUDIT_SETTINGS = {
+    staleDays: 180,
+    minEntropyBits: 60,
+};
+
+/** Below this the password is flagged as high severity regardless of settings. */
+const VERY_WEAK_BITS = 36;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Small list of passwords that top every breach corpus; matches cap entropy
+const COMMON_PASSWORDS = new Set([
+    'password', 'passw0rd', 'qwerty', 'qwertyuiop', 'letmein', 'welcome',
+    'admin', 'administrator', 'iloveyou', 'monkey', 'dragon', 'football',
+    'baseball', 'sunshine', 'princess', 'master', 'shadow', 'superman',
+    'trustno1', 'abc123', 'login', 'starwars', 'whatever', 'hello', 'secret',
+    'changeme', 'default', 'root', 'test', 'guest', 'zaq1zaq1',
+]);
+
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm', '1234567890'];
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]', '::1']);
+
+/** Size of the character pool a password draws from. */
+function poolSize(password) {
+    let pool = 0;
+    if (/[a-z]/.test(password)) {pool += 26;}
+    if (/[A-Z]/.test(password)) {pool += 26;}
+    if (/[0-9]/.test(password)) {pool += 10;}
+    if (/[ -/:-@[-`{-~]/.test(password)) {pool += 33;}
+    if (/[^\x20-\x7e]/.test(password)) {pool += 100;}
+    return pool;
+}
+
+/** True if `b` continues an alphabetic, numeric or keyboard-row run from `a`. */
+function isSequential(a, b) {
+    const x = a.toLowerCase();
+    const y = b.toLowerCase();
+    if (Math.abs(x.charCodeAt(0) - y.charCodeAt(0)) === 1) {return true;}
+    return KEYBOARD_ROWS.some((row) => {
+        const i = row.indexOf(x);
+        return i !== -1 && (row[i + 1] === y || row[i - 1] === y);
+    });
+}
+
+/**
+ * Estimate password entropy in bits.
+ *
+ * Starts from length × log2(pool) and discounts characters that repeat or
+ * continue a sequence (`aaaa`, `abcd`, `1234`, `qwer`) or whole-string
+ * repeats, since guessers try those first. Passwords built on a common
+ * password are capped low.
+ * @param {string} password
+ * @returns {number}
+ */
+export function estimateEntropy(password) {
+    if (!password) {return 0;}
+    // A repeated unit ("hunter2hunter2") is barely stronger than the unit
+    const repeated = /^(.+?)\1+$/s.exec(password);
+    if (repeated) {return Math.round((estimateEntropy(repeated[1]) + 2) * 10) / 10;}
+
+    const chars = Array.from(password);
+    const bitsPerChar = Math.log2(poolSize(password) || 1);
+
+    let effective = 1;
+    for (let i = 1; i < chars.length; i++) {
+        const predictable = chars[i] === chars[i - 1] || isSequential(chars[i - 1], chars[i]);
+        effective += predictable ? 0.25 : 1;
+    }
+    let bits = effective * bitsPerChar;
+
+    const base = password.toLowerCase().replace(/[^a-z]/g, '');
+    const core = password.toLowerCase().replace(/^[^a-z]+|[^a-z]+$/g, '');
+    if (COMMON_PASSWORDS.has(base) || COMMON_PASSWORDS.has(core) || COMMON_PASSWORDS.has(password.toLowerCase())) {
+        bits = Math.min(bits, 20);
+    }
+    return Math.round(bits * 10) / 10;
+}
+
+/** True for `http://` URLs that leave the machine. */
+export function isInsecureUrl(url) {
+    if (!/^http:\/\//i.test(url || '')) {return false;}
+    return !LOOPBACK_HOSTS.has(hostOf(url));
+}
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Audit vault entries.
+ * @param {object[]} entries - Entries without passwords (store state).
+ * @param {(id: string) => string} getPassword
+ * @param {{ staleDays?: number, minEntropyBits?: number, now?: number }} [options]
+ * @returns {{
+ *   generatedAt: number,
+ *   settings: { staleDays: number, minEntropyBits: number },
+ *   summary: { total: number, atRisk: number, weak: number, reused: number, stale: number, insecure: number, score: number },
+ *   entries: { id, title, username, url, category, passwordChangedAt, entropyBits, issues: { type, severity, message, sharedWith? }[] }[]
+ * }}
+ */
+export function auditVault(entries, getPassword, options = {}) {
+    const settings = {
+        staleDays: options.staleDays ?? DEFAULT_AUDIT_SETTINGS.staleDays,
+        minEntropyBits: options.minEntropyBits ?? DEFAULT_AUDIT_SETTINGS.minEntropyBits,
+    };
+    const now = options.now ?? Date.now();
+
+    const byPassword = new Map();
+    for (const e of entries) {
+        const pw = getPassword(e.id);
+        if (!pw) {continue;}
+        if (!byPassword.has(pw)) {byPassword.set(pw, []);}
+        byPassword.get(pw).push(e.id);
+    }
+
+    const summary = { total: entries.length, atRisk: 0, weak: 0, reused: 0, stale: 0, insecure: 0, score: 100 };
+    const flagged = [];
+    for (const e of entries) {
+        const pw = getPassword(e.id) || '';
+        const entropyBits = estimateEntropy(pw);
+        const issues = [];
+
+        if (entropyBits < settings.minEntropyBits) {
+            issues.push({
+                type: 'weak',
+                severity: entropyBits < VERY_WEAK_BITS ? 'high' : 'medium',
+                message: pw ? `Weak password (~${Math.round(entropyBits)} bits)` : 'No password set',
+            });
+            summary.weak++;
+        }
+
+        const sharedWith = (byPassword.get(pw) || []).filter((id) => id !== e.id);
+        if (sharedWith.length > 0) {
+            issues.push({
+                type: 'reused',
+                severity: 'high',
+                message: `Same password as ${sharedWith.length} other entr${sharedWith.length === 1 ? 'y' : 'ies'}`,
+                sharedWith,
+            });
+            summary.reused++;
+        }
+
+        const passwordChangedAt = e.passwordChangedAt || e.updatedAt || e.createdAt || now;
+        const ageDays = Math.floor((now - passwordChangedAt) / DAY_MS);
+        if (settings.staleDays > 0 && ageDays >= settings.staleDays) {
+            issues.push({ type: 'stale', severity: 'low', message: `Not changed in ${ageDays} days` });
+            summary.stale++;
+        }
+
+        if (isInsecureUrl(e.url)) {
+            issues.push({ type: 'insecure', severity: 'medium', message: 'Site URL does not use HTTPS' });
+            summary.insecure++;
+        }
+
+        if (issues.length === 0) {continue;}
+        summary.atRisk++;
+        flagged.push({
+            id: e.id,
+            title: e.title,
+            username: e.username,
+            url: e.url,
+            category: e.category,
+            passwordChangedAt,
+            entropyBits,
+            issues: issues.toSorted((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]),
+        });
+    }
+
+    summary.score = entries.length ? Math.round(100 * (entries.length - summary.atRisk) / entries.length) : 100;
+    const worst = (f) => SEVERITY_RANK[f.issues[0].severity];
+    return {
+        generatedAt: now,
+        settings,
+        summary,
+        entries: flagged.toSorted((a, b) => worst(a) - worst(b) || b.issues.length - a.issues.length),
+    };
+}
+
+/** At-risk entries a digest lists; `summary.atRisk` still counts all of them. */
+export const DIGEST_MAX_ENTRIES = 100;
+
+/**
+ * Compact form of an audit report for periodic context pushes: the summary and,
+ * worst first, the id, title and issue types of each at-risk entry.
+ * @param {ReturnType<typeof auditVault>} report
+ * @returns {{ generatedAt: number, settings: object, summary: object, atRisk: { id: string, title: string, issues: { type: string, severity: string }[] }[] }}
+ */
+export function auditDigest(report) {
+    return {
+        generatedAt: report.generatedAt,
+        settings: report.settings,
+        summary: report.summary,
+        atRisk: report.entries.slice(0, DIGEST_MAX_ENTRIES).map((e) => ({
+            id: e.id,
+            title: e.title,
+            issues: e.issues.map(({ type, severity }) => ({ type, severity })),
+        })),
+    };
+}
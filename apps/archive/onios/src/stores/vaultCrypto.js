@@ -0,0 +1,84 @@
+/**
+ * vaultCrypto — WebCrypto helpers for the password vault.
+ *
+ * The vault key is derived from the master password with PBKDF2-SHA256 and
+ * a random per-vault salt; entries are sealed with AES-256-GCM under a fresh
+ * 96-bit IV each time. The key is created non-extractable, so it only ever
+ * lives inside WebCrypto.
+ *
+ * Sealed boxes look like `{ iv, ct }` (base64). An optional `aad` string
+ * binds a box to its context (e.g. the entry id) so ciphertexts can't be
+ * swapped between entries without detection.
+ */
+
+/** PBKDF2-SHA256 iteration count (OWASP 2023 recommendation). */
+export const KDF_ITERATIONS = 600000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export function toBase64(bytes) {
+    let binary = '';
+    for (const b of bytes) {binary += String.fromCharCode(b);}
+    return btoa(binary);
+}
+
+export function fromBase64(str) {
+    return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+/** Fresh KDF parameters with a random 16-byte salt. */
+export function newKdfParams() {
+    return {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: KDF_ITERATIONS,
+        salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+    };
+}
+
+/**
+ * Derive the AES-GCM vault key from a master password.
+ * @param {string} password
+ * @param {{ hash: string, iterations: number, salt: string }} kdf
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveVaultKey(password, kdf) {
+    const material = await crypto.subtle.importKey(
+        'raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey'],
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt'],
+    );
+}
+
+/**
+ * Encrypt a JSON-serialisable value.
+ * @returns {Promise<{ iv: string, ct: string }>}
+ */
+export async function sealJSON(key, data, aad = '') {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: encoder.encode(aad) },
+        key,
+        encoder.encode(JSON.stringify(data)),
+    );
+    return { iv: toBase64(iv), ct: toBase64(new Uint8Array(ct)) };
+}
+
+/**
+ * Decrypt a box from `sealJSON`. Rejects on a wrong key or tampered data.
+ * @returns {Promise<any>}
+ */
+export async function openJSON(key, box, aad = '') {
+    const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(box.iv), additionalData: encoder.encode(aad) },
+        key,
+        fromBase64(box.ct),
+    );
+    return JSON.parse(decoder.decode(plain));
+}
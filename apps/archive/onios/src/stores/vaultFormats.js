@@ -0,0 +1,267 @@
+/**
+ * vaultFormats — Parsers for password exports from other tools.
+ *
+ * Supported:
+ * - Bitwarden JSON (unencrypted export)
+ * - KeePass 2.x XML export
+ * - CSV from Chrome, Firefox, Bitwarden, or anything with similar headers
+ * - OniOS encrypted bundles (sealBundle / openBundle)
+ *
+ * Every parser returns items in the vault's entry shape:
+ * { title, username, password, url, notes, category, favorite }
+ *
+ * A bundle is a self-contained JSON file: the entries are sealed with
+ * AES-GCM under a key derived from an export passphrase (same scheme as the
+ * vault itself), so it can be moved between machines and opened without the
+ * original vault.
+ */
+
+import { deriveVaultKey, newKdfParams, sealJSON, openJSON } from './vaultCrypto.js';
+
+export const BUNDLE_FORMAT = 'onios-vault-export';
+const BUNDLE_VERSION = 1;
+const BUNDLE_AAD = `${BUNDLE_FORMAT}:v${BUNDLE_VERSION}`;
+
+/**
+ * Guess the format of an export from its content (and file name).
+ * @returns {'bitwarden-json'|'keepass-xml'|'csv'|'onios-bundle'|null}
+ */
+export function detectFormat(text, fileName = '') {
+    const head = text.trimStart().slice(0, 500);
+    if (head.startsWith('{')) {
+        try {
+            const data = JSON.parse(text);
+            if (data.format === BUNDLE_FORMAT) {return 'onios-bundle';}
+            if (Array.isArray(data.items)) {return 'bitwarden-json';}
+        } catch { /* not JSON */ }
+        return null;
+    }
+    if (head.startsWith('<') && /<KeePassFile[\s>]/.test(text)) {return 'keepass-xml';}
+    if (/\.csv$/i.test(fileName) || /^[^\n]*(password|login_password)[^\n]*\n/i.test(head)) {return 'csv';}
+    return null;
+}
+
+/** Epoch ms of a date (ms or a parseable string), or undefined. */
+function timeOf(value) {
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(ms) ? ms : undefined;
+}
+
+function item(fields) {
+    return {
+        title: fields.title || hostOf(fields.url) || 'Untitled',
+        username: fields.username || '',
+        password: fields.password || '',
+        url: fields.url || '',
+        notes: fields.notes || '',
+        category: fields.category || 'general',
+        favorite: !!fields.favorite,
+        createdAt: timeOf(fields.createdAt),
+        updatedAt: timeOf(fields.updatedAt),
+        passwordChangedAt: timeOf(fields.passwordChangedAt),
+    };
+}
+
+/** Host of a URL without `www.`, or '' if it doesn't parse. */
+export function hostOf(url) {
+    if (!url) {return '';}
+    try {
+        const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`;
+        return new URL(withScheme).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+// ─── Bitwarden ───────────────────────────────────────
+
+/** Parse an unencrypted Bitwarden JSON export (login items only). */
+export function parseBitwardenJSON(text) {
+    const data = JSON.parse(text);
+    if (data.encrypted) {
+        throw new Error('Encrypted Bitwarden exports are not supported; export as unencrypted JSON');
+    }
+    const folders = new Map((data.folders || []).map((f) => [f.id, f.name]));
+    return (data.items || [])
+        .filter((it) => it.type === 1 || it.login)
+        .map((it) => item({
+            title: it.name,
+            username: it.login?.username,
+            password: it.login?.password,
+            url: it.login?.uris?.[0]?.uri,
+            notes: it.notes,
+            category: folders.get(it.folderId)?.toLowerCase(),
+            favorite: it.favorite,
+            createdAt: it.creationDate,
+            updatedAt: it.revisionDate,
+            passwordChangedAt: it.login?.passwordRevisionDate,
+        }));
+}
+
+// ─── KeePass ─────────────────────────────────────────
+
+/** Parse a KeePass 2.x XML export; the entry's group becomes its category. */
+export function parseKeePassXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) {throw new Error('Invalid KeePass XML');}
+    const root = doc.querySelector('KeePassFile > Root > Group');
+    if (!root) {throw new Error('No KeePass groups found');}
+
+    const items = [];
+    const walk = (group, category) => {
+        for (const child of group.children) {
+            if (child.tagName === 'Entry') {
+                const fields = {};
+                for (const str of child.children) {
+                    if (str.tagName !== 'String') {continue;}
+                    const key = str.querySelector(':scope > Key')?.textContent;
+                    fields[key] = str.querySelector(':scope > Value')?.textContent || '';
+                }
+                items.push(item({
+                    title: fields.Title,
+                    username: fields.UserName,
+                    password: fields.Password,
+                    url: fields.URL,
+                    notes: fields.Notes,
+                    category,
+                    createdAt: child.querySelector(':scope > Times > CreationTime')?.textContent,
+                    updatedAt: child.querySelector(':scope > Times > LastModificationTime')?.textContent,
+                }));
+            } else if (child.tagName === 'Group') {
+                const name = child.querySelector(':scope > Name')?.textContent || '';
+                // Deleted entries live in the recycle bin group
+                if (name === 'Recycle Bin') {continue;}
+                walk(child, name.toLowerCase() || category);
+            }
+        }
+    };
+    walk(root, 'general');
+    return items;
+}
+
+// ─── CSV ─────────────────────────────────────────────
+
+/** RFC 4180 CSV → array of rows (quoted fields may contain commas/newlines). */
+export function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') {quoted = false;}
+            else {field += c;}
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') {i++;}
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((r) => r.some((f) => f !== ''));
+}
+
+// Header aliases used by Chrome, Firefox, Bitwarden, 1Password and others
+const CSV_COLUMNS = {
+    title: ['name', 'title'],
+    username: ['username', 'login_username', 'login', 'user', 'email'],
+    password: ['password', 'login_password'],
+    url: ['url', 'login_uri', 'website', 'origin'],
+    notes: ['note', 'notes', 'extra'],
+    category: ['folder', 'category', 'group', 'grouping'],
+    favorite: ['favorite'],
+};
+
+/** Parse a password CSV by its header row. */
+export function parseCSV(text) {
+    const rows = parseCSVRows(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {return [];}
+    const header = rows[0].map((h) => h.trim().toLowerCase());
+    const col = {};
+    for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+        col[field] = header.findIndex((h) => names.includes(h));
+    }
+    if (col.password === -1) {throw new Error('CSV has no password column');}
+
+    return rows.slice(1).map((r) => {
+        const get = (field) => (col[field] === -1 ? '' : (r[col[field]] || '').trim());
+        return item({
+            title: get('title'),
+            username: get('username'),
+            password: r[col.password] || '',
+            url: get('url'),
+            notes: get('notes'),
+            category: get('category').toLowerCase(),
+            favorite: get('favorite') === '1' || get('favorite').toLowerCase() === 'true',
+        });
+    });
+}
+
+/**
+ * Parse any supported plaintext export into vault items.
+ * @returns {{ format: string, items: object[] }}
+ */
+export function parseExport(text, fileName = '') {
+    const format = detectFormat(text, fileName);
+    switch (format) {
+        case 'bitwarden-json': return { format, items: parseBitwardenJSON(text) };
+        case 'keepass-xml': return { format, items: parseKeePassXML(text) };
+        case 'csv': return { format, items: parseCSV(text) };
+        case 'onios-bundle': throw new Error('Encrypted OniOS bundles need a passphrase');
+        default: throw new Error('Unrecognized export format (expected Bitwarden JSON, KeePass XML or CSV)');
+    }
+}
+
+// ─── Encrypted Bundles ───────────────────────────────
+
+/**
+ * Seal vault items into a portable, passphrase-protected bundle.
+ * @param {object[]} items - Entries including their passwords.
+ * @param {string} passphrase
+ * @returns {Promise<string>} Bundle JSON.
+ */
+export async function sealBundle(items, passphrase) {
+    const kdf = newKdfParams();
+    const key = await deriveVaultKey(passphrase, kdf);
+    const data = await sealJSON(key, { items }, BUNDLE_AAD);
+    return JSON.stringify({
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        count: items.length,
+        kdf,
+        data,
+    }, null, 2);
+}
+
+/**
+ * Open a bundle from `sealBundle`. Rejects on a wrong passphrase.
+ * @returns {Promise<object[]>} Items in the vault entry shape.
+ */
+export async function openBundle(text, passphrase) {
+    const bundle = JSON.parse(text);
+    if (bundle.format !== BUNDLE_FORMAT) {throw new Error('Not an OniOS vault bundle');}
+    if (bundle.version !== BUNDLE_VERSION) {throw new Error(`Unsupported bundle version ${bundle.version}`);}
+    const key = await deriveVaultKey(passphrase, bundle.kdf);
+    let payload;
+    try {
+        payload = await openJSON(key, bundle.data, BUNDLE_AAD);
+    } catch {
+        throw new Error('Wrong passphrase or damaged bundle');
+    }
+    return (payload.items || []).map(item);
+}
@@ -3,7 +3,8 @@
  *
  * Features:
  *   - URL bar with navigation (back, forward, refresh)
- *   - Sandboxed iframe rendering of web pages
+ *   - Sandboxed iframe rendering of web pages, loaded through /api/web-proxy
+ *     (which rewrites links so navigation inside the page stays proxied)
  *   - AI can navigate, take screenshots of pages, and extract content
  *   - History tracking
  *   - Loading state with progress indicator
@@ -24,8 +25,17 @@ import { useWidgetContext } from "../../core/useWidgetContext";
 import { eventBus } from "../../core/EventBus";
 import "./Browser.css";
 
+/** Where the iframe loads `url` from: web pages go through the server-side proxy. */
+function frameSrc(url) {
+  return /^https?:\/\//i.test(url)
+    ? `/api/web-proxy?url=${encodeURIComponent(url)}`
+    : url;
+}
+
 export default function BrowserWidget({ windowId, widgetType, initialUrl }) {
   const [url, setUrl] = useState(initialUrl || "");
+  // Page currently shown; differs from `url` after following a link in the page
+  const [pageUrl, setPageUrl] = useState(initialUrl || "");
   const [displayUrl, setDisplayUrl] = useState(initialUrl || "");
   const [loading, setLoading] = useState(false);
   const [history, setHistory] = useState([]);
@@ -35,7 +45,7 @@ export default function BrowserWidget({ windowId, widgetType, initialUrl }) {
   const inputRef = useRef(null);
 
   useWidgetContext(windowId, widgetType, {
-    currentUrl: url,
+    currentUrl: pageUrl || url,
     loading,
     historyLength: history.length,
   });
@@ -58,6 +68,7 @@ export default function BrowserWidget({ windowId, widgetType, initialUrl }) {
       }
 
       setUrl(finalUrl);
+      setPageUrl(finalUrl);
       setDisplayUrl(finalUrl);
       setLoading(true);
       setError(null);
@@ -78,6 +89,7 @@ export default function BrowserWidget({ windowId, widgetType, initialUrl }) {
     setHistoryIdx(newIdx);
     const prevUrl = history[newIdx];
     setUrl(prevUrl);
+    setPageUrl(prevUrl);
     setDisplayUrl(prevUrl);
     setLoading(true);
   }, [history, historyIdx]);
@@ -88,6 +100,7 @@ export default function BrowserWidget({ windowId, widgetType, initialUrl }) {
     setHistoryIdx(newIdx);
     const nextUrl = history[newIdx];
     setUrl(nextUrl);
+    setPageUrl(nextUrl);
     setDisplayUrl(nextUrl);
     setLoading(true);
   }, [history, historyIdx]);
@@ -97,9 +110,9 @@ export default function BrowserWidget({ windowId, widgetType, initialUrl }) {
     setLoading(true);
     const iframe = iframeRef.current;
     if (iframe) {
-      iframe.src = url;
+      iframe.src = frameSrc(pageUrl || url);
     }
-  }, [url]);
+  }, [url, pageUrl]);
 
   const handleSubmit = useCallback(
     (e) => {
@@ -127,15 +140,27 @@ export default function BrowserWidget({ windowId, widgetType, initialUrl }) {
     return () => eventBus.off("browser:navigate", handleNavigate);
   }, [navigate]);
 
+  // Proxied pages report their real URL when they load
+  useEffect(() => {
+    const handleMessage = (e) => {
+      if (e.source !== iframeRef.current?.contentWindow) {return;}
+      if (e.data?.type !== "onios:web-proxy" || typeof e.data.url !== "string") {return;}
+      setPageUrl(e.data.url);
+      setDisplayUrl(e.data.url);
+    };
+    window.addEventListener("message", handleMessage);
+    return () => window.removeEventListener("message", handleMessage);
+  }, []);
+
   // Navigate on mount if initialUrl provided
   useEffect(() => {
     if (initialUrl) {navigate(initialUrl);}
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
-  const isSecure = url.startsWith("https://");
+  const isSecure = pageUrl.startsWith("https://");
   const hostname = (() => {
     try {
-      return new URL(url).hostname;
+      return new URL(pageUrl).hostname;
     } catch {
       return "";
     }
@@ -208,7 +233,7 @@ export default function BrowserWidget({ windowId, widgetType, initialUrl }) {
         {url && (
           <a
             className="browser-external-btn"
-            href={url}
+            href={pageUrl || url}
             target="_blank"
             rel="noopener noreferrer"
             title="Open in system browser"
@@ -239,10 +264,11 @@ export default function BrowserWidget({ windowId, widgetType, initialUrl }) {
         {url && (
           <iframe
             ref={iframeRef}
-            src={url}
+            src={frameSrc(url)}
             className="browser-iframe"
             title={hostname || "Browser"}
-            sandbox="allow-scripts allow-same-origin allow-popups allow-forms allow-popups-to-escape-sandbox"
+            // No allow-same-origin: proxied pages are served from OniOS's own origin
+            sandbox="allow-scripts allow-popups allow-forms allow-popups-to-escape-sandbox"
             onLoad={handleIframeLoad}
             onError={handleIframeError}
           />
@@ -17,8 +17,10 @@ import {
   Plus,
   Search,
   RotateCw,
+  AlertTriangle,
 } from "lucide-react";
 import { useWidgetContext } from "../../core/useWidgetContext";
+import { useFsWatch } from "../../core/useFsWatch";
 import "./CodeEditor.css";
 
 const EXT_ICONS = {
@@ -83,6 +85,7 @@ export default function CodeEditor({
   const [fileContents, setFileContents] = useState({});
   const [originalContents, setOriginalContents] = useState({});
   const [dirtyFiles, setDirtyFiles] = useState(new Set());
+  const [diskChanges, setDiskChanges] = useState({}); // path → "modified" | "deleted" for tabs with unsaved edits
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [treeLoading, setTreeLoading] = useState(false);
@@ -246,6 +249,95 @@ export default function CodeEditor({
     });
   };
 
+  // ─── Live updates from disk ────────────────────────
+
+  const findTreeNode = (items, targetPath) => {
+    for (const item of items) {
+      if (item.path === targetPath) {return item;}
+      if (Array.isArray(item.children)) {
+        const found = findTreeNode(item.children, targetPath);
+        if (found) {return found;}
+      }
+    }
+    return null;
+  };
+
+  // Re-list a directory, keeping already-loaded children of its subfolders
+  const refreshTreeDir = async (dirPath) => {
+    const fresh = await loadDir(dirPath);
+    setTree((prev) => {
+      const old = dirPath === rootPath ? prev : findTreeNode(prev, dirPath)?.children;
+      const merged = fresh.map((item) => {
+        const previous = old?.find((o) => o.path === item.path);
+        return previous?.children ? { ...item, children: previous.children } : item;
+      });
+      return dirPath === rootPath ? merged : updateTreeChildren(prev, dirPath, merged);
+    });
+  };
+
+  const markDiskChange = (filePath, kind) => {
+    setDiskChanges((prev) => {
+      const copy = { ...prev };
+      if (kind) {copy[filePath] = kind;} else {delete copy[filePath];}
+      return copy;
+    });
+  };
+
+  const reloadFromDisk = async (filePath) => {
+    try {
+      const res = await fetch(`/api/fs/read?path=${encodeURIComponent(filePath)}`);
+      const data = await res.json();
+      if (data.content === undefined) {return;}
+      setFileContents((prev) => ({ ...prev, [filePath]: data.content }));
+      setOriginalContents((prev) => ({ ...prev, [filePath]: data.content }));
+      setDirtyFiles((prev) => {
+        const copy = new Set(prev);
+        copy.delete(filePath);
+        return copy;
+      });
+      markDiskChange(filePath, null);
+    } catch {
+      // Keep the current buffer
+    }
+  };
+
+  const handleDiskChanges = async (events) => {
+    const changedDirs = new Set();
+    for (const e of events) {
+      for (const p of [e.path, e.oldPath]) {
+        if (p) {changedDirs.add(p.slice(0, p.lastIndexOf("/")) || "/");}
+      }
+      const target = e.type === "rename" ? e.oldPath : e.path;
+      if (!openTabs.some((t) => t.path === target)) {continue;}
+      if (e.type !== "modify") {
+        markDiskChange(target, "deleted");
+      } else if (!dirtyFiles.has(target)) {
+        reloadFromDisk(target);
+      } else {
+        // Our own save also shows up here; only flag real outside edits
+        try {
+          const res = await fetch(`/api/fs/read?path=${encodeURIComponent(target)}`);
+          const data = await res.json();
+          if (data.content !== undefined && data.content !== originalContents[target]) {
+            markDiskChange(target, "modified");
+          }
+        } catch {
+          // Can't tell; leave the buffer alone
+        }
+      }
+    }
+    for (const dir of changedDirs) {
+      if (dir === rootPath || expandedDirs.has(dir)) {refreshTreeDir(dir);}
+    }
+  };
+
+  useFsWatch(rootPath, handleDiskChanges, { recursive: true });
+  // Files opened from outside the project folder
+  useFsWatch(
+    activeTab && !(rootPath && activeTab.startsWith(rootPath + "/")) ? activeTab : null,
+    handleDiskChanges,
+  );
+
   const openFileByPath = async (filePath) => {
     const name = filePath.split("/").pop();
     if (!openTabs.find((t) => t.path === filePath)) {
@@ -308,6 +400,7 @@ export default function CodeEditor({
       copy.delete(path);
       return copy;
     });
+    markDiskChange(path, null);
   };
 
   const closeTab = (path, e) => {
@@ -339,6 +432,7 @@ export default function CodeEditor({
           copy.delete(activeTab);
           return copy;
         });
+        markDiskChange(activeTab, null);
       }
     } catch {
       // Save failed silently
@@ -367,6 +461,7 @@ export default function CodeEditor({
             copy.delete(path);
             return copy;
           });
+          markDiskChange(path, null);
         }
       } catch {
         // continue
@@ -649,6 +744,25 @@ export default function CodeEditor({
           </div>
         )}
 
+        {activeTab && diskChanges[activeTab] && (
+          <div className="ce-disk-notice">
+            <AlertTriangle size={13} />
+            <span>
+              {diskChanges[activeTab] === "deleted"
+                ? "This file was deleted or moved on disk. Save to recreate it."
+                : "This file changed on disk. Saving will overwrite those changes."}
+            </span>
+            {diskChanges[activeTab] === "modified" && (
+              <button className="ce-disk-notice-btn" onClick={() => reloadFromDisk(activeTab)}>
+                Reload
+              </button>
+            )}
+            <button className="ce-disk-notice-btn" onClick={() => markDiskChange(activeTab, null)}>
+              Keep mine
+            </button>
+          </div>
+        )}
+
         {/* Editor area */}
         {loading ? (
           <div className="ce-loading">
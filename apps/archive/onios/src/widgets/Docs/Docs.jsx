@@ -716,7 +716,7 @@ function ArchitecturePage() {
             </td>
             <td>Yes (encrypted)</td>
             <td>
-              Password vault entries, master key hash, lock state, categories
+              AES-GCM sealed vault entries, PBKDF2 salt, auto-lock setting
             </td>
           </tr>
         </tbody>
@@ -1570,10 +1570,10 @@ function WidgetGuidePage() {
       {/* ── WEB SEARCH ── */}
       <h2>Web Search</h2>
       <p>
-        Searches the web using the Brave Search API. Queries are proxied through
-        /api/brave-search to avoid CORS issues. Results display titles, URLs,
-        and descriptions. Requires a Brave Search API key in environment
-        variables (BRAVE_API_KEY).
+        Searches the web through /api/search, which uses the Brave Search API
+        (BRAVE_API_KEY), a SearXNG instance, or an offline index of pages the
+        browser has already loaded, whichever is configured first. Results
+        display titles, URLs and snippets.
       </p>
       <h3>Commands</h3>
       <table className="docs-cmd-table">
@@ -2319,9 +2319,13 @@ function CommandReferencePage() {
         },
         { cmd: "password.delete(id)", desc: "Delete an entry" },
         {
-          cmd: "password.generate(length?)",
+          cmd: "password.generate(length?, options?)",
           desc: "Generate random password, copy to clipboard",
         },
+        {
+          cmd: "password.audit()",
+          desc: "Report weak, reused, stale and non-HTTPS entries",
+        },
         { cmd: "password.lock()", desc: "Lock the vault" },
         { cmd: "password.categories()", desc: "List all categories" },
       ],
@@ -3503,8 +3507,8 @@ Connection lifecycle:
               <code>/api/brave-search?q=</code>
             </td>
             <td>
-              Proxy to Brave Search API. Requires BRAVE_API_KEY env var. Returns
-              web results.
+              Brave-only search kept for older clients; /api/search picks a
+              provider. Returns web results.
             </td>
           </tr>
         </tbody>
@@ -3676,11 +3680,23 @@ function PasswordManagerPage() {
           </tr>
           <tr>
             <td>
-              <code>password.generate(length?)</code>
+              <code>password.generate(length?, options?)</code>
             </td>
             <td>
-              Generate a random password (default 16 chars). Shows strength
-              score and copies to clipboard.
+              Generate a random password using the generator settings saved in
+              the Password Manager (default 20 chars). Options override them:
+              uppercase, lowercase, numbers, symbols, excludeAmbiguous,
+              exclude. Shows strength score and copies to clipboard.
+            </td>
+          </tr>
+          <tr>
+            <td>
+              <code>password.audit()</code>
+            </td>
+            <td>
+              Health check: flags weak passwords (entropy estimate), passwords
+              reused across entries, entries not changed in the configured
+              number of days, and sites without HTTPS.
             </td>
           </tr>
           <tr>
@@ -3720,6 +3736,9 @@ password.search("email")
 # Generate a strong password
 password.generate(24)
 
+# Find risky entries
+password.audit()
+
 # Lock when done
 password.lock()`}
       </div>
@@ -9,6 +9,7 @@
  * - Spreadsheet view for Excel/CSV
  * - Text editing for plain text files
  * - Document indexing for universal search
+ * - Live reload when the file changes on disk (/api/fs/watch)
  * - Exposed instance API for command system
  */
 
@@ -31,6 +32,7 @@ import {
 } from "lucide-react";
 import { eventBus } from "../../core/EventBus";
 import { contextEngine } from "../../core/ContextEngine";
+import { useFsWatch } from "../../core/useFsWatch";
 import "./DocumentViewer.css";
 
 // Shared instance for command API
@@ -60,6 +62,7 @@ export default function DocumentViewer({ filePath: initialPath }) {
   const [editContent, setEditContent] = useState("");
   const [isDirty, setIsDirty] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [diskChange, setDiskChange] = useState(null); // "modified" | "deleted" while there are unsaved edits
 
   // Open file picker
   const [showPicker, setShowPicker] = useState(!initialPath);
@@ -73,14 +76,18 @@ export default function DocumentViewer({ filePath: initialPath }) {
 
   // ─── Load Document ───────────────────────────────────────
 
-  const loadDocument = useCallback(async (path) => {
+  const loadDocument = useCallback(async (path, { quiet = false } = {}) => {
     if (!path) {return;}
-    setLoading(true);
+    // Quiet reloads (file changed on disk) keep the current view until the new text arrives
+    if (!quiet) {
+      setLoading(true);
+      setDocText(null);
+      setSheetData(null);
+      setDocMeta(null);
+    }
     setError(null);
-    setDocText(null);
-    setSheetData(null);
-    setDocMeta(null);
     setShowPicker(false);
+    setDiskChange(null);
 
     try {
       const res = await fetch(`/api/docs/read?path=${encodeURIComponent(path)}`);
@@ -99,7 +106,7 @@ export default function DocumentViewer({ filePath: initialPath }) {
       // Handle spreadsheet data
       if (data.meta?.sheets) {
         setSheetData(data.meta.sheets);
-        setActiveSheet(data.meta.sheetNames?.[0] || null);
+        setActiveSheet((prev) => (quiet && data.meta.sheets[prev] ? prev : data.meta.sheetNames?.[0] || null));
       }
 
       // Register in context engine
@@ -117,6 +124,20 @@ export default function DocumentViewer({ filePath: initialPath }) {
     if (initialPath) {loadDocument(initialPath);}
   }, [initialPath]);
 
+  // Follow the file on disk; unsaved edits are never overwritten
+  useFsWatch(docMeta ? filePath : null, (events) => {
+    const event = events.find((e) => e.path === filePath || e.oldPath === filePath);
+    if (!event) {return;}
+    if (event.type === "delete" || (event.type === "rename" && event.oldPath === filePath)) {
+      setDiskChange("deleted");
+    } else if (isDirty) {
+      setDiskChange("modified");
+    } else {
+      if (isEditing) {setIsEditing(false);}
+      loadDocument(filePath, { quiet: true });
+    }
+  });
+
   // ─── Instance API ────────────────────────────────────────
 
   useEffect(() => {
@@ -208,6 +229,7 @@ export default function DocumentViewer({ filePath: initialPath }) {
       if (data.success) {
         setDocText(editContent);
         setIsDirty(false);
+        setDiskChange(null);
         contextEngine.registerDocument(filePath, editContent, docMeta);
       }
     } catch {}
@@ -459,6 +481,32 @@ export default function DocumentViewer({ filePath: initialPath }) {
         </div>
       )}
 
+      {diskChange && (
+        <div className="dv-disk-notice">
+          <AlertTriangle size={14} />
+          <span>
+            {diskChange === "deleted"
+              ? "This file was deleted or moved on disk."
+              : "This file changed on disk. Saving will overwrite those changes."}
+          </span>
+          {diskChange === "modified" && (
+            <button
+              className="dv-tool-btn"
+              onClick={() => {
+                setIsDirty(false);
+                setIsEditing(false);
+                loadDocument(filePath, { quiet: true });
+              }}
+            >
+              Reload
+            </button>
+          )}
+          <button className="dv-search-nav" onClick={() => setDiskChange(null)}>
+            <X size={14} />
+          </button>
+        </div>
+      )}
+
       {/* Main content */}
       <div className="dv-content">
         {showPicker && !loading && !docText ? (
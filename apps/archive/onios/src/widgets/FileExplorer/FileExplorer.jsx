@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect } from "react";
+import React, { useState, useCallback, useEffect, useRef } from "react";
 import ContextMenu from "../../components/ContextMenu/ContextMenu";
 import {
   Folder,
@@ -23,6 +23,10 @@ import {
   ArrowLeft,
   RefreshCw,
   Eye,
+  EyeOff,
+  Search,
+  FileSearch,
+  X,
   Loader2,
   FolderPlus,
   FilePlus,
@@ -32,9 +36,19 @@ import {
   Monitor,
   Clipboard,
   RotateCw,
+  Undo2,
+  Upload,
+  PackageOpen,
+  Copy,
+  Scissors,
+  ClipboardPaste,
+  CopyPlus,
 } from "lucide-react";
 import { commandRegistry } from "../../core/CommandRegistry";
 import { useWidgetState } from "../../core/useWidgetState";
+import { useFsWatch } from "../../core/useFsWatch";
+import { uploadFile, downloadUrl } from "../../core/FileTransfer";
+import { runJob } from "../../core/FileJobs";
 import { useWidgetContext } from "../../core/useWidgetContext";
 import "./FileExplorer.css";
 
@@ -156,6 +170,288 @@ const formatDate = (iso) => {
   });
 };
 
+const isArchive = (name) => /\.(zip|tar|tgz|tar\.gz)$/i.test(name);
+
+async function postJSON(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return res.json();
+}
+
+/**
+ * Archive view — browse a zip/tar(.gz) like a folder (via
+ * /api/fs/archive/list) and extract all of it or single entries next to it.
+ */
+function ArchiveView({ archivePath, onClose, onExtracted }) {
+  const [dir, setDir] = useState("");
+  const [listing, setListing] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setListing(null);
+    setError(null);
+    fetch(
+      `/api/fs/archive/list?path=${encodeURIComponent(archivePath)}&dir=${encodeURIComponent(dir)}`,
+    )
+      .then((res) => res.json())
+      .then((data) => {
+        if (cancelled) {return;}
+        if (data.error) {setError(data.error);} else {setListing(data);}
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [archivePath, dir]);
+
+  const extract = async (entry) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await postJSON("/api/fs/extract", {
+        path: archivePath,
+        ...(entry && { entries: [entry.path] }),
+      });
+      if (data.error) {
+        setError(data.error);
+      } else {
+        onExtracted(data);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const name = archivePath.split("/").pop();
+  const crumbs = dir ? dir.split("/") : [];
+  return (
+    <div className="fe-trash fe-archive">
+      <div className="fe-trash-header">
+        <div className="fe-trash-summary">
+          <span className="fe-archive-crumbs">
+            <button className="fe-breadcrumb-item" onClick={() => setDir("")}>
+              {name}
+            </button>
+            {crumbs.map((part, i) => (
+              <React.Fragment key={i}>
+                <ChevronRight size={12} className="fe-breadcrumb-sep" />
+                <button
+                  className="fe-breadcrumb-item"
+                  onClick={() => setDir(crumbs.slice(0, i + 1).join("/"))}
+                >
+                  {part}
+                </button>
+              </React.Fragment>
+            ))}
+          </span>
+          {listing && (
+            <span className="fe-trash-hint">
+              {listing.format} · {listing.totalEntries} entries ·{" "}
+              {formatSize(listing.totalSize)} uncompressed
+            </span>
+          )}
+        </div>
+        <button className="fe-retry-btn" onClick={() => extract(null)} disabled={busy}>
+          {busy ? "Extracting..." : "Extract All"}
+        </button>
+        <button className="fe-nav-btn" onClick={onClose} title="Close archive">
+          <X size={14} />
+        </button>
+      </div>
+      {error && <div className="fe-trash-error">⚠️ {error}</div>}
+      {!listing ? (
+        !error && (
+          <div className="fe-loading">
+            <Loader2 size={24} className="fe-spinner" />
+            <span>Reading archive...</span>
+          </div>
+        )
+      ) : listing.entries.length === 0 ? (
+        <div className="fe-empty">
+          <span className="fe-empty-icon">📦</span>
+          <span>Empty archive</span>
+        </div>
+      ) : (
+        <div className="fe-list">
+          {listing.entries.map((entry) => (
+            <div
+              key={entry.path}
+              className="fe-list-item fe-trash-item"
+              data-dir={entry.isDirectory}
+              onDoubleClick={() => entry.isDirectory && setDir(entry.path)}
+            >
+              <span className="fe-list-item-icon">
+                {getSmallFileIcon(entry.name, entry.isDirectory)}
+              </span>
+              <span className="fe-list-item-name">{entry.name}</span>
+              <span className="fe-list-item-date">{formatDate(entry.modified)}</span>
+              <span className="fe-list-item-size">
+                {entry.isDirectory ? "—" : formatSize(entry.size)}
+              </span>
+              <button
+                className="fe-nav-btn"
+                onClick={() => extract(entry)}
+                disabled={busy}
+                title="Extract next to the archive"
+              >
+                <PackageOpen size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Trash view — items deleted through /api/fs/delete or Space Lens, with
+ * restore and permanent delete.
+ */
+function TrashView() {
+  const [trash, setTrash] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetch("/api/fs/trash/list");
+      const data = await res.json();
+      if (data.error) {
+        setError(data.error);
+        return;
+      }
+      setTrash(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const restore = async (item) => {
+    setError(null);
+    try {
+      const res = await fetch("/api/fs/trash/restore", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ id: item.id }),
+      });
+      const data = await res.json();
+      if (data.error) {setError(data.error);}
+    } catch (err) {
+      setError(err.message);
+    }
+    load();
+  };
+
+  const deleteForever = async (item) => {
+    const message = item
+      ? `Permanently delete "${item.name}"? This cannot be undone.`
+      : "Permanently delete everything in the Trash? This cannot be undone.";
+    if (!window.confirm(message)) {return;}
+    try {
+      await fetch("/api/fs/trash/empty", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(item ? { ids: [item.id] } : {}),
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+    load();
+  };
+
+  if (!trash) {
+    return error ? (
+      <div className="fe-error">
+        <span>⚠️ {error}</span>
+      </div>
+    ) : (
+      <div className="fe-loading">
+        <Loader2 size={24} className="fe-spinner" />
+        <span>Loading...</span>
+      </div>
+    );
+  }
+
+  const { items, totalBytes, settings } = trash;
+  return (
+    <div className="fe-trash">
+      <div className="fe-trash-header">
+        <div className="fe-trash-summary">
+          <span>
+            {items.length} item{items.length !== 1 ? "s" : ""} · {formatSize(totalBytes)}
+            {settings.maxBytes > 0 && ` of ${formatSize(settings.maxBytes)}`}
+          </span>
+          {settings.maxAgeDays > 0 && (
+            <span className="fe-trash-hint">
+              Items are removed for good after {settings.maxAgeDays} days
+            </span>
+          )}
+        </div>
+        <button
+          className="fe-retry-btn"
+          onClick={() => deleteForever(null)}
+          disabled={items.length === 0}
+        >
+          Empty Trash
+        </button>
+      </div>
+      {error && <div className="fe-trash-error">⚠️ {error}</div>}
+      {items.length === 0 ? (
+        <div className="fe-empty">
+          <span className="fe-empty-icon">🗑️</span>
+          <span>Trash is empty</span>
+        </div>
+      ) : (
+        <div className="fe-list">
+          {items.map((item) => (
+            <div key={item.id} className="fe-list-item fe-trash-item">
+              <span className="fe-list-item-icon">
+                {getSmallFileIcon(item.name, item.isDirectory)}
+              </span>
+              <span className="fe-list-item-name">
+                {item.name}
+                <span className="fe-list-item-match" title={item.originalPath}>
+                  {item.originalPath}
+                </span>
+              </span>
+              <span className={`fe-trash-source ${item.deletedBy}`}>
+                {item.deletedBy}
+              </span>
+              <span className="fe-list-item-date">{formatDate(item.deletedAt)}</span>
+              <span className="fe-list-item-size">{formatSize(item.size)}</span>
+              <button
+                className="fe-nav-btn"
+                onClick={() => restore(item)}
+                title="Put back"
+              >
+                <Undo2 size={14} />
+              </button>
+              <button
+                className="fe-nav-btn"
+                onClick={() => deleteForever(item)}
+                title="Delete permanently"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function FileExplorer({ initialPath, windowId, widgetType }) {
   const [currentPath, setCurrentPath] = useState("");
   const [items, setItems] = useState([]);
@@ -190,6 +486,26 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
   const [renameDialog, setRenameDialog] = useState(null); // { item, newName }
   const [createName, setCreateName] = useState("");
   const [renameName, setRenameName] = useState("");
+  const [showHidden, setShowHidden] = useWidgetState(
+    windowId,
+    "file-explorer",
+    "showHidden",
+    false,
+  );
+  // Recursive search below currentPath; searchResults is null while browsing
+  const [searchTerm, setSearchTerm] = useState("");
+  const [searchContents, setSearchContents] = useState(false);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchStatus, setSearchStatus] = useState(null); // { running, matched, truncated, error }
+  const [showTrash, setShowTrash] = useState(false);
+  const [archivePath, setArchivePath] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  const [upload, setUpload] = useState(null); // { name, sent, total, index, count }
+  const uploadAbortRef = useRef(null);
+  const [clipboard, setClipboard] = useState(null); // { op: "copy" | "move", paths }
+  const [job, setJob] = useState(null); // { label, progress }
+  const jobAbortRef = useRef(null);
+  const searchAbortRef = useRef(null);
 
   // Report live context for AI agents
   useWidgetContext(windowId, "file-explorer", {
@@ -206,19 +522,31 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
       .map((i) => i.name)
       .slice(0, 30),
     selectedFile: selected?.name || null,
+    searchTerm: searchResults ? searchTerm : null,
+    searchResultCount: searchResults?.length ?? null,
     hasPreview: !!previewContent,
     loading,
     error,
   });
 
-  const fetchDirectory = useCallback(async (dirPath) => {
-    setLoading(true);
+  const fetchDirectory = useCallback(async (dirPath, { quiet = false } = {}) => {
+    // Quiet refreshes (changes on disk) keep the selection and preview
+    if (!quiet) {
+      setLoading(true);
+      setShowTrash(false);
+      setArchivePath(null);
+      setSelected(null);
+      setPreviewContent(null);
+      searchAbortRef.current?.abort();
+      setSearchResults(null);
+      setSearchStatus(null);
+    }
     setError(null);
-    setSelected(null);
-    setPreviewContent(null);
     try {
-      const params = dirPath ? `?path=${encodeURIComponent(dirPath)}` : "";
-      const res = await fetch(`/api/fs/list${params}`);
+      const params = new URLSearchParams();
+      if (dirPath) {params.set("path", dirPath);}
+      if (showHidden) {params.set("showHidden", "1");}
+      const res = await fetch(`/api/fs/list?${params}`);
       const data = await res.json();
       if (data.error) {
         setError(data.error);
@@ -241,8 +569,76 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
     } finally {
       setLoading(false);
     }
+  }, [showHidden]);
+
+  const runSearch = useCallback(async () => {
+    const term = searchTerm.trim();
+    searchAbortRef.current?.abort();
+    if (!term) {
+      setSearchResults(null);
+      setSearchStatus(null);
+      return;
+    }
+    const controller = new AbortController();
+    searchAbortRef.current = controller;
+    const params = new URLSearchParams({ path: currentPath, limit: "500" });
+    if (showHidden) {params.set("showHidden", "1");}
+    if (searchContents) {
+      params.set("query", term);
+      params.set("literal", "1");
+    } else {
+      params.set("glob", /[*?[{]/.test(term) ? term : `*${term}*`);
+    }
+    setSearchResults([]);
+    setSearchStatus({ running: true });
+    try {
+      const res = await fetch(`/api/fs/search?${params}`, { signal: controller.signal });
+      if (!res.ok) {
+        const data = await res.json();
+        setSearchStatus({ running: false, error: data.error });
+        return;
+      }
+      // NDJSON: append matches as they stream in
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered = "";
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {break;}
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        const batch = [];
+        for (const line of lines) {
+          if (!line) {continue;}
+          const event = JSON.parse(line);
+          if (event.type === "match") {
+            batch.push({
+              ...event,
+              extension: event.isDirectory ? null : event.name.includes(".") ? event.name.split(".").pop().toLowerCase() : "",
+            });
+          } else if (event.type === "done") {
+            setSearchStatus({ running: false, matched: event.matched, truncated: event.truncated || event.timedOut });
+          } else if (event.type === "error") {
+            setSearchStatus({ running: false, error: event.error });
+          }
+        }
+        if (batch.length) {setSearchResults((prev) => [...(prev || []), ...batch]);}
+      }
+    } catch (err) {
+      if (err.name !== "AbortError") {setSearchStatus({ running: false, error: err.message });}
+    }
+  }, [searchTerm, searchContents, currentPath, showHidden]);
+
+  const clearSearch = useCallback(() => {
+    searchAbortRef.current?.abort();
+    setSearchTerm("");
+    setSearchResults(null);
+    setSearchStatus(null);
   }, []);
 
+  useEffect(() => () => searchAbortRef.current?.abort(), []);
+
   const handleCreateNew = useCallback(
     async (type) => {
       const name = createName.trim();
@@ -295,14 +691,20 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
 
   const handleDelete = useCallback(
     async (item) => {
-      const confirmed = window.confirm(
-        `Delete "${item.name}"? This cannot be undone.`,
-      );
+      const confirmed = window.confirm(`Move "${item.name}" to the Trash?`);
       if (!confirmed) {return;}
       try {
-        await fetch(`/api/fs/delete?path=${encodeURIComponent(item.path)}`, {
-          method: "DELETE",
-        });
+        const url = `/api/fs/delete?path=${encodeURIComponent(item.path)}`;
+        const res = await fetch(url, { method: "DELETE" });
+        const data = await res.json();
+        if (
+          data.code === "TRASH_QUOTA" &&
+          window.confirm(
+            `"${item.name}" is too large for the Trash. Delete it permanently? This cannot be undone.`,
+          )
+        ) {
+          await fetch(`${url}&permanent=1`, { method: "DELETE" });
+        }
         fetchDirectory(currentPath);
       } catch (err) {
         console.error("Delete failed:", err);
@@ -311,10 +713,134 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
     [currentPath, fetchDirectory],
   );
 
+  // Dropped files go to the current folder in resumable chunks
+  const handleDrop = useCallback(
+    async (e) => {
+      e.preventDefault();
+      setDragOver(false);
+      if (!currentPath || showTrash || archivePath || upload) {return;}
+      const files = [...e.dataTransfer.files].filter(
+        (_, i) => !e.dataTransfer.items?.[i]?.webkitGetAsEntry?.()?.isDirectory,
+      );
+      if (files.length === 0) {return;}
+
+      const controller = new AbortController();
+      uploadAbortRef.current = controller;
+      try {
+        for (const [index, file] of files.entries()) {
+          const dest = `${currentPath}/${file.name}`;
+          const onProgress = (sent, total) =>
+            setUpload({ name: file.name, sent, total, index, count: files.length });
+          try {
+            await uploadFile(file, dest, { signal: controller.signal, onProgress });
+          } catch (err) {
+            if (err.code !== "EEXIST") {throw err;}
+            if (!window.confirm(`"${file.name}" already exists. Replace it?`)) {continue;}
+            await uploadFile(file, dest, { overwrite: true, signal: controller.signal, onProgress });
+          }
+        }
+      } catch (err) {
+        if (err.name !== "AbortError") {
+          window.alert(`Upload failed: ${err.message}`);
+        }
+      } finally {
+        uploadAbortRef.current = null;
+        setUpload(null);
+        fetchDirectory(currentPath, { quiet: true });
+      }
+    },
+    [currentPath, showTrash, archivePath, upload, fetchDirectory],
+  );
+
+  // Archive actions run server-side next to the source; the listing refreshes after
+  const handleExtract = useCallback(
+    async (item) => {
+      try {
+        const data = await postJSON("/api/fs/extract", { path: item.path });
+        if (data.error) {throw new Error(data.error);}
+        fetchDirectory(currentPath, { quiet: true });
+        if (data.skipped?.length) {
+          window.alert(
+            `Extracted to ${data.path.split("/").pop()}; skipped ${data.skipped.length} entr${data.skipped.length === 1 ? "y" : "ies"} (links or unsupported)`,
+          );
+        }
+      } catch (err) {
+        window.alert(`Extract failed: ${err.message}`);
+      }
+    },
+    [currentPath, fetchDirectory],
+  );
+
+  const handleCompress = useCallback(
+    async (item) => {
+      try {
+        const data = await postJSON("/api/fs/archive", { paths: [item.path], format: "zip" });
+        if (data.error) {throw new Error(data.error);}
+        fetchDirectory(currentPath, { quiet: true });
+      } catch (err) {
+        window.alert(`Compress failed: ${err.message}`);
+      }
+    },
+    [currentPath, fetchDirectory],
+  );
+
+  // Copy/move/duplicate run as server-side batch jobs (progress over SSE)
+  const runFileJob = useCallback(
+    async (spec, label) => {
+      if (jobAbortRef.current) {return;}
+      const controller = new AbortController();
+      jobAbortRef.current = controller;
+      setJob({ label, progress: null });
+      try {
+        const result = await runJob(spec, {
+          signal: controller.signal,
+          onProgress: (update) => setJob({ label, progress: update.progress }),
+        });
+        if (result.status === "failed" || result.failed > 0) {
+          window.alert(
+            `${label}: ${result.error || `${result.failed} item${result.failed === 1 ? "" : "s"} failed`}`,
+          );
+        }
+      } catch (err) {
+        window.alert(`${label} failed: ${err.message}`);
+      } finally {
+        jobAbortRef.current = null;
+        setJob(null);
+        fetchDirectory(currentPath, { quiet: true });
+      }
+    },
+    [currentPath, fetchDirectory],
+  );
+
+  // Pasting never overwrites: clashing names get " 2", " 3", ...
+  const handlePaste = useCallback(
+    (dest) => {
+      if (!clipboard) {return;}
+      const count = clipboard.paths.length;
+      runFileJob(
+        { op: clipboard.op, paths: clipboard.paths, dest, conflict: "rename" },
+        `${clipboard.op === "move" ? "Moving" : "Copying"} ${count} item${count === 1 ? "" : "s"}`,
+      );
+      if (clipboard.op === "move") {setClipboard(null);}
+    },
+    [clipboard, runFileJob],
+  );
+
+  useEffect(() => () => uploadAbortRef.current?.abort(), []);
+
   useEffect(() => {
     fetchDirectory(initialPath || savedPath || "");
   }, []);
 
+  useEffect(() => {
+    if (currentPath) {fetchDirectory(currentPath);}
+  }, [showHidden]);
+
+  // Live updates while browsing (search results are a snapshot)
+  useFsWatch(searchResults || showTrash || archivePath ? null : currentPath, () => {
+    fetchDirectory(currentPath, { quiet: true });
+  });
+
   const navigateTo = useCallback(
     (path) => {
       // Add to history
@@ -419,6 +945,9 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
     (item) => {
       if (item.isDirectory) {
         navigateTo(item.path);
+      } else if (isArchive(item.name)) {
+        setPreviewContent(null);
+        setArchivePath(item.path);
       } else {
         // Open file in the appropriate widget
         const escaped = item.path.replace(/"/g, '\\"');
@@ -488,7 +1017,35 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
               } catch {}
             },
           },
+          {
+            label: "Download",
+            icon: <Download size={14} />,
+            onClick: () => {
+              const link = document.createElement("a");
+              link.href = downloadUrl(item.path);
+              link.download = item.name;
+              link.click();
+            },
+          },
         );
+        if (isArchive(item.name)) {
+          menuItems.push(
+            { type: "separator" },
+            {
+              label: "Browse Archive",
+              icon: <FileArchive size={14} />,
+              onClick: () => {
+                setPreviewContent(null);
+                setArchivePath(item.path);
+              },
+            },
+            {
+              label: "Extract Here",
+              icon: <PackageOpen size={14} />,
+              onClick: () => handleExtract(item),
+            },
+          );
+        }
       }
 
       menuItems.push(
@@ -501,6 +1058,40 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
             setRenameName(item.name);
           },
         },
+        {
+          label: "Copy",
+          icon: <Copy size={14} />,
+          onClick: () => setClipboard({ op: "copy", paths: [item.path] }),
+        },
+        {
+          label: "Cut",
+          icon: <Scissors size={14} />,
+          onClick: () => setClipboard({ op: "move", paths: [item.path] }),
+        },
+        ...(item.isDirectory && clipboard
+          ? [
+              {
+                label: "Paste Into",
+                icon: <ClipboardPaste size={14} />,
+                onClick: () => handlePaste(item.path),
+              },
+            ]
+          : []),
+        {
+          label: "Duplicate",
+          icon: <CopyPlus size={14} />,
+          onClick: () =>
+            runFileJob(
+              {
+                op: "copy",
+                paths: [item.path],
+                dest: item.path.slice(0, item.path.lastIndexOf("/")) || "/",
+                conflict: "rename",
+              },
+              `Duplicating ${item.name}`,
+            ),
+        },
+        { type: "separator" },
         {
           label: "Copy Path",
           icon: <Clipboard size={14} />,
@@ -508,6 +1099,11 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
             navigator.clipboard?.writeText(item.path);
           },
         },
+        {
+          label: "Compress to ZIP",
+          icon: <FileArchive size={14} />,
+          onClick: () => handleCompress(item),
+        },
         { type: "separator" },
         {
           label: "Delete",
@@ -525,7 +1121,16 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
 
       setContextMenu({ x: e.clientX, y: e.clientY, items: menuItems });
     },
-    [navigateTo, currentPath, fetchDirectory],
+    [
+      navigateTo,
+      currentPath,
+      fetchDirectory,
+      handleExtract,
+      handleCompress,
+      clipboard,
+      handlePaste,
+      runFileJob,
+    ],
   );
 
   // Sidebar quick links
@@ -547,6 +1152,7 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
     : [];
 
   const pathParts = currentPath ? currentPath.split("/").filter(Boolean) : [];
+  const displayItems = searchResults ?? items;
   const dirCount = items.filter((i) => i.isDirectory).length;
   const fileCount = items.filter((i) => !i.isDirectory).length;
 
@@ -572,6 +1178,17 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
           <HardDrive />
           Root (/)
         </button>
+        <button
+          className={`fe-sidebar-item ${showTrash ? "active" : ""}`}
+          onClick={() => {
+            clearSearch();
+            setArchivePath(null);
+            setShowTrash(true);
+          }}
+        >
+          <Trash2 />
+          Trash
+        </button>
       </div>
 
       {/* Main */}
@@ -624,6 +1241,39 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
             ))}
           </div>
 
+          <div className="fe-search">
+            <Search size={12} />
+            <input
+              className="fe-search-input"
+              placeholder={searchContents ? "Search contents..." : "Search names..."}
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {runSearch();}
+                if (e.key === "Escape") {clearSearch();}
+              }}
+            />
+            {searchResults && (
+              <button className="fe-search-clear" onClick={clearSearch} title="Clear search">
+                <X size={12} />
+              </button>
+            )}
+          </div>
+          <button
+            className={`fe-nav-btn ${searchContents ? "active" : ""}`}
+            onClick={() => setSearchContents(!searchContents)}
+            title={searchContents ? "Searching file contents" : "Searching file names"}
+          >
+            <FileSearch size={14} />
+          </button>
+          <button
+            className={`fe-nav-btn ${showHidden ? "active" : ""}`}
+            onClick={() => setShowHidden(!showHidden)}
+            title={showHidden ? "Hide hidden files" : "Show hidden files"}
+          >
+            {showHidden ? <Eye size={14} /> : <EyeOff size={14} />}
+          </button>
+
           <button
             className="fe-nav-btn fe-action-btn"
             onClick={() => {
@@ -644,6 +1294,16 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
           >
             <FilePlus size={14} />
           </button>
+          {clipboard && (
+            <button
+              className="fe-nav-btn fe-action-btn"
+              onClick={() => handlePaste(currentPath)}
+              disabled={!!job || showTrash || !!archivePath}
+              title={`Paste ${clipboard.paths.length} item${clipboard.paths.length === 1 ? "" : "s"} here`}
+            >
+              <ClipboardPaste size={14} />
+            </button>
+          )}
 
           <div className="fe-view-toggle">
             <button
@@ -662,9 +1322,29 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
         </div>
 
         {/* Content */}
-        <div className="fe-content-wrapper">
+        <div
+          className={`fe-content-wrapper ${dragOver ? "drag-over" : ""}`}
+          onDragOver={(e) => {
+            if (showTrash || archivePath || !e.dataTransfer.types.includes("Files")) {return;}
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "copy";
+            setDragOver(true);
+          }}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) {setDragOver(false);}
+          }}
+          onDrop={handleDrop}
+        >
           <div className={`fe-content ${previewContent ? "with-preview" : ""}`}>
-            {loading ? (
+            {showTrash ? (
+              <TrashView />
+            ) : archivePath ? (
+              <ArchiveView
+                archivePath={archivePath}
+                onClose={() => setArchivePath(null)}
+                onExtracted={() => fetchDirectory(currentPath, { quiet: true })}
+              />
+            ) : loading ? (
               <div className="fe-loading">
                 <Loader2 size={24} className="fe-spinner" />
                 <span>Loading...</span>
@@ -679,14 +1359,25 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
                   Retry
                 </button>
               </div>
-            ) : items.length === 0 ? (
+            ) : searchStatus?.error ? (
+              <div className="fe-error">
+                <span>⚠️ {searchStatus.error}</span>
+                <button className="fe-retry-btn" onClick={clearSearch}>
+                  Back
+                </button>
+              </div>
+            ) : displayItems.length === 0 ? (
               <div className="fe-empty">
-                <span className="fe-empty-icon">📂</span>
-                <span>This folder is empty</span>
+                <span className="fe-empty-icon">{searchResults ? "🔍" : "📂"}</span>
+                <span>
+                  {searchResults
+                    ? searchStatus?.running ? "Searching..." : "No matches"
+                    : "This folder is empty"}
+                </span>
               </div>
             ) : viewMode === "grid" ? (
               <div className="fe-grid">
-                {items.map((item) => (
+                {displayItems.map((item) => (
                   <button
                     key={item.path || item.name}
                     className={`fe-grid-item ${selected === item.name ? "selected" : ""}`}
@@ -719,18 +1410,26 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
                   <span className="fe-list-header-date">Modified</span>
                   <span className="fe-list-header-size">Size</span>
                 </div>
-                {items.map((item) => (
+                {displayItems.map((item) => (
                   <button
                     key={item.path || item.name}
                     className={`fe-list-item ${selected === item.name ? "selected" : ""}`}
                     onClick={() => handleItemClick(item)}
                     onDoubleClick={() => handleItemDoubleClick(item)}
                     onContextMenu={(e) => handleItemContextMenu(e, item)}
+                    title={item.matches?.map((m) => `${m.line}: ${m.text}`).join("\n")}
                   >
                     <span className="fe-list-item-icon">
                       {getSmallFileIcon(item.name, item.isDirectory)}
                     </span>
-                    <span className="fe-list-item-name">{item.name}</span>
+                    <span className="fe-list-item-name">
+                      {item.relativePath || item.name}
+                      {item.matches?.[0] && (
+                        <span className="fe-list-item-match">
+                          {item.matches[0].line}: {item.matches[0].text.trim()}
+                        </span>
+                      )}
+                    </span>
                     <span className="fe-list-item-date">
                       {formatDate(item.modified)}
                     </span>
@@ -769,11 +1468,55 @@ export default function FileExplorer({ initialPath, windowId, widgetType }) {
 
         {/* Status Bar */}
         <div className="fe-statusbar">
-          {dirCount > 0 && `${dirCount} folder${dirCount !== 1 ? "s" : ""}`}
-          {dirCount > 0 && fileCount > 0 && ", "}
-          {fileCount > 0 && `${fileCount} file${fileCount !== 1 ? "s" : ""}`}
-          {items.length === 0 && "Empty folder"}
+          {searchResults ? (
+            <>
+              {`${searchResults.length} result${searchResults.length !== 1 ? "s" : ""}`}
+              {searchStatus?.running && " · searching..."}
+              {searchStatus?.truncated && " · more results not shown, refine the search"}
+            </>
+          ) : (
+            <>
+              {dirCount > 0 && `${dirCount} folder${dirCount !== 1 ? "s" : ""}`}
+              {dirCount > 0 && fileCount > 0 && ", "}
+              {fileCount > 0 && `${fileCount} file${fileCount !== 1 ? "s" : ""}`}
+              {items.length === 0 && "Empty folder"}
+            </>
+          )}
           {selected ? ` · ${selected}` : ""}
+          {upload && (
+            <span className="fe-upload-status">
+              <Upload size={11} />
+              {upload.count > 1 && `${upload.index + 1}/${upload.count} · `}
+              {upload.name} · {Math.floor((upload.sent / (upload.total || 1)) * 100)}%
+              <progress value={upload.sent} max={upload.total || 1} />
+              <button
+                className="fe-upload-cancel"
+                title="Cancel upload (it can be resumed by dropping the file again)"
+                onClick={() => uploadAbortRef.current?.abort()}
+              >
+                <X size={11} />
+              </button>
+            </span>
+          )}
+          {job && (
+            <span className="fe-upload-status">
+              <Copy size={11} />
+              {job.label}
+              {job.progress &&
+                ` · ${job.progress.itemsDone}/${job.progress.itemsTotal} · ${formatSize(job.progress.bytesDone)}`}
+              <progress
+                value={job.progress?.bytesDone || 0}
+                max={job.progress?.bytesTotal || 1}
+              />
+              <button
+                className="fe-upload-cancel"
+                title="Cancel (finished items are kept)"
+                onClick={() => jobAbortRef.current?.abort()}
+              >
+                <X size={11} />
+              </button>
+            </span>
+          )}
         </div>
       </div>
 
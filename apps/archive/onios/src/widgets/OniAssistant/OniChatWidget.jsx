@@ -8,7 +8,8 @@
  *   4. GatewayClient receives action events via /api/oni/events SSE
  *   5. Action events trigger local commandRegistry commands (widgets open/update)
  *   6. Chat UI shows live status of each action as it happens
- *   7. Final AI text response streams back via SSE
+ *   7. AI text, tool calls and usage stream back via SSE as the run goes;
+ *      Stop (or closing the widget) cancels the CLI run
  *
  * This widget subscribes to gateway.onAction() to see what the AI is doing
  * in real-time, and shows status messages + executes widget commands.
@@ -95,6 +96,7 @@ export default function OniChatWidget() {
   const [action, setAction] = useState("idle");
   const abortRef = useRef(null);
   const chatStartTimeRef = useRef(null);
+  const chatRunIdRef = useRef(null);
 
   // Initialize AbortController
   useEffect(() => {
@@ -279,6 +281,7 @@ export default function OniChatWidget() {
       setIsStreaming(true);
       setStreamingText("");
       chatStartTimeRef.current = Date.now();
+      let fullText = "";
 
       try {
         const context = getDesktopContext();
@@ -306,7 +309,7 @@ export default function OniChatWidget() {
         // Parse SSE stream from gateway
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
-        let fullText = "";
+        let finalText = null;
         let buffer = "";
         let currentEvent = "";
 
@@ -325,7 +328,9 @@ export default function OniChatWidget() {
               try {
                 const data = JSON.parse(line.slice(6));
 
-                if (currentEvent === "text_delta" && data.delta) {
+                if (currentEvent === "start") {
+                  chatRunIdRef.current = data.runId;
+                } else if (currentEvent === "text_delta" && data.delta) {
                   fullText += data.delta;
                   setStreamingText(fullText);
                   // Once text starts flowing, switch emotion
@@ -333,10 +338,26 @@ export default function OniChatWidget() {
                     setEmotion("focused");
                     setAction("generating");
                   }
+                } else if (currentEvent === "tool_start") {
+                  setAction("executing");
+                  addStatusMessage(`Using ${data.name}…`, "working");
+                } else if (currentEvent === "tool_end" && data.isError) {
+                  addStatusMessage(`${data.name} failed`, "error");
                 } else if (currentEvent === "done") {
+                  finalText = data.text ?? null;
                   if (data.model) {
-                    addStatusMessage(`Model: ${data.model}`, "info");
+                    const tokens = data.usage?.total;
+                    addStatusMessage(
+                      tokens
+                        ? `Model: ${data.model} · ${tokens} tokens`
+                        : `Model: ${data.model}`,
+                      "info",
+                    );
                   }
+                } else if (currentEvent === "cancelled") {
+                  const cancelled = new Error("Chat run cancelled");
+                  cancelled.name = "AbortError";
+                  throw cancelled;
                 } else if (currentEvent === "error") {
                   throw new Error(data.error || "Gateway response error");
                 }
@@ -349,8 +370,9 @@ export default function OniChatWidget() {
           }
         }
 
-        // Build final assistant message — strip raw JSON tool results
-        const cleanedText = stripToolResultJSON(fullText);
+        // Build final assistant message — the reply in `done` is authoritative
+        // over the streamed preview; strip raw JSON tool results
+        const cleanedText = stripToolResultJSON(finalText ?? fullText);
         const assistantMsg = {
           id: nanoid(),
           role: "assistant",
@@ -368,7 +390,23 @@ export default function OniChatWidget() {
         setAction("success");
         setEmotion("happy");
       } catch (err) {
-        if (err.name === "AbortError") {return;}
+        if (err.name === "AbortError") {
+          // Stopped: keep what had streamed so far
+          if (fullText) {
+            setMessages((prev) => [
+              ...prev.filter(
+                (m) => m.role !== "status" || m.statusType !== "working",
+              ),
+              {
+                id: nanoid(),
+                role: "assistant",
+                content: `${stripToolResultJSON(fullText)}\n\n_(stopped)_`,
+                timestamp: Date.now(),
+              },
+            ]);
+          }
+          return;
+        }
         console.warn("[OniChat] Error:", err);
         setAction("error");
         setEmotion("frustrated");
@@ -388,6 +426,7 @@ export default function OniChatWidget() {
         setIsStreaming(false);
         setStreamingText("");
         chatStartTimeRef.current = null;
+        chatRunIdRef.current = null;
       }
     },
     [getDesktopContext, addStatusMessage],
@@ -397,6 +436,15 @@ export default function OniChatWidget() {
   handleSendRef.current = handleSend;
 
   const handleStop = useCallback(() => {
+    // Dropping the stream cancels the run too; the explicit cancel covers
+    // proxies that keep the upstream request open
+    if (chatRunIdRef.current) {
+      fetch("/api/oni/chat/cancel", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ runId: chatRunIdRef.current }),
+      }).catch(() => {});
+    }
     abortRef.current?.abort();
     abortRef.current = new AbortController();
     setIsStreaming(false);
@@ -2,16 +2,19 @@
  * PasswordManager — Secure password vault with generator.
  *
  * Features:
- * - Master password lock/unlock
+ * - Master password lock/unlock (AES-GCM encrypted vault, idle auto-lock)
+ * - Master password change and auto-lock settings
+ * - Import from Bitwarden JSON / KeePass XML / CSV, encrypted bundle export
  * - Add/edit/delete credential entries
  * - Password generator with strength meter
+ * - Health audit: weak, reused, stale and non-HTTPS entries
  * - Copy to clipboard
  * - Search and filter by category
  * - Favorites
  * - Show/hide password toggle
  */
 
-import React, { useState, useMemo, useCallback } from "react";
+import React, { useState, useMemo, useCallback, useRef } from "react";
 import {
   Lock,
   Unlock,
@@ -30,12 +33,16 @@ import {
   X,
   ChevronDown,
   CheckCircle2,
+  Settings,
+  Upload,
+  Download,
+  ShieldAlert,
 } from "lucide-react";
 import usePasswordStore, {
-  generatePassword,
   calculateStrength,
   strengthLabel,
 } from "../../stores/passwordStore";
+import { detectFormat, parseExport } from "../../stores/vaultFormats";
 import "./PasswordManager.css";
 
 function StrengthBar({ score }) {
@@ -60,7 +67,15 @@ function StrengthBar({ score }) {
 export default function PasswordManager() {
   const entries = usePasswordStore((s) => s.entries);
   const vaultLocked = usePasswordStore((s) => s.vaultLocked);
-  const masterHash = usePasswordStore((s) => s.masterHash);
+  const isSetup = usePasswordStore((s) => s.vault !== null || !!s.legacy?.masterHash);
+  const isLegacyVault = usePasswordStore((s) => s.vault === null && !!s.legacy?.masterHash);
+  const autoLockMinutes = usePasswordStore((s) => s.autoLockMinutes);
+  const setAutoLockMinutes = usePasswordStore((s) => s.setAutoLockMinutes);
+  const changeMasterPassword = usePasswordStore((s) => s.changeMasterPassword);
+  const touch = usePasswordStore((s) => s.touch);
+  const importItems = usePasswordStore((s) => s.importItems);
+  const exportBundle = usePasswordStore((s) => s.exportBundle);
+  const readBundle = usePasswordStore((s) => s.readBundle);
   const setMasterPassword = usePasswordStore((s) => s.setMasterPassword);
   const unlock = usePasswordStore((s) => s.unlock);
   const lock = usePasswordStore((s) => s.lock);
@@ -70,9 +85,23 @@ export default function PasswordManager() {
   const toggleFavorite = usePasswordStore((s) => s.toggleFavorite);
   const getDecryptedPassword = usePasswordStore((s) => s.getDecryptedPassword);
   const getCategories = usePasswordStore((s) => s.getCategories);
+  const audit = usePasswordStore((s) => s.audit);
+  const auditSettings = usePasswordStore((s) => s.auditSettings);
+  const setAuditSettings = usePasswordStore((s) => s.setAuditSettings);
+  const generate = usePasswordStore((s) => s.generate);
+  const genOptions = usePasswordStore((s) => s.generatorOptions);
+  const setGeneratorOptions = usePasswordStore((s) => s.setGeneratorOptions);
 
   const [masterInput, setMasterInput] = useState("");
   const [masterError, setMasterError] = useState("");
+  const [unlocking, setUnlocking] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [changeForm, setChangeForm] = useState({ current: "", next: "", confirm: "" });
+  const [changeStatus, setChangeStatus] = useState(null); // { ok, message }
+  const [duplicateMode, setDuplicateMode] = useState("skip");
+  const [bundlePassphrase, setBundlePassphrase] = useState("");
+  const [transferStatus, setTransferStatus] = useState(null); // { ok, message }
+  const importInputRef = useRef(null);
   const [searchQuery, setSearchQuery] = useState("");
   const [selectedCategory, setSelectedCategory] = useState("all");
   const [showAdd, setShowAdd] = useState(false);
@@ -80,22 +109,24 @@ export default function PasswordManager() {
   const [visiblePasswords, setVisiblePasswords] = useState(new Set());
   const [copiedId, setCopiedId] = useState(null);
   const [showGenerator, setShowGenerator] = useState(false);
+  const [showAudit, setShowAudit] = useState(false);
 
   // Form state
   const [form, setForm] = useState({
     title: "", username: "", password: "", url: "", notes: "", category: "general",
   });
 
-  // Generator state
-  const [genLength, setGenLength] = useState(16);
-  const [genOptions, setGenOptions] = useState({
-    uppercase: true, lowercase: true, numbers: true, symbols: true,
-  });
   const [generatedPw, setGeneratedPw] = useState("");
 
-  const isSetup = masterHash !== null;
   const categories = useMemo(() => getCategories(), [entries]);
 
+  // Health report; entries change whenever a password does
+  const report = useMemo(() => audit(), [entries, auditSettings, vaultLocked]);
+  const issuesById = useMemo(
+    () => new Map((report?.entries || []).map((r) => [r.id, r.issues])),
+    [report],
+  );
+
   const filteredEntries = useMemo(() => {
     let list = [...entries];
     if (selectedCategory !== "all") {
@@ -121,23 +152,97 @@ export default function PasswordManager() {
 
   // ─── Lock Screen ─────────────────────────────────────
 
-  const handleUnlock = () => {
-    if (!isSetup) {
-      if (masterInput.length < 4) {
-        setMasterError("Master password must be at least 4 characters");
-        return;
-      }
-      setMasterPassword(masterInput);
-      setMasterInput("");
-      setMasterError("");
-    } else {
-      const ok = unlock(masterInput);
+  const handleUnlock = async () => {
+    if (unlocking) {return;}
+    if (!isSetup && masterInput.length < 4) {
+      setMasterError("Master password must be at least 4 characters");
+      return;
+    }
+    // Key derivation is deliberately slow (PBKDF2), so show progress
+    setUnlocking(true);
+    try {
+      const ok = isSetup ? await unlock(masterInput) : await setMasterPassword(masterInput);
       if (!ok) {
-        setMasterError("Wrong master password");
+        setMasterError(isSetup ? "Wrong master password" : "Vault already exists");
         return;
       }
       setMasterInput("");
       setMasterError("");
+    } catch (err) {
+      setMasterError(`Could not open vault: ${err.message}`);
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  // ─── Settings ────────────────────────────────────────
+
+  const handleChangeMaster = async () => {
+    if (changeForm.next.length < 4) {
+      setChangeStatus({ ok: false, message: "New master password must be at least 4 characters" });
+      return;
+    }
+    if (changeForm.next !== changeForm.confirm) {
+      setChangeStatus({ ok: false, message: "New passwords do not match" });
+      return;
+    }
+    setChangeStatus({ ok: true, message: "Re-encrypting vault..." });
+    const result = await changeMasterPassword(changeForm.current, changeForm.next);
+    if (!result.ok) {
+      setChangeStatus({ ok: false, message: result.error });
+      return;
+    }
+    setChangeForm({ current: "", next: "", confirm: "" });
+    setChangeStatus({ ok: true, message: "Master password changed" });
+  };
+
+  // ─── Import / Export ─────────────────────────────────
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) {return;}
+    try {
+      const text = await file.text();
+      let items;
+      if (detectFormat(text, file.name) === "onios-bundle") {
+        if (!bundlePassphrase) {
+          setTransferStatus({ ok: false, message: "Enter the bundle passphrase, then import again" });
+          return;
+        }
+        setTransferStatus({ ok: true, message: "Decrypting bundle..." });
+        items = await readBundle(text, bundlePassphrase);
+      } else {
+        ({ items } = parseExport(text, file.name));
+      }
+      const result = importItems(items, { onDuplicate: duplicateMode });
+      setTransferStatus({
+        ok: true,
+        message: `Imported ${result.imported}, updated ${result.updated}, skipped ${result.skipped} duplicate(s)`,
+      });
+    } catch (err) {
+      setTransferStatus({ ok: false, message: `Import failed: ${err.message}` });
+    }
+  };
+
+  const handleExportBundle = async () => {
+    if (bundlePassphrase.length < 8) {
+      setTransferStatus({ ok: false, message: "Use a bundle passphrase of at least 8 characters" });
+      return;
+    }
+    try {
+      setTransferStatus({ ok: true, message: "Encrypting bundle..." });
+      const bundle = await exportBundle(bundlePassphrase);
+      const blob = new Blob([bundle], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `onios-vault-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+      setTransferStatus({ ok: true, message: `Exported ${entries.length} entries` });
+    } catch (err) {
+      setTransferStatus({ ok: false, message: `Export failed: ${err.message}` });
     }
   };
 
@@ -194,8 +299,7 @@ export default function PasswordManager() {
   };
 
   const handleGenerate = () => {
-    const pw = generatePassword(genLength, genOptions);
-    setGeneratedPw(pw);
+    setGeneratedPw(generate());
   };
 
   const useGenerated = () => {
@@ -220,6 +324,11 @@ export default function PasswordManager() {
               ? "Enter your master password to unlock"
               : "Create a master password to secure your vault"}
           </p>
+          {isLegacyVault && (
+            <p className="pm-lock-hint">
+              This vault uses the old storage format and will be upgraded to AES-GCM encryption on unlock.
+            </p>
+          )}
           <div className="pm-lock-form">
             <input
               className="pm-lock-input"
@@ -228,11 +337,12 @@ export default function PasswordManager() {
               value={masterInput}
               onChange={(e) => { setMasterInput(e.target.value); setMasterError(""); }}
               onKeyDown={(e) => e.key === "Enter" && handleUnlock()}
+              disabled={unlocking}
               autoFocus
             />
-            <button className="pm-lock-btn" onClick={handleUnlock}>
+            <button className="pm-lock-btn" onClick={handleUnlock} disabled={unlocking}>
               <Unlock size={16} />
-              {isSetup ? "Unlock" : "Create Vault"}
+              {unlocking ? "Unlocking..." : isSetup ? "Unlock" : "Create Vault"}
             </button>
           </div>
           {masterError && <span className="pm-lock-error">{masterError}</span>}
@@ -244,7 +354,7 @@ export default function PasswordManager() {
   // ─── Unlocked Vault ──────────────────────────────────
 
   return (
-    <div className="password-manager">
+    <div className="password-manager" onPointerDown={touch} onKeyDown={touch}>
       {/* Toolbar */}
       <div className="pm-toolbar">
         <div className="pm-toolbar-left">
@@ -271,18 +381,181 @@ export default function PasswordManager() {
           )}
         </div>
         <div className="pm-toolbar-right">
+          <button
+            className={`pm-tool-btn ${report?.summary.atRisk ? "warn" : ""}`}
+            onClick={() => setShowAudit(!showAudit)}
+            title="Password health"
+          >
+            <ShieldAlert size={14} /> {report?.summary.atRisk || 0}
+          </button>
           <button className="pm-tool-btn" onClick={() => setShowGenerator(!showGenerator)} title="Password Generator">
             <Key size={14} /> Generate
           </button>
           <button className="pm-tool-btn primary" onClick={() => { setShowAdd(true); setEditingId(null); setForm({ title: "", username: "", password: "", url: "", notes: "", category: "general" }); }}>
             <Plus size={14} /> Add
           </button>
+          <button className="pm-tool-btn" onClick={() => { setShowSettings(!showSettings); setChangeStatus(null); }} title="Vault settings">
+            <Settings size={14} />
+          </button>
           <button className="pm-tool-btn lock" onClick={lock} title="Lock vault">
             <Lock size={14} />
           </button>
         </div>
       </div>
 
+      {/* Settings Panel */}
+      {showSettings && (
+        <div className="pm-add-form">
+          <div className="pm-form-header">
+            <span>Vault Settings</span>
+            <button className="pm-gen-close" onClick={() => setShowSettings(false)}><X size={12} /></button>
+          </div>
+          <label className="pm-gen-opt">
+            <span>Auto-lock after</span>
+            <select
+              className="pm-form-input"
+              value={autoLockMinutes}
+              onChange={(e) => setAutoLockMinutes(Number(e.target.value))}
+            >
+              <option value={1}>1 minute</option>
+              <option value={5}>5 minutes</option>
+              <option value={15}>15 minutes</option>
+              <option value={30}>30 minutes</option>
+              <option value={60}>1 hour</option>
+              <option value={0}>Never</option>
+            </select>
+          </label>
+          <input
+            className="pm-form-input"
+            type="password"
+            placeholder="Current master password"
+            value={changeForm.current}
+            onChange={(e) => setChangeForm({ ...changeForm, current: e.target.value })}
+          />
+          <input
+            className="pm-form-input"
+            type="password"
+            placeholder="New master password"
+            value={changeForm.next}
+            onChange={(e) => setChangeForm({ ...changeForm, next: e.target.value })}
+          />
+          <input
+            className="pm-form-input"
+            type="password"
+            placeholder="Confirm new master password"
+            value={changeForm.confirm}
+            onChange={(e) => setChangeForm({ ...changeForm, confirm: e.target.value })}
+            onKeyDown={(e) => e.key === "Enter" && handleChangeMaster()}
+          />
+          {changeStatus && (
+            <span className={changeStatus.ok ? "pm-lock-hint" : "pm-lock-error"}>{changeStatus.message}</span>
+          )}
+          <div className="pm-form-actions">
+            <button className="pm-form-submit" onClick={handleChangeMaster}>
+              Change Master Password
+            </button>
+          </div>
+
+          <div className="pm-form-header">
+            <span>Import / Export</span>
+          </div>
+          <label className="pm-gen-opt">
+            <span>Duplicates</span>
+            <select
+              className="pm-form-input"
+              value={duplicateMode}
+              onChange={(e) => setDuplicateMode(e.target.value)}
+            >
+              <option value="skip">Skip</option>
+              <option value="update">Update existing</option>
+              <option value="keep">Keep both</option>
+            </select>
+          </label>
+          <input
+            className="pm-form-input"
+            type="password"
+            placeholder="Bundle passphrase (for encrypted export/import)"
+            value={bundlePassphrase}
+            onChange={(e) => setBundlePassphrase(e.target.value)}
+          />
+          {transferStatus && (
+            <span className={transferStatus.ok ? "pm-lock-hint" : "pm-lock-error"}>{transferStatus.message}</span>
+          )}
+          <div className="pm-form-actions">
+            <button className="pm-form-submit" onClick={() => importInputRef.current?.click()} title="Bitwarden JSON, KeePass XML, CSV or OniOS bundle">
+              <Upload size={12} /> Import
+            </button>
+            <button className="pm-form-cancel" onClick={handleExportBundle}>
+              <Download size={12} /> Export Encrypted Bundle
+            </button>
+            <input
+              type="file"
+              ref={importInputRef}
+              style={{ display: "none" }}
+              accept=".json,.xml,.csv"
+              onChange={handleImportFile}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Health Panel */}
+      {showAudit && report && (
+        <div className="pm-add-form">
+          <div className="pm-form-header">
+            <span>Password Health — {report.summary.score}%</span>
+            <button className="pm-gen-close" onClick={() => setShowAudit(false)}><X size={12} /></button>
+          </div>
+          <div className="pm-audit-summary">
+            <span>{report.summary.weak} weak</span>
+            <span>{report.summary.reused} reused</span>
+            <span>{report.summary.stale} stale</span>
+            <span>{report.summary.insecure} without HTTPS</span>
+          </div>
+          <div className="pm-gen-options">
+            <label className="pm-gen-opt">
+              <span>Stale after</span>
+              <select
+                className="pm-form-input"
+                value={auditSettings.staleDays}
+                onChange={(e) => setAuditSettings({ staleDays: e.target.value })}
+              >
+                <option value={90}>90 days</option>
+                <option value={180}>180 days</option>
+                <option value={365}>1 year</option>
+                <option value={0}>Never</option>
+              </select>
+            </label>
+            <label className="pm-gen-opt">
+              <span>Weak below</span>
+              <select
+                className="pm-form-input"
+                value={auditSettings.minEntropyBits}
+                onChange={(e) => setAuditSettings({ minEntropyBits: e.target.value })}
+              >
+                <option value={40}>40 bits</option>
+                <option value={60}>60 bits</option>
+                <option value={80}>80 bits</option>
+              </select>
+            </label>
+          </div>
+          {report.entries.length === 0 ? (
+            <span className="pm-lock-hint">No risky entries found</span>
+          ) : (
+            report.entries.map((r) => (
+              <div key={r.id} className="pm-audit-entry" onClick={() => handleEdit(entries.find((e) => e.id === r.id))}>
+                <span className="pm-entry-title">{r.title}</span>
+                <div className="pm-audit-issues">
+                  {r.issues.map((issue) => (
+                    <span key={issue.type} className={`pm-audit-issue ${issue.severity}`}>{issue.message}</span>
+                  ))}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
       {/* Generator Panel */}
       {showGenerator && (
         <div className="pm-generator">
@@ -311,20 +584,21 @@ export default function PasswordManager() {
           {generatedPw && <StrengthBar score={calculateStrength(generatedPw)} />}
           <div className="pm-gen-options">
             <label className="pm-gen-opt">
-              <input type="range" min="6" max="64" value={genLength} onChange={(e) => setGenLength(Number(e.target.value))} />
-              <span>{genLength} chars</span>
+              <input type="range" min="6" max="64" value={genOptions.length} onChange={(e) => setGeneratorOptions({ length: Number(e.target.value) })} />
+              <span>{genOptions.length} chars</span>
             </label>
             {[
               ["uppercase", "A-Z"],
               ["lowercase", "a-z"],
               ["numbers", "0-9"],
               ["symbols", "!@#"],
+              ["excludeAmbiguous", "No look-alikes"],
             ].map(([key, label]) => (
               <label key={key} className="pm-gen-opt">
                 <input
                   type="checkbox"
                   checked={genOptions[key]}
-                  onChange={() => setGenOptions({ ...genOptions, [key]: !genOptions[key] })}
+                  onChange={() => setGeneratorOptions({ [key]: !genOptions[key] })}
                 />
                 <span>{label}</span>
               </label>
@@ -427,6 +701,14 @@ export default function PasswordManager() {
                   <div className="pm-entry-header">
                     <span className="pm-entry-title">{entry.title}</span>
                     <span className="pm-entry-category">{entry.category}</span>
+                    {issuesById.has(entry.id) && (
+                      <span
+                        className={`pm-audit-badge ${issuesById.get(entry.id)[0].severity}`}
+                        title={issuesById.get(entry.id).map((i) => i.message).join("\n")}
+                      >
+                        <ShieldAlert size={10} />
+                      </span>
+                    )}
                   </div>
                   <div className="pm-entry-details">
                     {entry.username && (
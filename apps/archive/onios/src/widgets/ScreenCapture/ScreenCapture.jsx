@@ -29,6 +29,7 @@ import {
 } from "lucide-react";
 import { useWidgetContext } from "../../core/useWidgetContext";
 import { eventBus } from "../../core/EventBus";
+import { uploadFile, downloadUrl } from "../../core/FileTransfer";
 import "./ScreenCapture.css";
 
 const SCREENSHOT_DIR = "~/Pictures/OniOS/Screenshots";
@@ -298,29 +299,15 @@ export default function ScreenCapture({ windowId, widgetType }) {
     const filename = `recording-${timestamp}.webm`;
 
     try {
-      // Convert blob to base64
-      const reader = new FileReader();
-      const dataUrl = await new Promise((resolve) => {
-        reader.onload = () => resolve(reader.result);
-        reader.readAsDataURL(blob);
+      // Recordings can run to gigabytes: stream them up in chunks
+      setStatus("Saving recording...");
+      const result = await uploadFile(blob, `${RECORDING_DIR}/${filename}`, {
+        onProgress: (sent, total) =>
+          setStatus(`Saving recording... ${Math.floor((sent / (total || 1)) * 100)}%`),
       });
-
-      const res = await fetch("/api/fs/write-binary", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          path: `${RECORDING_DIR}/${filename}`,
-          data: dataUrl,
-        }),
-      });
-      const result = await res.json();
-      if (result.success) {
-        setStatus(`Saved: ${filename}`);
-        await loadCaptures();
-        eventBus.emit("recording:saved", { filename, path: result.path });
-      } else {
-        setStatus("Save failed");
-      }
+      setStatus(`Saved: ${filename}`);
+      await loadCaptures();
+      eventBus.emit("recording:saved", { filename, path: result.path });
     } catch (err) {
       console.error("[ScreenCapture] Recording save error:", err);
       setStatus("Save error");
@@ -355,7 +342,7 @@ export default function ScreenCapture({ windowId, widgetType }) {
     const dir =
       capture.type === "screenshot" ? SCREENSHOT_DIR : RECORDING_DIR;
     const link = document.createElement("a");
-    link.href = `/api/fs/read?path=${encodeURIComponent(`${dir}/${capture.name}`.replace("~", ""))}`;
+    link.href = downloadUrl(`${dir}/${capture.name}`);
     link.download = capture.name;
     link.click();
   }, []);
@@ -395,7 +382,7 @@ export default function ScreenCapture({ windowId, widgetType }) {
     if (capture.dataUrl) {return capture.dataUrl;}
     const dir =
       capture.type === "screenshot" ? SCREENSHOT_DIR : RECORDING_DIR;
-    return `/api/fs/read?path=${encodeURIComponent(`${dir}/${capture.name}`.replace("~", ""))}`;
+    return `/api/fs/media?path=${encodeURIComponent(`${dir}/${capture.name}`)}`;
   };
 
   return (
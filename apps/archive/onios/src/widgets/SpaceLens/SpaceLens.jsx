@@ -322,13 +322,14 @@ export default function SpaceLens({ windowId }) {
   );
 
   const deleteItems = useCallback(
-    async (paths, trash = true) => {
+    async (paths) => {
       for (const p of paths) {
         try {
+          // Goes to the OniOS trash; restore from File Explorer → Trash
           await fetch("/api/oni/actions/spacelens", {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ action: "delete", path: p, trash }),
+            body: JSON.stringify({ action: "delete", path: p, source: "user" }),
           });
         } catch {
           /* ignore */
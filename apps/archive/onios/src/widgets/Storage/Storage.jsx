@@ -6,6 +6,7 @@
  *   - App storage (namespaced key-value via StorageService)
  *   - Widget states (per-instance persistence)
  *   - Other (any remaining localStorage keys)
+ *   - Server storage (storagePlugin keys, live via /api/storage/watch)
  *
  * Features:
  *   - Usage stats with quota bar
@@ -35,6 +36,7 @@ import {
   Clipboard,
   Brain,
   Shell,
+  Server,
 } from "lucide-react";
 import useStorageStore from "../../stores/storageStore.js";
 import { storageService } from "../../core/StorageService.js";
@@ -47,6 +49,7 @@ const BASE_CATEGORIES = [
   { id: "storage", label: "App Storage", icon: Layers },
   { id: "widgetState", label: "Widget States", icon: Box },
   { id: "other", label: "Other", icon: MoreHorizontal },
+  { id: "server", label: "Server Storage", icon: Server },
 ];
 
 function formatDate(ts) {
@@ -68,6 +71,7 @@ export default function Storage({ windowId, widgetType }) {
   const searchQuery = useStorageStore((s) => s.searchQuery);
   const inspectingKey = useStorageStore((s) => s.inspectingKey);
   const refresh = useStorageStore((s) => s.refresh);
+  const watch = useStorageStore((s) => s.watch);
   const setCategory = useStorageStore((s) => s.setCategory);
   const setNamespace = useStorageStore((s) => s.setNamespace);
   const setSearch = useStorageStore((s) => s.setSearch);
@@ -98,12 +102,17 @@ export default function Storage({ windowId, widgetType }) {
     inspectingKey,
   });
 
-  // Initial load
+  // Initial load, then live updates. Same-tab localStorage writes fire no
+  // event, so the poll still picks those up.
   useEffect(() => {
     refresh();
+    const unwatch = watch();
     const interval = setInterval(refresh, 5000);
-    return () => clearInterval(interval);
-  }, [refresh]);
+    return () => {
+      unwatch();
+      clearInterval(interval);
+    };
+  }, [refresh, watch]);
 
   const filteredEntries = entries ? getFilteredEntries() : [];
 
@@ -124,6 +133,7 @@ export default function Storage({ windowId, widgetType }) {
       ...(entries?.storage || []),
       ...(entries?.widgetState || []),
       ...(entries?.other || []),
+      ...(entries?.server || []),
     ];
     inspectedMeta = allItems.find((e) => e.key === inspectingKey);
   }
@@ -223,7 +233,8 @@ export default function Storage({ windowId, widgetType }) {
                 ? entries.system.length +
                   entries.storage.length +
                   entries.widgetState.length +
-                  entries.other.length
+                  entries.other.length +
+                  entries.server.length
                 : (entries[cat.id] || []).length
               : 0;
             const Icon = cat.icon;
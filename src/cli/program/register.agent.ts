@@ -40,6 +40,11 @@ export function registerAgentCommands(program: Command, args: { agentChannelOpti
     )
     .option("--deliver", "Send the agent's reply back to the selected channel", false)
     .option("--json", "Output result as JSON", false)
+    .option(
+      "--stream",
+      "Print agent events (text deltas, tool calls) as NDJSON while the run is in progress",
+      false,
+    )
     .option(
       "--timeout <seconds>",
       "Override agent command timeout (seconds, default 600 or config value)",
@@ -60,6 +65,10 @@ ${formatHelpExamples([
     'oni agent --to +15555550123 --message "Trace logs" --verbose on --json',
     "Enable verbose logging and JSON output.",
   ],
+  [
+    'oni agent --agent ops --message "Summarize logs" --stream',
+    "Stream events as NDJSON, ending with a result line.",
+  ],
   ['oni agent --to +15555550123 --message "Summon reply" --deliver', "Deliver reply."],
   [
     'oni agent --agent ops --message "Generate report" --deliver --reply-channel slack --reply-to "#reports"',
@@ -14,6 +14,7 @@ vi.mock("./agent.js", () => ({
 import type { OniAIConfig } from "../config/config.js";
 import * as configModule from "../config/config.js";
 import { callGateway } from "../gateway/call.js";
+import { emitAgentEvent } from "../infra/agent-events.js";
 import type { RuntimeEnv } from "../runtime.js";
 import { agentCliCommand } from "./agent-via-gateway.js";
 import { agentCommand } from "./agent.js";
@@ -107,6 +108,91 @@ describe("agentCliCommand", () => {
     });
   });
 
+  it("streams this run's agent events as NDJSON with --stream", async () => {
+    await withTempStore(async () => {
+      vi.mocked(callGateway).mockImplementation(async (opts) => {
+        const agentEvent = (runId: string, data: Record<string, unknown>) => ({
+          type: "event" as const,
+          event: "agent",
+          payload: { runId, seq: 1, stream: "assistant", ts: 1, data },
+        });
+        opts.onEvent?.(agentEvent("idem-1", { text: "hel", delta: "hel" }));
+        opts.onEvent?.(agentEvent("other-run", { text: "nope", delta: "nope" }));
+        opts.onEvent?.({ type: "event", event: "tick", payload: { ts: 2 } });
+        return { runId: "idem-1", status: "ok", result: { payloads: [{ text: "hello" }] } };
+      });
+
+      await agentCliCommand({ message: "hi", to: "+1555", stream: true }, runtime);
+
+      const request = vi.mocked(callGateway).mock.calls[0]?.[0] as { caps?: string[] };
+      expect(request.caps).toEqual(["tool-events"]);
+      const lines = vi.mocked(runtime.log).mock.calls.map(([line]) => JSON.parse(String(line)));
+      expect(lines).toEqual([
+        {
+          type: "event",
+          runId: "idem-1",
+          seq: 1,
+          stream: "assistant",
+          ts: 1,
+          data: { text: "hel", delta: "hel" },
+        },
+        {
+          type: "result",
+          runId: "idem-1",
+          status: "ok",
+          result: { payloads: [{ text: "hello" }] },
+        },
+      ]);
+    });
+  });
+
+  it("aborts the gateway run with chat.abort when a streamed run is interrupted", async () => {
+    await withTempStore(async () => {
+      const signalHandlers = new Map<string, (signal: NodeJS.Signals) => void>();
+      const onceSpy = vi.spyOn(process, "once").mockImplementation(((
+        event: string,
+        handler: (signal: NodeJS.Signals) => void,
+      ) => {
+        signalHandlers.set(event, handler);
+        return process;
+      }) as unknown as typeof process.once);
+      try {
+        vi.mocked(callGateway).mockImplementation(async (opts) => {
+          if (opts.method === "chat.abort") {
+            return { ok: true, aborted: true, runIds: ["idem-1"] };
+          }
+          opts.onEvent?.({
+            type: "event",
+            event: "agent",
+            payload: {
+              runId: "idem-1",
+              seq: 1,
+              stream: "lifecycle",
+              ts: 1,
+              data: { phase: "start" },
+              sessionKey: "agent:main:main",
+            },
+          });
+          signalHandlers.get("SIGTERM")?.("SIGTERM");
+          throw new Error("agent run aborted");
+        });
+
+        await expect(
+          agentCliCommand({ message: "hi", to: "+1555", stream: true }, runtime),
+        ).rejects.toThrow("interrupted by SIGTERM");
+
+        expect(callGateway).toHaveBeenCalledTimes(2);
+        const abortRequest = vi.mocked(callGateway).mock.calls[1]?.[0];
+        expect(abortRequest?.method).toBe("chat.abort");
+        expect(abortRequest?.params).toEqual({ sessionKey: "agent:main:main", runId: "idem-1" });
+        expect(runtime.exit).toHaveBeenCalledWith(143);
+        expect(agentCommand).not.toHaveBeenCalled();
+      } finally {
+        onceSpy.mockRestore();
+      }
+    });
+  });
+
   it("falls back to embedded agent when gateway fails", async () => {
     await withTempStore(async () => {
       vi.mocked(callGateway).mockRejectedValue(new Error("gateway not connected"));
@@ -120,6 +206,40 @@ describe("agentCliCommand", () => {
     });
   });
 
+  it("keeps streaming NDJSON when a --stream run falls back to the embedded agent", async () => {
+    await withTempStore(async () => {
+      vi.mocked(callGateway).mockRejectedValue(new Error("gateway not connected"));
+      vi.mocked(agentCommand).mockImplementationOnce(async (opts, rt) => {
+        emitAgentEvent({ runId: opts.runId ?? "", stream: "assistant", data: { text: "lo" } });
+        emitAgentEvent({ runId: "other-run", stream: "assistant", data: { text: "nope" } });
+        rt?.log?.("{ pretty json }");
+        return { payloads: [{ text: "local" }], meta: { durationMs: 1 } } as unknown as Awaited<
+          ReturnType<typeof agentCommand>
+        >;
+      });
+
+      await agentCliCommand({ message: "hi", to: "+1555", stream: true }, runtime);
+
+      const localOpts = vi.mocked(agentCommand).mock.calls[0]?.[0];
+      expect(localOpts?.runId).toBe("idem-1");
+      const lines = vi.mocked(runtime.log).mock.calls.map(([line]) => JSON.parse(String(line)));
+      expect(lines).toEqual([
+        expect.objectContaining({
+          type: "event",
+          runId: "idem-1",
+          stream: "assistant",
+          data: { text: "lo" },
+        }),
+        {
+          type: "result",
+          runId: "idem-1",
+          status: "ok",
+          result: { payloads: [{ text: "local" }], meta: { durationMs: 1 } },
+        },
+      ]);
+    });
+  });
+
   it("skips gateway when --local is set", async () => {
     await withTempStore(async () => {
       mockLocalAgentReply();
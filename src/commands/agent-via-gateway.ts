@@ -4,6 +4,9 @@ import type { CliDeps } from "../cli/deps.js";
 import { withProgress } from "../cli/progress.js";
 import { loadConfig } from "../config/config.js";
 import { callGateway, randomIdempotencyKey } from "../gateway/call.js";
+import { GATEWAY_CLIENT_CAPS } from "../gateway/protocol/client-info.js";
+import type { EventFrame } from "../gateway/protocol/index.js";
+import { onAgentEvent } from "../infra/agent-events.js";
 import { normalizeAgentId } from "../routing/session-key.js";
 import type { RuntimeEnv } from "../runtime.js";
 import {
@@ -40,6 +43,8 @@ export type AgentCliOpts = {
   thinking?: string;
   verbose?: string;
   json?: boolean;
+  /** Print the run's agent events as NDJSON while it runs, then the result line (implies json). */
+  stream?: boolean;
   timeout?: string;
   deliver?: boolean;
   channel?: string;
@@ -64,6 +69,55 @@ function parseTimeoutSeconds(opts: { cfg: ReturnType<typeof loadConfig>; timeout
   return raw;
 }
 
+class GatewayRunInterruptedError extends Error {
+  constructor(signal: NodeJS.Signals) {
+    super(`Gateway agent run interrupted by ${signal}`);
+    this.name = "GatewayRunInterruptedError";
+  }
+}
+
+/**
+ * While a streamed run is in flight, SIGINT/SIGTERM abort it on the Gateway (chat.abort)
+ * before the CLI exits, so stopping the stream also stops the run.
+ */
+function abortGatewayRunOnSignal(params: {
+  runId: string;
+  getSessionKey: () => string | undefined;
+  runtime: RuntimeEnv;
+  onInterrupt: (signal: NodeJS.Signals, exited: Promise<void>) => void;
+}) {
+  const handler = (signal: NodeJS.Signals) => {
+    detach();
+    const sessionKey = params.getSessionKey();
+    const exitCode = signal === "SIGINT" ? 130 : 143;
+    const abort = sessionKey
+      ? callGateway({
+          method: "chat.abort",
+          params: { sessionKey, runId: params.runId },
+          timeoutMs: 5_000,
+          clientName: GATEWAY_CLIENT_NAMES.CLI,
+          mode: GATEWAY_CLIENT_MODES.CLI,
+        })
+      : Promise.resolve();
+    const exited = abort
+      .then(
+        () => undefined,
+        (err) => {
+          params.runtime.error(`Failed to abort gateway run ${params.runId}: ${String(err)}`);
+        },
+      )
+      .finally(() => params.runtime.exit(exitCode));
+    params.onInterrupt(signal, exited);
+  };
+  const detach = () => {
+    process.off("SIGINT", handler);
+    process.off("SIGTERM", handler);
+  };
+  process.once("SIGINT", handler);
+  process.once("SIGTERM", handler);
+  return detach;
+}
+
 function formatPayloadForLog(payload: {
   text?: string;
   mediaUrls?: string[];
@@ -120,11 +174,35 @@ export async function agentViaGatewayCommand(opts: AgentCliOpts, runtime: Runtim
   const channel = normalizeMessageChannel(opts.channel);
   const idempotencyKey = opts.runId?.trim() || randomIdempotencyKey();
 
+  // The Gateway may canonicalize the session key; agent events carry the one it runs under.
+  let runSessionKey = sessionKey;
+  // Agent events are broadcast to every operator client; keep only this run's.
+  const onEvent = opts.stream
+    ? (evt: EventFrame) => {
+        const payload = evt.payload as { runId?: string; sessionKey?: string } | undefined;
+        if (evt.event === "agent" && payload?.runId === idempotencyKey) {
+          runSessionKey = payload.sessionKey ?? runSessionKey;
+          runtime.log(JSON.stringify({ type: "event", ...payload }));
+        }
+      }
+    : undefined;
+  let interrupted: { signal: NodeJS.Signals; exited: Promise<void> } | undefined;
+  const detachSignals = opts.stream
+    ? abortGatewayRunOnSignal({
+        runId: idempotencyKey,
+        getSessionKey: () => runSessionKey,
+        runtime,
+        onInterrupt: (signal, exited) => {
+          interrupted = { signal, exited };
+        },
+      })
+    : undefined;
+
   const response = await withProgress(
     {
       label: "Waiting for agent reply…",
       indeterminate: true,
-      enabled: opts.json !== true,
+      enabled: opts.json !== true && opts.stream !== true,
     },
     async () =>
       await callGateway<GatewayAgentResponse>({
@@ -149,10 +227,26 @@ export async function agentViaGatewayCommand(opts: AgentCliOpts, runtime: Runtim
         },
         expectFinal: true,
         timeoutMs: gatewayTimeoutMs,
+        caps: opts.stream ? [GATEWAY_CLIENT_CAPS.TOOL_EVENTS] : undefined,
+        onEvent,
         clientName: GATEWAY_CLIENT_NAMES.CLI,
         mode: GATEWAY_CLIENT_MODES.CLI,
       }),
-  );
+  )
+    .catch(async (err) => {
+      if (!interrupted) {
+        throw err;
+      }
+      // The run failed because we aborted it; let the abort finish and exit instead of falling back.
+      await interrupted.exited;
+      throw new GatewayRunInterruptedError(interrupted.signal);
+    })
+    .finally(() => detachSignals?.());
+
+  if (opts.stream) {
+    runtime.log(JSON.stringify({ type: "result", ...response }));
+    return response;
+  }
 
   if (opts.json) {
     runtime.log(JSON.stringify(response, null, 2));
@@ -177,20 +271,46 @@ export async function agentViaGatewayCommand(opts: AgentCliOpts, runtime: Runtim
   return response;
 }
 
-export async function agentCliCommand(opts: AgentCliOpts, runtime: RuntimeEnv, deps?: CliDeps) {
+/** Runs the embedded agent; with --stream, mirrors the gateway path's NDJSON event and result lines. */
+async function agentLocalCommand(opts: AgentCliOpts, runtime: RuntimeEnv, deps?: CliDeps) {
   const localOpts = {
     ...opts,
     agentId: opts.agent,
     replyAccountId: opts.replyAccount,
   };
-  if (opts.local === true) {
+  if (!opts.stream) {
     return await agentCommand(localOpts, runtime, deps);
   }
 
+  const runId = opts.runId?.trim() || randomIdempotencyKey();
+  const stopEvents = onAgentEvent((evt) => {
+    if (evt.runId === runId) {
+      runtime.log(JSON.stringify({ type: "event", ...evt }));
+    }
+  });
+  // The NDJSON lines are the only output; agentCommand's own json/text logging is dropped.
+  const quietRuntime: RuntimeEnv = { ...runtime, log: () => {} };
+  try {
+    const result = await agentCommand({ ...localOpts, json: true, runId }, quietRuntime, deps);
+    runtime.log(JSON.stringify({ type: "result", runId, status: "ok", result }));
+    return result;
+  } finally {
+    stopEvents();
+  }
+}
+
+export async function agentCliCommand(opts: AgentCliOpts, runtime: RuntimeEnv, deps?: CliDeps) {
+  if (opts.local === true) {
+    return await agentLocalCommand(opts, runtime, deps);
+  }
+
   try {
     return await agentViaGatewayCommand(opts, runtime);
   } catch (err) {
+    if (err instanceof GatewayRunInterruptedError) {
+      throw err;
+    }
     runtime.error?.(`Gateway agent failed; falling back to embedded: ${String(err)}`);
-    return await agentCommand(localOpts, runtime, deps);
+    return await agentLocalCommand(opts, runtime, deps);
   }
 }
@@ -22,7 +22,7 @@ import {
   type OperatorScope,
 } from "./method-scopes.js";
 import { isSecureWebSocketUrl } from "./net.js";
-import { PROTOCOL_VERSION } from "./protocol/index.js";
+import { type EventFrame, PROTOCOL_VERSION } from "./protocol/index.js";
 
 type CallGatewayBaseOptions = {
   url?: string;
@@ -42,6 +42,10 @@ type CallGatewayBaseOptions = {
   instanceId?: string;
   minProtocol?: number;
   maxProtocol?: number;
+  /** Client capabilities advertised in the connect handshake (e.g. `tool-events`). */
+  caps?: string[];
+  /** Receives gateway events (e.g. `agent` stream events) while the request is in flight. */
+  onEvent?: (evt: EventFrame) => void;
   /**
    * Overrides the config path shown in connection error details.
    * Does not affect config loading; callers still control auth via opts.token/password/env/config.
@@ -344,6 +348,8 @@ async function executeGatewayRequestWithScopes<T>(params: {
       deviceIdentity: loadOrCreateDeviceIdentity(),
       minProtocol: opts.minProtocol ?? PROTOCOL_VERSION,
       maxProtocol: opts.maxProtocol ?? PROTOCOL_VERSION,
+      caps: opts.caps,
+      onEvent: opts.onEvent,
       onHelloOk: async () => {
         try {
           const result = await client.request<T>(opts.method, opts.params, {
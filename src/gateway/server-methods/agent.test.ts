@@ -80,6 +80,7 @@ vi.mock("../../utils/delivery-context.js", async () => {
 const makeContext = (): GatewayRequestContext =>
   ({
     dedupe: new Map(),
+    chatAbortControllers: new Map(),
     addChatRun: vi.fn(),
     logGateway: { info: vi.fn(), error: vi.fn() },
   }) as unknown as GatewayRequestContext;
@@ -301,6 +302,40 @@ describe("gateway agent handler", () => {
     expect(callArgs.bestEffortDeliver).toBe(false);
   });
 
+  it("registers the run for chat.abort and passes its abort signal to agentCommand", async () => {
+    mocks.agentCommand.mockClear();
+    primeMainAgentRun();
+    let finishRun: (value: unknown) => void = () => {};
+    mocks.agentCommand.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          finishRun = resolve;
+        }),
+    );
+    const context = makeContext();
+
+    await invokeAgent(
+      {
+        message: "long task",
+        agentId: "main",
+        sessionKey: "agent:main:main",
+        idempotencyKey: "test-abortable-run",
+      },
+      { context, reqId: "abort-1" },
+    );
+
+    await vi.waitFor(() => expect(mocks.agentCommand).toHaveBeenCalled());
+    const active = context.chatAbortControllers.get("test-abortable-run");
+    expect(active?.sessionKey).toBe("agent:main:main");
+    const callArgs = mocks.agentCommand.mock.calls.at(-1)?.[0] as { abortSignal?: AbortSignal };
+    expect(callArgs.abortSignal).toBe(active?.controller.signal);
+
+    finishRun({ payloads: [], meta: { durationMs: 1 } });
+    await vi.waitFor(() =>
+      expect(context.chatAbortControllers.has("test-abortable-run")).toBe(false),
+    );
+  });
+
   it("handles missing cliSessionIds gracefully", async () => {
     mockMainSessionEntry({});
 
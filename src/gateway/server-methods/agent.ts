@@ -1,5 +1,6 @@
 import { randomUUID } from "node:crypto";
 import { listAgentIds } from "../../agents/agent-scope.js";
+import { resolveAgentTimeoutMs } from "../../agents/timeout.js";
 import { BARE_SESSION_RESET_PROMPT } from "../../auto-reply/reply/session-reset-prompt.js";
 import { agentCommand } from "../../commands/agent.js";
 import { loadConfig } from "../../config/config.js";
@@ -28,6 +29,7 @@ import {
   normalizeMessageChannel,
 } from "../../utils/message-channel.js";
 import { resolveAssistantIdentity } from "../assistant-identity.js";
+import { resolveChatRunExpiresAtMs } from "../chat-abort.js";
 import { parseMessageWithAttachments } from "../chat-attachments.js";
 import { resolveAssistantAvatarUrl } from "../control-ui-shared.js";
 import { GATEWAY_CLIENT_CAPS, hasGatewayClientCap } from "../protocol/client-info.js";
@@ -576,6 +578,24 @@ export const agentHandlers: GatewayRequestHandlers = {
 
     const resolvedThreadId = explicitThreadId ?? deliveryPlan.resolvedThreadId;
 
+    // Register the run like chat.send does so chat.abort (and run expiry) can stop it.
+    let abortController: AbortController | undefined;
+    if (resolvedSessionKey) {
+      const now = Date.now();
+      const timeoutMs = resolveAgentTimeoutMs({
+        cfg: cfgForAgent ?? cfg,
+        overrideSeconds: request.timeout,
+      });
+      abortController = new AbortController();
+      context.chatAbortControllers.set(runId, {
+        controller: abortController,
+        sessionId: resolvedSessionId ?? runId,
+        sessionKey: resolvedSessionKey,
+        startedAtMs: now,
+        expiresAtMs: resolveChatRunExpiresAtMs({ now, timeoutMs }),
+      });
+    }
+
     void agentCommand(
       {
         message,
@@ -608,6 +628,7 @@ export const agentHandlers: GatewayRequestHandlers = {
         lane: request.lane,
         extraSystemPrompt: request.extraSystemPrompt,
         inputProvenance,
+        abortSignal: abortController?.signal,
       },
       defaultRuntime,
       context.deps,
@@ -645,6 +666,14 @@ export const agentHandlers: GatewayRequestHandlers = {
           runId,
           error: formatForLog(err),
         });
+      })
+      .finally(() => {
+        if (
+          abortController &&
+          context.chatAbortControllers.get(runId)?.controller === abortController
+        ) {
+          context.chatAbortControllers.delete(runId);
+        }
       });
   },
   "agent.identity.get": ({ params, respond }) => {